@@ -1,6 +1,7 @@
 import React, { Suspense, lazy, useEffect } from 'react';
 import { Routes, Route, Navigate, Outlet } from 'react-router-dom';
 import { useUser, useAuth } from '@clerk/clerk-react';
+import { useSelector } from 'react-redux';
 import { Toaster } from 'react-hot-toast';
 import { useTranslation } from "react-i18next";
 
@@ -45,6 +46,7 @@ const Feed = lazyWithRetry(() => import('./pages/Feed'));
 const Search = lazyWithRetry(() => import('./pages/Search'));
 const CreatePost = lazyWithRetry(() => import('./pages/CreatePost'));
 const PostDetails = lazyWithRetry(() => import('./pages/PostDetails'));
+const Hashtag = lazyWithRetry(() => import('./pages/Hashtag'));
 const NotificationsPage = lazyWithRetry(() => import('./pages/NotificationsPage'));
 const Settings = lazyWithRetry(() => import('./pages/Settings'));
 const Messages = lazyWithRetry(() => import('./pages/Messages'));
@@ -56,6 +58,8 @@ const MyGroups = lazyWithRetry(() => import('./pages/MyGroups'));
 const AvailableGroups = lazyWithRetry(() => import('./pages/AvailableGroups'));
 const GroupChat = lazyWithRetry(() => import('./pages/GroupChat'));
 const GroupRequests = lazyWithRetry(() => import('./pages/GroupRequests'));
+const JoinGroupInvite = lazyWithRetry(() => import('./pages/JoinGroupInvite'));
+const AdminModeration = lazyWithRetry(() => import('./pages/AdminModeration'));
 const NotFound = lazyWithRetry(() => import('./pages/NotFound'));
 
 /**
@@ -72,6 +76,19 @@ const ProtectedRoute = () => {
   return <Outlet />;
 };
 
+/**
+ * @component AdminRoute
+ * @description Guards the moderation console. Must be nested inside AuthWrapper
+ * (needs the synced user). The API enforces the same rule server-side.
+ */
+const AdminRoute = () => {
+  const { currentUser } = useSelector((state) => state.user);
+
+  if (currentUser?.role !== 'admin') return <Navigate to="/" replace />;
+
+  return <Outlet />;
+};
+
 /**
  * @component App
  * @description Main application entry point managing routing, global providers, and theme-aware feedback.
@@ -170,6 +187,7 @@ const App = () => {
                 <Route path="/search" element={<Search />} />
                 <Route path="/create-post" element={<CreatePost />} />
                 <Route path="/post/:id" element={<PostDetails />} />
+                <Route path="/hashtag/:tag" element={<Hashtag />} />
                 <Route path="/notifications" element={<NotificationsPage />} />
                 <Route path="/settings" element={<Settings />} />
 
@@ -188,6 +206,12 @@ const App = () => {
                 <Route path="/groups/available" element={<AvailableGroups />} />
                 <Route path="/groups/:groupId/chat" element={<GroupChat />} />
                 <Route path="/groups/:groupId/requests" element={<GroupRequests />} />
+                <Route path="/groups/join/:token" element={<JoinGroupInvite />} />
+
+                {/* 5. Moderation (Admins only) */}
+                <Route element={<AdminRoute />}>
+                  <Route path="/admin" element={<AdminModeration />} />
+                </Route>
 
               </Route> {/* End of Layout */}
 
@@ -8,6 +8,9 @@
  * - Decomposed into memoized sub-components (Profile, Members, SharedContent, Actions).
  * - handlers wrapped in useCallback to prevent prop thrashing.
  * - Heavy filtering operations memoized with useMemo.
+ * - Shared media & files are paged from the server (the whole history, not just loaded messages).
+ * - Group roles: badges per member, plus promote/demote/transfer/remove for whoever outranks them
+ *   (the server's permission list decides what the viewer may do).
  * - Strict Tailwind theme variable usage.
  */
 
@@ -23,15 +26,33 @@ import { useTranslation } from "react-i18next";
 import {
     X, Bell, BellOff, Ban, Trash2, CheckCircle,
     Image as ImageIcon, FileText, Link2, Users, LogOut, ChevronDown, Link,
-    Video, Copy, File, UserMinus, Lock, Unlock
+    Video, Copy, File, UserMinus, Lock, Unlock, Download, Loader2, ShieldCheck, Crown, Settings
 } from "lucide-react";
 
 // --- API & Actions ---
 import api from "../../lib/axios";
 import { toggleMuteLocal } from "../../features/userSlice";
+import { formatFileSize, fileExtensionLabel, downloadAttachment } from "../../utils/attachments";
 
 // --- Components ---
 import UserAvatar from "../common/UserDefaultAvatar";
+import EditGroupModal from "../modals/EditGroupModal";
+import GroupInvitesModal from "../modals/GroupInvitesModal";
+
+// --- Constants ---
+const SHARED_KINDS = ["media", "files"];
+const EMPTY_SHARED = { items: [], nextCursor: null, loaded: false, loading: false };
+
+// Mirrors server/utils/groupPermissions.js (the server re-checks every change)
+const ROLE_RANK = { owner: 3, admin: 2, moderator: 1, member: 0 };
+const ASSIGNABLE_ROLES = ["admin", "moderator", "member"];
+const outranks = (a, b) => (ROLE_RANK[a] ?? -1) > (ROLE_RANK[b] ?? -1);
+
+const ROLE_BADGES = {
+    owner: "bg-yellow-500/10 text-yellow-600 dark:text-yellow-400 border-yellow-500/20",
+    admin: "bg-blue-500/10 text-blue-600 dark:text-blue-400 border-blue-500/20",
+    moderator: "bg-green-500/10 text-green-600 dark:text-green-400 border-green-500/20",
+};
 
 // --- Helper Components ---
 
@@ -44,36 +65,73 @@ const EmptyState = memo(({ text, icon: Icon }) => (
     </div>
 ));
 
-const MemberItem = memo(({ member, isOwner, amIAdmin, currentUserId, onKick, onClick, t }) => {
-    const isMe = member._id === currentUserId;
+const MemberItem = memo(({ member, role, isMe, canKick, roleOptions, canTransfer, onKick, onChangeRole, onTransfer, onClick, t }) => {
+    const [showRoleMenu, setShowRoleMenu] = useState(false);
+    const canManage = roleOptions.length > 0 || canTransfer;
 
     return (
         <motion.div
             initial={{ x: -20, opacity: 0 }}
             animate={{ x: 0, opacity: 1 }}
-            className="flex items-center justify-between p-2.5 hover:bg-main rounded-xl transition cursor-pointer group/item border border-transparent hover:border-adaptive"
+            className="p-2.5 hover:bg-main rounded-xl transition cursor-pointer group/item border border-transparent hover:border-adaptive"
             onClick={() => onClick(member._id)}
         >
-            <div className="flex items-center gap-3 overflow-hidden">
-                <UserAvatar user={member} className="w-10 h-10 shrink-0" />
-                <div className="min-w-0">
-                    <div className="flex items-center gap-2">
-                        <p className="text-sm font-bold truncate text-content">{member.full_name}</p>
-                        {isOwner && <span className="text-[9px] bg-yellow-500/10 text-yellow-600 dark:text-yellow-400 px-1.5 py-0.5 rounded-md font-bold border border-yellow-500/20">{t("chatInfo.ownerBadge")}</span>}
-                        {isMe && <span className="text-[9px] bg-primary/10 text-primary px-1.5 py-0.5 rounded-md font-bold">{t("chatInfo.youBadge")}</span>}
+            <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3 overflow-hidden">
+                    <UserAvatar user={member} className="w-10 h-10 shrink-0" />
+                    <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                            <p className="text-sm font-bold truncate text-content">{member.full_name}</p>
+                            {ROLE_BADGES[role] && <span className={`text-[9px] px-1.5 py-0.5 rounded-md font-bold border ${ROLE_BADGES[role]}`}>{t(`chatInfo.roleBadges.${role}`)}</span>}
+                            {isMe && <span className="text-[9px] bg-primary/10 text-primary px-1.5 py-0.5 rounded-md font-bold">{t("chatInfo.youBadge")}</span>}
+                        </div>
+                        <p className="text-xs text-muted truncate">@{member.username}</p>
                     </div>
-                    <p className="text-xs text-muted truncate">@{member.username}</p>
+                </div>
+
+                <div className="flex items-center shrink-0">
+                    {canManage && (
+                        <button
+                            onClick={(e) => { e.stopPropagation(); setShowRoleMenu(prev => !prev); }}
+                            className={`p-2 rounded-full transition-all hover:text-primary hover:bg-primary/10 group-hover/item:opacity-100 ${showRoleMenu ? "text-primary opacity-100" : "text-muted md:opacity-0"}`}
+                            title={t("chatInfo.manageRole")}
+                        >
+                            <ShieldCheck size={18} />
+                        </button>
+                    )}
+                    {canKick && (
+                        <button
+                            onClick={(e) => { e.stopPropagation(); onKick(member._id, member.full_name); }}
+                            className="p-2 text-red-500/50 hover:text-red-600 bg-transparent hover:bg-red-500/10 rounded-full transition-all md:opacity-0 group-hover/item:opacity-100"
+                            title={t("chatInfo.removeMember")}
+                        >
+                            <UserMinus size={18} />
+                        </button>
+                    )}
                 </div>
             </div>
 
-            {amIAdmin && !isOwner && !isMe && (
-                <button
-                    onClick={(e) => { e.stopPropagation(); onKick(member._id, member.full_name); }}
-                    className="p-2 text-red-500/50 hover:text-red-600 bg-transparent hover:bg-red-500/10 rounded-full transition-all md:opacity-0 group-hover/item:opacity-100"
-                    title={t("chatInfo.removeMember")}
-                >
-                    <UserMinus size={18} />
-                </button>
+            {/* Role actions (inline, so the scrolling list never clips them) */}
+            {showRoleMenu && (
+                <div className="flex flex-wrap gap-1.5 mt-2 ps-13" onClick={(e) => e.stopPropagation()}>
+                    {roleOptions.map(option => (
+                        <button
+                            key={option}
+                            onClick={() => { setShowRoleMenu(false); onChangeRole(member._id, member.full_name, option); }}
+                            className="px-2.5 py-1 text-[11px] font-bold rounded-lg border border-adaptive bg-surface hover:border-primary/40 hover:text-primary transition"
+                        >
+                            {t(`chatInfo.makeRole.${option}`)}
+                        </button>
+                    ))}
+                    {canTransfer && (
+                        <button
+                            onClick={() => { setShowRoleMenu(false); onTransfer(member._id, member.full_name); }}
+                            className="flex items-center gap-1 px-2.5 py-1 text-[11px] font-bold rounded-lg border border-yellow-500/30 text-yellow-600 dark:text-yellow-400 hover:bg-yellow-500/10 transition"
+                        >
+                            <Crown size={12} /> {t("chatInfo.transferOwnership")}
+                        </button>
+                    )}
+                </div>
             )}
         </motion.div>
     );
@@ -115,7 +173,10 @@ const ProfileSection = memo(({ isGroup, image, name, subtitle, bio, onCopyInfo }
     </div>
 ));
 
-const MembersSection = memo(({ isGroup, members, isMembersOpen, setIsMembersOpen, ownerId, currentUserId, onKick, onNavigate, t }) => {
+const MembersSection = memo(({
+    isGroup, members, isMembersOpen, setIsMembersOpen, ownerId, currentUserId, myRole, permissions,
+    onKick, onChangeRole, onTransfer, onNavigate, t
+}) => {
     if (!isGroup || !members) return null;
 
     return (
@@ -139,14 +200,24 @@ const MembersSection = memo(({ isGroup, members, isMembersOpen, setIsMembersOpen
                             {members.map((memberWrap, index) => {
                                 const member = memberWrap?.user;
                                 if (!member) return null;
+                                const isMe = member._id === currentUserId;
+                                const role = ownerId === member._id ? "owner" : memberWrap.role || "member";
+                                const isAbove = !isMe && outranks(myRole, role);
+                                const roleOptions = isAbove && permissions.includes("manage_roles")
+                                    ? ASSIGNABLE_ROLES.filter(option => option !== role && outranks(myRole, option))
+                                    : [];
                                 return (
                                     <MemberItem
                                         key={member._id || index}
                                         member={member}
-                                        isOwner={ownerId === member._id}
-                                        amIAdmin={ownerId === currentUserId}
-                                        currentUserId={currentUserId}
+                                        role={role}
+                                        isMe={isMe}
+                                        canKick={isAbove && permissions.includes("kick_members")}
+                                        roleOptions={roleOptions}
+                                        canTransfer={myRole === "owner" && !isMe}
                                         onKick={onKick}
+                                        onChangeRole={onChangeRole}
+                                        onTransfer={onTransfer}
                                         onClick={onNavigate}
                                         t={t}
                                     />
@@ -160,7 +231,21 @@ const MembersSection = memo(({ isGroup, members, isMembersOpen, setIsMembersOpen
     );
 });
 
-const SharedContentSection = memo(({ activeTab, setActiveTab, sharedMedia, sharedFiles, sharedLinks, t }) => (
+const LoadMoreButton = memo(({ state, onLoadMore, t }) => {
+    if (!state.nextCursor && !state.loading) return null;
+
+    return (
+        <button
+            onClick={onLoadMore}
+            disabled={state.loading}
+            className="col-span-full w-full flex items-center justify-center gap-2 py-2 mt-2 text-xs font-bold text-primary hover:bg-primary/5 rounded-xl transition disabled:opacity-60"
+        >
+            {state.loading ? <Loader2 size={14} className="animate-spin" /> : t("chatInfo.loadMore")}
+        </button>
+    );
+});
+
+const SharedContentSection = memo(({ activeTab, setActiveTab, sharedMedia, sharedFiles, sharedLinks, onLoadMore, t }) => (
     <div className="space-y-4 border-t border-adaptive pt-6">
         <div className="flex bg-main p-1 rounded-xl border border-adaptive">
             {[{ id: "media", icon: ImageIcon, label: t("chatInfo.media") }, { id: "files", icon: FileText, label: t("chatInfo.files") }, { id: "links", icon: Link2, label: t("chatInfo.links") }].map((tab) => (
@@ -177,32 +262,46 @@ const SharedContentSection = memo(({ activeTab, setActiveTab, sharedMedia, share
         <div className="min-h-[150px] max-h-[300px] overflow-y-auto scrollbar-hide">
             {activeTab === "media" && (
                 <div className="grid grid-cols-3 gap-2 animate-in fade-in slide-in-from-bottom-2 duration-300">
-                    {sharedMedia.length > 0 ? sharedMedia.map((msg, index) => (
-                        <div key={index} className="aspect-square relative overflow-hidden rounded-xl border border-adaptive cursor-pointer group bg-main" onClick={() => window.open(msg.media_url, "_blank")}>
+                    {sharedMedia.items.length > 0 ? sharedMedia.items.map((msg) => (
+                        <div key={msg._id} className="aspect-square relative overflow-hidden rounded-xl border border-adaptive cursor-pointer group bg-main" onClick={() => window.open(msg.media_url, "_blank")}>
                             {msg.message_type === "video" ? (
                                 <div className="w-full h-full flex items-center justify-center bg-black/10">
-                                    <Video size={24} className="text-white/80" />
-                                    <video src={msg.media_url} className="absolute inset-0 w-full h-full object-cover opacity-60" />
+                                    {msg.attachment?.thumbnail_url
+                                        ? <img src={msg.attachment.thumbnail_url} alt="" className="absolute inset-0 w-full h-full object-cover opacity-60" loading="lazy" />
+                                        : <video src={msg.media_url} preload="metadata" className="absolute inset-0 w-full h-full object-cover opacity-60" />}
+                                    <Video size={24} className="text-white/80 relative" />
                                 </div>
                             ) : (
-                                <img src={msg.media_url} alt="media" className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110" />
+                                <img src={msg.media_url} alt="media" loading="lazy" className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110" />
                             )}
                         </div>
-                    )) : <EmptyState text={t("chatInfo.noMedia")} icon={ImageIcon} />}
+                    )) : sharedMedia.loaded && <EmptyState text={t("chatInfo.noMedia")} icon={ImageIcon} />}
+                    <LoadMoreButton state={sharedMedia} onLoadMore={onLoadMore} t={t} />
                 </div>
             )}
 
             {activeTab === "files" && (
-                <div className="grid grid-cols-2 gap-2 animate-in fade-in slide-in-from-bottom-2 duration-300">
-                    {sharedFiles.length > 0 ? sharedFiles.map((msg, index) => (
-                        <div key={index} className="flex items-center gap-2 p-2 border border-adaptive rounded-xl cursor-pointer hover:bg-surface/50">
-                            <File size={18} className="text-primary" />
+                <div className="flex flex-col gap-2 animate-in fade-in slide-in-from-bottom-2 duration-300">
+                    {sharedFiles.items.length > 0 ? sharedFiles.items.map((msg) => (
+                        <a
+                            key={msg._id}
+                            href={msg.media_url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            onClick={(e) => { e.preventDefault(); downloadAttachment(msg.media_url, msg.attachment?.name || t("messages.file")); }}
+                            className="flex items-center gap-2 p-2 border border-adaptive rounded-xl cursor-pointer hover:bg-surface/50 group"
+                        >
+                            <File size={18} className="text-primary shrink-0" />
                             <div className="flex-1 overflow-hidden">
-                                <p className="text-sm font-bold truncate">{msg.file_name}</p>
-                                <p className="text-xs text-muted">{msg.file_size}</p>
+                                <p dir="auto" className="text-sm font-bold truncate">{msg.attachment?.name || t("messages.file")}</p>
+                                <p className="text-xs text-muted">
+                                    {[fileExtensionLabel(msg.attachment?.name, msg.attachment?.mime_type), formatFileSize(msg.attachment?.size), new Date(msg.createdAt).toLocaleDateString()].filter(Boolean).join(" · ")}
+                                </p>
                             </div>
-                        </div>
-                    )) : <EmptyState text={t("chatInfo.noFiles")} icon={FileText} />}
+                            <Download size={16} className="text-muted group-hover:text-primary shrink-0 transition-colors" />
+                        </a>
+                    )) : sharedFiles.loaded && <EmptyState text={t("chatInfo.noFiles")} icon={FileText} />}
+                    <LoadMoreButton state={sharedFiles} onLoadMore={onLoadMore} t={t} />
                 </div>
             )}
 
@@ -224,8 +323,8 @@ const SharedContentSection = memo(({ activeTab, setActiveTab, sharedMedia, share
 ));
 
 const ActionsSection = memo(({
-    isGroup, isMuted, isBlocked, loading, isOwner, isChatLocked,
-    onMuteToggle, onBlockToggle, onToggleLock, onLeave, onDelete, t
+    isGroup, isMuted, isBlocked, loading, canLock, canEdit, canInvite, isChatLocked,
+    onMuteToggle, onBlockToggle, onToggleLock, onEditGroup, onInvites, onLeave, onDelete, t
 }) => (
     <div className="space-y-3 border-t border-adaptive pt-6 pb-8">
         <button
@@ -254,7 +353,27 @@ const ActionsSection = memo(({
             </button>
         )}
 
-        {isOwner && (
+        {canEdit && (
+            <button
+                onClick={onEditGroup}
+                className="w-full flex items-center gap-3 p-4 bg-main hover:bg-main/80 rounded-2xl transition-all border border-adaptive hover:border-primary/30 shadow-sm text-content font-bold"
+            >
+                <Settings size={18} className="text-primary" />
+                <span className="text-sm">{t("chatInfo.groupSettings")}</span>
+            </button>
+        )}
+
+        {canInvite && (
+            <button
+                onClick={onInvites}
+                className="w-full flex items-center gap-3 p-4 bg-main hover:bg-main/80 rounded-2xl transition-all border border-adaptive hover:border-primary/30 shadow-sm text-content font-bold"
+            >
+                <Link2 size={18} className="text-primary" />
+                <span className="text-sm">{t("chatInfo.inviteLinks")}</span>
+            </button>
+        )}
+
+        {canLock && (
             <div className="flex items-center justify-between p-4 bg-main rounded-2xl border border-adaptive mt-2">
                 <div className="flex items-center gap-3">
                     {isChatLocked ? <Lock size={18} className="text-red-500" /> : <Unlock size={18} className="text-primary" />}
@@ -288,7 +407,9 @@ const ActionsSection = memo(({
 
 // --- Main Component ---
 
-const ChatInfoSidebar = ({ data, isGroup = false, isOpen, onClose, messages = [], onMessagesClear }) => {
+const NO_PERMISSIONS = [];
+
+const ChatInfoSidebar = ({ data, isGroup = false, myRole = null, permissions = NO_PERMISSIONS, isOpen, onClose, messages = [], onMessagesClear }) => {
     const { getToken } = useAuth();
     const dispatch = useDispatch();
     const navigate = useNavigate();
@@ -301,6 +422,9 @@ const ChatInfoSidebar = ({ data, isGroup = false, isOpen, onClose, messages = []
     const [isBlocked, setIsBlocked] = useState(false);
     const [loading, setLoading] = useState(false);
     const [isMembersOpen, setIsMembersOpen] = useState(false);
+    const [shared, setShared] = useState({ media: EMPTY_SHARED, files: EMPTY_SHARED });
+    const [showEditGroup, setShowEditGroup] = useState(false);
+    const [showInvites, setShowInvites] = useState(false);
 
     // --- Derived Data ---
     const name = isGroup ? data?.name : data?.full_name;
@@ -312,8 +436,10 @@ const ChatInfoSidebar = ({ data, isGroup = false, isOpen, onClose, messages = []
         : (data?.profile_picture || data?.image);
     const bio = !isGroup ? data?.bio : data?.description;
 
-    // Determine Owner/Admin status
-    const isOwner = isGroup && (data?.owner === currentUser?._id || data?.owner?._id === currentUser?._id);
+    // Owner & role-based access (permissions come with the group details)
+    const canLock = isGroup && permissions.includes("lock_chat");
+    const canEdit = isGroup && permissions.includes("edit_info");
+    const canInvite = isGroup && permissions.includes("manage_invites");
     const ownerId = isGroup ? (typeof data?.owner === 'object' ? data?.owner?._id : data?.owner) : null;
 
     // --- Effects ---
@@ -324,9 +450,50 @@ const ChatInfoSidebar = ({ data, isGroup = false, isOpen, onClose, messages = []
         }
     }, [currentUser, data, isGroup]);
 
+    // --- Shared Media & Files (server-paged, newest first) ---
+    const chatId = data?._id;
+    const sharedEndpoint = isGroup ? `/group/messages/${chatId}/shared` : `/message/${chatId}/shared`;
+
+    // Start over whenever the panel is reopened or the chat changes (new uploads since)
+    useEffect(() => {
+        setShared({ media: EMPTY_SHARED, files: EMPTY_SHARED });
+    }, [isOpen, chatId]);
+
+    const fetchShared = useCallback(async (kind, cursor = null) => {
+        setShared(prev => ({ ...prev, [kind]: { ...prev[kind], loading: true } }));
+        try {
+            const token = await getToken();
+            const { data: res } = await api.get(sharedEndpoint, {
+                params: { kind, ...(cursor && { cursor }) },
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setShared(prev => ({
+                ...prev,
+                [kind]: {
+                    items: cursor ? [...prev[kind].items, ...res.items] : res.items,
+                    nextCursor: res.nextCursor,
+                    loaded: true,
+                    loading: false,
+                }
+            }));
+        } catch (error) {
+            console.error("Shared content fetch failed", error);
+            setShared(prev => ({ ...prev, [kind]: { ...prev[kind], loaded: true, loading: false } }));
+        }
+    }, [getToken, sharedEndpoint]);
+
+    useEffect(() => {
+        if (!isOpen || !chatId || !SHARED_KINDS.includes(activeTab)) return;
+        const state = shared[activeTab];
+        if (!state.loaded && !state.loading) fetchShared(activeTab);
+    }, [isOpen, chatId, activeTab, shared, fetchShared]);
+
+    const handleLoadMoreShared = useCallback(() => {
+        const state = shared[activeTab];
+        if (state?.nextCursor && !state.loading) fetchShared(activeTab, state.nextCursor);
+    }, [shared, activeTab, fetchShared]);
+
     // --- Memoized Content ---
-    const sharedMedia = useMemo(() => messages.filter(msg => (msg.message_type === "image" || msg.message_type === "video") && msg.media_url), [messages]);
-    const sharedFiles = useMemo(() => messages.filter(msg => msg.message_type === "file"), [messages]);
     const sharedLinks = useMemo(() => {
         return messages.filter(msg => msg.text?.match(/https?:\/\/[^\s]+/)).map(msg => ({
             ...msg,
@@ -391,6 +558,27 @@ const ChatInfoSidebar = ({ data, isGroup = false, isOpen, onClose, messages = []
         } catch (error) { toast.error(t("chatInfo.error")); }
     }, [data, getToken, t]);
 
+    const handleChangeRole = useCallback(async (memberId, memberName, role) => {
+        try {
+            const token = await getToken();
+            await api.put(`/group/${data._id}/members/${memberId}/role`, { role }, { headers: { Authorization: `Bearer ${token}` } });
+            toast.success(t("chatInfo.roleUpdated", { name: memberName, role: t(`chatInfo.roles.${role}`) }));
+        } catch (error) {
+            toast.error(error.response?.data?.message || t("chatInfo.error"));
+        }
+    }, [data, getToken, t]);
+
+    const handleTransferOwnership = useCallback(async (memberId, memberName) => {
+        if (!window.confirm(t("chatInfo.transferConfirm", { name: memberName }))) return;
+        try {
+            const token = await getToken();
+            await api.put(`/group/${data._id}/transfer-ownership`, { memberId }, { headers: { Authorization: `Bearer ${token}` } });
+            toast.success(t("chatInfo.ownershipTransferred", { name: memberName }));
+        } catch (error) {
+            toast.error(error.response?.data?.message || t("chatInfo.error"));
+        }
+    }, [data, getToken, t]);
+
     const handleToggleLock = useCallback(async () => {
         try {
             const token = await getToken();
@@ -463,7 +651,11 @@ const ChatInfoSidebar = ({ data, isGroup = false, isOpen, onClose, messages = []
                                 setIsMembersOpen={setIsMembersOpen}
                                 ownerId={ownerId}
                                 currentUserId={currentUser?._id}
+                                myRole={myRole}
+                                permissions={permissions}
                                 onKick={handleKickMember}
+                                onChangeRole={handleChangeRole}
+                                onTransfer={handleTransferOwnership}
                                 onNavigate={handleNavigateProfile}
                                 t={t}
                             />
@@ -471,9 +663,10 @@ const ChatInfoSidebar = ({ data, isGroup = false, isOpen, onClose, messages = []
                             <SharedContentSection
                                 activeTab={activeTab}
                                 setActiveTab={setActiveTab}
-                                sharedMedia={sharedMedia}
-                                sharedFiles={sharedFiles}
+                                sharedMedia={shared.media}
+                                sharedFiles={shared.files}
                                 sharedLinks={sharedLinks}
+                                onLoadMore={handleLoadMoreShared}
                                 t={t}
                             />
 
@@ -482,17 +675,24 @@ const ChatInfoSidebar = ({ data, isGroup = false, isOpen, onClose, messages = []
                                 isMuted={isMuted}
                                 isBlocked={isBlocked}
                                 loading={loading}
-                                isOwner={isOwner}
+                                canLock={canLock}
+                                canEdit={canEdit}
+                                canInvite={canInvite}
                                 isChatLocked={data?.isChatLocked}
                                 onMuteToggle={handleMuteToggle}
                                 onBlockToggle={handleBlockToggle}
                                 onToggleLock={handleToggleLock}
+                                onEditGroup={() => setShowEditGroup(true)}
+                                onInvites={() => setShowInvites(true)}
                                 onLeave={handleLeaveGroup}
                                 onDelete={handleDeleteChat}
                                 t={t}
                             />
                         </div>
                     </motion.div>
+
+                    {canEdit && <EditGroupModal isOpen={showEditGroup} onClose={() => setShowEditGroup(false)} group={data} />}
+                    {canInvite && <GroupInvitesModal isOpen={showInvites} onClose={() => setShowInvites(false)} groupId={chatId} />}
                 </>
             )}
         </AnimatePresence>
@@ -3,8 +3,10 @@
  * ---------------------------------------------------
  * Renders a single chat bubble with support for:
  * - Text, Images, Voice Notes 📷 🎤
+ * - Video clips & File attachments (download cards) 🎬 📎
  * - Shared Posts & Stories (Re-integrated) 🔗
  * - Polls 📊
+ * - Pinning (pin / unpin from the action menu) 📌
  * - Smart Toggles for Mobile/Desktop Interactions
  * - Optimized Rendering with React.memo
  */
@@ -20,7 +22,13 @@ import {
     CheckCheck,
     MoreVertical,
     Edit2,
-    Trash2
+    Trash2,
+    Flag,
+    FileText,
+    FileArchive,
+    Download,
+    Pin,
+    PinOff
 } from "lucide-react";
 
 // --- Local Imports ---
@@ -28,9 +36,11 @@ import VoiceMessage from "../chat/VoiceMessage";
 import SharedPostCard from "../feed/SharedPostCard";
 import UserAvatar from "../common/UserDefaultAvatar";
 import PollMessage from "./PollMessage";
+import { formatFileSize, fileExtensionLabel, downloadAttachment } from "../../utils/attachments";
 
 // --- Constants ---
 const REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "😡", "🙏"];
+const ARCHIVE_LABELS = new Set(["ZIP", "RAR", "7Z", "GZ", "TGZ"]);
 
 // --- Helper Functions ---
 const renderWithLinks = (text) => {
@@ -97,16 +107,26 @@ const MessageActionMenu = memo(({
     showMenu,
     onEdit,
     onDelete,
+    onReport,
+    canModerate,
+    isPinned,
+    onTogglePin,
     msg,
     t
 }) => {
     if (isDeleted || isSending) return null;
 
+    const canReport = !isMe && Boolean(onReport);
+    const canRemove = !isMe && canModerate; // Group staff removing someone else's message
+    const canPin = Boolean(onTogglePin); // Group staff, or either side of a 1:1 chat
+    const othersOffset = ["-end-10 md:-end-18", "-end-10 md:-end-26", "-end-10 md:-end-34", "-end-10 md:-end-42"][Number(canReport) + Number(canRemove) + Number(canPin)];
+    const myOffset = canPin ? "-start-11 md:-start-34" : "-start-11 md:-start-26";
+
     return (
         <div className={`
             absolute flex flex-col md:flex-row items-center gap-1 bg-surface/95 backdrop-blur-md border border-adaptive rounded-full p-1 shadow-lg z-20 transition-all duration-200
             top-1/2 -translate-y-1/2
-            ${isMe ? "-start-11 md:-start-26 origin-right" : "-end-10 md:-end-18 origin-left"}
+            ${isMe ? `${myOffset} origin-right` : `${othersOffset} origin-left`}
             ${showMobileMenu ? "opacity-100 visible scale-100" : "opacity-0 invisible scale-90"}
             md:opacity-0 md:invisible md:scale-90
             md:group-hover/bubble:opacity-100 md:group-hover/bubble:visible md:group-hover/bubble:scale-100
@@ -121,6 +141,27 @@ const MessageActionMenu = memo(({
                 <Smile size={14} />
             </button>
 
+            {/* Pin / Unpin */}
+            {canPin && (
+                <button onClick={(e) => { e.stopPropagation(); onTogglePin(msg._id, !isPinned); }} className="p-1.5 hover:bg-primary/10 hover:text-primary rounded-full transition text-muted" title={isPinned ? t("pins.unpin") : t("pins.pin")}>
+                    {isPinned ? <PinOff size={14} /> : <Pin size={14} />}
+                </button>
+            )}
+
+            {/* Report (Only for others' messages) */}
+            {canReport && (
+                <button onClick={(e) => { e.stopPropagation(); onReport(msg); }} className="p-1.5 hover:bg-amber-500/10 hover:text-amber-500 rounded-full transition text-muted" title={t("message.report")}>
+                    <Flag size={14} />
+                </button>
+            )}
+
+            {/* Remove (Moderators, others' messages) */}
+            {canRemove && (
+                <button onClick={(e) => { e.stopPropagation(); onDelete(msg._id); }} className="p-1.5 hover:bg-red-500/10 hover:text-red-500 rounded-full transition text-muted" title={t("message.removeAsModerator")}>
+                    <Trash2 size={14} />
+                </button>
+            )}
+
             {/* Edit/Delete (Only for Me) */}
             {isMe && (
                 <div className="relative">
@@ -155,7 +196,71 @@ const MessageActionMenu = memo(({
     );
 });
 
-const ReplyPreview = memo(({ replyTo, isMe, scrollToMessage }) => {
+/**
+ * Download card for documents and archives (also stands in for a video that is still uploading).
+ * Without a URL yet (optimistic message) it renders the same card without the link.
+ */
+const FileAttachment = memo(({ url, attachment, isMe, t }) => {
+    const name = attachment?.name || t("messages.file");
+    const label = fileExtensionLabel(name, attachment?.mime_type);
+    const details = [label, formatFileSize(attachment?.size)].filter(Boolean).join(" · ");
+
+    const content = (
+        <>
+            <div className={`w-10 h-10 rounded-lg flex items-center justify-center shrink-0 ${isMe ? "bg-white/20 text-white" : "bg-primary/10 text-primary"}`}>
+                {ARCHIVE_LABELS.has(label) ? <FileArchive size={20} /> : <FileText size={20} />}
+            </div>
+            <div className="flex-1 min-w-0">
+                <p dir="auto" className="text-sm font-semibold truncate">{name}</p>
+                <p className={`text-[11px] ${isMe ? "text-white/70" : "text-muted"}`}>{details}</p>
+            </div>
+            {url && <Download size={18} className={`shrink-0 ${isMe ? "text-white/80" : "text-muted"}`} />}
+        </>
+    );
+
+    const className = `flex items-center gap-3 p-2 mb-1.5 rounded-xl min-w-[220px] max-w-[300px] ${isMe ? "bg-black/15" : "bg-main border border-adaptive"}`;
+
+    return url ? (
+        <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={(e) => { e.preventDefault(); downloadAttachment(url, name); }}
+            title={t("chat.download")}
+            className={`${className} hover:opacity-90 transition`}
+        >
+            {content}
+        </a>
+    ) : (
+        <div className={className}>{content}</div>
+    );
+});
+
+/** Inline player; only metadata (or the poster frame) loads until playback starts. */
+const VideoAttachment = memo(({ url, attachment }) => (
+    <video
+        src={url}
+        poster={attachment?.thumbnail_url || undefined}
+        preload={attachment?.thumbnail_url ? "none" : "metadata"}
+        controls
+        playsInline
+        className="rounded-lg w-full max-w-full sm:max-w-[300px] max-h-[350px] bg-black mb-1.5 border border-black/10 dark:border-white/10"
+        style={attachment?.width && attachment?.height ? { aspectRatio: `${attachment.width} / ${attachment.height}` } : undefined}
+    />
+));
+
+/** One-line summary of a replied-to message. */
+const replySummary = (replyTo, t) => {
+    switch (replyTo.message_type) {
+        case "image": return t("messages.photo");
+        case "audio": return t("messages.voice");
+        case "video": return t("messages.video");
+        case "file": return `${t("messages.file")} ${replyTo.attachment?.name || ""}`;
+        default: return replyTo.text;
+    }
+};
+
+const ReplyPreview = memo(({ replyTo, isMe, scrollToMessage, t }) => {
     if (!replyTo) return null;
     return (
         <div
@@ -163,7 +268,7 @@ const ReplyPreview = memo(({ replyTo, isMe, scrollToMessage }) => {
             className={`rounded-lg p-2 mb-2 text-xs cursor-pointer overflow-hidden border-s-[3px] transition-colors ${isMe ? "bg-black/20 border-white/40" : "bg-main border-primary/60"}`}
         >
             <span className={`font-bold block mb-0.5 ${isMe ? "text-white/90" : "text-primary"}`}>{replyTo.sender?.full_name}</span>
-            <span className="truncate opacity-80 block">{replyTo.message_type === 'image' ? "📷 Photo" : replyTo.text}</span>
+            <span className="truncate opacity-80 block">{replySummary(replyTo, t)}</span>
         </div>
     );
 });
@@ -238,7 +343,11 @@ const MessageItem = ({
     currentLocale,
     onEdit,
     onDelete,
-    onVote
+    onReport,
+    pollActions,
+    canModerate = false,
+    isPinned = false,
+    onTogglePin = null
 }) => {
 
     const [showMenu, setShowMenu] = useState(false);
@@ -282,8 +391,8 @@ const MessageItem = ({
     }, [setActiveReactionId]);
 
     const handleBubbleClick = useCallback((e) => {
-        // Prevent menu toggle when clicking links, images, or interactive elements
-        if (e.target.tagName === 'A' || e.target.tagName === 'IMG' || e.target.closest('button')) return;
+        // Prevent menu toggle when clicking links, images, players or interactive elements
+        if (e.target.tagName === 'IMG' || e.target.closest('a, button, video')) return;
         setShowMobileMenu(prev => !prev);
     }, []);
 
@@ -377,6 +486,10 @@ const MessageItem = ({
                         showMenu={showMenu}
                         onEdit={onEditHandler}
                         onDelete={onDeleteHandler}
+                        onReport={onReport}
+                        canModerate={canModerate}
+                        isPinned={isPinned}
+                        onTogglePin={onTogglePin}
                         msg={msg}
                         t={t}
                     />
@@ -396,7 +509,7 @@ const MessageItem = ({
                                 ? "bg-primary text-white rounded-2xl rounded-br-none border border-primary shadow-primary/10"
                                 : "bg-surface text-content rounded-2xl rounded-bl-none border border-adaptive"
                         }
-                        ${msg.message_type === "image" ? "min-w-[280px]" : ""}
+                        ${msg.message_type === "image" || msg.message_type === "video" ? "min-w-[280px]" : ""}
                     `}>
                         {isDeleted ? (
                             <div className="flex items-center gap-2 opacity-80 select-none py-1">
@@ -404,11 +517,11 @@ const MessageItem = ({
                             </div>
                         ) : (
                             <>
-                                <ReplyPreview replyTo={msg.replyTo} isMe={isMe} scrollToMessage={scrollToMessage} />
+                                <ReplyPreview replyTo={msg.replyTo} isMe={isMe} scrollToMessage={scrollToMessage} t={t} />
                                 <StoryReplyPreview storyId={msg.replyToStoryId} isMe={isMe} />
 
                                 {msg.message_type === "poll" ? (
-                                    <PollMessage message={msg} currentUserId={userId} onVote={onVote || msg.onVote} t={t} />
+                                    <PollMessage message={msg} currentUserId={userId} pollActions={pollActions} t={t} locale={currentLocale} />
                                 ) : (
                                     <>
                                         {msg.message_type === "image" && msg.media_url && (
@@ -419,6 +532,12 @@ const MessageItem = ({
                                             />
                                         )}
                                         {msg.message_type === "audio" && <VoiceMessage src={msg.media_url} isMe={isMe} />}
+                                        {msg.message_type === "video" && msg.media_url && (
+                                            <VideoAttachment url={msg.media_url} attachment={msg.attachment} />
+                                        )}
+                                        {(msg.message_type === "file" || (msg.message_type === "video" && !msg.media_url)) && (
+                                            <FileAttachment url={msg.media_url} attachment={msg.attachment} isMe={isMe} t={t} />
+                                        )}
                                         {msg.message_type === "shared_post" && msg.sharedPostId && (
                                             <div className="mb-2 max-w-[280px]"><SharedPostCard postId={msg.sharedPostId} /></div>
                                         )}
@@ -436,6 +555,7 @@ const MessageItem = ({
 
                         {/* Footer */}
                         <div className={`text-[10px] mt-1 flex items-center justify-end gap-1 ${isMe && !isDeleted ? "text-white/70" : "text-muted"}`}>
+                            {!isDeleted && isPinned && <Pin size={10} className="shrink-0" aria-label={t("pins.pinnedLabel")} />}
                             {!isDeleted && msg.isEdited && <span>({t("edited")})</span>}
                             {format(new Date(msg.createdAt || Date.now()), "hh:mm a")}
                             {isMe && !isDeleted && (
@@ -480,9 +600,13 @@ const arePropsEqual = (prevProps, nextProps) => {
 
     const isPollSame = prevProps.msg.poll === nextProps.msg.poll;
 
-    const isVoteSame = prevProps.onVote === nextProps.onVote;
+    const isVoteSame = prevProps.pollActions === nextProps.pollActions;
+
+    const isModerationSame = prevProps.canModerate === nextProps.canModerate;
+
+    const isPinSame = prevProps.isPinned === nextProps.isPinned && prevProps.onTogglePin === nextProps.onTogglePin;
 
-    return isMsgSame && (wasActive === isActive) && isPollSame && isVoteSame;
+    return isMsgSame && (wasActive === isActive) && isPollSame && isVoteSame && isModerationSame && isPinSame;
 };
 
 export default memo(MessageItem, arePropsEqual);
\ No newline at end of file
@@ -0,0 +1,69 @@
+import { memo, useState } from "react";
+import { Pin, PinOff } from "lucide-react";
+
+/** One-line preview of a pinned message (pins carry a summary, not the whole message). */
+const pinPreview = (pin, t) => {
+    switch (pin.message_type) {
+        case "image": return t("messages.photo");
+        case "audio": return t("messages.voice");
+        case "video": return t("messages.video");
+        case "file": return `${t("messages.file")} ${pin.attachment?.name || ""}`;
+        case "poll": return `${t("messages.poll")} ${pin.poll?.question || ""}`;
+        case "shared_post": return t("messages.sharedPost");
+        default: return pin.text;
+    }
+};
+
+/**
+ * Pinned messages bar under a chat header (group or 1:1).
+ * Shows one pin at a time, most recently pinned first. Tapping it jumps to that message
+ * and moves on to the next pin, so repeated taps walk through all of them.
+ * `onTogglePin` is left out for users who may not unpin.
+ */
+const PinnedMessagesBar = ({ pinned, onJump, onTogglePin, t }) => {
+    const [index, setIndex] = useState(0);
+    if (!pinned.length) return null;
+
+    const current = Math.min(index, pinned.length - 1);
+    const pin = pinned[current];
+
+    const handleJump = () => {
+        onJump(String(pin._id));
+        setIndex((current + 1) % pinned.length);
+    };
+
+    return (
+        <div className="absolute top-20 start-0 end-0 h-12 z-10 bg-surface/90 backdrop-blur-md border-t border-adaptive shadow-sm flex items-center gap-3 px-4 animate-in fade-in">
+            {/* One segment per pin, the shown one highlighted */}
+            <div className="flex flex-col gap-0.5 h-8 w-0.5 shrink-0">
+                {pinned.map((p, i) => (
+                    <span key={p._id} className={`flex-1 rounded-full transition-colors ${i === current ? "bg-primary" : "bg-primary/25"}`} />
+                ))}
+            </div>
+
+            <button onClick={handleJump} className="flex-1 min-w-0 flex items-center gap-2 text-start" title={t("pins.jump")}>
+                <Pin size={14} className="text-primary shrink-0" />
+                <div className="min-w-0">
+                    <p className="text-[11px] font-bold text-primary leading-tight">
+                        {pinned.length > 1 ? t("pins.titleCount", { index: current + 1, count: pinned.length }) : t("pins.title")}
+                    </p>
+                    <p dir="auto" className="text-xs text-content truncate">
+                        <span className="font-semibold">{pin.sender?.full_name}:</span> {pinPreview(pin, t)}
+                    </p>
+                </div>
+            </button>
+
+            {onTogglePin && (
+                <button
+                    onClick={() => onTogglePin(String(pin._id), false)}
+                    className="p-1.5 rounded-full text-muted hover:text-red-500 hover:bg-red-500/10 transition shrink-0"
+                    title={t("pins.unpin")}
+                >
+                    <PinOff size={16} />
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default memo(PinnedMessagesBar);
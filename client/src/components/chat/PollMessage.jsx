@@ -1,43 +1,105 @@
-import { useMemo } from "react";
+import { useMemo, useState, useEffect, useReducer } from "react";
 import { motion } from "framer-motion";
-import { CheckCircle2, Circle } from "lucide-react";
+import { formatDistanceToNowStrict } from "date-fns";
+import { CheckCircle2, Circle, EyeOff, Clock, Lock, Plus, Trophy, Undo2, Loader2 } from "lucide-react";
+import { getMyVotes, isPollClosed } from "../../utils/polls";
 
-const PollMessage = ({ message, currentUserId, onVote, t }) => {
+const MAX_OPTIONS = 10; // Mirrors POLL_MAX_OPTIONS (server/utils/polls.js)
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+
+/**
+ * Poll card of a chat message (group or 1:1).
+ * Shows counts only (anonymous polls carry no voter ids), the viewer's own choices,
+ * the close time / final results, and lets voters retract or add options when allowed.
+ */
+const PollMessage = ({ message, currentUserId, pollActions, t, locale }) => {
     const { poll } = message;
     const senderId = message.sender._id || message.sender;
     const isMe = String(senderId) === String(currentUserId);
 
+    const [isAdding, setIsAdding] = useState(false);
+    const [newOption, setNewOption] = useState("");
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [, refresh] = useReducer(x => x + 1, 0);
+
+    // Re-render when the close time passes (the server announces the results)
+    useEffect(() => {
+        if (!poll.closesAt || poll.closedAt) return;
+        const delay = new Date(poll.closesAt).getTime() - Date.now();
+        if (delay <= 0 || delay > MAX_TIMER_MS) return;
+        const timer = setTimeout(refresh, delay);
+        return () => clearTimeout(timer);
+    }, [poll.closesAt, poll.closedAt]);
+
+    const isClosed = isPollClosed(poll);
+    const myVotes = getMyVotes(poll);
+    const canVote = Boolean(pollActions) && !isClosed && !message.isSending;
+
     const pollStats = useMemo(() => {
-        const totalVotes = poll.options.reduce((acc, opt) => acc + opt.votes.length, 0);
-        return poll.options.map((opt, index) => {
-            const isVotedByMe = opt.votes.includes(currentUserId);
-            const percentage = totalVotes === 0 ? 0 : Math.round((opt.votes.length / totalVotes) * 100);
-            return { ...opt, index, percentage, isVotedByMe };
-        });
-    }, [poll, currentUserId]);
+        const totalVotes = poll.options.reduce((acc, opt) => acc + (opt.voteCount || 0), 0);
+        const topCount = Math.max(0, ...poll.options.map(opt => opt.voteCount || 0));
+        return {
+            totalVotes,
+            options: poll.options.map((opt, index) => ({
+                ...opt,
+                index,
+                percentage: totalVotes === 0 ? 0 : Math.round(((opt.voteCount || 0) / totalVotes) * 100),
+                isVotedByMe: myVotes.includes(index),
+                isWinner: topCount > 0 && opt.voteCount === topCount,
+            })),
+        };
+    }, [poll.options, myVotes]);
+
+    const handleAddOption = async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!newOption.trim() || isSubmitting) return;
 
-    const totalVotesDisplay = poll.options.reduce((acc, opt) => acc + opt.votes.length, 0);
+        setIsSubmitting(true);
+        const added = await pollActions.addOption(message._id, newOption.trim());
+        setIsSubmitting(false);
+        if (added) {
+            setNewOption("");
+            setIsAdding(false);
+        }
+    };
+
+    const badgeClassName = `inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[10px] font-bold ${isMe ? "bg-white/15 text-white/90" : "bg-main text-muted border border-adaptive/60"}`;
 
     return (
         <div className="min-w-65 sm:min-w-[320px] pt-1 pb-2">
 
-            <h3 className={`font-bold text-base mb-4 px-1 leading-snug ${isMe ? "text-white" : "text-content"}`}>
+            <h3 className={`font-bold text-base mb-2 px-1 leading-snug ${isMe ? "text-white" : "text-content"}`} dir="auto">
                 {poll.question}
             </h3>
 
+            {/* Settings */}
+            <div className="flex flex-wrap gap-1.5 mb-4 px-1">
+                {poll.isAnonymous && (
+                    <span className={badgeClassName}><EyeOff size={11} /> {t("polls.anonymous")}</span>
+                )}
+                {isClosed ? (
+                    <span className={badgeClassName}><Lock size={11} /> {t("polls.closed")}</span>
+                ) : poll.closesAt && (
+                    <span className={badgeClassName}>
+                        <Clock size={11} /> {t("polls.closesIn", { time: formatDistanceToNowStrict(new Date(poll.closesAt), { locale }) })}
+                    </span>
+                )}
+            </div>
+
             <div className="space-y-2.5">
-                {pollStats.map((opt) => (
+                {pollStats.options.map((opt) => (
                     <button
-                        key={opt.index}
+                        key={opt._id || opt.index}
                         onClick={(e) => {
                             e.stopPropagation();
-                            onVote(message._id, opt.index);
+                            pollActions.vote(message._id, opt.index);
                         }}
-                        disabled={message.isSending}
-                        className={`relative w-full overflow-hidden rounded-xl border p-0 transition-all group
+                        disabled={!canVote}
+                        className={`relative w-full overflow-hidden rounded-xl border p-0 transition-all group disabled:cursor-default
                         ${isMe
-                                ? "border-white/20 bg-black/10 hover:bg-black/20"
-                                : "border-adaptive/60 bg-surface hover:bg-surface-variant"
+                                ? "border-white/20 bg-black/10 enabled:hover:bg-black/20"
+                                : "border-adaptive/60 bg-surface enabled:hover:bg-surface-variant"
                             }`}
                     >
                         <motion.div
@@ -51,19 +113,22 @@ const PollMessage = ({ message, currentUserId, onVote, t }) => {
                                 }`}
                         />
 
-                        <div className="relative flex items-center justify-between px-3.5 py-3 z-10">
-                            <div className="flex items-center gap-3">
+                        <div className="relative flex items-center justify-between gap-3 px-3.5 py-3 z-10">
+                            <div className="flex items-center gap-3 min-w-0">
                                 {opt.isVotedByMe ? (
-                                    <CheckCircle2 size={20} className={isMe ? "text-white" : "text-primary"} strokeWidth={2.5} />
+                                    <CheckCircle2 size={20} className={`shrink-0 ${isMe ? "text-white" : "text-primary"}`} strokeWidth={2.5} />
                                 ) : (
-                                    <Circle size={20} className={`transition-colors ${isMe ? "text-white/60 group-hover:text-white" : "text-muted group-hover:text-content"}`} />
+                                    <Circle size={20} className={`shrink-0 transition-colors ${isMe ? "text-white/60 group-hover:text-white" : "text-muted group-hover:text-content"}`} />
                                 )}
 
-                                <span className={`text-sm font-medium ${isMe ? "text-white" : "text-content"}`}>
+                                <span className={`text-sm font-medium text-start break-words ${isMe ? "text-white" : "text-content"}`} dir="auto">
                                     {opt.text}
                                 </span>
+                                {isClosed && opt.isWinner && (
+                                    <Trophy size={14} className={`shrink-0 ${isMe ? "text-white" : "text-amber-500"}`} />
+                                )}
                             </div>
-                            <span className={`text-xs font-bold ${isMe ? "text-white/90" : "text-muted"}`}>
+                            <span className={`text-xs font-bold shrink-0 ${isMe ? "text-white/90" : "text-muted"}`}>
                                 {opt.percentage}%
                             </span>
                         </div>
@@ -71,13 +136,57 @@ const PollMessage = ({ message, currentUserId, onVote, t }) => {
                 ))}
             </div>
 
+            {/* Add Option */}
+            {poll.allowAddOptions && canVote && poll.options.length < MAX_OPTIONS && (
+                isAdding ? (
+                    <form onSubmit={handleAddOption} onClick={(e) => e.stopPropagation()} className="mt-2.5 flex items-center gap-2">
+                        <input
+                            type="text"
+                            value={newOption}
+                            maxLength={100}
+                            autoFocus
+                            onChange={(e) => setNewOption(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === "Escape") setIsAdding(false); }}
+                            placeholder={t("polls.newOptionPlaceholder")}
+                            className={`flex-1 min-w-0 rounded-xl px-3 py-2 text-sm outline-none border transition ${isMe ? "bg-black/10 border-white/20 text-white placeholder-white/60 focus:border-white/50" : "bg-main border-adaptive text-content placeholder-muted focus:border-primary"}`}
+                        />
+                        <button
+                            type="submit"
+                            disabled={!newOption.trim() || isSubmitting}
+                            className={`p-2 rounded-xl transition disabled:opacity-50 ${isMe ? "bg-white/20 text-white hover:bg-white/30" : "bg-primary text-white hover:bg-primary/90"}`}
+                        >
+                            {isSubmitting ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+                        </button>
+                    </form>
+                ) : (
+                    <button
+                        onClick={(e) => { e.stopPropagation(); setIsAdding(true); }}
+                        className={`mt-2.5 w-full flex items-center justify-center gap-1.5 py-2 rounded-xl border border-dashed text-xs font-bold transition ${isMe ? "border-white/30 text-white/80 hover:bg-white/10" : "border-primary/30 text-primary hover:bg-primary/10"}`}
+                    >
+                        <Plus size={14} /> {t("polls.addOption")}
+                    </button>
+                )
+            )}
+
             {/* 🟢 Footer Translated */}
-            <div className={`mt-4 px-1 flex justify-between items-center text-[11px] font-medium ${isMe ? "text-white/70" : "text-muted"}`}>
-                <span>{totalVotesDisplay} {totalVotesDisplay === 1 ? t("polls.vote") : t("polls.votes")}</span>
-                <span>{poll.allowMultipleAnswers ? t("polls.multipleChoice") : t("polls.singleChoice")}</span>
+            <div className={`mt-4 px-1 flex justify-between items-center gap-3 text-[11px] font-medium ${isMe ? "text-white/70" : "text-muted"}`}>
+                <span>
+                    {pollStats.totalVotes} {pollStats.totalVotes === 1 ? t("polls.vote") : t("polls.votes")}
+                    {isClosed && ` · ${t("polls.finalResults")}`}
+                </span>
+                {canVote && myVotes.length > 0 ? (
+                    <button
+                        onClick={(e) => { e.stopPropagation(); pollActions.retract(message._id); }}
+                        className={`inline-flex items-center gap-1 font-bold transition ${isMe ? "hover:text-white" : "hover:text-content"}`}
+                    >
+                        <Undo2 size={12} /> {t("polls.retractVote")}
+                    </button>
+                ) : (
+                    <span>{poll.allowMultipleAnswers ? t("polls.multipleChoice") : t("polls.singleChoice")}</span>
+                )}
             </div>
         </div>
     );
 };
 
-export default PollMessage;
\ No newline at end of file
+export default PollMessage;
@@ -50,8 +50,11 @@ const ChatItem = memo(({ chat, isActive, isOnline, currentUser, t, currentLocale
                 {isMe && <span className="text-xs opacity-70 font-normal">{t("messages.you")}: </span>} {/* 🟢 */}
                 {lastMsg?.message_type === "image" ? t("messages.photo") : // 🟢
                     lastMsg?.message_type === "audio" ? t("messages.voice") : // 🟢
+                    lastMsg?.message_type === "video" ? t("messages.video") :
+                    lastMsg?.message_type === "file" ? t("messages.file") :
                         lastMsg?.message_type === "story_reply" ? t("messages.storyReply") : // 🟢
                             lastMsg?.message_type === "shared_post" ? t("messages.sharedPost") : // 🟢
+                            lastMsg?.message_type === "poll" ? `${t("messages.poll")} ${lastMsg.poll?.question || ""}` :
                                 lastMsg?.text || t("messages.noMessages")} {/* 🟢 */}
             </>
         );
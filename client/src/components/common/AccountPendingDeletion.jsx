@@ -0,0 +1,76 @@
+/**
+ * AccountPendingDeletion Component
+ * ------------------------------------------------------------------
+ * Full-screen notice shown instead of the app while the signed-in account
+ * is deactivated and waiting for deletion (grace period).
+ * Lets the user restore the account or sign out.
+ */
+
+import { memo, useState } from "react";
+import { useDispatch } from "react-redux";
+import { useAuth, useClerk } from "@clerk/clerk-react";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import { format } from "date-fns";
+import { ar, enUS } from "date-fns/locale";
+import { ShieldAlert, RotateCcw, LogOut, Loader2 } from "lucide-react";
+
+import { restoreAccount } from "../../features/userSlice";
+
+const AccountPendingDeletion = ({ deletionScheduledFor }) => {
+    const dispatch = useDispatch();
+    const { getToken } = useAuth();
+    const { signOut } = useClerk();
+    const { t, i18n } = useTranslation();
+    const [isRestoring, setIsRestoring] = useState(false);
+
+    const currentLocale = i18n.language === 'ar' ? ar : enUS;
+    const date = deletionScheduledFor
+        ? format(new Date(deletionScheduledFor), "PPP", { locale: currentLocale })
+        : "—";
+
+    const handleRestore = async () => {
+        setIsRestoring(true);
+        try {
+            const token = await getToken();
+            await dispatch(restoreAccount(token)).unwrap();
+            toast.success(t("accountPendingDeletion.restored"));
+        } catch (error) {
+            console.error("Restore failed:", error);
+            toast.error(t("accountPendingDeletion.error"));
+            setIsRestoring(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen w-full flex items-center justify-center bg-main p-6">
+            <div className="max-w-md w-full bg-surface border border-red-500/20 rounded-3xl p-8 text-center shadow-xl">
+                <div className="mx-auto mb-6 w-16 h-16 rounded-full bg-red-500/10 flex items-center justify-center">
+                    <ShieldAlert className="text-red-500" size={32} />
+                </div>
+                <h1 className="text-2xl font-bold text-content mb-3">{t("accountPendingDeletion.title")}</h1>
+                <p className="text-muted leading-relaxed mb-8">{t("accountPendingDeletion.desc", { date })}</p>
+
+                <div className="flex flex-col gap-3">
+                    <button
+                        onClick={handleRestore}
+                        disabled={isRestoring}
+                        className="w-full bg-primary hover:opacity-90 disabled:opacity-60 text-white px-6 py-3 rounded-xl font-bold transition flex items-center justify-center gap-2"
+                    >
+                        {isRestoring ? <Loader2 size={18} className="animate-spin" /> : <RotateCcw size={18} />}
+                        {t("accountPendingDeletion.restoreBtn")}
+                    </button>
+                    <button
+                        onClick={() => signOut()}
+                        disabled={isRestoring}
+                        className="w-full px-6 py-3 rounded-xl font-bold border border-adaptive text-content hover:bg-main transition flex items-center justify-center gap-2"
+                    >
+                        <LogOut size={18} /> {t("accountPendingDeletion.signOutBtn")}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default memo(AccountPendingDeletion);
@@ -0,0 +1,42 @@
+/**
+ * AccountSuspended Component
+ * ------------------------------------------------------------------
+ * Full-screen notice shown instead of the app while the signed-in account
+ * is suspended by a moderator. The only action is signing out.
+ */
+
+import { memo } from "react";
+import { useClerk } from "@clerk/clerk-react";
+import { useTranslation } from "react-i18next";
+import { Ban, LogOut } from "lucide-react";
+
+const AccountSuspended = ({ reason }) => {
+    const { signOut } = useClerk();
+    const { t } = useTranslation();
+
+    return (
+        <div className="min-h-screen w-full flex items-center justify-center bg-main p-6">
+            <div className="max-w-md w-full bg-surface border border-red-500/20 rounded-3xl p-8 text-center shadow-xl">
+                <div className="mx-auto mb-6 w-16 h-16 rounded-full bg-red-500/10 flex items-center justify-center">
+                    <Ban className="text-red-500" size={32} />
+                </div>
+                <h1 className="text-2xl font-bold text-content mb-3">{t("accountSuspended.title")}</h1>
+                <p className="text-muted leading-relaxed mb-4">{t("accountSuspended.desc")}</p>
+                {reason && (
+                    <p className="text-sm text-content bg-main border border-adaptive rounded-xl p-3 mb-8">
+                        <span className="font-bold">{t("accountSuspended.reason")}</span> {reason}
+                    </p>
+                )}
+
+                <button
+                    onClick={() => signOut()}
+                    className="w-full px-6 py-3 rounded-xl font-bold border border-adaptive text-content hover:bg-main transition flex items-center justify-center gap-2"
+                >
+                    <LogOut size={18} /> {t("accountSuspended.signOutBtn")}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default memo(AccountSuspended);
@@ -0,0 +1,46 @@
+import { memo } from "react";
+import { BadgeCheck } from "lucide-react";
+
+/**
+ * MentionSuggestions Component
+ * ------------------------------------------------------------------
+ * Dropdown list for the "@username" picker (see hooks/useMentionAutocomplete).
+ * Positioning is left to the parent via `className` (inline, or absolute above a composer).
+ */
+const MentionSuggestions = ({ suggestions, activeIndex, onSelect, className = "" }) => {
+    if (!suggestions.length) return null;
+
+    return (
+        <ul
+            role="listbox"
+            className={`bg-surface border border-adaptive rounded-xl shadow-xl overflow-hidden z-30 animate-in fade-in ${className}`}
+        >
+            {suggestions.map((user, index) => (
+                <li
+                    key={user._id}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    // mousedown (not click) so the input keeps focus
+                    onMouseDown={(e) => { e.preventDefault(); onSelect(user); }}
+                    className={`flex items-center gap-3 px-3 py-2 cursor-pointer transition-colors ${index === activeIndex ? "bg-primary/10" : "hover:bg-main"}`}
+                >
+                    <img
+                        src={user.profile_picture || "/avatar-placeholder.png"}
+                        alt={user.username}
+                        className="w-8 h-8 rounded-full object-cover border border-adaptive bg-main"
+                        loading="lazy"
+                    />
+                    <div className="min-w-0 text-start">
+                        <div className="flex items-center gap-1">
+                            <span className="text-sm font-bold text-content truncate">{user.full_name}</span>
+                            {user.isVerified && <BadgeCheck className="w-3.5 h-3.5 text-primary shrink-0" />}
+                        </div>
+                        <span className="text-xs text-muted truncate block">@{user.username}</span>
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default memo(MentionSuggestions);
@@ -7,11 +7,13 @@
 
 import { memo, useMemo } from "react";
 import { NavLink } from "react-router-dom";
-import { Home, Search, MessageCircle, User, Settings, Users, Layers, Compass } from 'lucide-react';
+import { useSelector } from "react-redux";
+import { Home, Search, MessageCircle, User, Settings, Users, Layers, Compass, ShieldCheck } from 'lucide-react';
 import { useTranslation } from "react-i18next"; // 🟢 Import translation hook
 
 const MenuItems = ({ setSidebarOpen }) => {
     const { t } = useTranslation(); // 🟢 Hook initialization
+    const isAdmin = useSelector((state) => state.user.currentUser?.role === "admin");
 
     // 🟢 Configuration moved inside useMemo to allow translation
     const navItems = useMemo(() => [
@@ -23,7 +25,8 @@ const MenuItems = ({ setSidebarOpen }) => {
         { icon: Layers, path: "/groups", label: t("sidebar.myGroups"), color: "text-indigo-500" },
         { icon: Compass, path: "/groups/available", label: t("sidebar.explore"), color: "text-orange-500" },
         { icon: Settings, path: "/settings", label: t("sidebar.settings"), color: "text-gray-400" },
-    ], [t]);
+        ...(isAdmin ? [{ icon: ShieldCheck, path: "/admin", label: t("sidebar.moderation"), color: "text-red-500" }] : []),
+    ], [t, isAdmin]);
 
     return (
         <div className="px-4 py-2 space-y-2 font-medium">
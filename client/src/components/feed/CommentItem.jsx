@@ -14,11 +14,13 @@ import { ar, enUS } from "date-fns/locale"; // 🟢
 // Icons
 import {
     Heart, MessageCircle, Reply, ChevronUp, MoreHorizontal,
-    Trash2, Edit2, X, Check, BadgeCheck
+    Trash2, Edit2, X, Check, BadgeCheck, Flag
 } from "lucide-react";
 
 // Components
 import UserAvatar from "../common/UserDefaultAvatar";
+import MentionSuggestions from "../common/MentionSuggestions";
+import useMentionAutocomplete from "../../hooks/useMentionAutocomplete";
 
 // --- Helper Functions ---
 const getReplyCount = (node) => {
@@ -33,7 +35,8 @@ const CommentItem = ({
     addReply,
     onLike,
     onDelete,
-    onEdit
+    onEdit,
+    onReport
 }) => {
     // --- State ---
     const [showReplyInput, setShowReplyInput] = useState(false);
@@ -48,6 +51,9 @@ const CommentItem = ({
     const { t, i18n } = useTranslation(); // 🟢
     const currentLocale = i18n.language === 'ar' ? ar : enUS; // 🟢
 
+    // "@username" picker for the reply input
+    const mention = useMentionAutocomplete({ value: replyText, onChange: setReplyText, excludeId: currentUser?._id });
+
     // --- Derived Values (Memoized) ---
     const likesCount = comment.likes?.length || 0;
     const isLiked = useMemo(() => comment.likes?.some(id => String(id) === String(currentUser?._id)), [comment.likes, currentUser]);
@@ -55,6 +61,7 @@ const CommentItem = ({
     const isCommentOwner = String(currentUser?._id) === String(comment.user?._id);
     const isPostOwner = String(currentUser?._id) === String(postOwnerId);
     const canAction = isCommentOwner || isPostOwner;
+    const canReport = Boolean(currentUser && onReport) && !isCommentOwner;
 
     const replyCount = useMemo(() => getReplyCount(comment), [comment]);
     const hasReplies = replyCount > 0;
@@ -86,6 +93,11 @@ const CommentItem = ({
         onDelete(comment._id);
     }, [onDelete, comment._id]);
 
+    const handleReport = useCallback(() => {
+        setShowMenu(false);
+        onReport(comment._id);
+    }, [onReport, comment._id]);
+
     // --- Render ---
 
     return (
@@ -132,7 +144,7 @@ const CommentItem = ({
                             </div>
 
                             {/* Actions Menu (Three Dots) */}
-                            {canAction && !isEditing && (
+                            {(canAction || canReport) && !isEditing && (
                                 <div className="relative ms-2">
                                     <button
                                         onClick={(e) => { e.stopPropagation(); setShowMenu(!showMenu); }}
@@ -150,9 +162,16 @@ const CommentItem = ({
                                                         <Edit2 size={12} /> {t("comment.edit")} {/* 🟢 */}
                                                     </button>
                                                 )}
-                                                <button onClick={toggleDelete} className="w-full text-start px-3 py-2 text-xs hover:bg-red-500/10 text-red-500 flex items-center gap-2 transition-colors">
-                                                    <Trash2 size={12} /> {t("comment.delete")} {/* 🟢 */}
-                                                </button>
+                                                {canAction && (
+                                                    <button onClick={toggleDelete} className="w-full text-start px-3 py-2 text-xs hover:bg-red-500/10 text-red-500 flex items-center gap-2 transition-colors">
+                                                        <Trash2 size={12} /> {t("comment.delete")} {/* 🟢 */}
+                                                    </button>
+                                                )}
+                                                {canReport && (
+                                                    <button onClick={handleReport} className="w-full text-start px-3 py-2 text-xs hover:bg-amber-500/10 text-amber-500 flex items-center gap-2 transition-colors">
+                                                        <Flag size={12} /> {t("comment.report")}
+                                                    </button>
+                                                )}
                                             </div>
                                         </>
                                     )}
@@ -219,10 +238,13 @@ const CommentItem = ({
                                             value={replyText}
                                             onChange={(e) => {
                                                 setReplyText(e.target.value);
+                                                mention.handleInputChange(e);
                                                 e.target.style.height = 'auto';
                                                 e.target.style.height = `${e.target.scrollHeight}px`;
                                             }}
+                                            onBlur={mention.close}
                                             onKeyDown={(e) => {
+                                                if (mention.handleKeyDown(e)) return;
                                                 if (e.key === "Enter") {
                                                     if (window.innerWidth < 768) return;
                                                     if (e.shiftKey) return;
@@ -245,6 +267,15 @@ const CommentItem = ({
                                         </button>
                                     </div>
                                 </form>
+
+                                {mention.isOpen && (
+                                    <MentionSuggestions
+                                        suggestions={mention.suggestions}
+                                        activeIndex={mention.activeIndex}
+                                        onSelect={mention.selectUser}
+                                        className="mt-2 ms-8"
+                                    />
+                                )}
                             </motion.div>
                         )}
                     </AnimatePresence>
@@ -267,6 +298,7 @@ const CommentItem = ({
                             onLike={onLike}
                             onDelete={onDelete}
                             onEdit={onEdit}
+                            onReport={onReport}
                         />
                     ))}
                 </div>
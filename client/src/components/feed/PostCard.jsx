@@ -26,9 +26,11 @@ import {
 // --- Utils & API ---
 import api from "../../lib/axios";
 import { optimizeImage } from "../../utils/imageOptimizer";
+import { splitHashtags } from "../../utils/hashtags";
 
 // --- Components ---
 import UserAvatar from "../common/UserDefaultAvatar";
+import PostVideo from "./PostVideo";
 
 // --- Lazy Loaded Modals ---
 const ShareModal = lazy(() => import("../modals/ShareModal"));
@@ -123,6 +125,30 @@ const PostHeader = memo(({
     </div>
 ));
 
+/**
+ * PostContent: Post text with clickable hashtags (each opens its hashtag page).
+ */
+const PostContent = memo(({ content, onHashtagClick }) => (
+    <div className="text-content text-sm sm:text-[15px] whitespace-pre-line leading-relaxed mb-3">
+        {splitHashtags(content).map((segment, i) =>
+            segment.type === "tag" ? (
+                <span
+                    key={i}
+                    role="link"
+                    tabIndex={0}
+                    onClick={(e) => { e.stopPropagation(); onHashtagClick(segment.tag); }}
+                    onKeyDown={(e) => { if (e.key === "Enter") { e.stopPropagation(); onHashtagClick(segment.tag); } }}
+                    className="text-primary font-bold hover:underline cursor-pointer"
+                >
+                    {segment.value}
+                </span>
+            ) : (
+                <React.Fragment key={i}>{segment.value}</React.Fragment>
+            )
+        )}
+    </div>
+));
+
 /**
  * PostMediaGrid: Handles layout logic for 1, 2, 3, or 4+ images.
  */
@@ -362,14 +388,9 @@ const PostCard = ({ post, onDelete, priority, onReport }) => {
         }));
     }, []);
 
-    const renderContentWithHashtags = useCallback((content) => {
-        if (!content) return { __html: "" };
-        const processed = content.replace(
-            /#(\w+)/g,
-            '<span class="text-primary font-bold hover:underline cursor-pointer">#$1</span>'
-        );
-        return { __html: processed };
-    }, []);
+    const handleHashtagClick = useCallback((tag) => {
+        navigate(`/hashtag/${encodeURIComponent(tag)}`);
+    }, [navigate]);
 
     // --- Render ---
 
@@ -409,12 +430,10 @@ const PostCard = ({ post, onDelete, priority, onReport }) => {
 
             <div onClick={() => navigate(`/post/${post._id}`)} className="cursor-pointer">
                 {displayContent && (
-                    <div
-                        className="text-content text-sm sm:text-[15px] whitespace-pre-line leading-relaxed mb-3"
-                        dangerouslySetInnerHTML={renderContentWithHashtags(displayContent)}
-                    />
+                    <PostContent content={displayContent} onHashtagClick={handleHashtagClick} />
                 )}
                 <PostMediaGrid images={postImages} priority={priority} />
+                <PostVideo video={post.video} priority={priority} />
             </div>
 
             <PostFooter
@@ -455,7 +474,8 @@ const PostCard = ({ post, onDelete, priority, onReport }) => {
                 )}
                 {showReportModal && (
                     <ReportModal
-                        postId={post._id}
+                        targetType="post"
+                        targetId={post._id}
                         onClose={() => setShowReportModal(false)}
                         onSuccess={() => setHasReported(true)}
                     />
@@ -475,6 +495,7 @@ const arePropsEqual = (prev, next) => {
         prev.post.content === next.post.content &&
         prev.post.image === next.post.image &&
         prev.post.image_urls?.length === next.post.image_urls?.length &&
+        prev.post.video?.url === next.post.video?.url &&
         prev.priority === next.priority &&
         prev.post.reports?.length === next.post.reports?.length
     );
@@ -0,0 +1,92 @@
+/**
+ * PostVideo Component
+ * ------------------------------------------------------------------
+ * Inline player for video posts (feed cards and the post page).
+ * Features:
+ * - Shows only the poster frame until the post nears the viewport.
+ * - Mounts the <video> with preload="none": nothing downloads before the user presses play.
+ * - Pauses playback once the post scrolls out of view.
+ */
+
+import { useEffect, useRef, useState, memo } from "react";
+import { useTranslation } from "react-i18next";
+import { Play } from "lucide-react";
+
+// Utils
+import { optimizeImage } from "../../utils/imageOptimizer";
+
+/**
+ * Formats a duration in seconds as "m:ss".
+ */
+const formatDuration = (seconds = 0) => {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+const PostVideo = ({ video, priority = false, className = "mt-3" }) => {
+    const { t } = useTranslation();
+    const containerRef = useRef(null);
+    const videoRef = useRef(null);
+    const [isNearViewport, setIsNearViewport] = useState(Boolean(priority));
+    const [hasStarted, setHasStarted] = useState(false);
+
+    useEffect(() => {
+        const node = containerRef.current;
+        if (!node) return;
+
+        const observer = new IntersectionObserver(([entry]) => {
+            if (entry.isIntersecting) setIsNearViewport(true);
+            else videoRef.current?.pause();
+        }, { rootMargin: "200px" });
+
+        observer.observe(node);
+        return () => observer.disconnect();
+    }, [video?.url]);
+
+    if (!video?.url) return null;
+
+    const aspectRatio = video.width && video.height ? `${video.width} / ${video.height}` : "16 / 9";
+    const poster = video.thumbnail_url ? optimizeImage(video.thumbnail_url, 600) : undefined;
+
+    return (
+        <div
+            ref={containerRef}
+            onClick={(e) => e.stopPropagation()} // Player controls must not open the post
+            className={`relative w-full max-h-[600px] rounded-2xl overflow-hidden border border-adaptive bg-black ${className}`}
+            style={{ aspectRatio }}
+        >
+            {isNearViewport ? (
+                <video
+                    ref={videoRef}
+                    src={video.url}
+                    poster={poster}
+                    controls
+                    playsInline
+                    preload="none"
+                    onPlay={() => setHasStarted(true)}
+                    aria-label={t("post.videoLabel")}
+                    className="w-full h-full object-contain"
+                />
+            ) : (
+                <>
+                    {poster && (
+                        <img src={poster} alt="" loading="lazy" decoding="async" className="w-full h-full object-contain" />
+                    )}
+                    <div className="absolute inset-0 flex items-center justify-center">
+                        <span className="p-4 rounded-full bg-black/50 text-white backdrop-blur-sm">
+                            <Play size={28} className="fill-white" />
+                        </span>
+                    </div>
+                </>
+            )}
+
+            {!hasStarted && video.duration > 0 && (
+                <span className="absolute top-2 end-2 pointer-events-none px-2 py-0.5 rounded-md bg-black/60 text-white text-xs font-mono">
+                    {formatDuration(video.duration)}
+                </span>
+            )}
+        </div>
+    );
+};
+
+export default memo(PostVideo);
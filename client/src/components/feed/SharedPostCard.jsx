@@ -11,7 +11,7 @@
 import { useEffect, useState, memo } from "react";
 import { Link } from "react-router-dom";
 import { useAuth } from "@clerk/clerk-react";
-import { Loader2, Image as ImageIcon } from "lucide-react";
+import { Loader2, Image as ImageIcon, Play } from "lucide-react";
 
 // API
 import api from "../../lib/axios";
@@ -60,7 +60,7 @@ const SharedPostCard = ({ postId }) => {
     );
 
     const hasImage = post.image_urls && post.image_urls.length > 0;
-    const displayImage = hasImage ? post.image_urls[0] : null;
+    const displayImage = hasImage ? post.image_urls[0] : post.video?.thumbnail_url || null;
     const author = post.user || {};
 
     return (
@@ -69,7 +69,7 @@ const SharedPostCard = ({ postId }) => {
             <div className="bg-black/20 dark:bg-black/40 hover:bg-black/30 transition-colors border border-white/10 rounded-xl overflow-hidden shadow-sm relative backdrop-blur-sm">
 
                 {/* Visual Header (Image or Accent Line) */}
-                {hasImage ? (
+                {displayImage ? (
                     <div className="h-32 w-full overflow-hidden relative">
                         <img
                             src={displayImage}
@@ -79,7 +79,14 @@ const SharedPostCard = ({ postId }) => {
                             className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-500"
                             onError={(e) => e.target.style.display = 'none'}
                         />
-                        {post.image_urls.length > 1 && (
+                        {post.video?.url && (
+                            <div className="absolute inset-0 flex items-center justify-center">
+                                <span className="p-2 rounded-full bg-black/50 text-white backdrop-blur-sm">
+                                    <Play size={16} className="fill-white" />
+                                </span>
+                            </div>
+                        )}
+                        {post.image_urls?.length > 1 && (
                             <div className="absolute bottom-2 right-2 bg-black/60 backdrop-blur-md px-1.5 py-0.5 rounded text-[10px] text-white font-medium flex items-center gap-1">
                                 <ImageIcon size={10} /> +{post.image_urls.length - 1}
                             </div>
@@ -1,14 +1,20 @@
 import { useState } from "react";
-import { X, Plus, Trash2, BarChart2 } from "lucide-react";
+import { X, Plus, Trash2, BarChart2, EyeOff, ListPlus, Clock } from "lucide-react";
 import { motion } from "framer-motion";
 import { useTranslation } from "react-i18next";
 
+const MAX_OPTIONS = 10; // Mirrors POLL_MAX_OPTIONS (server/utils/polls.js)
+const DURATION_OPTIONS = [null, 1, 24, 24 * 3, 24 * 7]; // Hours until the poll closes (null = no close time)
+
 const CreatePollModal = ({ isOpen, onClose, onSubmit }) => {
     const { t } = useTranslation();
 
     const [question, setQuestion] = useState("");
     const [options, setOptions] = useState(["", ""]);
     const [allowMultiple, setAllowMultiple] = useState(false);
+    const [isAnonymous, setIsAnonymous] = useState(false);
+    const [allowAddOptions, setAllowAddOptions] = useState(false);
+    const [durationHours, setDurationHours] = useState(null);
 
     if (!isOpen) return null;
 
@@ -19,7 +25,7 @@ const CreatePollModal = ({ isOpen, onClose, onSubmit }) => {
     };
 
     const addOption = () => {
-        if (options.length < 5) setOptions([...options, ""]);
+        if (options.length < MAX_OPTIONS) setOptions([...options, ""]);
     };
 
     const removeOption = (index) => {
@@ -34,11 +40,21 @@ const CreatePollModal = ({ isOpen, onClose, onSubmit }) => {
         const validOptions = options.filter(o => o.trim() !== "");
         if (!question.trim() || validOptions.length < 2) return;
 
-        onSubmit({ question, options: validOptions, allowMultipleAnswers: allowMultiple });
+        onSubmit({
+            question,
+            options: validOptions,
+            allowMultipleAnswers: allowMultiple,
+            isAnonymous,
+            allowAddOptions,
+            closesAt: durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000).toISOString() : null
+        });
         // Reset
         setQuestion("");
         setOptions(["", ""]);
         setAllowMultiple(false);
+        setIsAnonymous(false);
+        setAllowAddOptions(false);
+        setDurationHours(null);
         onClose();
     };
 
@@ -87,7 +103,7 @@ const CreatePollModal = ({ isOpen, onClose, onSubmit }) => {
                                 )}
                             </div>
                         ))}
-                        {options.length < 5 && (
+                        {options.length < MAX_OPTIONS && (
                             <button onClick={addOption} className="flex items-center gap-2 text-primary text-sm font-medium hover:bg-primary/10 px-3 py-2 rounded-lg transition w-full justify-center border border-dashed border-primary/30 mt-2">
                                 <Plus size={16} /> {t("polls.addOption")}
                             </button>
@@ -104,6 +120,46 @@ const CreatePollModal = ({ isOpen, onClose, onSubmit }) => {
                         />
                         <label htmlFor="multi" className="text-sm cursor-pointer select-none text-content">{t("polls.allowMultiple")}</label>
                     </div>
+
+                    <div className="flex items-center gap-3">
+                        <input
+                            type="checkbox"
+                            id="anonymous"
+                            checked={isAnonymous}
+                            onChange={(e) => setIsAnonymous(e.target.checked)}
+                            className="w-4 h-4 accent-primary cursor-pointer"
+                        />
+                        <label htmlFor="anonymous" className="text-sm cursor-pointer select-none text-content flex items-center gap-1.5">
+                            <EyeOff size={14} className="text-muted" /> {t("polls.anonymousLabel")}
+                        </label>
+                    </div>
+                    {isAnonymous && <p className="text-[11px] text-muted -mt-2 ms-7">{t("polls.anonymousHint")}</p>}
+
+                    <div className="flex items-center gap-3">
+                        <input
+                            type="checkbox"
+                            id="addOptions"
+                            checked={allowAddOptions}
+                            onChange={(e) => setAllowAddOptions(e.target.checked)}
+                            className="w-4 h-4 accent-primary cursor-pointer"
+                        />
+                        <label htmlFor="addOptions" className="text-sm cursor-pointer select-none text-content flex items-center gap-1.5">
+                            <ListPlus size={14} className="text-muted" /> {t("polls.allowAddOptions")}
+                        </label>
+                    </div>
+
+                    <div>
+                        <label className="text-xs font-bold text-muted uppercase mb-1 flex items-center gap-1.5"><Clock size={12} /> {t("polls.closesLabel")}</label>
+                        <select
+                            value={durationHours ?? ""}
+                            onChange={(e) => setDurationHours(e.target.value ? Number(e.target.value) : null)}
+                            className="w-full bg-main border border-adaptive rounded-xl px-3 py-2.5 focus:border-primary outline-none transition text-sm text-content"
+                        >
+                            {DURATION_OPTIONS.map(hours => (
+                                <option key={hours ?? "never"} value={hours ?? ""}>{t(`polls.durations.${hours ?? "never"}`)}</option>
+                            ))}
+                        </select>
+                    </div>
                 </div>
 
                 {/* Footer */}
@@ -0,0 +1,231 @@
+/**
+ * EditGroupModal Component
+ * ------------------------------------------------------------------
+ * Group settings for the owner and admins (PUT /group/:groupId).
+ * Features:
+ * - Profile: image, name and description.
+ * - Privacy: join policy (open / approval / invite only) and discovery visibility.
+ * - Announcement-only mode: only the owner and admins can post.
+ * - Only changed fields are sent; members see the changes as system messages.
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import api from "../../lib/axios";
+import { toast } from "react-hot-toast";
+import { useAuth } from "@clerk/clerk-react";
+import { useTranslation } from "react-i18next";
+
+// Icons
+import { X, Loader2, Settings, Type, Globe, UserCheck, Mail, Eye, EyeOff, Megaphone } from "lucide-react";
+
+const JOIN_POLICIES = [
+    { id: "open", icon: <Globe size={18} /> },
+    { id: "approval", icon: <UserCheck size={18} /> },
+    { id: "invite_only", icon: <Mail size={18} /> },
+];
+
+const EditGroupModal = ({ isOpen, onClose, group }) => {
+    const { getToken } = useAuth();
+    const { t } = useTranslation();
+    const [name, setName] = useState("");
+    const [description, setDescription] = useState("");
+    const [joinPolicy, setJoinPolicy] = useState("approval");
+    const [isDiscoverable, setIsDiscoverable] = useState(true);
+    const [isAnnouncementOnly, setIsAnnouncementOnly] = useState(false);
+    const [image, setImage] = useState(null);
+    const [preview, setPreview] = useState("");
+    const [loading, setLoading] = useState(false);
+
+    // Start from the current settings every time the modal opens
+    useEffect(() => {
+        if (!isOpen || !group) return;
+        setName(group.name || "");
+        setDescription(group.description || "");
+        setJoinPolicy(group.joinPolicy || "approval");
+        setIsDiscoverable(group.isDiscoverable !== false);
+        setIsAnnouncementOnly(Boolean(group.isAnnouncementOnly));
+        setImage(null);
+        setPreview("");
+    }, [isOpen, group]);
+
+    useEffect(() => () => { if (preview) URL.revokeObjectURL(preview); }, [preview]);
+
+    const handleImageChange = useCallback((e) => {
+        const file = e.target.files[0];
+        if (file) {
+            setImage(file);
+            setPreview(URL.createObjectURL(file));
+        }
+    }, []);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return toast.error(t("createGroup.nameRequired"));
+
+        const formData = new FormData();
+        if (name.trim() !== group.name) formData.append("name", name.trim());
+        if (description.trim() !== (group.description || "")) formData.append("description", description.trim());
+        if (joinPolicy !== (group.joinPolicy || "approval")) formData.append("joinPolicy", joinPolicy);
+        if (isDiscoverable !== (group.isDiscoverable !== false)) formData.append("isDiscoverable", String(isDiscoverable));
+        if (isAnnouncementOnly !== Boolean(group.isAnnouncementOnly)) formData.append("isAnnouncementOnly", String(isAnnouncementOnly));
+        if (image) formData.append("image", image);
+
+        if ([...formData.keys()].length === 0) return onClose();
+
+        setLoading(true);
+        try {
+            const token = await getToken();
+            await api.put(`/group/${group._id}`, formData, {
+                headers: { Authorization: `Bearer ${token}` },
+            });
+            toast.success(t("editGroup.success"));
+            onClose();
+        } catch (error) {
+            console.error(error);
+            toast.error(error.response?.data?.message || t("editGroup.error"));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (!isOpen || !group) return null;
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+            {/* Backdrop */}
+            <div
+                className="absolute inset-0 bg-black/80 backdrop-blur-sm animate-in fade-in"
+                onClick={onClose}
+            />
+
+            {/* Modal */}
+            <div
+                className="bg-surface border border-adaptive w-full max-w-md max-h-[90vh] rounded-3xl shadow-2xl overflow-hidden relative z-10 flex flex-col animate-in fade-in zoom-in-95 duration-200"
+                onClick={(e) => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex justify-between items-center p-5 border-b border-adaptive bg-main/50 backdrop-blur-md">
+                    <div className="flex items-center gap-3">
+                        <div className="p-2.5 bg-primary/10 rounded-xl">
+                            <Settings className="text-primary" size={22} />
+                        </div>
+                        <h3 className="text-xl font-extrabold text-content">{t("editGroup.title")}</h3>
+                    </div>
+                    <button onClick={onClose} className="text-muted hover:text-content transition bg-transparent hover:bg-main p-2 rounded-full">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {/* Body */}
+                <form onSubmit={handleSubmit} className="p-6 space-y-6 overflow-y-auto custom-scrollbar">
+
+                    {/* Image */}
+                    <div className="flex flex-col items-center gap-3">
+                        <label className="relative w-28 h-28 rounded-full border-2 border-dashed border-muted/50 flex items-center justify-center overflow-hidden hover:border-primary transition-colors cursor-pointer bg-main group shadow-inner">
+                            <img src={preview || group.group_image} alt={group.name} className="w-full h-full object-cover" />
+                            <div className="absolute inset-0 bg-black/40 flex items-center justify-center opacity-0 group-hover:opacity-100 transition duration-300 backdrop-blur-[1px]">
+                                <span className="text-xs text-white font-bold bg-black/50 px-2 py-1 rounded-md">{t("createGroup.change")}</span>
+                            </div>
+                            <input type="file" accept="image/*" onChange={handleImageChange} className="hidden" />
+                        </label>
+                    </div>
+
+                    {/* Profile */}
+                    <div className="space-y-5">
+                        <div className="space-y-1.5">
+                            <label className="text-xs font-bold text-muted uppercase ms-1">{t("createGroup.nameLabel")}</label>
+                            <div className="relative group focus-within:text-primary transition-colors">
+                                <Type className="absolute start-3 top-1/2 -translate-y-1/2 text-muted group-focus-within:text-primary transition-colors" size={18} />
+                                <input
+                                    type="text"
+                                    value={name}
+                                    maxLength={100}
+                                    onChange={(e) => setName(e.target.value)}
+                                    className="w-full bg-main border border-adaptive rounded-xl py-3 ps-10 pe-4 text-content focus:outline-none focus:border-primary focus:ring-1 focus:ring-primary/50 transition-all placeholder-muted/70"
+                                    placeholder={t("createGroup.namePlaceholder")}
+                                />
+                            </div>
+                        </div>
+
+                        <div className="space-y-1.5">
+                            <label className="text-xs font-bold text-muted uppercase ms-1">{t("createGroup.descLabel")}</label>
+                            <textarea
+                                value={description}
+                                maxLength={500}
+                                onChange={(e) => setDescription(e.target.value)}
+                                className="w-full bg-main border border-adaptive rounded-xl px-4 py-3 text-content focus:outline-none focus:border-primary focus:ring-1 focus:ring-primary/50 transition-all resize-none h-24 placeholder-muted/70 leading-relaxed custom-scrollbar"
+                                placeholder={t("createGroup.descPlaceholder")}
+                            />
+                        </div>
+                    </div>
+
+                    {/* Join Policy */}
+                    <div className="space-y-2">
+                        <label className="text-xs font-bold text-muted uppercase ms-1">{t("editGroup.joinPolicy")}</label>
+                        {JOIN_POLICIES.map(policy => (
+                            <button
+                                key={policy.id}
+                                type="button"
+                                onClick={() => setJoinPolicy(policy.id)}
+                                className={`w-full flex items-center gap-3 p-3 rounded-xl border text-start transition-all ${joinPolicy === policy.id ? "border-primary bg-primary/5 text-primary" : "border-adaptive bg-main text-muted hover:border-primary/30"}`}
+                            >
+                                {policy.icon}
+                                <div className="flex flex-col">
+                                    <span className="text-sm font-bold text-content">{t(`editGroup.policies.${policy.id}.label`)}</span>
+                                    <span className="text-[11px] text-muted">{t(`editGroup.policies.${policy.id}.desc`)}</span>
+                                </div>
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* Discovery */}
+                    <button
+                        type="button"
+                        onClick={() => setIsDiscoverable(prev => !prev)}
+                        className="w-full flex items-center justify-between p-4 bg-main rounded-2xl border border-adaptive"
+                    >
+                        <div className="flex items-center gap-3 text-start">
+                            {isDiscoverable ? <Eye size={18} className="text-primary" /> : <EyeOff size={18} className="text-muted" />}
+                            <div className="flex flex-col">
+                                <span className="text-sm font-bold text-content">{t("editGroup.discoverable")}</span>
+                                <span className="text-[11px] text-muted">{t(isDiscoverable ? "editGroup.discoverableOn" : "editGroup.discoverableOff")}</span>
+                            </div>
+                        </div>
+                        <div className={`w-10 h-5 shrink-0 rounded-full relative transition-colors ${isDiscoverable ? "bg-primary" : "bg-zinc-600"}`}>
+                            <div className={`absolute top-1 w-3 h-3 bg-white rounded-full transition-all ${isDiscoverable ? "start-6" : "start-1"}`} />
+                        </div>
+                    </button>
+
+                    {/* Announcement-Only */}
+                    <button
+                        type="button"
+                        onClick={() => setIsAnnouncementOnly(prev => !prev)}
+                        className="w-full flex items-center justify-between p-4 bg-main rounded-2xl border border-adaptive"
+                    >
+                        <div className="flex items-center gap-3 text-start">
+                            <Megaphone size={18} className={isAnnouncementOnly ? "text-primary" : "text-muted"} />
+                            <div className="flex flex-col">
+                                <span className="text-sm font-bold text-content">{t("editGroup.announcementOnly")}</span>
+                                <span className="text-[11px] text-muted">{t(isAnnouncementOnly ? "editGroup.announcementOnlyOn" : "editGroup.announcementOnlyOff")}</span>
+                            </div>
+                        </div>
+                        <div className={`w-10 h-5 shrink-0 rounded-full relative transition-colors ${isAnnouncementOnly ? "bg-primary" : "bg-zinc-600"}`}>
+                            <div className={`absolute top-1 w-3 h-3 bg-white rounded-full transition-all ${isAnnouncementOnly ? "start-6" : "start-1"}`} />
+                        </div>
+                    </button>
+
+                    {/* Submit Button */}
+                    <button
+                        type="submit"
+                        disabled={loading}
+                        className="w-full py-3.5 bg-primary hover:bg-primary/90 rounded-xl text-white font-bold shadow-lg shadow-primary/25 active:scale-95 transition-all flex justify-center items-center gap-2 disabled:opacity-70 disabled:cursor-not-allowed"
+                    >
+                        {loading ? <Loader2 className="animate-spin" /> : t("editGroup.saveBtn")}
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default EditGroupModal;
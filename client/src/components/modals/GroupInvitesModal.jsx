@@ -0,0 +1,218 @@
+/**
+ * GroupInvitesModal Component
+ * ------------------------------------------------------------------
+ * Invite links of a group, for the owner and admins.
+ * Features:
+ * - Create a link with an optional expiry, usage cap and "skip approval" switch.
+ * - Lists the links that still work (uses, expiry, creator) with copy & revoke.
+ * - Links open the `/groups/join/:token` page.
+ */
+
+import { useState, useEffect, useCallback, memo } from "react";
+import api from "../../lib/axios";
+import { toast } from "react-hot-toast";
+import { useAuth } from "@clerk/clerk-react";
+import { useTranslation } from "react-i18next";
+import { formatDistanceToNowStrict } from "date-fns";
+import { ar, enUS } from "date-fns/locale";
+
+// Icons
+import { X, Loader2, Link2, Copy, Trash2, Plus } from "lucide-react";
+
+// --- Constants ---
+const EXPIRY_OPTIONS = [1, 24, 24 * 7, 24 * 30, null]; // Hours (null = never)
+const MAX_USES_OPTIONS = [null, 1, 5, 10, 25, 100]; // null = unlimited
+
+const inviteUrl = (token) => `${window.location.origin}/groups/join/${token}`;
+
+// --- Helper Components ---
+
+const InviteRow = memo(({ invite, locale, onCopy, onRevoke, t }) => {
+    const details = [
+        invite.maxUses ? t("groupInvites.usesOf", { uses: invite.uses, max: invite.maxUses }) : t("groupInvites.uses", { count: invite.uses }),
+        invite.expiresAt
+            ? t("groupInvites.expiresIn", { time: formatDistanceToNowStrict(new Date(invite.expiresAt), { locale }) })
+            : t("groupInvites.neverExpires"),
+        invite.skipApproval ? null : t("groupInvites.needsApproval"),
+    ].filter(Boolean).join(" · ");
+
+    return (
+        <div className="flex items-center gap-3 p-3 bg-main rounded-xl border border-adaptive">
+            <Link2 size={18} className="text-primary shrink-0" />
+            <div className="flex-1 min-w-0">
+                <p className="text-xs font-mono text-content truncate" dir="ltr">{inviteUrl(invite.token)}</p>
+                <p className="text-[11px] text-muted truncate">{details}</p>
+                {invite.createdBy && <p className="text-[10px] text-muted/80 truncate">{t("groupInvites.createdBy", { name: invite.createdBy.full_name })}</p>}
+            </div>
+            <button onClick={() => onCopy(invite.token)} className="p-2 rounded-full text-muted hover:text-primary hover:bg-primary/10 transition" title={t("groupInvites.copy")}>
+                <Copy size={16} />
+            </button>
+            <button onClick={() => onRevoke(invite._id)} className="p-2 rounded-full text-red-500/60 hover:text-red-600 hover:bg-red-500/10 transition" title={t("groupInvites.revoke")}>
+                <Trash2 size={16} />
+            </button>
+        </div>
+    );
+});
+
+// --- Main Component ---
+
+const GroupInvitesModal = ({ isOpen, onClose, groupId }) => {
+    const { getToken } = useAuth();
+    const { t, i18n } = useTranslation();
+    const locale = i18n.language === "ar" ? ar : enUS;
+
+    const [invites, setInvites] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [creating, setCreating] = useState(false);
+    const [expiresInHours, setExpiresInHours] = useState(24 * 7);
+    const [maxUses, setMaxUses] = useState(null);
+    const [skipApproval, setSkipApproval] = useState(true);
+
+    const authConfig = useCallback(async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } }), [getToken]);
+
+    useEffect(() => {
+        if (!isOpen || !groupId) return;
+
+        const fetchInvites = async () => {
+            setLoading(true);
+            try {
+                const { data } = await api.get(`/group/${groupId}/invites`, await authConfig());
+                setInvites(data.invites || []);
+            } catch (error) {
+                toast.error(error.response?.data?.message || t("groupInvites.loadError"));
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchInvites();
+    }, [isOpen, groupId, authConfig, t]);
+
+    const handleCopy = useCallback((token) => {
+        navigator.clipboard.writeText(inviteUrl(token));
+        toast.success(t("groupInvites.copied"));
+    }, [t]);
+
+    const handleCreate = async () => {
+        setCreating(true);
+        try {
+            const { data } = await api.post(`/group/${groupId}/invites`, { expiresInHours, maxUses, skipApproval }, await authConfig());
+            setInvites(prev => [data.invite, ...prev]);
+            handleCopy(data.invite.token);
+        } catch (error) {
+            toast.error(error.response?.data?.message || t("groupInvites.createError"));
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleRevoke = useCallback(async (inviteId) => {
+        if (!window.confirm(t("groupInvites.revokeConfirm"))) return;
+        try {
+            await api.delete(`/group/${groupId}/invites/${inviteId}`, await authConfig());
+            setInvites(prev => prev.filter(invite => invite._id !== inviteId));
+            toast.success(t("groupInvites.revoked"));
+        } catch (error) {
+            toast.error(error.response?.data?.message || t("chatInfo.error"));
+        }
+    }, [groupId, authConfig, t]);
+
+    if (!isOpen) return null;
+
+    const selectClassName = "w-full bg-main border border-adaptive rounded-xl px-3 py-2.5 text-sm text-content focus:outline-none focus:border-primary";
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+            {/* Backdrop */}
+            <div className="absolute inset-0 bg-black/80 backdrop-blur-sm animate-in fade-in" onClick={onClose} />
+
+            {/* Modal */}
+            <div
+                className="bg-surface border border-adaptive w-full max-w-md max-h-[90vh] rounded-3xl shadow-2xl overflow-hidden relative z-10 flex flex-col animate-in fade-in zoom-in-95 duration-200"
+                onClick={(e) => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex justify-between items-center p-5 border-b border-adaptive bg-main/50 backdrop-blur-md">
+                    <div className="flex items-center gap-3">
+                        <div className="p-2.5 bg-primary/10 rounded-xl">
+                            <Link2 className="text-primary" size={22} />
+                        </div>
+                        <h3 className="text-xl font-extrabold text-content">{t("groupInvites.title")}</h3>
+                    </div>
+                    <button onClick={onClose} className="text-muted hover:text-content transition bg-transparent hover:bg-main p-2 rounded-full">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-6 overflow-y-auto custom-scrollbar">
+                    {/* New Link */}
+                    <div className="space-y-3">
+                        <div className="grid grid-cols-2 gap-3">
+                            <div className="space-y-1.5">
+                                <label className="text-xs font-bold text-muted uppercase ms-1">{t("groupInvites.expiry")}</label>
+                                <select
+                                    value={expiresInHours ?? ""}
+                                    onChange={(e) => setExpiresInHours(e.target.value ? Number(e.target.value) : null)}
+                                    className={selectClassName}
+                                >
+                                    {EXPIRY_OPTIONS.map(hours => (
+                                        <option key={hours ?? "never"} value={hours ?? ""}>{t(`groupInvites.expiryOptions.${hours ?? "never"}`)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="space-y-1.5">
+                                <label className="text-xs font-bold text-muted uppercase ms-1">{t("groupInvites.maxUses")}</label>
+                                <select
+                                    value={maxUses ?? ""}
+                                    onChange={(e) => setMaxUses(e.target.value ? Number(e.target.value) : null)}
+                                    className={selectClassName}
+                                >
+                                    {MAX_USES_OPTIONS.map(uses => (
+                                        <option key={uses ?? "unlimited"} value={uses ?? ""}>{uses ?? t("groupInvites.unlimited")}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+
+                        <button
+                            type="button"
+                            onClick={() => setSkipApproval(prev => !prev)}
+                            className="w-full flex items-center justify-between p-3 bg-main rounded-xl border border-adaptive text-start"
+                        >
+                            <div className="flex flex-col">
+                                <span className="text-sm font-bold text-content">{t("groupInvites.skipApproval")}</span>
+                                <span className="text-[11px] text-muted">{t(skipApproval ? "groupInvites.skipApprovalOn" : "groupInvites.skipApprovalOff")}</span>
+                            </div>
+                            <div className={`w-10 h-5 shrink-0 rounded-full relative transition-colors ${skipApproval ? "bg-primary" : "bg-zinc-600"}`}>
+                                <div className={`absolute top-1 w-3 h-3 bg-white rounded-full transition-all ${skipApproval ? "start-6" : "start-1"}`} />
+                            </div>
+                        </button>
+
+                        <button
+                            onClick={handleCreate}
+                            disabled={creating}
+                            className="w-full py-3 bg-primary hover:bg-primary/90 rounded-xl text-white font-bold shadow-lg shadow-primary/25 active:scale-95 transition-all flex justify-center items-center gap-2 disabled:opacity-70"
+                        >
+                            {creating ? <Loader2 className="animate-spin" size={18} /> : <Plus size={18} />}
+                            {t("groupInvites.create")}
+                        </button>
+                    </div>
+
+                    {/* Active Links */}
+                    <div className="space-y-2 border-t border-adaptive pt-5">
+                        <h4 className="text-xs font-black uppercase tracking-[0.2em] text-muted">{t("groupInvites.active", { count: invites.length })}</h4>
+                        {loading ? (
+                            <div className="flex justify-center py-6"><Loader2 className="animate-spin text-primary" /></div>
+                        ) : invites.length === 0 ? (
+                            <p className="text-xs text-muted text-center py-6">{t("groupInvites.empty")}</p>
+                        ) : invites.map(invite => (
+                            <InviteRow key={invite._id} invite={invite} locale={locale} onCopy={handleCopy} onRevoke={handleRevoke} t={t} />
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default GroupInvitesModal;
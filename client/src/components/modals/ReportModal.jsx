@@ -3,6 +3,7 @@
  * ------------------------------------------------------------------
  * Modal for reporting inappropriate content.
  * Features:
+ * - Works for any report target (post, comment, story, message, group message, user).
  * - List of predefined reasons.
  * - Fire-and-forget submission logic with optimistic UI feedback.
  */
@@ -29,13 +30,23 @@ const REPORT_REASONS_KEYS = [
     "other"
 ];
 
-const ReportModal = ({ postId, onClose, onSuccess }) => {
+/** Report endpoint per target type (see server/utils/reporting.js) */
+const REPORT_ENDPOINTS = {
+    post: (id) => `/post/report/${id}`,
+    comment: (id) => `/post/comment/report/${id}`,
+    story: (id) => `/story/${id}/report`,
+    message: (id) => `/message/report/${id}`,
+    group_message: (id) => `/group/message/${id}/report`,
+    user: (id) => `/user/report/${id}`,
+};
+
+const ReportModal = ({ targetType = "post", targetId, onClose, onSuccess }) => {
     const { getToken } = useAuth();
     const { t } = useTranslation(); // 🟢
 
     const handleReport = async (reason) => {
         // Optimistic UI: Close and show success immediately
-        onSuccess();
+        onSuccess?.();
         onClose();
         toast.success(t("report.success")); // 🟢
 
@@ -43,7 +54,7 @@ const ReportModal = ({ postId, onClose, onSuccess }) => {
             const token = await getToken();
             // Send the raw reason key or translated string (usually backend expects consistent keys)
             // Here sending the key for consistency
-            await api.post(`/post/report/${postId}`, { reason }, {
+            await api.post(REPORT_ENDPOINTS[targetType](targetId), { reason }, {
                 headers: { Authorization: `Bearer ${token}` }
             });
         } catch (error) {
@@ -70,7 +81,7 @@ const ReportModal = ({ postId, onClose, onSuccess }) => {
                 <div className="p-4 border-b border-adaptive flex justify-between items-center bg-main/50 backdrop-blur-md">
                     <h3 className="font-bold text-content flex items-center gap-2">
                         <ShieldAlert className="text-red-500" size={20} />
-                        {t("report.title")} {/* 🟢 */}
+                        {t(`report.titles.${targetType}`)} {/* 🟢 */}
                     </h3>
                     <button onClick={onClose} className="p-1.5 hover:bg-main rounded-full text-muted transition-colors">
                         <X size={20} />
@@ -79,7 +90,7 @@ const ReportModal = ({ postId, onClose, onSuccess }) => {
 
                 {/* Reasons List */}
                 <div className="p-2">
-                    <p className="text-sm text-muted px-4 py-2 font-medium">{t("report.subtitle")}</p> {/* 🟢 */}
+                    <p className="text-sm text-muted px-4 py-2 font-medium">{t(`report.subtitles.${targetType}`)}</p> {/* 🟢 */}
                     <div className="flex flex-col gap-1">
                         {REPORT_REASONS_KEYS.map((reasonKey) => (
                             <button
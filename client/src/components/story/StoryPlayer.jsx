@@ -6,7 +6,7 @@
  * Optimized to isolate typing re-renders from media playback.
  */
 
-import { useState, useEffect, useRef, useCallback, memo } from "react";
+import { useState, useEffect, useRef, useCallback, memo, lazy, Suspense } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth, useUser } from "@clerk/clerk-react";
 import toast from "react-hot-toast";
@@ -18,12 +18,14 @@ import { ar, enUS } from "date-fns/locale"; // 🟢 Import locales
 // Icons
 import {
     BadgeCheck, X, Trash2, Volume2, VolumeX, Eye, Loader2,
-    Send, Pause, Play
+    Send, Pause, Play, Flag
 } from "lucide-react";
 
 // API
 import api from "../../lib/axios";
 
+const ReportModal = lazy(() => import("../modals/ReportModal"));
+
 // Constants
 const REACTION_EMOJIS = [
     { char: "❤️", name: "love" },
@@ -164,6 +166,7 @@ const StoryPlayer = ({ viewStory, setViewStory, onClose }) => {
     const [floatingEmojis, setFloatingEmojis] = useState([]);
     const [replyText, setReplyText] = useState("");
     const [isSendingReply, setIsSendingReply] = useState(false);
+    const [showReport, setShowReport] = useState(false);
 
     // --- Refs ---
     const videoRef = useRef(null);
@@ -367,6 +370,15 @@ const StoryPlayer = ({ viewStory, setViewStory, onClose }) => {
                         </div>
                     </div>
                     <div className="flex gap-2 pointer-events-auto">
+                        {!isMyStory && (
+                            <button
+                                onClick={(e) => { e.stopPropagation(); setIsPaused(true); setShowReport(true); }}
+                                title={t("stories.player.report")}
+                                className="p-2 bg-black/20 rounded-full text-white backdrop-blur-md hover:bg-white/10"
+                            >
+                                <Flag size={18} />
+                            </button>
+                        )}
                         {isVideo && (
                             <button onClick={(e) => { e.stopPropagation(); setIsMuted(!isMuted); }} className="p-2 bg-black/20 rounded-full text-white backdrop-blur-md hover:bg-white/10">
                                 {isMuted ? <VolumeX size={18} /> : <Volume2 size={18} />}
@@ -515,6 +527,16 @@ const StoryPlayer = ({ viewStory, setViewStory, onClose }) => {
                     />
                 </AnimatePresence>
             </div>
+
+            {showReport && (
+                <Suspense fallback={null}>
+                    <ReportModal
+                        targetType="story"
+                        targetId={activeStory._id}
+                        onClose={() => { setShowReport(false); setIsPaused(false); }}
+                    />
+                </Suspense>
+            )}
         </div>
     );
 };
@@ -96,14 +96,21 @@ export const CallProvider = ({ children }) => {
             toast.success("Call ended");
         };
 
+        // Same account picked up on another device: stop ringing here
+        const handleAnsweredElsewhere = () => {
+            endCallCleanup();
+        };
+
         socket.on('callUser', handleIncomingCall);
         socket.on('callAccepted', handleCallAccepted);
         socket.on('callEnded', handleCallEnded);
+        socket.on('callAnsweredElsewhere', handleAnsweredElsewhere);
 
         return () => {
             socket.off('callUser', handleIncomingCall);
             socket.off('callAccepted', handleCallAccepted);
             socket.off('callEnded', handleCallEnded);
+            socket.off('callAnsweredElsewhere', handleAnsweredElsewhere);
         };
     }, [socket, endCallCleanup]);
 
@@ -173,7 +180,6 @@ export const CallProvider = ({ children }) => {
             socket.emit('callUser', {
                 userToCall: idToCall,
                 signalData: data,
-                from: socket.id,
                 name: myName,
                 isVideoCall
             });
@@ -1,12 +1,19 @@
 /**
  * @fileoverview Socket Context Provider
  * Updated to use dynamic VITE_API_URL environment variable.
+ * Authenticates the handshake with a Clerk session token and keeps it fresh.
  */
 
 import { createContext, useState, useEffect, useContext, useMemo } from "react";
 import { useSelector } from "react-redux";
+import { useAuth } from "@clerk/clerk-react";
 import io from "socket.io-client";
 
+// Clerk session tokens are short-lived; resend a fresh one before it expires
+const TOKEN_REFRESH_INTERVAL = 50 * 1000;
+// Delay before retrying a handshake the server rejected
+const AUTH_RETRY_DELAY = 5 * 1000;
+
 const SocketContext = createContext();
 
 export const useSocketContext = () => {
@@ -22,19 +29,29 @@ export const SocketContextProvider = ({ children }) => {
     const [onlineUsers, setOnlineUsers] = useState([]);
 
     const { currentUser } = useSelector((state) => state.user);
+    const { getToken } = useAuth();
 
     useEffect(() => {
         let newSocket = null;
 
-        if (currentUser && currentUser._id) {
+        // Deactivated accounts (pending deletion) are refused by the server, so don't connect
+        if (currentUser && currentUser._id && !currentUser.deactivatedAt && !currentUser.suspendedAt) {
             const apiUrl = import.meta.env.VITE_API_URL || "http://localhost:4000/api";
 
             // (e.g., https://...devtunnels.ms/api -> https://...devtunnels.ms)
             const socketUrl = apiUrl.replace("/api", "");
 
+            let retryTimer = null;
+
             newSocket = io(socketUrl, {
-                query: {
-                    userId: currentUser._id,
+                // Called on every (re)connect attempt, so each handshake carries a fresh token
+                auth: async (cb) => {
+                    try {
+                        cb({ token: await getToken() });
+                    } catch (error) {
+                        console.error("Socket auth token error:", error);
+                        cb({});
+                    }
                 },
                 withCredentials: true
             });
@@ -45,7 +62,35 @@ export const SocketContextProvider = ({ children }) => {
                 setOnlineUsers(users);
             });
 
+            // Handshake rejected by the server middleware: socket.io won't retry on its own
+            newSocket.on("connect_error", (error) => {
+                console.warn("Socket connection error:", error.message);
+                if (!newSocket.active) {
+                    clearTimeout(retryTimer);
+                    retryTimer = setTimeout(() => newSocket.connect(), AUTH_RETRY_DELAY);
+                }
+            });
+
+            // Server dropped an expired session: reconnect with a new token
+            newSocket.on("disconnect", (reason) => {
+                if (reason === "io server disconnect") {
+                    clearTimeout(retryTimer);
+                    retryTimer = setTimeout(() => newSocket.connect(), AUTH_RETRY_DELAY);
+                }
+            });
+
+            const refreshInterval = setInterval(async () => {
+                if (!newSocket.connected) return;
+                try {
+                    newSocket.emit("refreshToken", await getToken());
+                } catch (error) {
+                    console.error("Socket token refresh failed:", error);
+                }
+            }, TOKEN_REFRESH_INTERVAL);
+
             return () => {
+                clearInterval(refreshInterval);
+                clearTimeout(retryTimer);
                 newSocket.close();
                 setSocket(null);
             };
@@ -55,7 +100,7 @@ export const SocketContextProvider = ({ children }) => {
                 setSocket(null);
             }
         }
-    }, [currentUser?._id]);
+    }, [currentUser?._id, currentUser?.deactivatedAt, currentUser?.suspendedAt, getToken]);
 
     // --- Notification & Sound Logic  ---
     useEffect(() => {
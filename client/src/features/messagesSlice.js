@@ -16,7 +16,9 @@ const initialState = {
     conversations: [], // List of recent chat participants
     activeChatMessages: {
         messages: [], // Message history for the currently selected user
+        nextCursor: null, // Cursor for older messages (null = start of history)
         isLoading: false,
+        isLoadingOlder: false,
         error: null,
     },
     status: "idle", // Global status for conversations list
@@ -44,16 +46,35 @@ export const fetchConversations = createAsyncThunk(
 );
 
 /**
- * Fetches all messages between the current user and a specific userId.
+ * Fetches the latest messages between the current user and a specific userId.
  */
 export const fetchChatMessages = createAsyncThunk(
     "messages/fetchChatMessages",
     async ({ userId, token }, { rejectWithValue }) => {
         try {
-            const response = await axiosInstance.get(`/message/chat/${userId}`, {
+            const response = await axiosInstance.get(`/message/${userId}`, {
                 headers: { Authorization: `Bearer ${token}` },
             });
-            return response.data.data;
+            return { messages: response.data.data, nextCursor: response.data.nextCursor };
+        } catch (error) {
+            const message = error.response?.data?.message || "Failed to load messages";
+            return rejectWithValue(message);
+        }
+    }
+);
+
+/**
+ * Fetches the page of messages older than the loaded ones (cursor from the previous page).
+ */
+export const fetchOlderChatMessages = createAsyncThunk(
+    "messages/fetchOlderChatMessages",
+    async ({ userId, cursor, token }, { rejectWithValue }) => {
+        try {
+            const response = await axiosInstance.get(`/message/${userId}`, {
+                headers: { Authorization: `Bearer ${token}` },
+                params: { cursor },
+            });
+            return { messages: response.data.data, nextCursor: response.data.nextCursor };
         } catch (error) {
             const message = error.response?.data?.message || "Failed to load messages";
             return rejectWithValue(message);
@@ -101,7 +122,9 @@ const messagesSlice = createSlice({
          */
         clearActiveChat: (state) => {
             state.activeChatMessages.messages = [];
+            state.activeChatMessages.nextCursor = null;
             state.activeChatMessages.isLoading = false;
+            state.activeChatMessages.isLoadingOlder = false;
             state.activeChatMessages.error = null;
         },
     },
@@ -127,13 +150,31 @@ const messagesSlice = createSlice({
             })
             .addCase(fetchChatMessages.fulfilled, (state, action) => {
                 state.activeChatMessages.isLoading = false;
-                state.activeChatMessages.messages = action.payload;
+                state.activeChatMessages.messages = action.payload.messages;
+                state.activeChatMessages.nextCursor = action.payload.nextCursor;
             })
             .addCase(fetchChatMessages.rejected, (state, action) => {
                 state.activeChatMessages.isLoading = false;
                 state.activeChatMessages.error = action.payload;
             })
 
+            // --- Fetch Older Messages Cases ---
+            .addCase(fetchOlderChatMessages.pending, (state) => {
+                state.activeChatMessages.isLoadingOlder = true;
+            })
+            .addCase(fetchOlderChatMessages.fulfilled, (state, action) => {
+                state.activeChatMessages.isLoadingOlder = false;
+                // Prepend (older first), skipping anything already loaded
+                const existingIds = new Set(state.activeChatMessages.messages.map((m) => m._id));
+                const older = action.payload.messages.filter((m) => !existingIds.has(m._id));
+                state.activeChatMessages.messages.unshift(...older);
+                state.activeChatMessages.nextCursor = action.payload.nextCursor;
+            })
+            .addCase(fetchOlderChatMessages.rejected, (state, action) => {
+                state.activeChatMessages.isLoadingOlder = false;
+                state.activeChatMessages.error = action.payload;
+            })
+
             // --- Send Message Cases ---
             .addCase(sendMessage.fulfilled, (state, action) => {
                 // Optimistically update the UI with the newly returned message
@@ -125,6 +125,40 @@ export const updateNotificationSettings = createAsyncThunk(
     }
 );
 
+/**
+ * Deactivates the account and schedules its deletion after the grace period.
+ */
+export const deleteAccount = createAsyncThunk(
+    "user/deleteAccount",
+    async (token, { rejectWithValue }) => {
+        try {
+            const response = await axiosInstance.delete("/user/me", {
+                headers: { Authorization: `Bearer ${token}` },
+            });
+            return response.data.deletionScheduledFor;
+        } catch (error) {
+            return rejectWithValue(error.response?.data?.message || "Deletion failed");
+        }
+    }
+);
+
+/**
+ * Cancels a scheduled deletion during the grace period.
+ */
+export const restoreAccount = createAsyncThunk(
+    "user/restoreAccount",
+    async (token, { rejectWithValue }) => {
+        try {
+            const response = await axiosInstance.post("/user/me/restore", {}, {
+                headers: { Authorization: `Bearer ${token}` },
+            });
+            return response.data.user;
+        } catch (error) {
+            return rejectWithValue(error.response?.data?.message || "Restore failed");
+        }
+    }
+);
+
 // =========================================================
 // 3. User Slice
 // =========================================================
@@ -203,6 +237,17 @@ const userSlice = createSlice({
                         ...action.payload
                     };
                 }
+            })
+
+            // --- Account Lifecycle ---
+            .addCase(deleteAccount.fulfilled, (state, action) => {
+                if (state.currentUser) {
+                    state.currentUser.deactivatedAt = new Date().toISOString();
+                    state.currentUser.deletionScheduledFor = action.payload;
+                }
+            })
+            .addCase(restoreAccount.fulfilled, (state, action) => {
+                state.currentUser = action.payload;
             });
     },
 });
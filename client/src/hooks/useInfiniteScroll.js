@@ -1,14 +1,18 @@
-import { useEffect, useRef, useState, useCallback } from 'react';
+import { useRef, useCallback } from 'react';
 
 /**
  * useInfiniteScroll Hook
  * ---------------------
- * Handles infinite scrolling logic.
- * * @param {Function} callback - Function to be called when the last element is visible.
- * @param {boolean} hasMore
+ * Handles infinite scrolling over cursor-paginated lists.
+ * Lists return `nextCursor` (null on the last page); the callback receives it, so
+ * items arriving between two loads can't cause duplicates or gaps.
+ *
+ * @param {Function} callback - Loads the next page: `(cursor) => void`.
+ * @param {string|null} nextCursor - Cursor of the next page (null = nothing left).
  * @param {boolean} isLoading
+ * @returns {Function} Ref callback for the sentinel (last) element.
  */
-const useInfiniteScroll = (callback, hasMore, isLoading) => {
+const useInfiniteScroll = (callback, nextCursor, isLoading) => {
     const observer = useRef();
 
     // --- Intersection Observer ---
@@ -19,16 +23,16 @@ const useInfiniteScroll = (callback, hasMore, isLoading) => {
 
         observer.current = new IntersectionObserver(entries => {
             // Check if the last element is visible
-            if (entries[0].isIntersecting && hasMore) {
+            if (entries[0].isIntersecting && nextCursor) {
                 // Call the callback
-                callback();
+                callback(nextCursor);
             }
         });
 
         if (node) observer.current.observe(node); // Observe the last element
-    }, [isLoading, hasMore, callback]);
+    }, [isLoading, nextCursor, callback]);
 
     return lastElementRef;
 };
 
-export default useInfiniteScroll;
\ No newline at end of file
+export default useInfiniteScroll;
@@ -0,0 +1,151 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useAuth } from "@clerk/clerk-react";
+import api from "../lib/axios";
+
+/** "@partial" right before the caret (handles follow the username rules: a-z, 0-9, ".", "_", "-"). */
+const MENTION_QUERY_REGEX = /(?:^|\s)@([a-zA-Z0-9._-]{0,30})$/;
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * useMentionAutocomplete Hook
+ * ---------------------
+ * "@username" picker for a controlled text input or textarea.
+ * Suggests users from `/user/search`, or from a local `members` list when one is given
+ * (group chats: only members can be mentioned there).
+ *
+ * @param {Object} params
+ * @param {string} params.value - The input's current value.
+ * @param {Function} params.onChange - Setter for the value (receives the new string).
+ * @param {Array<Object>} [params.members] - Local candidates ({ _id, username, full_name, profile_picture }).
+ * @param {string} [params.excludeId] - User to leave out (usually the current user).
+ */
+const useMentionAutocomplete = ({ value, onChange, members, excludeId }) => {
+    const { getToken } = useAuth();
+    const [query, setQuery] = useState(null); // null = picker closed
+    const [suggestions, setSuggestions] = useState([]);
+    const [activeIndex, setActiveIndex] = useState(0);
+
+    const inputRef = useRef(null); // Element that last reported a change
+    const rangeRef = useRef({ start: 0, end: 0 }); // "@partial" span in the value
+
+    const close = useCallback(() => {
+        setQuery(null);
+        setSuggestions([]);
+        setActiveIndex(0);
+    }, []);
+
+    /**
+     * Call from the input's onChange (after updating the value) to detect an "@partial" at the caret.
+     */
+    const handleInputChange = useCallback((e) => {
+        const el = e.target;
+        inputRef.current = el;
+
+        const caret = el.selectionStart ?? el.value.length;
+        const match = el.value.slice(0, caret).match(MENTION_QUERY_REGEX);
+        if (!match) return close();
+
+        rangeRef.current = { start: caret - match[1].length - 1, end: caret };
+        setQuery(match[1].toLowerCase());
+        setActiveIndex(0);
+    }, [close]);
+
+    const selectUser = useCallback((user) => {
+        const { start, end } = rangeRef.current;
+        const inserted = `@${user.username} `;
+        onChange(value.slice(0, start) + inserted + value.slice(end));
+        close();
+
+        // Restore focus with the caret after the inserted handle
+        const el = inputRef.current;
+        if (el) {
+            requestAnimationFrame(() => {
+                el.focus();
+                el.setSelectionRange(start + inserted.length, start + inserted.length);
+            });
+        }
+    }, [value, onChange, close]);
+
+    /**
+     * Call first in the input's onKeyDown; returns true when the key was used by the picker
+     * (so the caller should skip its own Enter-to-send handling).
+     */
+    const handleKeyDown = useCallback((e) => {
+        if (query === null || suggestions.length === 0) return false;
+
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault();
+            const step = e.key === "ArrowDown" ? 1 : -1;
+            setActiveIndex(prev => (prev + step + suggestions.length) % suggestions.length);
+            return true;
+        }
+        if (e.key === "Enter" || e.key === "Tab") {
+            e.preventDefault();
+            selectUser(suggestions[activeIndex]);
+            return true;
+        }
+        if (e.key === "Escape") {
+            e.preventDefault();
+            close();
+            return true;
+        }
+        return false;
+    }, [query, suggestions, activeIndex, selectUser, close]);
+
+    // --- Suggestions ---
+    useEffect(() => {
+        if (query === null) return;
+
+        // Local candidates (group members)
+        if (members) {
+            const lower = query.toLowerCase();
+            setSuggestions(
+                members
+                    .filter(u => u?.username && u._id !== excludeId)
+                    .filter(u => u.username.startsWith(lower) || u.full_name?.toLowerCase().includes(lower))
+                    .slice(0, MAX_SUGGESTIONS)
+            );
+            return;
+        }
+
+        if (!query) {
+            setSuggestions([]);
+            return;
+        }
+
+        // Remote search (debounced, stale requests aborted)
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            try {
+                const token = await getToken();
+                const { data } = await api.get("/user/search", {
+                    headers: { Authorization: `Bearer ${token}` },
+                    params: { query },
+                    signal: controller.signal
+                });
+                if (data.success) {
+                    setSuggestions(data.users.filter(u => u._id !== excludeId).slice(0, MAX_SUGGESTIONS));
+                }
+            } catch (error) {
+                if (error.name !== "CanceledError") console.error("Mention Search Error:", error);
+            }
+        }, 150);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [query, members, excludeId, getToken]);
+
+    return {
+        isOpen: query !== null && suggestions.length > 0,
+        suggestions,
+        activeIndex,
+        handleInputChange,
+        handleKeyDown,
+        selectUser,
+        close
+    };
+};
+
+export default useMentionAutocomplete;
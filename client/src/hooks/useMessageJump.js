@@ -0,0 +1,145 @@
+import { useRef, useState, useEffect, useCallback } from 'react';
+import api from '../lib/axios';
+import useInfiniteScroll from './useInfiniteScroll';
+
+/**
+ * useMessageJump Hook
+ * -------------------
+ * Jump-to-message for chat screens that only hold a slice of the history.
+ * A loaded target is scrolled to and highlighted; otherwise the window around it is
+ * fetched (`GET <basePath>/around/:id`) and replaces the loaded messages.
+ *
+ * While that window doesn't reach the latest message (`newerCursor` set, "detached"),
+ * newer pages load as the user scrolls down (`?after=`) and `jumpToLatest` returns
+ * to the present. Screens should not append live messages while detached.
+ *
+ * @param {Object} options
+ * @param {string} options.basePath - History endpoint, e.g. `/message/<userId>`.
+ * @param {string} options.itemsKey - Response field with the messages ("data" | "messages").
+ * @param {Function} options.getToken
+ * @param {Function} options.setMessages
+ * @param {Function} options.setNextCursor - Older-messages cursor of the screen.
+ * @param {Object} options.messageRefs - `{ [messageId]: element }`.
+ * @param {Object} options.messagesEndRef - Bottom anchor (for jumpToLatest).
+ * @param {Function} options.onNotFound - Called when the message no longer exists.
+ */
+const useMessageJump = ({ basePath, itemsKey, getToken, setMessages, setNextCursor, messageRefs, messagesEndRef, onNotFound }) => {
+    const [highlightedId, setHighlightedId] = useState(null);
+    const [newerCursor, setNewerCursor] = useState(null);
+    const [isFetchingNewer, setIsFetchingNewer] = useState(false);
+    const [isJumping, setIsJumping] = useState(false);
+
+    const pendingScrollRef = useRef(null); // Message id, or "latest", to scroll to after the next render
+    const detachedRef = useRef(false);
+    const highlightTimerRef = useRef(null);
+
+    useEffect(() => { detachedRef.current = Boolean(newerCursor); }, [newerCursor]);
+
+    // A different chat starts attached
+    useEffect(() => {
+        setNewerCursor(null);
+        pendingScrollRef.current = null;
+    }, [basePath]);
+
+    useEffect(() => () => clearTimeout(highlightTimerRef.current), []);
+
+    const highlight = useCallback((messageId) => {
+        const element = messageRefs.current[messageId];
+        if (!element) return false;
+
+        element.scrollIntoView({ behavior: "smooth", block: "center" });
+        setHighlightedId(messageId);
+        clearTimeout(highlightTimerRef.current);
+        highlightTimerRef.current = setTimeout(() => setHighlightedId(null), 1500);
+        return true;
+    }, [messageRefs]);
+
+    const fetchPage = useCallback(async (path, params) => {
+        const token = await getToken();
+        const { data } = await api.get(path, { headers: { Authorization: `Bearer ${token}` }, params });
+        return data;
+    }, [getToken]);
+
+    /** Scrolls to a message, loading the history around it first when needed. */
+    const jumpToMessage = useCallback(async (messageId) => {
+        if (!messageId || highlight(messageId)) return;
+
+        setIsJumping(true);
+        try {
+            const data = await fetchPage(`${basePath}/around/${messageId}`, { limit: 30 });
+            pendingScrollRef.current = messageId;
+            setMessages(data[itemsKey] || []);
+            setNextCursor(data.nextCursor);
+            setNewerCursor(data.newerCursor || null);
+        } catch (error) {
+            if (error.response?.status === 404) onNotFound?.();
+            else console.error("Failed to load message context", error);
+        } finally {
+            setIsJumping(false);
+        }
+    }, [highlight, fetchPage, basePath, itemsKey, setMessages, setNextCursor, onNotFound]);
+
+    /** Reloads the newest page (leaves a jumped-to window). */
+    const jumpToLatest = useCallback(async () => {
+        setIsJumping(true);
+        try {
+            const data = await fetchPage(basePath, { limit: 20 });
+            pendingScrollRef.current = "latest";
+            setMessages(data[itemsKey] || []);
+            setNextCursor(data.nextCursor);
+            setNewerCursor(null);
+        } catch (error) {
+            console.error("Failed to load latest messages", error);
+        } finally {
+            setIsJumping(false);
+        }
+    }, [fetchPage, basePath, itemsKey, setMessages, setNextCursor]);
+
+    const fetchNewerMessages = useCallback(async (cursor) => {
+        if (!cursor || isFetchingNewer) return;
+
+        setIsFetchingNewer(true);
+        try {
+            const data = await fetchPage(basePath, { after: cursor, limit: 20 });
+            setMessages(prev => {
+                const existingIds = new Set(prev.map(m => m._id));
+                return [...prev, ...(data[itemsKey] || []).filter(msg => !existingIds.has(msg._id))];
+            });
+            setNewerCursor(data.nextCursor);
+        } catch (error) {
+            console.error("Failed to load newer messages", error);
+        } finally {
+            setIsFetchingNewer(false);
+        }
+    }, [isFetchingNewer, fetchPage, basePath, itemsKey, setMessages]);
+
+    const newestMsgRef = useInfiniteScroll(fetchNewerMessages, newerCursor, isFetchingNewer);
+
+    /**
+     * Call first thing in the screen's scroll layout effect.
+     * @returns {boolean} true when it handled the scroll for this render.
+     */
+    const consumePendingScroll = useCallback(() => {
+        const target = pendingScrollRef.current;
+        if (!target) return false;
+
+        pendingScrollRef.current = null;
+        if (target === "latest") messagesEndRef.current?.scrollIntoView({ behavior: "auto" });
+        else highlight(target);
+        return true;
+    }, [highlight, messagesEndRef]);
+
+    return {
+        jumpToMessage,
+        jumpToLatest,
+        highlightedId,
+        isDetached: Boolean(newerCursor),
+        detachedRef,
+        isJumping,
+        isFetchingNewer,
+        newestMsgRef,
+        consumePendingScroll,
+    };
+};
+
+export default useMessageJump;
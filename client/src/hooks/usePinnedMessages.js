@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import api from '../lib/axios';
+
+/**
+ * usePinnedMessages Hook
+ * ----------------------
+ * Pinned messages of a chat screen (group or 1:1) for the pinned bar.
+ * Pins are loaded once per chat; the screen applies the socket events with
+ * `applyPin` / `applyUnpin` / `applyEdit`, and `togglePin` calls the server
+ * (the resulting event then reaches every device, this one included).
+ *
+ * @param {Object} options
+ * @param {string|null} options.listPath - Pinned list endpoint, e.g. `/group/messages/<id>/pinned` (null = don't load).
+ * @param {string} options.basePath - Message endpoints root, `/group/message` or `/message`.
+ * @param {Function} options.getToken
+ * @param {Function} options.t
+ * @returns {{ pinned: Object[], pinnedIds: Set<string>, togglePin: Function, applyPin: Function, applyUnpin: Function, applyEdit: Function }}
+ */
+const usePinnedMessages = ({ listPath, basePath, getToken, t }) => {
+    const [pinned, setPinned] = useState([]);
+
+    useEffect(() => {
+        setPinned([]);
+        if (!listPath) return;
+
+        let cancelled = false;
+        (async () => {
+            try {
+                const token = await getToken();
+                const { data } = await api.get(listPath, { headers: { Authorization: `Bearer ${token}` } });
+                if (!cancelled) setPinned(data.pinned || []);
+            } catch (error) {
+                console.error("Failed to load pinned messages", error);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [listPath, getToken]);
+
+    const applyPin = useCallback((pin) => {
+        if (pin) setPinned(prev => [pin, ...prev.filter(p => p._id !== pin._id)]);
+    }, []);
+
+    const applyUnpin = useCallback((messageId) => {
+        setPinned(prev => prev.filter(p => p._id !== messageId));
+    }, []);
+
+    const applyEdit = useCallback((messageId, text) => {
+        setPinned(prev => prev.map(p => p._id === messageId ? { ...p, text } : p));
+    }, []);
+
+    const togglePin = useCallback(async (messageId, shouldPin) => {
+        try {
+            const token = await getToken();
+            const { data } = await api.request({
+                method: shouldPin ? "put" : "delete",
+                url: `${basePath}/${messageId}/pin`,
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            if (shouldPin) applyPin(data.pinned);
+            else applyUnpin(messageId);
+        } catch (error) {
+            console.error("Pin action failed", error);
+            toast.error(error.response?.data?.message || t("pins.actionFailed"));
+        }
+    }, [basePath, getToken, applyPin, applyUnpin, t]);
+
+    const pinnedIds = useMemo(() => new Set(pinned.map(p => String(p._id))), [pinned]);
+
+    return { pinned, pinnedIds, togglePin, applyPin, applyUnpin, applyEdit };
+};
+
+export default usePinnedMessages;
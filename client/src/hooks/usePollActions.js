@@ -0,0 +1,73 @@
+import { useCallback, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import api from '../lib/axios';
+import { getMyVotes, toggledVotes, withMyVotes } from '../utils/polls';
+
+/**
+ * usePollActions Hook
+ * -------------------
+ * Vote, retract and add-option actions for the polls of a chat screen.
+ * Votes are applied optimistically and rolled back to the server's poll on failure;
+ * the server's response (which carries `myVotes`) always has the last word.
+ *
+ * @param {Object} options
+ * @param {string} options.basePath - Poll endpoints root, `/group/poll` or `/message/poll`.
+ * @param {Function} options.getToken
+ * @param {Function} options.setMessages
+ * @param {string} options.userId - Current user's Mongo id (optimistic voter lists).
+ * @param {Function} options.t
+ * @returns {{ vote: Function, retract: Function, addOption: Function }}
+ */
+const usePollActions = ({ basePath, getToken, setMessages, userId, t }) => {
+    const setPoll = useCallback((messageId, update) => {
+        setMessages(prev => prev.map(msg => msg._id === messageId && msg.poll
+            ? { ...msg, poll: typeof update === "function" ? update(msg.poll) : update }
+            : msg));
+    }, [setMessages]);
+
+    const request = useCallback(async (messageId, method, path, body) => {
+        try {
+            const token = await getToken();
+            const { data } = await api.request({ method, url: path, data: body, headers: { Authorization: `Bearer ${token}` } });
+            setPoll(messageId, data.poll);
+            return true;
+        } catch (error) {
+            console.error("Poll action failed", error);
+            toast.error(error.response?.data?.message || t("polls.actionFailed"));
+            return false;
+        }
+    }, [getToken, setPoll, t]);
+
+    const vote = useCallback((messageId, optionIndex) => {
+        let previous = null;
+        setPoll(messageId, poll => {
+            previous = poll;
+            return withMyVotes(poll, toggledVotes(poll, optionIndex), userId);
+        });
+
+        return request(messageId, "put", `${basePath}/vote`, { messageId, optionIndex }).then(ok => {
+            if (!ok && previous) setPoll(messageId, previous);
+            return ok;
+        });
+    }, [basePath, request, setPoll, userId]);
+
+    const retract = useCallback((messageId) => {
+        let previous = null;
+        setPoll(messageId, poll => {
+            previous = poll;
+            return getMyVotes(poll).length ? withMyVotes(poll, [], userId) : poll;
+        });
+
+        return request(messageId, "delete", `${basePath}/${messageId}/vote`).then(ok => {
+            if (!ok && previous) setPoll(messageId, previous);
+            return ok;
+        });
+    }, [basePath, request, setPoll, userId]);
+
+    const addOption = useCallback((messageId, text) =>
+        request(messageId, "post", `${basePath}/${messageId}/options`, { text }), [basePath, request]);
+
+    return useMemo(() => ({ vote, retract, addOption }), [vote, retract, addOption]);
+};
+
+export default usePollActions;
@@ -9,6 +9,8 @@ import { syncUser } from "../features/userSlice";
 import { addRealtimeMessage } from "../features/messagesSlice";
 import { useSocketContext } from "../context/SocketContext";
 import Loading from "../components/common/Loading";
+import AccountPendingDeletion from "../components/common/AccountPendingDeletion";
+import AccountSuspended from "../components/common/AccountSuspended";
 
 /**
  * AuthWrapper Component
@@ -17,6 +19,8 @@ import Loading from "../components/common/Loading";
  * 1. Ensures the Clerk user is authenticated and data is loaded.
  * 2. Syncs the Clerk user data with the backend database via Redux.
  * 3. Establishes global Socket.io listeners for real-time notifications/messages.
+ * 4. Holds deactivated accounts (pending deletion) on a restore screen,
+ *    and suspended accounts on a notice screen.
  *
  * @returns {JSX.Element} The rendered Outlet or a Loading spinner.
  */
@@ -58,6 +62,8 @@ const AuthWrapper = () => {
                         firstName: user.firstName,
                         lastName: user.lastName,
                         imageUrl: user.imageUrl,
+                        // Lets the server send scheduled emails at local time
+                        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
                     };
 
                     await dispatch(syncUser({ userData, token })).unwrap();
@@ -115,6 +121,14 @@ const AuthWrapper = () => {
         return <Loading />;
     }
 
+    if (currentUser?.deactivatedAt) {
+        return <AccountPendingDeletion deletionScheduledFor={currentUser.deletionScheduledFor} />;
+    }
+
+    if (currentUser?.suspendedAt) {
+        return <AccountSuspended reason={currentUser.suspensionReason} />;
+    }
+
     return <Outlet />;
 };
 
@@ -132,7 +132,11 @@ const Layout = () => {
                 // Prevent toast if user is already chatting with sender
                 const toastId = `notif-${notification._id}`;
                 // 🟢 Translated Toast with dynamic values
-                toast(t("layout.toast.newNotification", { name: notification.sender?.full_name }), { icon: '🔔', id: toastId });
+                if (notification.type === "data_export") {
+                    toast(t("layout.toast.dataExportReady"), { icon: '📦', id: toastId });
+                } else {
+                    toast(t("layout.toast.newNotification", { name: notification.sender?.full_name }), { icon: '🔔', id: toastId });
+                }
             }
 
             // Play Sound
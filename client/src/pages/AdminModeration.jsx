@@ -0,0 +1,502 @@
+/**
+ * @component AdminModeration
+ * @description Moderation console for admins: the report queue (filter by status, reason & content
+ * type; resolve, dismiss, restore hidden content, suspend authors) and the moderator audit log.
+ * Route: /admin (guarded by AdminRoute; the API enforces the admin role as well).
+ */
+
+import React, { useEffect, useState, useMemo, useCallback, memo } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "@clerk/clerk-react";
+import { formatDistanceToNow } from "date-fns";
+import { ar, enUS } from "date-fns/locale";
+import { motion, AnimatePresence } from "framer-motion";
+import toast from "react-hot-toast";
+import { useTranslation } from "react-i18next";
+import {
+    ShieldCheck,
+    Flag,
+    History,
+    CheckCircle2,
+    XCircle,
+    EyeOff,
+    RotateCcw,
+    Ban,
+    UserCheck,
+    Loader2,
+    Inbox
+} from "lucide-react";
+
+// --- Local Imports ---
+import api from "../lib/axios";
+
+// --- Constants ---
+
+const STATUS_FILTERS = ["pending", "resolved", "dismissed", "all"];
+const REASONS = ["Spam", "Harassment", "Hate Speech", "Violence", "Nudity", "Other"];
+const TARGET_TYPES = ["post", "comment", "story", "message", "group_message", "user"];
+
+// Types whose content can be hidden / restored (see server/utils/reporting.js)
+const HIDEABLE_TYPES = ["post", "comment", "story", "group_message"];
+
+// Report reasons are stored in English on the server; map them to the existing report.* keys
+const REASON_KEYS = {
+    "Spam": "spam",
+    "Harassment": "harassment",
+    "Hate Speech": "hateSpeech",
+    "Violence": "violence",
+    "Nudity": "nudity",
+    "Other": "other",
+};
+
+const PAGE_SIZE = 20;
+
+// --- Sub-Components ---
+
+/**
+ * @component TargetPreview
+ * @description Preview of the reported content. Messages show the evidence copy taken at report time.
+ */
+const TargetPreview = memo(({ report, onOpen, t }) => {
+    const { targetType, target, targetOwner: owner, snapshot } = report;
+    const isMessage = targetType === "message" || targetType === "group_message";
+
+    let image = null;
+    let text = "";
+    let link = null;
+
+    if (targetType === "post") {
+        image = target?.image_urls?.[0] || target?.video?.thumbnail_url;
+        text = target?.content;
+        link = target && `/post/${target._id}`;
+    } else if (targetType === "comment") {
+        text = target?.text;
+        link = target?.post && `/post/${target.post}`;
+    } else if (targetType === "story") {
+        image = target?.type === "image" ? target.image : null;
+        text = target?.caption || target?.content;
+    } else if (isMessage) {
+        image = snapshot?.message_type === "image" ? snapshot.media_url : null;
+        text = snapshot?.text;
+    } else if (targetType === "user") {
+        image = target?.profile_picture;
+        link = target && `/profile/${target._id}`;
+    }
+
+    if (!target && !snapshot) {
+        return <p className="text-sm text-muted italic">{t("admin.reports.contentDeleted")}</p>;
+    }
+
+    return (
+        <div
+            onClick={() => link && onOpen(link)}
+            className={`flex gap-4 p-4 rounded-xl bg-main border border-adaptive transition ${link ? "cursor-pointer hover:border-primary/40" : ""}`}
+        >
+            {image && (
+                <img src={image} alt={targetType} className="w-16 h-16 rounded-lg object-cover shrink-0" loading="lazy" />
+            )}
+            <div className="min-w-0 flex-1 space-y-1">
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                    <span className="px-2 py-0.5 rounded-full bg-primary/10 text-primary font-bold">{t(`admin.targetTypes.${targetType}`)}</span>
+                    <span className="font-bold text-content">{owner?.full_name}</span>
+                    <span className="text-muted">@{owner?.username}</span>
+                    {target?.isHidden && (
+                        <span className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-amber-500/10 text-amber-500 font-bold">
+                            <EyeOff size={12} /> {t("admin.reports.hidden")}
+                        </span>
+                    )}
+                    {owner?.suspendedAt && (
+                        <span className="px-2 py-0.5 rounded-full bg-red-500/10 text-red-500 font-bold">{t("admin.reports.suspended")}</span>
+                    )}
+                    <span className="text-muted">{t("admin.reports.reportsCount", { count: report.reportsCount })}</span>
+                </div>
+                {targetType !== "user" && (
+                    <p className="text-sm text-content line-clamp-2">{text || t("admin.reports.noText")}</p>
+                )}
+                {isMessage && (
+                    <p className="text-xs text-muted italic">
+                        {!target || target.isDeleted ? t("admin.reports.snapshotDeleted") : t("admin.reports.snapshot")}
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+});
+
+TargetPreview.displayName = "TargetPreview";
+
+/**
+ * @component ReportCard
+ * @description One report with its content preview and moderator actions.
+ */
+const ReportCard = memo(({ report, busy, onAction, onOpen, t, currentLocale }) => {
+    const [note, setNote] = useState("");
+    const owner = report.targetOwner;
+    const isOpen = report.status === "pending" || report.status === "reviewed";
+    const canHide = HIDEABLE_TYPES.includes(report.targetType) && report.target;
+
+    const run = (action, extra = {}) => onAction(action, report, { note, ...extra });
+
+    return (
+        <motion.div
+            layout
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, height: 0, transition: { duration: 0.2 } }}
+            className="p-5 rounded-2xl bg-surface border border-adaptive shadow-sm space-y-4"
+        >
+            {/* Header: reason, reporter, time, status */}
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-3 min-w-0">
+                    <span className="px-3 py-1 rounded-full bg-red-500/10 text-red-500 text-xs font-black uppercase tracking-wider">
+                        {t(`report.reasons.${REASON_KEYS[report.reason] || "other"}`)}
+                    </span>
+                    <p className="text-sm text-muted truncate">
+                        {t("admin.reports.reportedBy", { name: report.reporter?.full_name || t("stories.defaultUser") })}
+                        {" · "}
+                        {formatDistanceToNow(new Date(report.createdAt), { addSuffix: true, locale: currentLocale })}
+                    </p>
+                </div>
+                <span className="text-xs font-bold text-muted uppercase tracking-wider">
+                    {t(`admin.status.${report.status}`)}
+                </span>
+            </div>
+
+            {/* Content Preview */}
+            <TargetPreview report={report} onOpen={onOpen} t={t} />
+
+            {report.resolutionNote && (
+                <p className="text-sm text-muted border-s-2 border-primary/30 ps-3">
+                    {report.reviewedBy?.full_name && <span className="font-bold text-content">{report.reviewedBy.full_name}: </span>}
+                    {report.resolutionNote}
+                </p>
+            )}
+
+            {/* Actions */}
+            <div className="space-y-3">
+                <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder={t("admin.reports.notePlaceholder")}
+                    maxLength={500}
+                    className="w-full bg-main border border-adaptive rounded-xl px-4 py-2 text-sm text-content outline-none focus:border-primary transition"
+                />
+                <div className="flex flex-wrap gap-2">
+                    {isOpen && (
+                        <>
+                            {canHide && !report.target.isHidden && (
+                                <button disabled={busy} onClick={() => run("resolve", { hideContent: true })} className="px-4 py-2 rounded-xl text-sm font-bold bg-red-600 hover:bg-red-700 text-white transition disabled:opacity-50 flex items-center gap-2">
+                                    <EyeOff size={16} /> {t("admin.actions.resolveHide")}
+                                </button>
+                            )}
+                            <button disabled={busy} onClick={() => run("resolve")} className="px-4 py-2 rounded-xl text-sm font-bold bg-primary hover:opacity-90 text-white transition disabled:opacity-50 flex items-center gap-2">
+                                <CheckCircle2 size={16} /> {t("admin.actions.resolve")}
+                            </button>
+                            <button disabled={busy} onClick={() => run("dismiss")} className="px-4 py-2 rounded-xl text-sm font-bold border border-adaptive text-content hover:bg-main transition disabled:opacity-50 flex items-center gap-2">
+                                <XCircle size={16} /> {t("admin.actions.dismiss")}
+                            </button>
+                        </>
+                    )}
+                    {canHide && report.target.isHidden && (
+                        <button disabled={busy} onClick={() => run("restore")} className="px-4 py-2 rounded-xl text-sm font-bold border border-emerald-500/30 text-emerald-500 hover:bg-emerald-500/10 transition disabled:opacity-50 flex items-center gap-2">
+                            <RotateCcw size={16} /> {t("admin.actions.restore")}
+                        </button>
+                    )}
+                    {owner && owner.role !== "admin" && (
+                        owner.suspendedAt ? (
+                            <button disabled={busy} onClick={() => run("unsuspend")} className="px-4 py-2 rounded-xl text-sm font-bold border border-adaptive text-content hover:bg-main transition disabled:opacity-50 flex items-center gap-2">
+                                <UserCheck size={16} /> {t("admin.actions.unsuspend")}
+                            </button>
+                        ) : (
+                            <button disabled={busy} onClick={() => run("suspend")} className="px-4 py-2 rounded-xl text-sm font-bold border border-red-500/30 text-red-500 hover:bg-red-500/10 transition disabled:opacity-50 flex items-center gap-2">
+                                <Ban size={16} /> {t("admin.actions.suspend")}
+                            </button>
+                        )
+                    )}
+                    {busy && <Loader2 size={18} className="animate-spin text-muted self-center" />}
+                </div>
+            </div>
+        </motion.div>
+    );
+});
+
+ReportCard.displayName = "ReportCard";
+
+/**
+ * @component AuditEntry
+ * @description One line of the moderator audit log.
+ */
+const AuditEntry = memo(({ entry, t, currentLocale }) => (
+    <div className="flex items-start gap-4 p-4 rounded-2xl bg-surface border border-adaptive">
+        <img
+            src={entry.moderator?.profile_picture || "/avatar-placeholder.png"}
+            alt="moderator"
+            className="w-10 h-10 rounded-full object-cover shrink-0"
+            loading="lazy"
+        />
+        <div className="flex-1 min-w-0 space-y-1">
+            <p className="text-sm text-content">
+                <span className="font-bold">{entry.moderator?.full_name || t("stories.defaultUser")}</span>
+                <span className="mx-1 text-muted">{t(`admin.audit.actions.${entry.action}`)}</span>
+                {entry.targetUser && <span className="font-bold">@{entry.targetUser.username}</span>}
+                {entry.targetType && entry.targetType !== "user" && (
+                    <span className="ms-2 px-2 py-0.5 rounded-full bg-primary/10 text-primary text-xs font-bold">{t(`admin.targetTypes.${entry.targetType}`)}</span>
+                )}
+            </p>
+            {(entry.targetId?.content || entry.targetId?.text || entry.targetId?.caption) && (
+                <p className="text-xs text-muted line-clamp-1">"{entry.targetId.content || entry.targetId.text || entry.targetId.caption}"</p>
+            )}
+            {entry.note && <p className="text-xs text-muted italic">{entry.note}</p>}
+            <p className="text-xs text-muted/60 font-bold">
+                {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true, locale: currentLocale })}
+            </p>
+        </div>
+    </div>
+));
+
+AuditEntry.displayName = "AuditEntry";
+
+// --- Main Component ---
+
+const AdminModeration = () => {
+    // --- State & Hooks ---
+    const [view, setView] = useState("reports");
+    const [status, setStatus] = useState("pending");
+    const [reason, setReason] = useState("");
+    const [targetType, setTargetType] = useState("");
+    const [items, setItems] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    const { getToken } = useAuth();
+    const navigate = useNavigate();
+    const { t, i18n } = useTranslation();
+    const currentLocale = i18n.language === "ar" ? ar : enUS;
+
+    const VIEWS = useMemo(() => [
+        { key: "reports", label: t("admin.tabs.reports"), icon: <Flag size={16} /> },
+        { key: "audit", label: t("admin.tabs.audit"), icon: <History size={16} /> },
+    ], [t]);
+
+    // --- Data Fetching ---
+
+    const fetchPage = useCallback(async (cursor) => {
+        setLoading(true);
+        try {
+            const token = await getToken();
+            // Cursor pages: reports resolved meanwhile leave the queue without shifting the next page
+            const params = new URLSearchParams({ limit: PAGE_SIZE });
+            if (cursor) params.set("cursor", cursor);
+            if (view === "reports") {
+                params.set("status", status);
+                if (reason) params.set("reason", reason);
+                if (targetType) params.set("targetType", targetType);
+            }
+
+            const endpoint = view === "reports" ? "/admin/reports" : "/admin/audit-log";
+            const { data } = await api.get(`${endpoint}?${params}`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+
+            const received = view === "reports" ? data.reports : data.entries;
+            setItems((prev) => (cursor ? [...prev, ...received] : received));
+            setNextCursor(data.nextCursor);
+        } catch (error) {
+            console.error("Failed to load moderation data:", error);
+            toast.error(t("admin.toasts.loadFailed"));
+        } finally {
+            setLoading(false);
+        }
+    }, [getToken, view, status, reason, targetType, t]);
+
+    useEffect(() => {
+        setItems([]);
+        fetchPage(null);
+    }, [fetchPage]);
+
+    // --- Handlers ---
+
+    /**
+     * Runs a moderator action, then patches the affected reports in place.
+     */
+    const handleAction = useCallback(async (action, report, { note, hideContent }) => {
+        const owner = report.targetOwner;
+        const targetKey = `${report.targetType}:${report.targetId}`;
+
+        if (action === "suspend" && !window.confirm(t("admin.confirm.suspend", { name: owner?.full_name }))) return;
+
+        setBusyId(report._id);
+        try {
+            const token = await getToken();
+            const authConfig = { headers: { Authorization: `Bearer ${token}` } };
+            const requests = {
+                resolve: () => api.patch(`/admin/reports/${report._id}/resolve`, { note, hideContent }, authConfig),
+                dismiss: () => api.patch(`/admin/reports/${report._id}/dismiss`, { note }, authConfig),
+                restore: () => api.patch(`/admin/content/${report.targetType}/${report.targetId}/restore`, { note }, authConfig),
+                suspend: () => api.post(`/admin/users/${owner._id}/suspend`, { reason: note }, authConfig),
+                unsuspend: () => api.post(`/admin/users/${owner._id}/unsuspend`, { note }, authConfig),
+            };
+
+            const { data } = await requests[action]();
+            toast.success(t(`admin.toasts.${action}`));
+
+            setItems((prev) => prev.map((item) => {
+                const sameTarget = `${item.targetType}:${item.targetId}` === targetKey;
+                const sameOwner = item.targetOwner?._id === owner?._id;
+                const withHidden = (isHidden) => (item.target ? { ...item.target, isHidden } : item.target);
+
+                if (action === "resolve" || action === "dismiss") {
+                    if (item._id === report._id) {
+                        return {
+                            ...item,
+                            ...data.report,
+                            reporter: item.reporter,
+                            targetOwner: item.targetOwner,
+                            target: hideContent ? withHidden(true) : item.target,
+                        };
+                    }
+                    if (sameTarget && hideContent) return { ...item, target: withHidden(true) };
+                }
+                if (action === "restore" && sameTarget) {
+                    const isOpen = item.status === "pending" || item.status === "reviewed";
+                    return {
+                        ...item,
+                        status: isOpen ? "dismissed" : item.status,
+                        target: withHidden(false),
+                        reportsCount: 0,
+                    };
+                }
+                if ((action === "suspend" || action === "unsuspend") && sameOwner) {
+                    return { ...item, targetOwner: { ...item.targetOwner, suspendedAt: data.user.suspendedAt } };
+                }
+                return item;
+            }));
+        } catch (error) {
+            toast.error(error.response?.data?.message || t("admin.toasts.actionFailed"));
+        } finally {
+            setBusyId(null);
+        }
+    }, [getToken, t]);
+
+    const handleOpen = useCallback((path) => navigate(path), [navigate]);
+
+    // --- Render ---
+
+    return (
+        <div className="min-h-screen bg-main text-content relative overflow-x-hidden transition-colors duration-300 scrollbar-hide">
+            <div className="max-w-4xl mx-auto p-4 pb-20 pt-8">
+
+                {/* Header */}
+                <div className="flex flex-wrap items-center justify-between mb-8 gap-4">
+                    <div className="text-start">
+                        <h1 className="text-3xl md:text-4xl font-extrabold text-content mb-1 flex items-center gap-3">
+                            <ShieldCheck className="text-primary" size={32} /> {t("admin.title")}
+                        </h1>
+                        <p className="text-sm text-muted font-medium">{t("admin.subtitle")}</p>
+                    </div>
+                </div>
+
+                {/* View Tabs */}
+                <div className="flex gap-3 mb-6">
+                    {VIEWS.map(({ key, label, icon }) => (
+                        <button
+                            key={key}
+                            onClick={() => setView(key)}
+                            className={`px-5 py-2.5 rounded-xl text-sm font-bold border transition flex items-center gap-2 ${view === key
+                                ? "bg-primary text-white border-primary shadow-lg shadow-primary/25"
+                                : "bg-surface text-muted border-adaptive hover:text-content"
+                                }`}
+                        >
+                            {icon} {label}
+                        </button>
+                    ))}
+                </div>
+
+                {/* Report Filters */}
+                {view === "reports" && (
+                    <div className="flex flex-wrap items-center gap-3 mb-8">
+                        {STATUS_FILTERS.map((key) => (
+                            <button
+                                key={key}
+                                onClick={() => setStatus(key)}
+                                className={`px-4 py-2 rounded-full text-xs font-bold border transition ${status === key
+                                    ? "bg-content text-main border-content"
+                                    : "bg-surface text-muted border-adaptive hover:text-content"
+                                    }`}
+                            >
+                                {t(`admin.status.${key}`)}
+                            </button>
+                        ))}
+                        <select
+                            value={targetType}
+                            onChange={(e) => setTargetType(e.target.value)}
+                            className="ms-auto bg-surface border border-adaptive rounded-xl px-3 py-2 text-sm text-content outline-none focus:border-primary"
+                        >
+                            <option value="">{t("admin.reports.allTypes")}</option>
+                            {TARGET_TYPES.map((type) => (
+                                <option key={type} value={type}>{t(`admin.targetTypes.${type}`)}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            className="bg-surface border border-adaptive rounded-xl px-3 py-2 text-sm text-content outline-none focus:border-primary"
+                        >
+                            <option value="">{t("admin.reports.allReasons")}</option>
+                            {REASONS.map((r) => (
+                                <option key={r} value={r}>{t(`report.reasons.${REASON_KEYS[r]}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                {/* List */}
+                <div className="space-y-3">
+                    <AnimatePresence initial={false}>
+                        {items.map((item) => (
+                            view === "reports" ? (
+                                <ReportCard
+                                    key={item._id}
+                                    report={item}
+                                    busy={busyId === item._id}
+                                    onAction={handleAction}
+                                    onOpen={handleOpen}
+                                    t={t}
+                                    currentLocale={currentLocale}
+                                />
+                            ) : (
+                                <AuditEntry key={item._id} entry={item} t={t} currentLocale={currentLocale} />
+                            )
+                        ))}
+                    </AnimatePresence>
+
+                    {loading && Array.from({ length: 3 }).map((_, i) => (
+                        <div key={i} className="p-4 rounded-2xl bg-surface animate-pulse border border-adaptive h-28" />
+                    ))}
+
+                    {!loading && items.length === 0 && (
+                        <div className="flex flex-col items-center justify-center py-24 text-center opacity-60">
+                            <div className="w-24 h-24 bg-surface rounded-full flex items-center justify-center mb-6 border border-adaptive">
+                                <Inbox className="w-10 h-10 text-muted" />
+                            </div>
+                            <h3 className="text-xl font-bold text-content">{t("admin.emptyTitle")}</h3>
+                        </div>
+                    )}
+
+                    {!loading && nextCursor && (
+                        <button
+                            onClick={() => fetchPage(nextCursor)}
+                            className="w-full py-3 rounded-xl border border-adaptive bg-surface text-sm font-bold text-muted hover:text-content transition"
+                        >
+                            {t("admin.loadMore")}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AdminModeration;
@@ -4,7 +4,8 @@
  * Displays a searchable list of communities (groups) that users can join.
  * Features:
  * - Real-time search/filtering.
- * - Join requests with visual feedback (Pending/Success).
+ * - Joining per the group's policy: open groups join instantly, approval groups get a
+ *   request (Pending), invite-only groups can't be joined from here.
  * - Responsive grid layout with polished UI cards.
  */
 
@@ -16,7 +17,7 @@ import { motion, AnimatePresence } from "framer-motion";
 import { useTranslation } from "react-i18next"; // 🟢
 
 // Icons
-import { UserPlus, Users, Search, Compass, Loader2, ArrowRight, Clock, Check } from "lucide-react";
+import { UserPlus, Users, Search, Compass, Loader2, ArrowRight, Clock, Check, Mail } from "lucide-react";
 
 // API
 import api from "../lib/axios";
@@ -33,6 +34,7 @@ const AvailableGroups = () => {
 
     const { getToken, userId } = useAuth();
     const { t } = useTranslation(); // 🟢
+    const navigate = useNavigate();
 
     // --- Fetch Groups ---
     useEffect(() => {
@@ -60,10 +62,17 @@ const AvailableGroups = () => {
             setJoiningId(groupId);
             const token = await getToken();
 
-            await api.post(`/group/join/${groupId}`, {}, {
+            const { data } = await api.post(`/group/join/${groupId}`, {}, {
                 headers: { Authorization: `Bearer ${token}` }
             });
 
+            // Open groups: straight into the chat
+            if (data.status === "accepted") {
+                toast.success(t("availableGroups.toasts.joined"));
+                navigate(`/groups/${groupId}/chat`);
+                return;
+            }
+
             // Success Feedback
             toast.success(t("availableGroups.toasts.requestSent")); // 🟢
             setSentRequests((prev) => [...prev, groupId]); // Mark as requested
@@ -128,6 +137,7 @@ const AvailableGroups = () => {
                         <AnimatePresence>
                             {filteredGroups.map(group => {
                                 const isRequested = sentRequests.includes(group._id);
+                                const isInviteOnly = group.joinPolicy === "invite_only";
 
                                 return (
                                     <motion.div
@@ -166,9 +176,9 @@ const AvailableGroups = () => {
                                         {/* Action Button */}
                                         <button
                                             onClick={() => handleJoinGroup(group._id)}
-                                            disabled={joiningId === group._id || isRequested}
+                                            disabled={joiningId === group._id || isRequested || isInviteOnly}
                                             className={`w-full py-3.5 rounded-xl font-bold flex items-center justify-center gap-2 transition-all shadow-md active:scale-95 group/btn
-                                                ${isRequested
+                                                ${isRequested || isInviteOnly
                                                     ? "bg-main text-muted border border-adaptive cursor-default opacity-80" // 'Requested' Style
                                                     : "bg-linear-to-r from-primary to-primary/80 hover:opacity-90 text-white shadow-primary/20" // 'Join' Style
                                                 }
@@ -181,10 +191,15 @@ const AvailableGroups = () => {
                                                     <Clock size={18} className="text-yellow-500" />
                                                     {t("availableGroups.requestSent")} {/* 🟢 */}
                                                 </>
+                                            ) : isInviteOnly ? (
+                                                <>
+                                                    <Mail size={18} />
+                                                    {t("availableGroups.inviteOnly")}
+                                                </>
                                             ) : (
                                                 <>
                                                     <UserPlus size={18} className="group-hover/btn:scale-110 transition-transform" />
-                                                    {t("availableGroups.joinBtn")} {/* 🟢 */}
+                                                    {group.joinPolicy === "open" ? t("availableGroups.joinBtn") : t("availableGroups.requestBtn")} {/* 🟢 */}
                                                 </>
                                             )}
                                         </button>
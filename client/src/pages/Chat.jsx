@@ -17,7 +17,7 @@ import { useSelector, useDispatch } from "react-redux";
 // --- Third Party Libraries ---
 import {
     Send, Image as ImageIcon, Mic, Loader2, MoreVertical, Smile,
-    Trash2, StopCircle, Pause, Play, ArrowLeft, X, Video, Phone, Check
+    Trash2, StopCircle, Pause, Play, ArrowLeft, X, Video, Phone, Check, Paperclip, FileText, ArrowDown, BarChart2
 } from "lucide-react";
 import toast from "react-hot-toast";
 import { formatDistanceToNowStrict } from "date-fns";
@@ -34,12 +34,20 @@ import { fetchMyConnections } from "../features/connectionsSlice";
 import UserAvatar from "../components/common/UserDefaultAvatar";
 import ChatInfoSidebar from "../components/chat/ChatInfoSidebar";
 import MessageItem from "../components/chat/MessageItem";
+import PinnedMessagesBar from "../components/chat/PinnedMessagesBar";
 import ReactionDetailsModal from "../components/modals/ReactionDetailsModal";
 import useInfiniteScroll from "../hooks/useInfiniteScroll";
 import useOfflineSync from "../hooks/useOfflineSync";
+import useMessageJump from "../hooks/useMessageJump";
+import usePollActions from "../hooks/usePollActions";
+import usePinnedMessages from "../hooks/usePinnedMessages";
+import { FILE_ACCEPT, attachmentKind, exceededLimitMb, formatFileSize } from "../utils/attachments";
+import { mergePollUpdate } from "../utils/polls";
 
 // --- Lazy Loads ---
 const EmojiPicker = lazy(() => import('emoji-picker-react'));
+const ReportModal = lazy(() => import("../components/modals/ReportModal"));
+const CreatePollModal = lazy(() => import("../components/modals/CreatePollModal"));
 
 /**
  * Chat Component
@@ -76,14 +84,14 @@ const Chat = () => {
     const [targetUser, setTargetUser] = useState(connectionUser || null);
     const [newMessage, setNewMessage] = useState("");
     const [replyTo, setReplyTo] = useState(null);
-    const [highlightedId, setHighlightedId] = useState(null);
     const [activeReactionId, setActiveReactionId] = useState(null);
     const [viewReactionMessage, setViewReactionMessage] = useState(null);
     const [editingMessage, setEditingMessage] = useState(null);
+    const [reportingMessage, setReportingMessage] = useState(null);
+    const [showPollModal, setShowPollModal] = useState(false);
 
     // Pagination
-    const [page, setPage] = useState(1);
-    const [hasMore, setHasMore] = useState(true);
+    const [nextCursor, setNextCursor] = useState(null); // Older messages (null = start of history)
     const [isFetchingOld, setIsFetchingOld] = useState(false);
 
     // UI Toggles
@@ -92,7 +100,7 @@ const Chat = () => {
     const [activeMobileActionId, setActiveMobileActionId] = useState(null);
 
     // Media & Recording
-    const [selectedImage, setSelectedImage] = useState(null);
+    const [selectedFile, setSelectedFile] = useState(null);
     const [imagePreview, setImagePreview] = useState(null);
     const [isRecording, setIsRecording] = useState(false);
     const [mediaRecorder, setMediaRecorder] = useState(null);
@@ -118,6 +126,7 @@ const Chat = () => {
     const messagesEndRef = useRef(null);
     const messageRefs = useRef({});
     const fileInputRef = useRef(null);
+    const attachmentInputRef = useRef(null);
     const timerRef = useRef(null);
     const audioPreviewRef = useRef(null);
     const isFirstLoad = useRef(true);
@@ -139,8 +148,8 @@ const Chat = () => {
     // ⚡ Handlers & API
     // ========================================================
 
-    const fetchMoreMessages = useCallback(async () => {
-        if (!hasMore || isFetchingOld) return;
+    const fetchMoreMessages = useCallback(async (cursor) => {
+        if (!cursor || isFetchingOld) return;
 
         if (scrollContainerRef.current) {
             prevScrollHeightRef.current = scrollContainerRef.current.scrollHeight;
@@ -149,10 +158,9 @@ const Chat = () => {
         setIsFetchingOld(true);
         try {
             const token = await getToken();
-            const nextPage = page + 1;
-
-            const res = await api.get(`/message/${targetUserId}?page=${nextPage}&limit=20`, {
-                headers: { Authorization: `Bearer ${token}` }
+            const res = await api.get(`/message/${targetUserId}`, {
+                headers: { Authorization: `Bearer ${token}` },
+                params: { cursor, limit: 20 }
             });
 
             if (res.data.success) {
@@ -161,42 +169,53 @@ const Chat = () => {
                     const uniqueNewMessages = res.data.data.filter(msg => !existingIds.has(msg._id));
                     return [...uniqueNewMessages, ...prev];
                 });
-                setHasMore(res.data.hasMore);
-                setPage(nextPage);
+                setNextCursor(res.data.nextCursor);
             }
         } catch (error) {
             console.error("Failed to load older messages", error);
         } finally {
             setIsFetchingOld(false);
         }
-    }, [page, hasMore, isFetchingOld, targetUserId, getToken]);
-
-    const lastMsgRef = useInfiniteScroll(fetchMoreMessages, hasMore, isFetchingOld);
-
-    const scrollToMessage = useCallback((messageId) => {
-        const element = messageRefs.current[messageId];
-        if (element) {
-            element.scrollIntoView({ behavior: "smooth", block: "center" });
-            setHighlightedId(messageId);
-            setTimeout(() => setHighlightedId(null), 1000);
-        } else {
-            toast(t("chat.toasts.messageNotLoaded"), { icon: "🔍" });
-        }
-    }, [t]);
+    }, [isFetchingOld, targetUserId, getToken]);
+
+    const lastMsgRef = useInfiniteScroll(fetchMoreMessages, nextCursor, isFetchingOld);
+
+    // Jump to quoted messages, loading the history around them when needed
+    const handleJumpNotFound = useCallback(() => toast(t("chat.toasts.messageUnavailable"), { icon: "🔍" }), [t]);
+    const {
+        jumpToMessage: scrollToMessage, jumpToLatest, highlightedId, isDetached, detachedRef,
+        isJumping, isFetchingNewer, newestMsgRef, consumePendingScroll
+    } = useMessageJump({
+        basePath: `/message/${targetUserId}`,
+        itemsKey: "data",
+        getToken,
+        setMessages,
+        setNextCursor,
+        messageRefs,
+        messagesEndRef,
+        onNotFound: handleJumpNotFound,
+    });
 
     const handleMessagesClear = useCallback(() => {
         setMessages([]);
         setShowChatInfo(false);
     }, []);
 
-    const handleImageSelect = useCallback((e) => {
+    const handleFileSelect = useCallback((e) => {
         const file = e.target.files[0];
-        if (file) {
-            setSelectedImage(file);
-            const url = URL.createObjectURL(file);
-            setImagePreview(url);
+        e.target.value = ""; // Allow picking the same file again
+        if (!file) return;
+
+        const limitMb = exceededLimitMb(file);
+        if (limitMb) {
+            toast.error(t("chat.toasts.fileTooLarge", { size: limitMb }));
+            return;
         }
-    }, []);
+
+        setSelectedFile(file);
+        // Only images get an inline preview; other attachments show as a file chip
+        setImagePreview(attachmentKind(file) === "image" ? URL.createObjectURL(file) : null);
+    }, [t]);
 
     const handleDeleteMessage = useCallback(async (messageId) => {
         setMessages(prev => prev.map(msg =>
@@ -268,8 +287,31 @@ const Chat = () => {
         }
     }, [currentUser, getToken, t]);
 
+    const pollActions = usePollActions({ basePath: "/message/poll", getToken, setMessages, userId: currentUser?._id, t });
+
+    // Pinned bar (either participant may pin or unpin)
+    const { pinned, pinnedIds, togglePin, applyPin, applyUnpin, applyEdit } = usePinnedMessages({
+        listPath: `/message/${targetUserId}/pinned`,
+        basePath: "/message",
+        getToken,
+        t
+    });
+
+    const handleCreatePoll = useCallback(async (pollData) => {
+        try {
+            const token = await getToken();
+            const { data } = await api.post("/message/poll", { receiverId: targetUserId, ...pollData }, { headers: { Authorization: `Bearer ${token}` } });
+            if (isDetached) await jumpToLatest(); // The newest page already holds the poll
+            else setMessages(prev => [...prev, data.data]);
+        } catch (error) {
+            console.error("Create poll failed", error);
+            toast.error(error.response?.data?.message || t("polls.createFailed"));
+        }
+    }, [getToken, targetUserId, isDetached, jumpToLatest, t]);
+
     const handleSetReplyTo = useCallback((msg) => setReplyTo(msg), []);
     const handleSetViewReactionMessage = useCallback((msg) => setViewReactionMessage(msg), []);
+    const handleReportMessage = useCallback((msg) => setReportingMessage(msg), []);
     const handleSetActiveReactionId = useCallback((id) => setActiveReactionId(prev => prev === id ? null : id), []);
 
     const handleInputChange = useCallback((e) => {
@@ -310,7 +352,7 @@ const Chat = () => {
             }
 
             try {
-                const msgRes = await api.get(`/message/${targetUserId}?page=1&limit=20`, { headers: { Authorization: `Bearer ${token}` } });
+                const msgRes = await api.get(`/message/${targetUserId}?limit=20`, { headers: { Authorization: `Bearer ${token}` } });
                 let loadedMessages = msgRes.data.data || [];
 
                 const offlineQueue = JSON.parse(localStorage.getItem('offlineQueue') || '[]');
@@ -332,8 +374,7 @@ const Chat = () => {
                     }));
 
                 setMessages([...loadedMessages, ...pendingForThisChat]);
-                setHasMore(msgRes.data.hasMore);
-                setPage(1);
+                setNextCursor(msgRes.data.nextCursor);
 
                 await api.put(`/message/read/${targetUserId}`, {}, { headers: { Authorization: `Bearer ${token}` } });
             } catch (error) { console.error("Error loading chat:", error); }
@@ -348,7 +389,8 @@ const Chat = () => {
             const senderId = incomingMsg.sender._id || incomingMsg.sender;
 
             if (senderId.toString() === targetUserId.toString()) {
-                setMessages((prev) => [...prev, { ...incomingMsg, read: true }]);
+                // Viewing older history: it arrives with the newer pages instead (no gap in the list)
+                if (!detachedRef.current) setMessages((prev) => [...prev, { ...incomingMsg, read: true }]);
 
                 const token = await getToken();
                 await api.put(`/message/read/${targetUserId}`, {}, { headers: { Authorization: `Bearer ${token}` } });
@@ -385,18 +427,24 @@ const Chat = () => {
             setMessages(prev => prev.map(msg => msg._id === messageId ? { ...msg, reactions } : msg));
         };
 
+        const handlePollUpdated = ({ messageId, poll }) => {
+            setMessages(prev => prev.map(msg => msg._id === messageId ? { ...msg, poll: mergePollUpdate(msg.poll, poll) } : msg));
+        };
+
         socket.on("receiveMessage", handleReceiveMessage);
         socket.on("messageDelivered", handleMessageDelivered);
         socket.on("messagesSeen", handleMessagesSeen);
         socket.on("messageReaction", handleMessageReaction);
+        socket.on("pollUpdated", handlePollUpdated);
 
         return () => {
             socket.off("receiveMessage", handleReceiveMessage);
             socket.off("messageDelivered", handleMessageDelivered);
             socket.off("messagesSeen", handleMessagesSeen);
             socket.off("messageReaction", handleMessageReaction);
+            socket.off("pollUpdated", handlePollUpdated);
         };
-    }, [socket, targetUserId, getToken, currentUser]);
+    }, [socket, targetUserId, getToken, currentUser, detachedRef]);
 
     // 3. Socket Listeners (Typing & Updates)
     useEffect(() => {
@@ -415,15 +463,24 @@ const Chat = () => {
             setMessages(prev => prev.map(msg =>
                 msg._id === messageId ? { ...msg, text: newText, isEdited: true } : msg
             ));
+            applyEdit(messageId, newText);
         });
+        // Pins reach both participants in every open chat: keep only this conversation's
+        socket.on("messagePinned", ({ pinned: pin }) => {
+            const participants = [String(pin?.sender?._id || pin?.sender), String(pin?.receiver)];
+            if (participants.includes(String(targetUserId))) applyPin(pin);
+        });
+        socket.on("messageUnpinned", ({ messageId }) => applyUnpin(messageId));
 
         return () => {
             socket.off("typing", onTyping);
             socket.off("stop typing", onStopTyping);
             socket.off("messageDeleted");
             socket.off("messageUpdated");
+            socket.off("messagePinned");
+            socket.off("messageUnpinned");
         };
-    }, [socket]);
+    }, [socket, targetUserId, applyPin, applyUnpin, applyEdit]);
 
     // 4. Sync Event
     useEffect(() => {
@@ -436,6 +493,12 @@ const Chat = () => {
 
     // 5. Scroll Logic
     useLayoutEffect(() => {
+        if (consumePendingScroll()) {
+            isFirstLoad.current = false;
+            prevMessagesLength.current = messages.length;
+            return;
+        }
+
         if (prevScrollHeightRef.current && scrollContainerRef.current) {
             const newScrollHeight = scrollContainerRef.current.scrollHeight;
             const heightDifference = newScrollHeight - prevScrollHeightRef.current;
@@ -448,12 +511,12 @@ const Chat = () => {
             messagesEndRef.current?.scrollIntoView({ behavior: "auto" });
             isFirstLoad.current = false;
         }
-        else if (messages.length > prevMessagesLength.current) {
+        else if (messages.length > prevMessagesLength.current && !isDetached) {
             messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
         }
 
         prevMessagesLength.current = messages.length;
-    }, [messages]);
+    }, [messages, isDetached, consumePendingScroll]);
 
     // 6. Audio Preview Animation
     useEffect(() => {
@@ -563,7 +626,7 @@ const Chat = () => {
             return;
         }
 
-        if (!newMessage.trim() && !selectedImage && !audioBlob) return;
+        if (!newMessage.trim() && !selectedFile && !audioBlob) return;
         if (!targetUser || !currentUser) return;
 
         if (currentUser?.blockedUsers?.includes(targetUser._id) || targetUser.blockedUsers?.includes(currentUser._id)) {
@@ -573,17 +636,21 @@ const Chat = () => {
 
         const detectedSharedPostId = getPostIdFromText(newMessage);
         let msgType = "text";
-        if (selectedImage) msgType = "image";
+        if (selectedFile) msgType = attachmentKind(selectedFile);
         else if (audioBlob) msgType = "audio";
         else if (detectedSharedPostId) msgType = "shared_post";
 
+        // Sending from older history: return to the present first so the message lands in place
+        if (isDetached) await jumpToLatest();
+
         const tempId = Date.now();
         const tempMessage = {
             _id: tempId,
             text: newMessage,
             sender: { _id: currentUser._id || userId, profile_picture: currentUser.profile_picture || currentUser.image },
             message_type: msgType,
-            media_url: selectedImage ? imagePreview : audioBlob ? audioUrl : "",
+            media_url: selectedFile ? imagePreview || "" : audioBlob ? audioUrl : "",
+            attachment: selectedFile ? { name: selectedFile.name, size: selectedFile.size, mime_type: selectedFile.type } : null,
             sharedPostId: detectedSharedPostId,
             replyTo: replyTo,
             createdAt: new Date().toISOString(),
@@ -599,10 +666,10 @@ const Chat = () => {
         }
 
         setMessages((prev) => [...prev, tempMessage]);
-        setNewMessage(""); setSelectedImage(null); setImagePreview(null); cancelRecording(); setShowEmoji(false); setReplyTo(null);
+        setNewMessage(""); setSelectedFile(null); setImagePreview(null); cancelRecording(); setShowEmoji(false); setReplyTo(null);
 
         if (!navigator.onLine) {
-            if (selectedImage || audioBlob) {
+            if (selectedFile || audioBlob) {
                 toast.error("Media cannot be sent offline yet");
                 setMessages((prev) => prev.filter(msg => msg._id !== tempId));
                 return;
@@ -623,7 +690,7 @@ const Chat = () => {
             if (tempMessage.text) formData.append("text", tempMessage.text);
             if (detectedSharedPostId) formData.append("sharedPostId", detectedSharedPostId);
             if (replyTo) formData.append("replyTo", replyTo._id);
-            if (selectedImage) formData.append("image", selectedImage);
+            if (selectedFile) formData.append("image", selectedFile);
             else if (audioBlob) {
                 const audioFile = new File([audioBlob], "voice-note.webm", { type: "audio/webm" });
                 formData.append("image", audioFile);
@@ -646,7 +713,7 @@ const Chat = () => {
         } catch (error) {
             console.error("Send Error:", error);
             if (error.code === "ERR_NETWORK" || error.message === "Network Error") {
-                if (!selectedImage && !audioBlob) {
+                if (!selectedFile && !audioBlob) {
                     addToQueue("/message/send", {
                         receiverId: targetUserId,
                         text: tempMessage.text,
@@ -657,10 +724,10 @@ const Chat = () => {
                     return;
                 }
             }
-            toast.error(t("chat.toasts.sendFailed"));
+            toast.error(error.response?.data?.message || t("chat.toasts.sendFailed"));
             setMessages((prev) => prev.filter(msg => msg._id !== tempId));
         }
-    }, [newMessage, selectedImage, audioBlob, targetUser, currentUser, replyTo, targetUserId, userId, imagePreview, audioUrl, socket, getToken, cancelRecording, t, addToQueue, editingMessage]);
+    }, [newMessage, selectedFile, audioBlob, targetUser, currentUser, replyTo, targetUserId, userId, imagePreview, audioUrl, socket, getToken, cancelRecording, t, addToQueue, editingMessage, isDetached, jumpToLatest]);
 
     // ========================================================
     // 🎨 Render Logic
@@ -690,8 +757,11 @@ const Chat = () => {
                     locale={currentLocale}
                 />
 
+                {/* --- Pinned Messages --- */}
+                <PinnedMessagesBar pinned={pinned} onJump={scrollToMessage} onTogglePin={togglePin} t={t} />
+
                 {/* --- Chat Area --- */}
-                <div ref={scrollContainerRef} className="flex-1 overflow-y-auto px-4 pt-24 pb-4 space-y-6 scrollbar-hide bg-main relative">
+                <div ref={scrollContainerRef} className={`flex-1 overflow-y-auto px-4 ${pinned.length ? "pt-36" : "pt-24"} pb-4 space-y-6 scrollbar-hide bg-main relative`}>
                     {activeMobileActionId && (
                         <div className="fixed inset-0 z-40" onTouchStart={(e) => { e.stopPropagation(); setActiveMobileActionId(null); }} onClick={(e) => { e.stopPropagation(); setActiveMobileActionId(null); }} />
                     )}
@@ -700,8 +770,9 @@ const Chat = () => {
 
                     {messages.map((msg, index) => {
                         const isFirstMessage = index === 0;
+                        const isLastMessage = index === messages.length - 1;
                         return (
-                            <div key={msg._id || index} ref={(el) => { messageRefs.current[msg._id] = el; if (isFirstMessage) lastMsgRef(el); }}>
+                            <div key={msg._id || index} ref={(el) => { messageRefs.current[msg._id] = el; if (isFirstMessage) lastMsgRef(el); if (isLastMessage) newestMsgRef(el); }}>
                                 <MessageItem
                                     msg={msg}
                                     userId={currentUser?._id || userId}
@@ -717,15 +788,33 @@ const Chat = () => {
                                     currentLocale={currentLocale}
                                     onEdit={handleEditMessage}
                                     onDelete={handleDeleteMessage}
+                                    onReport={handleReportMessage}
+                                    pollActions={pollActions}
+                                    isPinned={pinnedIds.has(String(msg._id))}
+                                    onTogglePin={togglePin}
                                 />
                             </div>
                         );
                     })}
 
+                    {isFetchingNewer && (<div className="flex justify-center py-2"><Loader2 className="animate-spin text-primary w-6 h-6" /></div>)}
+
                     <TypingIndicator isTyping={isTyping} targetUser={targetUser} />
                     <div ref={messagesEndRef} />
                 </div>
 
+                {/* --- Back to Latest (after jumping into older history) --- */}
+                {isDetached && (
+                    <button
+                        onClick={jumpToLatest}
+                        disabled={isJumping}
+                        className="absolute bottom-24 end-4 z-30 flex items-center gap-1.5 px-3 py-2 rounded-full bg-surface border border-adaptive shadow-lg text-xs font-bold text-primary hover:bg-main transition"
+                    >
+                        {isJumping ? <Loader2 size={14} className="animate-spin" /> : <ArrowDown size={14} />}
+                        {t("chat.jumpToLatest")}
+                    </button>
+                )}
+
                 {/* --- Input Area --- */}
                 <ChatInputArea
                     newMessage={newMessage}
@@ -740,8 +829,10 @@ const Chat = () => {
                     setShowEmoji={setShowEmoji}
                     onEmojiClick={handleEmojiClick}
                     fileInputRef={fileInputRef}
-                    handleImageSelect={handleImageSelect}
+                    attachmentInputRef={attachmentInputRef}
+                    handleFileSelect={handleFileSelect}
                     startRecording={startRecording}
+                    onOpenPoll={setShowPollModal}
                     isRecording={isRecording}
                     recordingDuration={recordingDuration}
                     stopRecording={stopRecording}
@@ -755,9 +846,9 @@ const Chat = () => {
                     setPreviewTime={setPreviewTime}
                     previewDuration={previewDuration}
                     setPreviewDuration={setPreviewDuration}
-                    selectedImage={selectedImage}
+                    selectedFile={selectedFile}
                     imagePreview={imagePreview}
-                    setSelectedImage={setSelectedImage}
+                    setSelectedFile={setSelectedFile}
                     setImagePreview={setImagePreview}
                     replyTo={replyTo}
                     setReplyTo={setReplyTo}
@@ -769,6 +860,16 @@ const Chat = () => {
             </div>
 
             <ReactionDetailsModal isOpen={!!viewReactionMessage} onClose={() => setViewReactionMessage(null)} message={viewReactionMessage} />
+            {reportingMessage && (
+                <Suspense fallback={null}>
+                    <ReportModal targetType="message" targetId={reportingMessage._id} onClose={() => setReportingMessage(null)} />
+                </Suspense>
+            )}
+            {showPollModal && (
+                <Suspense fallback={null}>
+                    <CreatePollModal isOpen onClose={() => setShowPollModal(false)} onSubmit={handleCreatePoll} />
+                </Suspense>
+            )}
             <ChatInfoSidebar data={targetUser} isGroup={false} isOpen={showChatInfo} onClose={() => setShowChatInfo(false)} messages={messages} onMessagesClear={handleMessagesClear} />
         </div>
     );
@@ -840,11 +941,11 @@ const TypingIndicator = ({ isTyping, targetUser }) => (
 const ChatInputArea = memo((props) => {
     const {
         newMessage, setNewMessage, sendMessage, isChatDisabled, isConnected, isBlockedByMe, targetUserId,
-        navigate, showEmoji, setShowEmoji, onEmojiClick, fileInputRef, handleImageSelect,
-        startRecording, isRecording, recordingDuration, stopRecording, cancelRecording,
+        navigate, showEmoji, setShowEmoji, onEmojiClick, fileInputRef, attachmentInputRef, handleFileSelect,
+        startRecording, onOpenPoll, isRecording, recordingDuration, stopRecording, cancelRecording,
         audioBlob, audioUrl, isPlayingPreview, setIsPlayingPreview, audioPreviewRef,
         previewTime, setPreviewTime, previewDuration, setPreviewDuration,
-        selectedImage, imagePreview, setSelectedImage, setImagePreview,
+        selectedFile, imagePreview, setSelectedFile, setImagePreview,
         replyTo, setReplyTo, editingMessage, cancelEdit, t, formatDuration
     } = props;
 
@@ -857,7 +958,7 @@ const ChatInputArea = memo((props) => {
                         <div className="flex items-center justify-between bg-main p-3 rounded-t-xl border-b border-adaptive mb-2">
                             <div className="overflow-hidden border-s-4 border-primary ps-2">
                                 <span className="text-primary text-xs font-bold block mb-1">{t("chat.replyingTo")} {replyTo.sender?.full_name || t("stories.defaultUser")}</span>
-                                <span className="text-muted text-xs truncate block">{replyTo.message_type === 'image' ? t("messages.photo") : replyTo.message_type === 'audio' ? t("messages.voice") : replyTo.text}</span>
+                                <span className="text-muted text-xs truncate block">{replyTo.message_type === 'image' ? t("messages.photo") : replyTo.message_type === 'audio' ? t("messages.voice") : replyTo.message_type === 'video' ? t("messages.video") : replyTo.message_type === 'file' ? `${t("messages.file")} ${replyTo.attachment?.name || ""}` : replyTo.text}</span>
                             </div>
                             <button onClick={() => setReplyTo(null)} className="p-1 hover:bg-surface rounded-full transition text-muted hover:text-content"><X size={16} /></button>
                         </div>
@@ -865,13 +966,20 @@ const ChatInputArea = memo((props) => {
                 )}
             </AnimatePresence>
 
-            {/* Image Preview */}
+            {/* Attachment Preview */}
             <AnimatePresence>
                 {imagePreview && (
                     <motion.div initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }} className="flex items-center gap-3 bg-main p-3 rounded-xl mb-3 border border-adaptive shadow-sm">
                         <img src={imagePreview} alt="preview" className="w-12 h-12 rounded-xl object-cover" />
                         <div className="flex-1"><p className="text-content text-sm font-medium">{t("chat.imageSelected")}</p><p className="text-muted text-xs">{t("chat.readyToSend")}</p></div>
-                        <button onClick={() => { setSelectedImage(null); setImagePreview(null); }} className="p-2 bg-red-500/10 hover:bg-red-500 text-red-500 hover:text-white rounded-xl transition"><Trash2 size={18} /></button>
+                        <button onClick={() => { setSelectedFile(null); setImagePreview(null); }} className="p-2 bg-red-500/10 hover:bg-red-500 text-red-500 hover:text-white rounded-xl transition"><Trash2 size={18} /></button>
+                    </motion.div>
+                )}
+                {selectedFile && !imagePreview && (
+                    <motion.div initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }} className="flex items-center gap-3 bg-main p-3 rounded-xl mb-3 border border-adaptive shadow-sm">
+                        <div className="w-12 h-12 rounded-xl bg-primary/10 text-primary flex items-center justify-center shrink-0"><FileText size={22} /></div>
+                        <div className="flex-1 min-w-0"><p className="text-content text-sm font-medium truncate">{selectedFile.name}</p><p className="text-muted text-xs">{formatFileSize(selectedFile.size)} · {t("chat.readyToSend")}</p></div>
+                        <button onClick={() => setSelectedFile(null)} className="p-2 bg-red-500/10 hover:bg-red-500 text-red-500 hover:text-white rounded-xl transition"><Trash2 size={18} /></button>
                     </motion.div>
                 )}
             </AnimatePresence>
@@ -920,11 +1028,11 @@ const ChatInputArea = memo((props) => {
                                 <div className="w-full flex items-center px-1.5">
                                     <button type="button" onClick={() => setShowEmoji(!showEmoji)} className="p-2 text-muted hover:text-primary transition-colors hover:bg-surface rounded-full shrink-0"><Smile size={22} /></button>
                                     <input type="text" value={newMessage} onChange={setNewMessage} placeholder={replyTo ? t("chat.placeholderReply") : t("chat.placeholder")} className="w-full bg-transparent text-content px-2 py-2 focus:outline-none min-w-0 placeholder-muted/70" />
-                                    <div className="flex items-center gap-0.5 shrink-0"><input type="file" hidden ref={fileInputRef} accept="image/*" onChange={handleImageSelect} /><button type="button" onClick={() => fileInputRef.current.click()} className="p-2 text-muted hover:text-primary transition-colors hover:bg-surface rounded-full"><ImageIcon size={22} /></button><button type="button" onClick={startRecording} className="p-2 text-muted hover:text-primary transition-colors hover:bg-surface rounded-full"><Mic size={22} /></button></div>
+                                    <div className="flex items-center gap-0.5 shrink-0"><input type="file" hidden ref={fileInputRef} accept="image/*" onChange={handleFileSelect} /><button type="button" onClick={() => fileInputRef.current.click()} className="p-2 text-muted hover:text-primary transition-colors hover:bg-surface rounded-full"><ImageIcon size={22} /></button><input type="file" hidden ref={attachmentInputRef} accept={FILE_ACCEPT} onChange={handleFileSelect} /><button type="button" onClick={() => attachmentInputRef.current.click()} title={t("chat.attachFile")} className="p-2 text-muted hover:text-primary transition-colors hover:bg-surface rounded-full"><Paperclip size={22} /></button><button type="button" onClick={() => onOpenPoll(true)} title={t("polls.createTitle")} className="p-2 text-muted hover:text-primary transition-colors hover:bg-surface rounded-full"><BarChart2 size={22} /></button><button type="button" onClick={startRecording} className="p-2 text-muted hover:text-primary transition-colors hover:bg-surface rounded-full"><Mic size={22} /></button></div>
                                 </div>
                             )}
                         </div>
-                        <button type="submit" disabled={!newMessage.trim() && !selectedImage && !audioBlob} className={`p-3.5 rounded-full flex items-center justify-center shrink-0 transition-all duration-300 shadow-md ${(newMessage.trim() || selectedImage || audioBlob) ? "bg-primary text-white hover:scale-105 hover:bg-primary/90 hover:shadow-lg hover:shadow-primary/30 cursor-pointer" : "bg-surface text-muted border border-adaptive cursor-not-allowed"}`}>{editingMessage ? <Check size={20} /> : <Send size={20} strokeWidth={2.5} className={`rtl:rotate-270 ${newMessage.trim() ? "ms-0.5" : ""}`} />}</button>
+                        <button type="submit" disabled={!newMessage.trim() && !selectedFile && !audioBlob} className={`p-3.5 rounded-full flex items-center justify-center shrink-0 transition-all duration-300 shadow-md ${(newMessage.trim() || selectedFile || audioBlob) ? "bg-primary text-white hover:scale-105 hover:bg-primary/90 hover:shadow-lg hover:shadow-primary/30 cursor-pointer" : "bg-surface text-muted border border-adaptive cursor-not-allowed"}`}>{editingMessage ? <Check size={20} /> : <Send size={20} strokeWidth={2.5} className={`rtl:rotate-270 ${newMessage.trim() ? "ms-0.5" : ""}`} />}</button>
                     </form>
                 </>
             )}
@@ -3,6 +3,7 @@
  * ------------------------------------------------------------------
  * A production-grade component for creating posts with text and media.
  * Features drag-and-drop, lazy-loaded emoji picker, and optimized image handling.
+ * A post carries either up to 5 images or a single video (checked here, re-validated by the server).
  */
 
 import React, { useState, useEffect, useRef, useCallback, memo, lazy, Suspense } from "react";
@@ -14,18 +15,39 @@ import { motion, AnimatePresence } from "framer-motion";
 import { useTranslation } from "react-i18next"; // 🟢
 
 // --- Third Party Icons ---
-import { Image, Smile, X, Loader2, UploadCloud, PenTool } from "lucide-react";
+import { Image, Smile, X, Loader2, UploadCloud, PenTool, Film } from "lucide-react";
 
 // --- API & State Management ---
 import api from "../lib/axios";
 import { fetchUser } from "../features/userSlice";
+import useMentionAutocomplete from "../hooks/useMentionAutocomplete";
 
 // --- Local Components ---
 import UserAvatar from "../components/common/UserDefaultAvatar";
+import MentionSuggestions from "../components/common/MentionSuggestions";
 
 // --- Lazy Loading ---
 const EmojiPicker = lazy(() => import('emoji-picker-react'));
 
+// --- Media Limits (mirrors server/media/contexts.js) ---
+const MAX_IMAGES = 5;
+const VIDEO_MAX_MB = 50;
+const VIDEO_MAX_DURATION_SEC = 180;
+const VIDEO_TYPES = ["video/mp4", "video/quicktime", "video/webm"];
+
+/**
+ * Reads a local video's duration (seconds) without uploading it.
+ * Resolves null when the browser can't decode it (the server still probes it).
+ */
+const readVideoDuration = (file) => new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const probe = document.createElement("video");
+    probe.preload = "metadata";
+    probe.onloadedmetadata = () => { URL.revokeObjectURL(url); resolve(probe.duration); };
+    probe.onerror = () => { URL.revokeObjectURL(url); resolve(null); };
+    probe.src = url;
+});
+
 // =========================================================
 // --- Sub-Components (Optimized) ---
 // =========================================================
@@ -96,7 +118,43 @@ const ImagePreviewList = memo(({ images, onRemove }) => {
 });
 
 /**
- * 3. User Info Section
+ * 3. Video Preview
+ */
+const VideoPreview = memo(({ file, onRemove, t }) => {
+    const [previewUrl, setPreviewUrl] = useState(null);
+
+    useEffect(() => {
+        if (!file) return;
+        const url = URL.createObjectURL(file);
+        setPreviewUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [file]);
+
+    if (!file) return null;
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="relative mt-4 mb-4 rounded-xl overflow-hidden border border-adaptive bg-black"
+        >
+            {previewUrl && (
+                <video src={previewUrl} controls playsInline muted className="w-full max-h-[400px] object-contain" />
+            )}
+            <button
+                onClick={onRemove}
+                className="absolute top-2 end-2 bg-red-500 hover:bg-red-600 p-1.5 rounded-full text-white transition-all transform hover:scale-110 shadow-lg"
+                title={t("createPost.removeVideo")}
+                type="button"
+            >
+                <X size={14} />
+            </button>
+        </motion.div>
+    );
+});
+
+/**
+ * 4. User Info Section
  */
 const UserInfoSection = memo(({ user, isLoading, t }) => { // 🟢 Receive t
     if (isLoading && !user) {
@@ -133,15 +191,20 @@ const CreatePost = () => {
     const { getToken } = useAuth();
     const { currentUser, status } = useSelector((state) => state.user);
     const fileInputRef = useRef(null);
+    const videoInputRef = useRef(null);
     const { t } = useTranslation(); // 🟢
 
     // --- Local State ---
     const [content, setContent] = useState("");
     const [images, setImages] = useState([]);
+    const [video, setVideo] = useState(null);
     const [loading, setLoading] = useState(false);
     const [showEmoji, setShowEmoji] = useState(false);
     const [isDragging, setIsDragging] = useState(false);
 
+    // "@username" picker
+    const mention = useMentionAutocomplete({ value: content, onChange: setContent, excludeId: currentUser?._id });
+
     // --- Effects ---
     useEffect(() => {
         const loadUser = async () => {
@@ -163,13 +226,49 @@ const CreatePost = () => {
         setContent(prev => prev + emojiObject.emoji);
     }, []);
 
-    const handleImageChange = useCallback((e) => {
-        if (e.target.files) {
-            const filesArray = Array.from(e.target.files);
-            setImages((prev) => [...prev, ...filesArray]);
+    const addImages = useCallback((files) => {
+        if (files.length === 0) return;
+        if (video) {
+            toast.error(t("createPost.imagesOrVideo"));
+            return;
+        }
+        setImages((prev) => {
+            if (prev.length + files.length > MAX_IMAGES) toast.error(t("createPost.maxImages", { count: MAX_IMAGES }));
+            return [...prev, ...files].slice(0, MAX_IMAGES);
+        });
+    }, [video, t]);
+
+    const selectVideo = useCallback(async (file) => {
+        if (images.length > 0) {
+            toast.error(t("createPost.imagesOrVideo"));
+            return;
+        }
+        if (!VIDEO_TYPES.includes(file.type)) {
+            toast.error(t("createPost.videoType"));
+            return;
         }
+        if (file.size > VIDEO_MAX_MB * 1024 * 1024) {
+            toast.error(t("createPost.videoTooLarge", { size: VIDEO_MAX_MB }));
+            return;
+        }
+        const duration = await readVideoDuration(file);
+        if (duration && duration > VIDEO_MAX_DURATION_SEC) {
+            toast.error(t("createPost.videoTooLong", { minutes: VIDEO_MAX_DURATION_SEC / 60 }));
+            return;
+        }
+        setVideo(file);
+    }, [images.length, t]);
+
+    const handleImageChange = useCallback((e) => {
+        if (e.target.files) addImages(Array.from(e.target.files));
         if (e.target) e.target.value = '';
-    }, []);
+    }, [addImages]);
+
+    const handleVideoChange = useCallback((e) => {
+        const file = e.target.files?.[0];
+        if (file) selectVideo(file);
+        if (e.target) e.target.value = '';
+    }, [selectVideo]);
 
     const handleRemoveImage = useCallback((index) => {
         setImages(prev => prev.filter((_, i) => i !== index));
@@ -190,14 +289,16 @@ const CreatePost = () => {
         e.preventDefault();
         setIsDragging(false);
         if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-            const filesArray = Array.from(e.dataTransfer.files).filter(file => file.type.startsWith('image/'));
-            setImages(prev => [...prev, ...filesArray]);
+            const files = Array.from(e.dataTransfer.files);
+            const droppedVideo = files.find(file => file.type.startsWith('video/'));
+            if (droppedVideo) selectVideo(droppedVideo);
+            else addImages(files.filter(file => file.type.startsWith('image/')));
         }
-    }, []);
+    }, [addImages, selectVideo]);
 
     // Submission Handler
     const handleSubmit = async () => {
-        if (content.trim() === "" && images.length === 0) {
+        if (content.trim() === "" && images.length === 0 && !video) {
             toast.error(t("createPost.emptyError")); // 🟢
             return;
         }
@@ -205,11 +306,11 @@ const CreatePost = () => {
         setLoading(true);
 
         const publishPromise = async () => {
-            const postType = images.length && content.trim() !== "" ? "text_with_image" : images.length ? "image" : "text";
+            // The post type is derived by the server from the attached media
             const formData = new FormData();
             formData.append("content", content);
-            formData.append("post_type", postType);
             images.forEach((image) => formData.append("images", image));
+            if (video) formData.append("video", video);
 
             const token = await getToken();
             const { data } = await api.post("/post/add", formData, {
@@ -226,7 +327,7 @@ const CreatePost = () => {
                 navigate("/");
                 return t("createPost.success"); // 🟢
             },
-            error: t("createPost.error"), // 🟢
+            error: (err) => err.response?.data?.message || t("createPost.error"), // 🟢
         }).finally(() => {
             setLoading(false);
         });
@@ -263,13 +364,24 @@ const CreatePost = () => {
                         className="w-full min-h-[150px] bg-transparent text-lg text-content placeholder-muted/60 outline-none resize-none p-2 leading-relaxed"
                         placeholder={t("createPost.placeholder")} // 🟢
                         value={content}
-                        onChange={(e) => setContent(e.target.value)}
+                        onChange={(e) => { setContent(e.target.value); mention.handleInputChange(e); }}
+                        onKeyDown={mention.handleKeyDown}
+                        onBlur={mention.close}
                         disabled={loading}
                         autoFocus
                     />
+                    {mention.isOpen && (
+                        <MentionSuggestions
+                            suggestions={mention.suggestions}
+                            activeIndex={mention.activeIndex}
+                            onSelect={mention.selectUser}
+                            className="mb-3 max-w-sm"
+                        />
+                    )}
 
-                    {/* Image Previews */}
+                    {/* Media Previews */}
                     <ImagePreviewList images={images} onRemove={handleRemoveImage} />
+                    <VideoPreview file={video} onRemove={() => setVideo(null)} t={t} />
 
                     {/* Drag & Drop Zone */}
                     <div
@@ -282,7 +394,7 @@ const CreatePost = () => {
                                 ? "border-primary bg-primary/5 scale-[1.01]"
                                 : "border-adaptive hover:border-primary/50 hover:bg-main"
                             }
-                            ${images.length > 0 ? "py-6" : "py-12"}`
+                            ${images.length > 0 || video ? "py-6" : "py-12"}`
                         }
                     >
                         <input
@@ -293,6 +405,13 @@ const CreatePost = () => {
                             accept="image/*"
                             onChange={handleImageChange}
                         />
+                        <input
+                            type="file"
+                            ref={videoInputRef}
+                            hidden
+                            accept={VIDEO_TYPES.join(",")}
+                            onChange={handleVideoChange}
+                        />
 
                         <div className={`p-4 rounded-full bg-main mb-3 transition-colors ${isDragging ? "bg-primary/10" : "group-hover:bg-surface"}`}>
                             <UploadCloud className={`w-8 h-8 transition-colors ${isDragging ? "text-primary" : "text-muted group-hover:text-primary"}`} />
@@ -316,6 +435,17 @@ const CreatePost = () => {
                                 <Image size={24} />
                             </button>
 
+                            {/* Video Button */}
+                            <button
+                                onClick={() => videoInputRef.current?.click()}
+                                className="p-2.5 text-primary hover:bg-primary/10 rounded-xl transition-colors border border-transparent hover:border-primary/20"
+                                title={t("createPost.addVideo")}
+                                type="button"
+                                disabled={loading}
+                            >
+                                <Film size={24} />
+                            </button>
+
                             {/* Emoji Button */}
                             <div className="relative">
                                 <button
@@ -380,7 +510,7 @@ const CreatePost = () => {
                             </span>
                             <button
                                 onClick={handleSubmit}
-                                disabled={loading || (!content.trim() && images.length === 0)}
+                                disabled={loading || (!content.trim() && images.length === 0 && !video)}
                                 className="bg-primary hover:opacity-90 text-white font-bold py-2.5 px-8 rounded-xl transition-all hover:scale-105 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 shadow-lg shadow-primary/25"
                                 type="button"
                             >
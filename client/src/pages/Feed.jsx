@@ -2,7 +2,7 @@ import { useEffect, useState, useCallback, useMemo } from "react";
 import { useOutletContext } from "react-router-dom";
 import { useAuth } from "@clerk/clerk-react";
 import toast from "react-hot-toast";
-import { Feather } from "lucide-react";
+import { Feather, Loader2 } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useTranslation } from "react-i18next"; // 🟢
 
@@ -15,6 +15,9 @@ import Footer from "../components/common/Footer";
 
 // --- Libs/Utils ---
 import api from "../lib/axios";
+import useInfiniteScroll from "../hooks/useInfiniteScroll";
+
+const PAGE_SIZE = 10;
 
 /**
  * EmptyFeedState Component
@@ -51,6 +54,8 @@ const Feed = () => {
 
     const [feeds, setFeeds] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
 
     // --- Handlers ---
 
@@ -62,6 +67,7 @@ const Feed = () => {
         try {
             setLoading(true);
             setFeeds([]);
+            setNextCursor(null);
 
             const token = await getToken();
 
@@ -69,14 +75,14 @@ const Feed = () => {
                 headers: { Authorization: `Bearer ${token}` },
                 params: {
                     type: feedType === "following" ? "following" : "for-you",
-                    page: 1,
-                    limit: 10
+                    limit: PAGE_SIZE
                 },
                 signal
             });
 
             if (!signal.aborted && data.success) {
                 setFeeds(data.posts);
+                setNextCursor(data.nextCursor);
                 setLoading(false);
             }
 
@@ -89,6 +95,39 @@ const Feed = () => {
         }
     }, [feedType, getToken, t]);
 
+    /**
+     * Appends the next page. The cursor pins the page boundary (and, for "For You",
+     * the ranking session), so posts published meanwhile don't duplicate or skip items.
+     */
+    const fetchMoreFeeds = useCallback(async (cursor) => {
+        if (loadingMore) return;
+        try {
+            setLoadingMore(true);
+            const token = await getToken();
+
+            const { data } = await api.get("/post/feed", {
+                headers: { Authorization: `Bearer ${token}` },
+                params: {
+                    type: feedType === "following" ? "following" : "for-you",
+                    limit: PAGE_SIZE,
+                    cursor
+                }
+            });
+
+            if (data.success) {
+                setFeeds(prev => [...prev, ...data.posts.filter(p => !prev.some(existing => existing._id === p._id))]);
+                setNextCursor(data.nextCursor);
+            }
+        } catch (error) {
+            console.error("Feed Error:", error);
+            toast.error(t("feed.loadError"));
+        } finally {
+            setLoadingMore(false);
+        }
+    }, [feedType, getToken, loadingMore, t]);
+
+    const loadMoreRef = useInfiniteScroll(fetchMoreFeeds, nextCursor, loading || loadingMore);
+
     /**
      * Optimistic UI: Removes deleted post immediately.
      */
@@ -154,6 +193,13 @@ const Feed = () => {
                                 </AnimatePresence>
                             )}
 
+                            {/* Infinite Scroll Sentinel */}
+                            {!loading && nextCursor && (
+                                <div ref={loadMoreRef} className="flex justify-center py-4">
+                                    {loadingMore && <Loader2 className="animate-spin text-primary w-6 h-6" />}
+                                </div>
+                            )}
+
                             {!loading && feeds.length === 0 && (
                                 <EmptyFeedState feedType={feedType} t={t} /> // 🟢 Pass t
                             )}
@@ -35,8 +35,8 @@ import { AnimatePresence, motion } from "framer-motion";
 // Icons
 import {
     Send, Image as ImageIcon, Mic, ArrowLeft, MoreVertical, BarChart2,
-    X, Smile, Trash2, StopCircle, Pause, Play, ShieldAlert, Loader2, Lock, Check,
-    Sparkles, Bot, Plus
+    X, Smile, Trash2, StopCircle, Pause, Play, ShieldAlert, Loader2, Lock, Check, Megaphone,
+    Sparkles, Bot, Plus, Paperclip, FileText, ArrowDown
 } from "lucide-react";
 
 // Context & API
@@ -44,16 +44,25 @@ import { useSocketContext } from "../context/SocketContext";
 import api from "../lib/axios";
 import useInfiniteScroll from "../hooks/useInfiniteScroll";
 import useOfflineSync from "../hooks/useOfflineSync";
+import useMentionAutocomplete from "../hooks/useMentionAutocomplete";
+import useMessageJump from "../hooks/useMessageJump";
+import usePollActions from "../hooks/usePollActions";
+import usePinnedMessages from "../hooks/usePinnedMessages";
+import { FILE_ACCEPT, attachmentKind, exceededLimitMb, formatFileSize } from "../utils/attachments";
+import { mergePollUpdate } from "../utils/polls";
 
 // Components
 import Loading from "../components/common/Loading";
 import ChatInfoSidebar from "../components/chat/ChatInfoSidebar";
 import ReactionDetailsModal from "../components/modals/ReactionDetailsModal";
 import MessageItem from "../components/chat/MessageItem";
+import PinnedMessagesBar from "../components/chat/PinnedMessagesBar";
 import CreatePollModal from "../components/modals/CreatePollModal";
+import MentionSuggestions from "../components/common/MentionSuggestions";
 
 // Lazy Load
 const EmojiPicker = lazy(() => import('emoji-picker-react'));
+const ReportModal = lazy(() => import("../components/modals/ReportModal"));
 
 // --- Sub-Components (Defined below main for cleaner file structure) ---
 // const ChatHeader = ...
@@ -75,26 +84,32 @@ const GroupChat = () => {
     // Core Data
     const [messages, setMessages] = useState([]);
     const [groupInfo, setGroupInfo] = useState(null);
+    const [myAccess, setMyAccess] = useState({ role: null, permissions: [] }); // From the server's role matrix
     const [loading, setLoading] = useState(true);
     const [membershipStatus, setMembershipStatus] = useState("loading");
 
     // Interaction States
     const [newMessage, setNewMessage] = useState("");
     const [replyTo, setReplyTo] = useState(null);
-    const [highlightedId, setHighlightedId] = useState(null);
     const [showChatInfo, setShowChatInfo] = useState(false);
     const [showEmoji, setShowEmoji] = useState(false);
     const [typingUser, setTypingUser] = useState(null);
     const [isTyping, setIsTyping] = useState(false);
     const [isChatLocked, setIsChatLocked] = useState(false);
-    const [page, setPage] = useState(1);
-    const [hasMore, setHasMore] = useState(true);
+    const [nextCursor, setNextCursor] = useState(null); // Older messages (null = start of history)
     const [isFetchingOld, setIsFetchingOld] = useState(false);
     const [showPollModal, setShowPollModal] = useState(false);
 
     // Mobile Layout State
     const [showAttachments, setShowAttachments] = useState(false);
 
+    // "@username" picker (only accepted members can be mentioned)
+    const mentionCandidates = useMemo(
+        () => groupInfo?.members?.filter(m => m.status === "accepted" && m.user).map(m => m.user) || [],
+        [groupInfo]
+    );
+    const mention = useMentionAutocomplete({ value: newMessage, onChange: setNewMessage, members: mentionCandidates, excludeId: currentUser?._id });
+
     // AI Summarization State
     const [isSummarizing, setIsSummarizing] = useState(false);
     const [summaryText, setSummaryText] = useState(null);
@@ -105,7 +120,7 @@ const GroupChat = () => {
     const [syncTrigger, setSyncTrigger] = useState(0);
 
     // Media & Recording States
-    const [selectedImage, setSelectedImage] = useState(null);
+    const [selectedFile, setSelectedFile] = useState(null);
     const [imagePreview, setImagePreview] = useState(null);
     const [isRecording, setIsRecording] = useState(false);
     const [mediaRecorder, setMediaRecorder] = useState(null);
@@ -119,11 +134,13 @@ const GroupChat = () => {
     // Reaction States
     const [activeReactionId, setActiveReactionId] = useState(null);
     const [viewReactionMessage, setViewReactionMessage] = useState(null);
+    const [reportingMessage, setReportingMessage] = useState(null);
 
     // --- Refs ---
     const messagesEndRef = useRef(null);
     const messageRefs = useRef({});
     const fileInputRef = useRef(null);
+    const attachmentInputRef = useRef(null);
     const typingTimeoutRef = useRef(null);
     const timerRef = useRef(null);
     const audioPreviewRef = useRef(null);
@@ -163,16 +180,21 @@ const GroupChat = () => {
     };
 
     // --- Logic: Callbacks & Handlers ---
-    const scrollToMessage = useCallback((messageId) => {
-        const element = messageRefs.current[messageId];
-        if (element) {
-            element.scrollIntoView({ behavior: "smooth", block: "center" });
-            setHighlightedId(messageId);
-            setTimeout(() => setHighlightedId(null), 1000);
-        } else {
-            toast(t("groupChat.toasts.messageNotLoaded"), { icon: "🔍" });
-        }
-    }, [t]);
+    // Jump to quoted messages, loading the history around them when needed
+    const handleJumpNotFound = useCallback(() => toast(t("groupChat.toasts.messageUnavailable"), { icon: "🔍" }), [t]);
+    const {
+        jumpToMessage: scrollToMessage, jumpToLatest, highlightedId, isDetached, detachedRef,
+        isJumping, isFetchingNewer, newestMsgRef, consumePendingScroll
+    } = useMessageJump({
+        basePath: `/group/messages/${groupId}`,
+        itemsKey: "messages",
+        getToken,
+        setMessages,
+        setNextCursor,
+        messageRefs,
+        messagesEndRef,
+        onNotFound: handleJumpNotFound,
+    });
 
     const handleReaction = useCallback(async (msgId, emoji) => {
         setActiveReactionId(null);
@@ -213,6 +235,7 @@ const GroupChat = () => {
     const handleSetReplyTo = useCallback((msg) => setReplyTo(msg), []);
     const handleSetActiveReactionId = useCallback((id) => setActiveReactionId(prev => prev === id ? null : id), []);
     const handleSetViewReactionMessage = useCallback((msg) => setViewReactionMessage(msg), []);
+    const handleReportMessage = useCallback((msg) => setReportingMessage(msg), []);
 
     const getReadStatus = useCallback((msg) => {
         if (!groupInfo || !groupInfo.members) return "delivered";
@@ -225,15 +248,15 @@ const GroupChat = () => {
         return uniqueReaders.size >= targetAudienceCount ? "read" : "delivered";
     }, [groupInfo, currentUser]);
 
-    const fetchMoreMessages = useCallback(async () => {
-        if (!hasMore || isFetchingOld) return;
+    const fetchMoreMessages = useCallback(async (cursor) => {
+        if (!cursor || isFetchingOld) return;
         if (scrollContainerRef.current) prevScrollHeightRef.current = scrollContainerRef.current.scrollHeight;
         setIsFetchingOld(true);
         try {
             const token = await getToken();
-            const nextPage = page + 1;
-            const res = await api.get(`/group/messages/${groupId}?page=${nextPage}&limit=20`, {
-                headers: { Authorization: `Bearer ${token}` }
+            const res = await api.get(`/group/messages/${groupId}`, {
+                headers: { Authorization: `Bearer ${token}` },
+                params: { cursor, limit: 20 }
             });
 
             if (res.data.success) {
@@ -242,17 +265,16 @@ const GroupChat = () => {
                     const uniqueNewMessages = res.data.messages.filter(msg => !existingIds.has(msg._id));
                     return [...uniqueNewMessages, ...prev];
                 });
-                setHasMore(res.data.hasMore);
-                setPage(nextPage);
+                setNextCursor(res.data.nextCursor);
             }
         } catch (error) {
             console.error("Failed to load older messages", error);
         } finally {
             setIsFetchingOld(false);
         }
-    }, [page, hasMore, isFetchingOld, groupId, getToken]);
+    }, [isFetchingOld, groupId, getToken]);
 
-    const lastMsgRef = useInfiniteScroll(fetchMoreMessages, hasMore, isFetchingOld);
+    const lastMsgRef = useInfiniteScroll(fetchMoreMessages, nextCursor, isFetchingOld);
 
     const handleDeleteMessage = useCallback(async (messageId) => {
         setMessages(prev => prev.map(msg => msg._id === messageId ? { ...msg, isDeleted: true } : msg));
@@ -276,33 +298,15 @@ const GroupChat = () => {
         setNewMessage("");
     };
 
-    const handleVote = useCallback(async (messageId, optionIndex) => {
-        setMessages(prev => prev.map(msg => {
-            if (msg._id === messageId) {
-                const newPoll = { ...msg.poll };
-                const userIdStr = currentUser._id;
-                const targetOption = newPoll.options[optionIndex];
-                const alreadyVoted = targetOption.votes.includes(userIdStr);
-                if (alreadyVoted) {
-                    targetOption.votes = targetOption.votes.filter(id => id !== userIdStr);
-                } else {
-                    if (!newPoll.allowMultipleAnswers) {
-                        newPoll.options.forEach(opt => { opt.votes = opt.votes.filter(id => id !== userIdStr); });
-                    }
-                    targetOption.votes.push(userIdStr);
-                }
-                return { ...msg, poll: newPoll };
-            }
-            return msg;
-        }));
-        try {
-            const token = await getToken();
-            await api.put("/group/poll/vote", { messageId, optionIndex }, { headers: { Authorization: `Bearer ${token}` } });
-        } catch (error) {
-            console.error("Vote failed");
-            toast.error("Failed to vote");
-        }
-    }, [currentUser, getToken]);
+    const pollActions = usePollActions({ basePath: "/group/poll", getToken, setMessages, userId: currentUser?._id, t });
+
+    // Pinned bar (pins are loaded once membership is confirmed)
+    const { pinned, pinnedIds, togglePin, applyPin, applyUnpin, applyEdit } = usePinnedMessages({
+        listPath: membershipStatus === "accepted" ? `/group/messages/${groupId}/pinned` : null,
+        basePath: "/group/message",
+        getToken,
+        t
+    });
 
     const handleCreatePoll = async (pollData) => {
         try {
@@ -311,13 +315,14 @@ const GroupChat = () => {
                 headers: { Authorization: `Bearer ${token}` }
             });
             if (res.data.success) {
-                setMessages(prev => [...prev, res.data.message]);
+                if (isDetached) await jumpToLatest(); // The newest page already holds the poll
+                else setMessages(prev => [...prev, res.data.message]);
                 setShowPollModal(false);
                 setTimeout(() => messagesEndRef.current?.scrollIntoView({ behavior: "smooth" }), 100);
             }
         } catch (error) {
             console.error("Create poll failed", error);
-            toast.error("Failed to create poll");
+            toast.error(error.response?.data?.message || t("polls.createFailed"));
         }
     };
 
@@ -329,6 +334,7 @@ const GroupChat = () => {
                 const groupRes = await api.get(`/group/${groupId}`, { headers: { Authorization: `Bearer ${token}` } });
                 const groupData = groupRes.data.group;
                 setGroupInfo(groupData);
+                setMyAccess({ role: groupRes.data.myRole, permissions: groupRes.data.permissions || [] });
                 setIsChatLocked(groupData.isChatLocked);
 
                 const myMemberRecord = groupData.members.find(m => m.user._id === currentUser._id || m.user === currentUser._id);
@@ -341,7 +347,7 @@ const GroupChat = () => {
                     setMembershipStatus("pending");
                 } else {
                     setMembershipStatus("accepted");
-                    const msgRes = await api.get(`/group/messages/${groupId}?page=1&limit=20`, { headers: { Authorization: `Bearer ${token}` } });
+                    const msgRes = await api.get(`/group/messages/${groupId}?limit=20`, { headers: { Authorization: `Bearer ${token}` } });
                     let loadedMessages = msgRes.data.messages || [];
 
                     const offlineQueue = JSON.parse(localStorage.getItem('offlineQueue') || '[]');
@@ -360,8 +366,7 @@ const GroupChat = () => {
                         }));
 
                     setMessages([...loadedMessages, ...pendingForThisGroup]);
-                    setHasMore(msgRes.data.hasMore);
-                    setPage(1);
+                    setNextCursor(msgRes.data.nextCursor);
                     try { await api.put(`/group/read/${groupId}`, {}, { headers: { Authorization: `Bearer ${token}` } }); } catch (e) { }
                 }
             } catch (err) {
@@ -376,6 +381,18 @@ const GroupChat = () => {
 
     useEffect(() => { groupIdRef.current = groupId; }, [groupId]);
 
+    // Roles changed (promote/demote/ownership): reload members and my permissions
+    const refreshGroupDetails = useCallback(async () => {
+        try {
+            const token = await getToken();
+            const { data } = await api.get(`/group/${groupId}`, { headers: { Authorization: `Bearer ${token}` } });
+            setGroupInfo(data.group);
+            setMyAccess({ role: data.myRole, permissions: data.permissions || [] });
+        } catch (error) {
+            console.error("Failed to refresh group details", error);
+        }
+    }, [groupId, getToken]);
+
     useEffect(() => {
         if (!socket) return;
         socket.emit("joinGroup", groupId);
@@ -383,8 +400,10 @@ const GroupChat = () => {
             const currentGroupId = groupIdRef.current;
             const isCurrentGroup = (msg.group === currentGroupId || msg.groupId === currentGroupId);
             const isMe = String(msg.sender?._id) === String(currentUser?._id) || String(msg.sender?.clerkId) === String(userId);
-            if (isCurrentGroup && !isMe) {
-                setMessages((prev) => prev.some(m => m._id === msg._id) ? prev : [...prev, msg]);
+            // System messages (e.g. a poll's final results) can carry my id without coming from this device
+            if (isCurrentGroup && (!isMe || msg.message_type === "system")) {
+                // Viewing older history: it arrives with the newer pages instead (no gap in the list)
+                if (!detachedRef.current) setMessages((prev) => prev.some(m => m._id === msg._id) ? prev : [...prev, msg]);
                 try {
                     const token = await getToken();
                     await api.put(`/group/read/${groupId}`, {}, { headers: { Authorization: `Bearer ${token}` } });
@@ -399,7 +418,15 @@ const GroupChat = () => {
             if (gId === groupIdRef.current) setMessages(prev => prev.map(msg => msg._id === messageId ? { ...msg, isDeleted: true, text: "", media_url: null } : msg));
         };
         const handleUpdate = ({ messageId, groupId: gId, newText }) => {
-            if (gId === groupIdRef.current) setMessages(prev => prev.map(msg => msg._id === messageId ? { ...msg, text: newText, isEdited: true } : msg));
+            if (gId !== groupIdRef.current) return;
+            setMessages(prev => prev.map(msg => msg._id === messageId ? { ...msg, text: newText, isEdited: true } : msg));
+            applyEdit(messageId, newText);
+        };
+        const handlePinned = ({ groupId: gId, pinned: pin }) => {
+            if (gId === groupIdRef.current) applyPin(pin);
+        };
+        const handleUnpinned = ({ groupId: gId, messageId }) => {
+            if (gId === groupIdRef.current) applyUnpin(messageId);
         };
 
         socket.on("receiveGroupMessage", handleNewMessage);
@@ -407,12 +434,19 @@ const GroupChat = () => {
         socket.on("groupMessagesRead", handleReadStatusUpdate);
         socket.on("groupMessageDeleted", handleDelete);
         socket.on("groupMessageUpdated", handleUpdate);
+        socket.on("groupMessagePinned", handlePinned);
+        socket.on("groupMessageUnpinned", handleUnpinned);
         socket.on("typingGroup", (data) => setTypingUser(data));
         socket.on("stop typingGroup", () => setTypingUser(null));
-        socket.on("groupUpdated", ({ groupId: gId, isChatLocked: locked }) => {
-            if (gId === groupIdRef.current) { setIsChatLocked(locked); setGroupInfo(prev => ({ ...prev, isChatLocked: locked })); }
+        socket.on("groupUpdated", ({ groupId: gId, ...changes }) => {
+            if (gId !== groupIdRef.current) return;
+            if ("isChatLocked" in changes) setIsChatLocked(changes.isChatLocked);
+            setGroupInfo(prev => ({ ...prev, ...changes })); // Lock state, announcement-only mode or edited settings
+        });
+        socket.on("pollUpdated", ({ messageId, poll }) => setMessages(prev => prev.map(msg => msg._id === messageId ? { ...msg, poll: mergePollUpdate(msg.poll, poll) } : msg)));
+        socket.on("groupRolesUpdated", ({ groupId: gId }) => {
+            if (gId === groupIdRef.current) refreshGroupDetails();
         });
-        socket.on("pollUpdated", ({ messageId, poll }) => setMessages(prev => prev.map(msg => msg._id === messageId ? { ...msg, poll } : msg)));
 
         return () => {
             socket.off("receiveGroupMessage", handleNewMessage);
@@ -420,12 +454,15 @@ const GroupChat = () => {
             socket.off("groupMessagesRead", handleReadStatusUpdate);
             socket.off("groupMessageDeleted", handleDelete);
             socket.off("groupMessageUpdated", handleUpdate);
+            socket.off("groupMessagePinned", handlePinned);
+            socket.off("groupMessageUnpinned", handleUnpinned);
             socket.off("typingGroup");
             socket.off("stop typingGroup");
             socket.off("groupUpdated");
             socket.off("pollUpdated");
+            socket.off("groupRolesUpdated");
         };
-    }, [socket, groupId, userId, currentUser, getToken]);
+    }, [socket, groupId, userId, currentUser, getToken, detachedRef, refreshGroupDetails, applyPin, applyUnpin, applyEdit]);
 
     useEffect(() => {
         const handleSyncComplete = () => setSyncTrigger(prev => prev + 1);
@@ -435,17 +472,18 @@ const GroupChat = () => {
 
     useLayoutEffect(() => {
         if (loading) return;
+        if (consumePendingScroll()) { isFirstLoad.current = false; return; }
         if (prevScrollHeightRef.current && scrollContainerRef.current) {
             const heightDifference = scrollContainerRef.current.scrollHeight - prevScrollHeightRef.current;
             scrollContainerRef.current.scrollTop += heightDifference;
             prevScrollHeightRef.current = null;
             return;
         }
-        if (messages.length > 0) {
+        if (messages.length > 0 && !isDetached) {
             isFirstLoad.current ? messagesEndRef.current?.scrollIntoView({ behavior: "auto" }) : messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
             isFirstLoad.current = false;
         }
-    }, [messages, loading]);
+    }, [messages, loading, isDetached, consumePendingScroll]);
 
     useEffect(() => {
         let animationFrame;
@@ -467,15 +505,22 @@ const GroupChat = () => {
         const s = Math.floor(sec % 60);
         return `${min}:${s < 10 ? "0" : ""}${s}`;
     };
-    const clearImage = () => {
+    const clearAttachment = () => {
         if (imagePreview) URL.revokeObjectURL(imagePreview); // Explicit Cleanup
-        setSelectedImage(null);
+        setSelectedFile(null);
         setImagePreview(null);
         if (fileInputRef.current) fileInputRef.current.value = "";
+        if (attachmentInputRef.current) attachmentInputRef.current.value = "";
     };
-    const handleImageSelect = (e) => {
+    const handleFileSelect = (e) => {
         const file = e.target.files[0];
-        if (file) { setSelectedImage(file); setImagePreview(URL.createObjectURL(file)); }
+        if (!file) return;
+        const limitMb = exceededLimitMb(file);
+        if (limitMb) { toast.error(t("chat.toasts.fileTooLarge", { size: limitMb })); e.target.value = ""; return; }
+        if (imagePreview) URL.revokeObjectURL(imagePreview);
+        setSelectedFile(file);
+        // Only images get an inline preview; other attachments show as a file chip
+        setImagePreview(attachmentKind(file) === "image" ? URL.createObjectURL(file) : null);
     };
     const handleEmojiClick = (emojiObject) => setNewMessage((prev) => prev + emojiObject.emoji);
 
@@ -531,20 +576,23 @@ const GroupChat = () => {
             return;
         }
 
-        if (!newMessage.trim() && !selectedImage && !audioBlob) return;
+        if (!newMessage.trim() && !selectedFile && !audioBlob) return;
+        // Sending from older history: return to the present first so the message lands in place
+        if (isDetached) await jumpToLatest();
         const tempId = Date.now();
         const tempMessage = {
             _id: tempId, text: newMessage, sender: { clerkId: userId, _id: currentUser._id },
-            message_type: selectedImage ? "image" : audioBlob ? "audio" : "text",
-            media_url: selectedImage ? imagePreview : audioBlob ? audioUrl : "",
+            message_type: selectedFile ? attachmentKind(selectedFile) : audioBlob ? "audio" : "text",
+            media_url: selectedFile ? imagePreview || "" : audioBlob ? audioUrl : "",
+            attachment: selectedFile ? { name: selectedFile.name, size: selectedFile.size, mime_type: selectedFile.type } : null,
             replyTo: replyTo, readBy: [currentUser._id], createdAt: new Date().toISOString(), status: navigator.onLine ? "sending" : "pending", isSending: true
         };
         if (scrollContainerRef.current) setTimeout(() => { messagesEndRef.current?.scrollIntoView({ behavior: "smooth" }); }, 50);
         setMessages((prev) => [...prev, tempMessage]);
-        setNewMessage(""); setReplyTo(null); clearImage(); setShowEmoji(false); setAudioBlob(null); setAudioUrl(null); setRecordingDuration(0); setShowAttachments(false);
+        setNewMessage(""); setReplyTo(null); clearAttachment(); setShowEmoji(false); setAudioBlob(null); setAudioUrl(null); setRecordingDuration(0); setShowAttachments(false);
 
         if (!navigator.onLine) {
-            if (selectedImage || audioBlob) { toast.error("Media cannot be sent offline yet"); setMessages((prev) => prev.filter(msg => msg._id !== tempId)); return; }
+            if (selectedFile || audioBlob) { toast.error("Media cannot be sent offline yet"); setMessages((prev) => prev.filter(msg => msg._id !== tempId)); return; }
             addToQueue("/group/send", { groupId: groupId, text: tempMessage.text, replyTo: replyTo?._id });
             return;
         }
@@ -555,20 +603,20 @@ const GroupChat = () => {
             formData.append("groupId", groupId);
             if (tempMessage.text) formData.append("text", tempMessage.text);
             if (replyTo) formData.append("replyTo", replyTo._id);
-            if (selectedImage) formData.append("file", selectedImage);
+            if (selectedFile) formData.append("file", selectedFile);
             if (audioBlob) { const audioFile = new File([audioBlob], "voice-message.webm", { type: "audio/webm" }); formData.append("file", audioFile); }
             const res = await api.post(`/group/send`, formData, { headers: { Authorization: `Bearer ${token}`, "Content-Type": "multipart/form-data" } });
             setMessages((prev) => prev.map((msg) => msg._id === tempId ? { ...res.data.data, status: "sent" } : msg));
         } catch (error) {
             console.error("Send Error:", error);
             if (error.code === "ERR_NETWORK" || error.message === "Network Error") {
-                if (!selectedImage && !audioBlob) {
+                if (!selectedFile && !audioBlob) {
                     addToQueue("/group/send", { groupId: groupId, text: tempMessage.text, replyTo: replyTo?._id });
                     setMessages(prev => prev.map(msg => msg._id === tempId ? { ...msg, status: "pending", isSending: false } : msg));
                     return;
                 }
             }
-            toast.error(t("chat.toasts.sendFailed"));
+            toast.error(error.response?.data?.message || t("chat.toasts.sendFailed"));
             setMessages((prev) => prev.filter((msg) => msg._id !== tempId));
         }
     };
@@ -588,7 +636,10 @@ const GroupChat = () => {
     }
 
     if (membershipStatus === "none") return null;
-    const amIAdmin = groupInfo?.owner?._id === currentUser?._id || groupInfo?.owner === currentUser?._id;
+    const canPostWhenLocked = myAccess.permissions.includes("post_when_locked");
+    const isAnnouncementOnly = Boolean(groupInfo?.isAnnouncementOnly);
+    const canPostAnnouncements = myAccess.permissions.includes("post_announcements");
+    const canPin = myAccess.permissions.includes("pin_messages");
 
     // --- Main Render ---
     return (
@@ -605,8 +656,11 @@ const GroupChat = () => {
                     setShowChatInfo={setShowChatInfo}
                 />
 
+                {/* Pinned Messages */}
+                <PinnedMessagesBar pinned={pinned} onJump={scrollToMessage} onTogglePin={canPin ? togglePin : null} t={t} />
+
                 {/* Messages List */}
-                <div ref={scrollContainerRef} className="flex-1 overflow-y-auto px-4 pt-24 pb-4 space-y-6 scrollbar-hide bg-main relative">
+                <div ref={scrollContainerRef} className={`flex-1 overflow-y-auto px-4 ${pinned.length ? "pt-36" : "pt-24"} pb-4 space-y-6 scrollbar-hide bg-main relative`}>
                     <MessageList
                         messages={messages}
                         isFetchingOld={isFetchingOld}
@@ -628,11 +682,17 @@ const GroupChat = () => {
 
                         onEdit={handleEditMessage}
                         onDelete={handleDeleteMessage}
-                        onVote={handleVote}
+                        onReport={handleReportMessage}
+                        pollActions={pollActions}
+                        canModerate={myAccess.permissions.includes("delete_messages")}
+                        pinnedIds={pinnedIds}
+                        onTogglePin={canPin ? togglePin : null}
 
                         messageRefs={messageRefs}
                         messagesEndRef={messagesEndRef}
                         lastMsgRef={lastMsgRef}
+                        newestMsgRef={newestMsgRef}
+                        isFetchingNewer={isFetchingNewer}
                     />
 
                     {/* Typing Indicator */}
@@ -668,16 +728,31 @@ const GroupChat = () => {
                     <div ref={messagesEndRef} />
                 </div>
 
+                {/* Back to Latest (after jumping into older history) */}
+                {isDetached && (
+                    <button
+                        onClick={jumpToLatest}
+                        disabled={isJumping}
+                        className="absolute bottom-24 end-4 z-30 flex items-center gap-1.5 px-3 py-2 rounded-full bg-surface border border-adaptive shadow-lg text-xs font-bold text-primary hover:bg-main transition"
+                    >
+                        {isJumping ? <Loader2 size={14} className="animate-spin" /> : <ArrowDown size={14} />}
+                        {t("chat.jumpToLatest")}
+                    </button>
+                )}
+
                 {/* Input Area */}
                 <ChatInputArea
+                    mention={mention}
                     isChatLocked={isChatLocked}
-                    amIAdmin={amIAdmin}
+                    canPostWhenLocked={canPostWhenLocked}
+                    isAnnouncementOnly={isAnnouncementOnly}
+                    canPostAnnouncements={canPostAnnouncements}
                     t={t}
                     showEmoji={showEmoji}
                     setShowEmoji={setShowEmoji}
                     handleEmojiClick={handleEmojiClick}
                     imagePreview={imagePreview}
-                    clearImage={clearImage}
+                    clearAttachment={clearAttachment}
                     replyTo={replyTo}
                     setReplyTo={setReplyTo}
                     editingMessage={editingMessage}
@@ -702,7 +777,9 @@ const GroupChat = () => {
                     showAttachments={showAttachments}
                     setShowAttachments={setShowAttachments}
                     fileInputRef={fileInputRef}
-                    handleImageSelect={handleImageSelect}
+                    attachmentInputRef={attachmentInputRef}
+                    selectedFile={selectedFile}
+                    handleFileSelect={handleFileSelect}
                     startRecording={startRecording}
                     setShowPollModal={setShowPollModal}
                 />
@@ -710,7 +787,12 @@ const GroupChat = () => {
 
             {/* Modals & Sidebar */}
             <ReactionDetailsModal isOpen={!!viewReactionMessage} onClose={() => setViewReactionMessage(null)} message={viewReactionMessage} />
-            <ChatInfoSidebar data={groupInfo} isGroup={true} isOpen={showChatInfo} onClose={() => setShowChatInfo(false)} messages={messages} />
+            {reportingMessage && (
+                <Suspense fallback={null}>
+                    <ReportModal targetType="group_message" targetId={reportingMessage._id} onClose={() => setReportingMessage(null)} />
+                </Suspense>
+            )}
+            <ChatInfoSidebar data={groupInfo} isGroup={true} myRole={myAccess.role} permissions={myAccess.permissions} isOpen={showChatInfo} onClose={() => setShowChatInfo(false)} messages={messages} />
             <CreatePollModal isOpen={showPollModal} onClose={() => setShowPollModal(false)} onSubmit={handleCreatePoll} />
 
             <AISummaryModal
@@ -746,17 +828,19 @@ const ChatHeader = React.memo(({ groupInfo, t, navigate, handleSummarizeChat, is
     </div>
 ));
 
-const MessageList = React.memo(({ messages, isFetchingOld, messageRefs, lastMsgRef, ...props }) => (
+const MessageList = React.memo(({ messages, isFetchingOld, isFetchingNewer, messageRefs, lastMsgRef, newestMsgRef, pinnedIds, ...props }) => (
     <>
         {isFetchingOld && (<div className="flex justify-center py-2"><Loader2 className="animate-spin text-primary w-6 h-6" /></div>)}
         {messages.map((msg, idx) => {
             const isFirstMessage = idx === 0;
+            const isLastMessage = idx === messages.length - 1;
             return (
-                <div key={msg._id || idx} ref={(el) => { messageRefs.current[String(msg._id)] = el; if (isFirstMessage) lastMsgRef(el); }}>
-                    <MessageItem msg={msg} userId={String(props.currentUser?._id)} {...props} />
+                <div key={msg._id || idx} ref={(el) => { messageRefs.current[String(msg._id)] = el; if (isFirstMessage) lastMsgRef(el); if (isLastMessage) newestMsgRef(el); }}>
+                    <MessageItem msg={msg} userId={String(props.currentUser?._id)} isPinned={pinnedIds.has(String(msg._id))} {...props} />
                 </div>
             );
         })}
+        {isFetchingNewer && (<div className="flex justify-center py-2"><Loader2 className="animate-spin text-primary w-6 h-6" /></div>)}
     </>
 ));
 
@@ -789,16 +873,27 @@ const AISummaryModal = React.memo(({ showSummaryModal, setShowSummaryModal, summ
 
 const ChatInputArea = React.memo((props) => {
     const {
-        isChatLocked, amIAdmin, t, showEmoji, setShowEmoji, handleEmojiClick,
-        imagePreview, clearImage, replyTo, setReplyTo, editingMessage, cancelEdit,
+        isChatLocked, canPostWhenLocked, isAnnouncementOnly, canPostAnnouncements, t, showEmoji, setShowEmoji, handleEmojiClick,
+        imagePreview, clearAttachment, replyTo, setReplyTo, editingMessage, cancelEdit,
         isRecording, audioBlob, recordingDuration, formatDuration, audioPreviewRef, audioUrl,
         isPlayingPreview, setIsPlayingPreview, previewDurationState, setPreviewDurationState,
         previewTime, setPreviewTime, cancelRecording, stopRecording, sendMessageToBackend,
         newMessage, handleInputChange, showAttachments, setShowAttachments, fileInputRef,
-        handleImageSelect, startRecording, setShowPollModal
+        attachmentInputRef, selectedFile, handleFileSelect, startRecording, setShowPollModal, mention
     } = props;
 
-    if (isChatLocked && !amIAdmin) {
+    if (isAnnouncementOnly && !canPostAnnouncements) {
+        return (
+            <div className="bg-surface p-4 border-adaptive shrink-0 z-30">
+                <div className="flex flex-col items-center justify-center py-4 bg-main/50 rounded-2xl border-dashed border-adaptive mx-4 animate-in fade-in">
+                    <div className="bg-surface p-3 rounded-full mb-2 shadow-sm"><Megaphone size={20} className="text-primary" /></div>
+                    <p className="text-sm font-bold text-muted">{t("groupChat.announcementOnlyMsg")}</p>
+                </div>
+            </div>
+        );
+    }
+
+    if (isChatLocked && !canPostWhenLocked) {
         return (
             <div className="bg-surface p-4 border-adaptive shrink-0 z-30">
                 <div className="flex flex-col items-center justify-center py-4 bg-main/50 rounded-2xl border-dashed border-adaptive mx-4 animate-in fade-in">
@@ -823,13 +918,20 @@ const ChatInputArea = React.memo((props) => {
                 </div>
             )}
 
-            {/* Previews (Image/Reply/Edit) */}
+            {/* Previews (Attachment/Reply/Edit) */}
             <AnimatePresence>
                 {imagePreview && (
                     <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 10 }} className="flex items-center gap-3 bg-main p-3 rounded-xl mb-3 border-adaptive">
                         <img src={imagePreview} alt="preview" className="w-12 h-12 rounded-sg object-cover" />
                         <div className="flex-1"><p className="text-content text-sm font-medium">{t("chat.imageSelected")}</p><p className="text-muted text-xs">{t("chat.readyToSend")}</p></div>
-                        <button onClick={clearImage} className="p-2 bg-red-500/10 hover:bg-red-500 text-red-500 hover:text-white rounded-full transition"><Trash2 size={18} /></button>
+                        <button onClick={clearAttachment} className="p-2 bg-red-500/10 hover:bg-red-500 text-red-500 hover:text-white rounded-full transition"><Trash2 size={18} /></button>
+                    </motion.div>
+                )}
+                {selectedFile && !imagePreview && (
+                    <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 10 }} className="flex items-center gap-3 bg-main p-3 rounded-xl mb-3 border-adaptive">
+                        <div className="w-12 h-12 rounded-xl bg-primary/10 text-primary flex items-center justify-center shrink-0"><FileText size={22} /></div>
+                        <div className="flex-1 min-w-0"><p className="text-content text-sm font-medium truncate">{selectedFile.name}</p><p className="text-muted text-xs">{formatFileSize(selectedFile.size)} · {t("chat.readyToSend")}</p></div>
+                        <button onClick={clearAttachment} className="p-2 bg-red-500/10 hover:bg-red-500 text-red-500 hover:text-white rounded-full transition"><Trash2 size={18} /></button>
                     </motion.div>
                 )}
                 {replyTo && (
@@ -872,22 +974,32 @@ const ChatInputArea = React.memo((props) => {
                     {isRecording ? (<button onClick={stopRecording} className="p-3 bg-red-500/10 text-red-500 hover:bg-red-500 hover:text-white rounded-full transition"><StopCircle size={24} /></button>) : (<button onClick={(e) => sendMessageToBackend(e)} className="p-3 bg-primary hover:opacity-90 text-white rounded-full transition shadow-md hover:scale-105"><Send size={20} className="ms-0.5 rtl:rotate-270" /></button>)}
                 </div>
             ) : (
-                <form onSubmit={(e) => sendMessageToBackend(e)} className="flex items-center gap-2 md:gap-3 max-w-5xl mx-auto">
+                <form onSubmit={(e) => sendMessageToBackend(e)} className="relative flex items-center gap-2 md:gap-3 max-w-5xl mx-auto">
+                    {mention.isOpen && (
+                        <MentionSuggestions
+                            suggestions={mention.suggestions}
+                            activeIndex={mention.activeIndex}
+                            onSelect={mention.selectUser}
+                            className="absolute bottom-full mb-2 start-0 w-72"
+                        />
+                    )}
                     <div className="flex-1 bg-main rounded-3xl flex items-center px-2 py-1.5 border border-adaptive focus-within:border-primary/50 focus-within:ring-2 focus-within:ring-primary/20 transition-all shadow-sm">
                         <button type="button" onClick={() => setShowEmoji(!showEmoji)} className={`p-2 rounded-full transition ${showEmoji ? "text-yellow-500 bg-surface" : "text-muted hover:text-content hover:bg-surface"}`}><Smile size={20} /></button>
-                        <input type="text" value={newMessage} onChange={handleInputChange} placeholder={replyTo ? t("chat.placeholderReply") : t("chat.placeholder")} className="w-full flex-1 bg-transparent text-content placeholder-muted px-2 py-2 focus:outline-none border-none min-w-0" />
+                        <input type="text" value={newMessage} onChange={(e) => { handleInputChange(e); mention.handleInputChange(e); }} onKeyDown={mention.handleKeyDown} onBlur={mention.close} placeholder={replyTo ? t("chat.placeholderReply") : t("chat.placeholder")} className="w-full flex-1 bg-transparent text-content placeholder-muted px-2 py-2 focus:outline-none border-none min-w-0" />
 
                         <div className="flex items-center gap-1 pe-1">
                             <button type="button" onClick={() => setShowAttachments(!showAttachments)} className="md:hidden p-2 text-muted hover:text-content rounded-full transition"><Plus size={20} className={`transition-transform duration-300 ${showAttachments ? "rotate-45" : ""}`} /></button>
                             <div className={`${showAttachments ? "flex animate-in slide-in-from-right-5 fade-in duration-300" : "hidden"} md:flex items-center gap-1 absolute md:static bottom-14 md:bottom-auto left-6 md:right-auto bg-surface md:bg-transparent p-2 md:p-0 rounded-full md:rounded-none shadow-xl md:shadow-none border md:border-none border-adaptive z-50`}>
-                                <input type="file" hidden ref={fileInputRef} accept="image/*" onChange={handleImageSelect} />
+                                <input type="file" hidden ref={fileInputRef} accept="image/*" onChange={handleFileSelect} />
                                 <button type="button" onClick={() => { fileInputRef.current.click(); setShowAttachments(false); }} className={`p-2 rounded-full transition ${imagePreview ? "text-primary bg-primary/10" : "text-muted hover:text-content hover:bg-surface"}`}><ImageIcon size={20} /></button>
+                                <input type="file" hidden ref={attachmentInputRef} accept={FILE_ACCEPT} onChange={handleFileSelect} />
+                                <button type="button" onClick={() => { attachmentInputRef.current.click(); setShowAttachments(false); }} title={t("chat.attachFile")} className={`p-2 rounded-full transition ${selectedFile && !imagePreview ? "text-primary bg-primary/10" : "text-muted hover:text-content hover:bg-surface"}`}><Paperclip size={20} /></button>
                                 <button type="button" onClick={() => { startRecording(); setShowAttachments(false); }} className="p-2 text-muted hover:text-content hover:bg-surface rounded-full transition"><Mic size={20} /></button>
                                 <button type="button" onClick={() => { setShowPollModal(true); setShowAttachments(false); }} className="p-2 text-muted hover:text-content hover:bg-surface rounded-full transition"><BarChart2 size={20} /></button>
                             </div>
                         </div>
                     </div>
-                    <button type="submit" disabled={!newMessage.trim() && !imagePreview && !audioBlob} className={`p-3 md:p-3.5 rounded-full flex items-center justify-center shrink-0 transition-all duration-300 ${(newMessage.trim() || imagePreview || audioBlob) ? "bg-primary text-white shadow-lg hover:scale-105 hover:bg-primary/80 hover:shadow-xl cursor-pointer" : "bg-primary/50 text-white/50 cursor-not-allowed"}`}>
+                    <button type="submit" disabled={!newMessage.trim() && !selectedFile && !audioBlob} className={`p-3 md:p-3.5 rounded-full flex items-center justify-center shrink-0 transition-all duration-300 ${(newMessage.trim() || selectedFile || audioBlob) ? "bg-primary text-white shadow-lg hover:scale-105 hover:bg-primary/80 hover:shadow-xl cursor-pointer" : "bg-primary/50 text-white/50 cursor-not-allowed"}`}>
                         {editingMessage ? <Check size={20} /> : <Send size={20} strokeWidth={2.5} className="rtl:rotate-270" />}
                     </button>
                 </form>
@@ -78,7 +78,11 @@ const RequestCard = memo(({ request, onResponse, t }) => { // 🟢 Receive t
                         {user.full_name}
                     </h3>
                     <p className="text-sm text-primary font-medium">@{user.username}</p>
-                    <p className="text-xs text-muted mt-1">{t("groupRequests.wantsToJoin")}</p> {/* 🟢 */}
+                    <p className="text-xs text-muted mt-1">
+                        {request.invitedBy
+                            ? t("groupRequests.invitedBy", { name: request.invitedBy.full_name })
+                            : t("groupRequests.wantsToJoin")} {/* 🟢 */}
+                    </p>
                 </div>
             </div>
 
@@ -0,0 +1,172 @@
+import { useEffect, useState, useCallback, useMemo } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { useAuth } from "@clerk/clerk-react";
+import toast from "react-hot-toast";
+import { ArrowLeft, Hash, Loader2 } from "lucide-react";
+import { useTranslation } from "react-i18next";
+
+// --- Components ---
+import PostCard from "../components/feed/PostCard";
+import PostSkeleton from "../components/skeletons/PostSkeleton";
+
+// --- Libs/Utils ---
+import api from "../lib/axios";
+import { normalizeHashtag } from "../utils/hashtags";
+
+const PAGE_SIZE = 10;
+
+/**
+ * Hashtag Component
+ * ------------------------------------------------------------------
+ * Posts tagged with a hashtag (newest first), reached from post content or Search.
+ * Same visibility rules as the "For You" feed (blocks, private accounts).
+ */
+const Hashtag = () => {
+    const { tag: rawTag } = useParams();
+    const tag = useMemo(() => normalizeHashtag(rawTag), [rawTag]);
+    const { getToken } = useAuth();
+    const navigate = useNavigate();
+    const { t } = useTranslation();
+
+    // --- State ---
+    const [posts, setPosts] = useState([]);
+    const [totalPosts, setTotalPosts] = useState(0);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    // --- Handlers ---
+
+    const fetchPage = useCallback(async (cursor, signal) => {
+        const token = await getToken();
+        const { data } = await api.get(`/post/tag/${encodeURIComponent(tag)}`, {
+            headers: { Authorization: `Bearer ${token}` },
+            params: { cursor, limit: PAGE_SIZE },
+            signal
+        });
+        return data;
+    }, [tag, getToken]);
+
+    const handleLoadMore = useCallback(async () => {
+        if (loadingMore || !nextCursor) return;
+        try {
+            setLoadingMore(true);
+            const data = await fetchPage(nextCursor);
+            if (data.success) {
+                setPosts(prev => [...prev, ...data.posts.filter(p => !prev.some(existing => existing._id === p._id))]);
+                setNextCursor(data.nextCursor);
+            }
+        } catch (error) {
+            console.error("Hashtag Error:", error);
+            toast.error(t("hashtag.loadError"));
+        } finally {
+            setLoadingMore(false);
+        }
+    }, [fetchPage, nextCursor, loadingMore, t]);
+
+    /**
+     * Optimistic UI: Removes deleted post immediately.
+     */
+    const handleDeletePost = useCallback((postId) => {
+        setPosts(prev => prev.filter(p => p._id !== postId));
+        setTotalPosts(prev => Math.max(prev - 1, 0));
+    }, []);
+
+    // --- Effects ---
+
+    useEffect(() => {
+        if (!tag) {
+            setLoading(false);
+            return;
+        }
+
+        const controller = new AbortController();
+
+        const loadFirstPage = async () => {
+            try {
+                setLoading(true);
+                setPosts([]);
+                const data = await fetchPage(undefined, controller.signal);
+                if (!controller.signal.aborted && data.success) {
+                    setPosts(data.posts);
+                    setTotalPosts(data.totalPosts);
+                    setNextCursor(data.nextCursor);
+                }
+            } catch (error) {
+                if (error.name !== "CanceledError") {
+                    console.error("Hashtag Error:", error);
+                    toast.error(t("hashtag.loadError"));
+                }
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        loadFirstPage();
+        return () => controller.abort();
+    }, [tag, fetchPage, t]);
+
+    // --- Memoized Helpers ---
+    const skeletonLoader = useMemo(() => [1, 2, 3].map((n) => <PostSkeleton key={n} />), []);
+
+    // --- Render ---
+
+    return (
+        <div className="min-h-screen bg-main text-content pt-6 px-2 sm:px-4 pb-20 transition-colors duration-300">
+            <div className="max-w-2xl mx-auto">
+
+                {/* Header */}
+                <header className="flex items-center gap-4 mb-6">
+                    <button
+                        onClick={() => navigate(-1)}
+                        aria-label="Back"
+                        className="p-2 hover:bg-surface rounded-full transition text-muted hover:text-content border border-transparent hover:border-adaptive rtl:scale-x-[-1]"
+                    >
+                        <ArrowLeft size={24} />
+                    </button>
+                    <div className="min-w-0">
+                        <h1 className="text-2xl font-bold text-content truncate" dir="auto">#{tag || rawTag}</h1>
+                        <p className="text-muted text-sm font-medium">
+                            {loading ? t("hashtag.loading") : t("hashtag.postsCount", { count: totalPosts })}
+                        </p>
+                    </div>
+                </header>
+
+                <div className="space-y-5 min-h-[500px]">
+                    {loading && <div className="space-y-5">{skeletonLoader}</div>}
+
+                    {!loading && posts.map((post, index) => (
+                        <div key={post._id} className="animate-in fade-in slide-in-from-bottom-2">
+                            <PostCard post={post} priority={index < 3} onDelete={handleDeletePost} />
+                        </div>
+                    ))}
+
+                    {!loading && posts.length === 0 && (
+                        <div className="flex flex-col items-center justify-center py-20 text-center bg-surface rounded-3xl border border-adaptive border-dashed shadow-sm animate-in fade-in">
+                            <div className="p-4 bg-main rounded-full mb-4">
+                                <Hash size={32} className="text-primary opacity-50" />
+                            </div>
+                            <h3 className="text-lg font-bold text-content">{t("hashtag.emptyTitle")}</h3>
+                            <p className="text-muted text-sm mt-1">{t("hashtag.emptyDesc", { tag: tag || rawTag })}</p>
+                        </div>
+                    )}
+
+                    {!loading && nextCursor && (
+                        <div className="flex justify-center pt-2">
+                            <button
+                                onClick={handleLoadMore}
+                                disabled={loadingMore}
+                                className="flex items-center gap-2 px-5 py-2.5 rounded-full bg-surface border border-adaptive text-sm font-bold text-content hover:border-primary/40 hover:text-primary transition disabled:opacity-60"
+                            >
+                                {loadingMore && <Loader2 size={16} className="animate-spin" />}
+                                {t("hashtag.loadMore")}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Hashtag;
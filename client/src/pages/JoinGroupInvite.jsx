@@ -0,0 +1,159 @@
+/**
+ * JoinGroupInvite Page
+ * ------------------------------------------------------------------
+ * Landing page of a group invite link (`/groups/join/:token`).
+ * Features:
+ * - Previews the group (image, name, description, members) and who shared the link.
+ * - Joins in one click: straight into the chat when the link skips approval,
+ *   otherwise as a pending request.
+ * - Members are sent to the chat; dead links (revoked, expired, used up) get a clear message.
+ */
+
+import { useEffect, useState, useCallback } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { useAuth } from "@clerk/clerk-react";
+import toast from "react-hot-toast";
+import { useTranslation } from "react-i18next";
+
+// Icons
+import { Users, Loader2, Link2Off, Clock, MessageCircle, UserPlus } from "lucide-react";
+
+// API
+import api from "../lib/axios";
+
+// Components
+import Loading from "../components/common/Loading";
+
+const JoinGroupInvite = () => {
+    const { token } = useParams();
+    const { getToken } = useAuth();
+    const navigate = useNavigate();
+    const { t } = useTranslation();
+
+    const [preview, setPreview] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [isInvalid, setIsInvalid] = useState(false);
+    const [joining, setJoining] = useState(false);
+
+    // --- Fetch Preview ---
+    useEffect(() => {
+        const fetchPreview = async () => {
+            try {
+                const authToken = await getToken();
+                const { data } = await api.get(`/group/invite/${token}`, {
+                    headers: { Authorization: `Bearer ${authToken}` }
+                });
+                setPreview(data);
+            } catch (error) {
+                if (error.response?.status !== 404) console.error("Invite preview failed", error);
+                setIsInvalid(true);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchPreview();
+    }, [token, getToken]);
+
+    // --- Handlers ---
+    const handleJoin = useCallback(async () => {
+        setJoining(true);
+        try {
+            const authToken = await getToken();
+            const { data } = await api.post(`/group/invite/${token}/join`, {}, {
+                headers: { Authorization: `Bearer ${authToken}` }
+            });
+
+            if (data.status === "accepted") {
+                toast.success(t("joinInvite.joined"));
+                navigate(`/groups/${data.groupId}/chat`, { replace: true });
+            } else {
+                toast.success(t("availableGroups.toasts.requestSent"));
+                setPreview(prev => ({ ...prev, membership: "pending" }));
+            }
+        } catch (error) {
+            if (error.response?.status === 410) setIsInvalid(true);
+            toast.error(error.response?.data?.message || t("availableGroups.toasts.joinError"));
+        } finally {
+            setJoining(false);
+        }
+    }, [token, getToken, navigate, t]);
+
+    if (loading) return <Loading />;
+
+    // --- Invalid / Expired Link ---
+    if (isInvalid || !preview) {
+        return (
+            <div className="flex-1 min-h-screen bg-main flex items-center justify-center p-4">
+                <div className="bg-surface border border-adaptive rounded-3xl p-8 max-w-sm w-full text-center shadow-sm animate-in fade-in">
+                    <div className="w-20 h-20 bg-main rounded-full flex items-center justify-center mx-auto mb-5 border border-adaptive">
+                        <Link2Off size={36} className="text-muted" />
+                    </div>
+                    <h2 className="text-xl font-bold text-content mb-2">{t("joinInvite.invalidTitle")}</h2>
+                    <p className="text-sm text-muted mb-6">{t("joinInvite.invalidDesc")}</p>
+                    <button onClick={() => navigate("/groups/available")} className="px-6 py-2.5 bg-primary text-white rounded-xl font-bold hover:bg-primary/90 transition">
+                        {t("joinInvite.browseGroups")}
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    const { group, invite, membership } = preview;
+
+    return (
+        <div className="flex-1 min-h-screen bg-main flex items-center justify-center p-4">
+            <div className="bg-surface border border-adaptive rounded-3xl p-8 max-w-sm w-full text-center shadow-xl animate-in fade-in zoom-in-95 duration-300">
+                {invite.createdBy && (
+                    <p className="text-xs text-muted mb-5">
+                        {t("joinInvite.invitedBy", { name: invite.createdBy.full_name })}
+                    </p>
+                )}
+
+                <img
+                    src={group.group_image || "/group-placeholder.png"}
+                    alt={group.name}
+                    className="w-28 h-28 rounded-3xl object-cover mx-auto ring-4 ring-main shadow-lg bg-main mb-4"
+                />
+                <h2 className="text-2xl font-black text-content tracking-tight" dir="auto">{group.name}</h2>
+                <p className="text-sm text-muted flex items-center justify-center gap-1.5 mt-1">
+                    <Users size={14} className="text-primary" />
+                    {t("chatInfo.membersCount", { count: group.membersCount })}
+                </p>
+                {group.description && (
+                    <p className="text-sm text-content/80 mt-4 leading-relaxed line-clamp-4" dir="auto">{group.description}</p>
+                )}
+
+                <div className="mt-8">
+                    {membership === "member" ? (
+                        <button
+                            onClick={() => navigate(`/groups/${group._id}/chat`)}
+                            className="w-full py-3.5 rounded-xl font-bold flex items-center justify-center gap-2 bg-primary/10 text-primary hover:bg-primary/20 transition"
+                        >
+                            <MessageCircle size={18} /> {t("joinInvite.openChat")}
+                        </button>
+                    ) : membership === "pending" && !invite.skipApproval ? (
+                        <div className="w-full py-3.5 rounded-xl font-bold flex items-center justify-center gap-2 bg-main text-muted border border-adaptive">
+                            <Clock size={18} className="text-yellow-500" /> {t("availableGroups.requestSent")}
+                        </div>
+                    ) : (
+                        <button
+                            onClick={handleJoin}
+                            disabled={joining}
+                            className="w-full py-3.5 rounded-xl font-bold flex items-center justify-center gap-2 bg-linear-to-r from-primary to-primary/80 hover:opacity-90 text-white shadow-md shadow-primary/20 active:scale-95 transition disabled:opacity-70"
+                        >
+                            {joining ? <Loader2 size={20} className="animate-spin" /> : <UserPlus size={18} />}
+                            {invite.skipApproval ? t("joinInvite.joinBtn") : t("availableGroups.requestBtn")}
+                        </button>
+                    )}
+
+                    {!invite.skipApproval && membership !== "member" && (
+                        <p className="text-[11px] text-muted mt-3">{t("joinInvite.needsApproval")}</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default JoinGroupInvite;
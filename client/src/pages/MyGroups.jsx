@@ -91,6 +91,8 @@ const GroupCard = React.memo(({ group, userId, currentUser, navigate, t }) => {
     }, [group.members, userId, currentUser]);
 
     const isPending = myMemberRecord?.status === 'pending';
+    // Join requests are handled by the owner, admins and moderators
+    const canReviewRequests = isOwner || (myMemberRecord?.status === 'accepted' && ["admin", "moderator"].includes(myMemberRecord.role));
 
     const handleCardClick = () => {
         if (isPending) return;
@@ -181,7 +183,7 @@ const GroupCard = React.memo(({ group, userId, currentUser, navigate, t }) => {
                     )}
                 </button>
 
-                {isOwner && (
+                {canReviewRequests && (
                     <button
                         onClick={handleSettingsClick}
                         className="w-14 flex items-center justify-center bg-main hover:bg-surface text-muted hover:text-primary rounded-xl transition-all border border-adaptive hover:border-primary/30 relative shadow-sm group/settings"
@@ -21,11 +21,14 @@ import {
     Trash2,
     CheckCheck,
     CheckCircle2,
-    Loader2
+    Loader2,
+    FileArchive,
+    AtSign
 } from "lucide-react";
 
 // --- Local & 3rd Party Imports ---
 import api from "../lib/axios";
+import useInfiniteScroll from "../hooks/useInfiniteScroll";
 
 // --- Constants & Helpers ---
 
@@ -35,9 +38,11 @@ const getNotificationStyle = (type) => {
         case "comment": return { icon: MessageCircle, color: "text-blue-500", bg: "bg-blue-500/10" };
         case "reply": return { icon: Reply, color: "text-indigo-500", bg: "bg-indigo-500/10" };
         case "share": return { icon: Share2, color: "text-orange-500", bg: "bg-orange-500/10" };
+        case "mention": return { icon: AtSign, color: "text-sky-500", bg: "bg-sky-500/10" };
         case "follow": return { icon: UserPlus, color: "text-green-500", bg: "bg-green-500/10" };
         case "connection_accept": return { icon: CheckCheck, color: "text-emerald-500", bg: "bg-emerald-500/10" };
         case "follow_accept": return { icon: CheckCheck, color: "text-emerald-500", bg: "bg-emerald-500/10" };
+        case "data_export": return { icon: FileArchive, color: "text-primary", bg: "bg-primary/10" };
         default: return { icon: Bell, color: "text-muted", bg: "bg-surface" };
     }
 };
@@ -52,6 +57,11 @@ const NotificationItem = memo(({ notification, onRead, onDelete, onClick, t, cur
     const style = useMemo(() => getNotificationStyle(notification.type), [notification.type]);
     const Icon = style.icon;
 
+    // Mentions read differently depending on where the user was tagged
+    const typeKey = notification.type !== "mention"
+        ? notification.type
+        : notification.group ? "mention_group" : notification.commentId ? "mention_comment" : "mention";
+
     // Local handlers to stop propagation
     const handleRead = (e) => {
         e.stopPropagation();
@@ -98,15 +108,18 @@ const NotificationItem = memo(({ notification, onRead, onDelete, onClick, t, cur
             {/* Content */}
             <div className="flex-1 min-w-0 pt-0.5">
                 <p className={`text-sm leading-relaxed pe-8 ${!notification.read ? 'text-content font-semibold' : 'text-muted'}`}> {/* 🔵 pe-8 */}
-                    <span className="font-bold hover:underline text-content hover:text-primary transition-colors">
-                        {notification.sender?.full_name || t("stories.defaultUser")}
-                    </span>
+                    {/* System notices are about the user's own account: no actor name */}
+                    {notification.type !== "data_export" && (
+                        <span className="font-bold hover:underline text-content hover:text-primary transition-colors">
+                            {notification.sender?.full_name || t("stories.defaultUser")}
+                        </span>
+                    )}
                     <span className="mx-1 font-medium opacity-90">
                         {/* 🟢 Dynamic Translation based on Type */}
-                        {t(`notifications.types.${notification.type}`)}
+                        {t(`notifications.types.${typeKey}`, { group: notification.group?.name })}
                     </span>
                 </p>
-                {(notification.type === "comment" || notification.type === "reply") && notification.commentId?.text && (
+                {["comment", "reply", "mention"].includes(notification.type) && notification.commentId?.text && (
                     <p className="mt-2 text-sm text-muted/90 italic border-s-2 border-primary/30 ps-3 line-clamp-1 bg-main/50 p-1.5 rounded-e-lg"> {/* 🔵 border-s-2 ps-3 */}
                         "{notification.commentId.text}"
                     </p>
@@ -161,6 +174,8 @@ const NotificationsPage = () => {
     const [notifications, setNotifications] = useState([]);
     const [activeTab, setActiveTab] = useState("all");
     const [loading, setLoading] = useState(true);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
 
     const { getToken } = useAuth();
     const navigate = useNavigate();
@@ -174,6 +189,7 @@ const NotificationsPage = () => {
         { key: "comment", label: t("notifications.tabs.comments") },
         { key: "reply", label: t("notifications.tabs.replies") },
         { key: "share", label: t("notifications.tabs.shares") },
+        { key: "mention", label: t("notifications.tabs.mentions") },
         { key: "follow", label: t("notifications.tabs.follows") },
     ], [t]);
 
@@ -190,6 +206,7 @@ const NotificationsPage = () => {
             });
             if (data.success) {
                 setNotifications(data.notifications);
+                setNextCursor(data.nextCursor);
             }
         } catch (error) {
             if (error.name !== "CanceledError") {
@@ -206,6 +223,29 @@ const NotificationsPage = () => {
         fetchNotifications();
     }, [fetchNotifications]);
 
+    // Older notifications (cursor pagination: new ones arriving meanwhile don't shift the pages)
+    const fetchMoreNotifications = useCallback(async (cursor) => {
+        if (loadingMore) return;
+        try {
+            setLoadingMore(true);
+            const token = await getToken();
+            const { data } = await api.get("/notifications", {
+                headers: { Authorization: `Bearer ${token}` },
+                params: { filter: "interactions", cursor }
+            });
+            if (data.success) {
+                setNotifications(prev => [...prev, ...data.notifications.filter(n => !prev.some(existing => existing._id === n._id))]);
+                setNextCursor(data.nextCursor);
+            }
+        } catch (error) {
+            console.error("Error fetching notifications:", error);
+        } finally {
+            setLoadingMore(false);
+        }
+    }, [getToken, loadingMore]);
+
+    const loadMoreRef = useInfiniteScroll(fetchMoreNotifications, nextCursor, loading || loadingMore);
+
     // --- Derived State (Memoized) ---
 
     const filteredNotifications = useMemo(() => {
@@ -301,7 +341,9 @@ const NotificationsPage = () => {
     const handleNotificationClick = useCallback((notif) => {
         if (!notif.read) handleMarkAsRead(notif._id);
 
-        if (notif.post) navigate(`/post/${notif.post._id}`);
+        if (notif.type === "data_export") navigate("/settings?tab=data");
+        else if (notif.group) navigate(`/groups/${notif.group._id}/chat`);
+        else if (notif.post) navigate(`/post/${notif.post._id}`);
         else if (notif.sender) navigate(`/profile/${notif.sender._id}`);
     }, [handleMarkAsRead, navigate]);
 
@@ -398,6 +440,13 @@ const NotificationsPage = () => {
                             <p className="text-muted text-sm mt-2 max-w-xs mx-auto">{t("notifications.emptyDesc")}</p> {/* 🟢 */}
                         </div>
                     )}
+
+                    {/* Infinite Scroll Sentinel */}
+                    {!loading && nextCursor && (
+                        <div ref={loadMoreRef} className="flex justify-center py-4">
+                            {loadingMore && <Loader2 className="animate-spin text-primary w-6 h-6" />}
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
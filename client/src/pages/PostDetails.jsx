@@ -32,6 +32,7 @@ import { buildCommentTree } from "../utils/buildCommentTree";
 
 // --- Components (Assumed Local) ---
 import CommentItem from "../components/feed/CommentItem";
+import PostVideo from "../components/feed/PostVideo";
 import UserAvatar from "../components/common/UserDefaultAvatar";
 import ShareModal from "../components/modals/ShareModal";
 import EditPostModal from "../components/modals/EditPostModal";
@@ -376,7 +377,7 @@ const ImageGallery = memo(({ images, initialIndex, onClose }) => {
  * Isolated discussion section to prevent re-rendering the post body
  * when only the comment tree changes.
  */
-const DiscussionSection = memo(({ commentsTree, commentsCount, currentUser, postOwnerId, onAddReply, onLike, onDelete, onEdit, t }) => (
+const DiscussionSection = memo(({ commentsTree, commentsCount, currentUser, postOwnerId, onAddReply, onLike, onDelete, onEdit, onReport, t }) => (
     <div className="space-y-6 pb-4">
         <h3 className="text-xs font-black text-muted uppercase tracking-[0.2em] ps-4 border-s-4 border-primary text-start">
             {t("postDetails.discussion", { count: commentsCount })}
@@ -401,6 +402,7 @@ const DiscussionSection = memo(({ commentsTree, commentsCount, currentUser, post
                         onLike={onLike}
                         onDelete={onDelete}
                         onEdit={onEdit}
+                        onReport={onReport}
                     />
                 ))}
             </div>
@@ -435,7 +437,7 @@ const PostDetails = () => {
     const [showInternalShareModal, setShowInternalShareModal] = useState(false);
     const [showOptionsMenu, setShowOptionsMenu] = useState(false);
     const [showEditModal, setShowEditModal] = useState(false);
-    const [showReportModal, setShowReportModal] = useState(false);
+    const [reportTarget, setReportTarget] = useState(null); // { type: "post" | "comment", id }
     const [isSaved, setIsSaved] = useState(false);
 
     // --- Derived ---
@@ -577,6 +579,10 @@ const PostDetails = () => {
         } catch (error) { toast.error(t("postDetails.toasts.updateCommentFailed")); }
     }, [getToken, t]);
 
+    const handleReportComment = useCallback((commentId) => {
+        setReportTarget({ type: "comment", id: commentId });
+    }, []);
+
     const handleLikeComment = useCallback(async (commentId) => {
         if (!currentUser) return toast.error(t("post.loginRequired"));
         const currentUserId = String(currentUser._id);
@@ -621,7 +627,7 @@ const PostDetails = () => {
                 onSave={handleSavePost}
                 onDelete={handleDeletePost}
                 onEdit={() => { setShowOptionsMenu(false); setShowEditModal(true); }}
-                onReport={() => { setShowOptionsMenu(false); setShowReportModal(true); }}
+                onReport={() => { setShowOptionsMenu(false); setReportTarget({ type: "post", id: post._id }); }}
                 t={t}
             />
 
@@ -650,6 +656,7 @@ const PostDetails = () => {
                         images={post?.image_urls}
                         onSelectImage={(index) => setSelectedImageIndex(index)}
                     />
+                    <PostVideo video={post?.video} priority className="mt-3 mb-5" />
 
                     <StatsBar
                         commentsCount={comments.length}
@@ -671,6 +678,7 @@ const PostDetails = () => {
                     onLike={handleLikeComment}
                     onDelete={handleDeleteComment}
                     onEdit={handleEditComment}
+                    onReport={handleReportComment}
                     t={t}
                 />
             </div>
@@ -705,10 +713,11 @@ const PostDetails = () => {
                 onSuccess={incrementShareCount}
             />
             <AnimatePresence>
-                {showReportModal && (
+                {reportTarget && (
                     <ReportModal
-                        postId={post._id}
-                        onClose={() => setShowReportModal(false)}
+                        targetType={reportTarget.type}
+                        targetId={reportTarget.id}
+                        onClose={() => setReportTarget(null)}
                     />
                 )}
             </AnimatePresence>
@@ -25,6 +25,7 @@ import {
     UserX,
     Bookmark,
     Loader2,
+    Flag,
 } from "lucide-react";
 
 // --- Local Imports ---
@@ -35,6 +36,7 @@ import UserAvatar from "../components/common/UserDefaultAvatar.jsx";
 
 // --- Lazy Load Modals ---
 const UpdateProfileModal = lazy(() => import("../components/modals/UpdateProfileModal.jsx"));
+const ReportModal = lazy(() => import("../components/modals/ReportModal.jsx"));
 
 // --- Utils ---
 const isSameId = (id1, id2) => {
@@ -86,6 +88,7 @@ const Profile = () => {
     const [actionLoading, setActionLoading] = useState(false);
     const [selectedImage, setSelectedImage] = useState(null);
     const [showConnectionMenu, setShowConnectionMenu] = useState(false);
+    const [showReport, setShowReport] = useState(false);
 
     const [savedPosts, setSavedPosts] = useState([]);
     const [savedLoading, setSavedLoading] = useState(false);
@@ -403,6 +406,7 @@ const Profile = () => {
                                         setShowConnectionMenu={setShowConnectionMenu}
                                         onEdit={handleEditProfile}
                                         onBlock={handleBlockToggle}
+                                        onReport={() => setShowReport(true)}
                                         onFollow={handleFollowToggle}
                                         onConnect={handleConnect}
                                         onAccept={handleAcceptRequest}
@@ -476,6 +480,9 @@ const Profile = () => {
             {/* 3. Modals */}
             <Suspense fallback={<div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center"><Loader2 className="animate-spin text-white" /></div>}>
                 {showEdit && <UpdateProfileModal setShowEdit={setShowEdit} />}
+                {showReport && (
+                    <ReportModal targetType="user" targetId={profileUser._id} onClose={() => setShowReport(false)} />
+                )}
             </Suspense>
 
             <ImageModal
@@ -573,6 +580,7 @@ const ProfileActions = memo(({
     setShowConnectionMenu,
     onEdit,
     onBlock,
+    onReport,
     onFollow,
     onConnect,
     onAccept,
@@ -687,6 +695,13 @@ const ProfileActions = memo(({
                 >
                     <ShieldAlert size={20} />
                 </button>
+                <button
+                    onClick={onReport}
+                    title={t("profile.actions.report")}
+                    className="p-3 bg-main border-adaptive text-muted hover:text-amber-500 hover:bg-amber-500/5 rounded-2xl border transition"
+                >
+                    <Flag size={20} />
+                </button>
             </>
         )}
     </div>
@@ -1,10 +1,11 @@
 /**
  * @component Search
- * @description A debounced user search interface with optimistic UI updates and animations.
- * Allows users to discover other profiles via username or full name.
+ * @description Unified, debounced search (GET /api/search) with one tab per result type:
+ * people, posts, hashtags and public groups. Results are ranked by relevance on the server
+ * and paginated ("load more"); "#topic" queries jump straight to the hashtags tab.
  *
  * @features
- * - Debounced API calls (100ms) to reduce server load
+ * - Debounced API calls (250ms) to reduce server load
  * - AbortController implementation to handle race conditions
  * - Memoized result cards for rendering performance
  * - Strict Theme System adherence (bg-main, bg-surface, border-adaptive)
@@ -15,16 +16,32 @@ import { useNavigate } from "react-router-dom";
 import { useAuth } from "@clerk/clerk-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useTranslation } from "react-i18next"; // 🟢
+import toast from "react-hot-toast";
 import {
     Search as SearchIcon,
     ArrowRight,
     TrendingUp,
     X,
-    Loader2
+    Loader2,
+    Hash,
+    Users,
+    FileText,
+    UsersRound,
+    MessageCircle
 } from "lucide-react";
 
 // --- Local Imports ---
 import api from "../lib/axios";
+import PostCard from "../components/feed/PostCard";
+
+// --- Constants ---
+const TABS = [
+    { id: "people", icon: <Users size={15} /> },
+    { id: "posts", icon: <FileText size={15} /> },
+    { id: "hashtags", icon: <Hash size={15} /> },
+    { id: "groups", icon: <UsersRound size={15} /> }
+];
+const PAGE_SIZE = 20;
 
 // --- Sub-Components ---
 
@@ -89,13 +106,143 @@ const SearchSkeleton = memo(() => (
 
 SearchSkeleton.displayName = "SearchSkeleton";
 
+/**
+ * @component HashtagResultCard
+ * @description Shortcut to a hashtag page (with its number of visible posts).
+ */
+const HashtagResultCard = memo(({ tag, posts, onClick, t }) => (
+    <motion.div
+        layout
+        initial={{ opacity: 0, x: -20 }}
+        animate={{ opacity: 1, x: 0 }}
+        onClick={() => onClick(tag)}
+        className="group flex items-center gap-4 p-3 bg-surface hover:bg-main border border-adaptive hover:border-primary/40 rounded-xl cursor-pointer transition-all duration-200 shadow-sm hover:shadow-md hover:shadow-primary/5"
+        role="button"
+        tabIndex={0}
+    >
+        <div className="w-12 h-12 rounded-full bg-primary/10 text-primary flex items-center justify-center shrink-0">
+            <Hash size={22} />
+        </div>
+        <div className="flex-1 min-w-0">
+            <h4 className="font-bold text-content text-sm md:text-base truncate group-hover:text-primary transition-colors" dir="auto">
+                #{tag}
+            </h4>
+            <p className="text-xs text-muted truncate">
+                {t("search.tagPostsCount", { count: posts })} · {t("search.seeTaggedPosts")}
+            </p>
+        </div>
+        <div className="p-2 text-muted group-hover:text-primary group-hover:translate-x-1 transition-all rtl:scale-x-[-1]">
+            <ArrowRight size={18} />
+        </div>
+    </motion.div>
+));
+
+HashtagResultCard.displayName = "HashtagResultCard";
+
+/**
+ * @component GroupResultCard
+ * @description Public group result. Members open the chat; others join or request to join
+ * (per the group's join policy). Invite-only groups can't be joined from search.
+ */
+const GroupResultCard = memo(({ group, joining, onOpen, onJoin, t }) => (
+    <motion.div
+        layout
+        initial={{ opacity: 0, x: -20 }}
+        animate={{ opacity: 1, x: 0 }}
+        className="flex items-center gap-4 p-3 bg-surface border border-adaptive rounded-xl shadow-sm"
+    >
+        <img
+            src={group.group_image || "/group-placeholder.png"}
+            alt={group.name}
+            className="w-12 h-12 rounded-xl object-cover border border-adaptive bg-main"
+            loading="lazy"
+        />
+        <div className="flex-1 min-w-0">
+            <h4 className="font-bold text-content text-sm md:text-base truncate" dir="auto">{group.name}</h4>
+            <p className="text-xs text-muted truncate" dir="auto">
+                {group.description || t("availableGroups.noDescription")}
+            </p>
+            <p className="text-[11px] text-muted mt-0.5 opacity-80">
+                {t("search.groupMembersCount", { count: group.membersCount })}
+            </p>
+        </div>
+
+        {group.membership === "member" ? (
+            <button
+                onClick={() => onOpen(group._id)}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-bold bg-primary/10 text-primary hover:bg-primary/20 transition"
+            >
+                <MessageCircle size={14} /> {t("search.openGroup")}
+            </button>
+        ) : group.membership === "pending" ? (
+            <span className="px-3 py-1.5 rounded-lg text-xs font-bold bg-main text-muted border border-adaptive">
+                {t("availableGroups.requestSent")}
+            </span>
+        ) : group.joinPolicy === "invite_only" ? (
+            <span className="px-3 py-1.5 rounded-lg text-xs font-bold bg-main text-muted border border-adaptive">
+                {t("availableGroups.inviteOnly")}
+            </span>
+        ) : (
+            <button
+                onClick={() => onJoin(group._id)}
+                disabled={joining}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-bold bg-primary text-white hover:opacity-90 transition disabled:opacity-60"
+            >
+                {joining && <Loader2 size={14} className="animate-spin" />}
+                {t("search.joinGroup")}
+            </button>
+        )}
+    </motion.div>
+));
+
+GroupResultCard.displayName = "GroupResultCard";
+
+/**
+ * @component TrendingTags
+ * @description Most used hashtags of the last 24h (ranked by distinct authors on the server).
+ */
+const TrendingTags = memo(({ tags, onClick, t }) => {
+    if (!tags.length) return null;
+
+    return (
+        <div className="mt-6 text-start">
+            <h3 className="flex items-center gap-2 text-sm font-bold text-content mb-3">
+                <TrendingUp size={16} className="text-primary" /> {t("search.trendingTags")}
+            </h3>
+            <div className="flex flex-wrap gap-2">
+                {tags.map(({ tag, posts }) => (
+                    <button
+                        key={tag}
+                        onClick={() => onClick(tag)}
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-full bg-surface border border-adaptive text-sm text-content hover:border-primary/40 hover:text-primary transition"
+                    >
+                        <span className="font-bold" dir="auto">#{tag}</span>
+                        <span className="text-[11px] text-muted">{t("search.tagPostsCount", { count: posts })}</span>
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+});
+
+TrendingTags.displayName = "TrendingTags";
+
+
 // --- Main Component ---
 
 const Search = () => {
     // --- State & Hooks ---
     const [input, setInput] = useState("");
-    const [users, setUsers] = useState([]);
+    const [activeTab, setActiveTab] = useState("people");
+    const [results, setResults] = useState([]);
+    const [page, setPage] = useState(1);
+    const [hasMore, setHasMore] = useState(false);
     const [loading, setLoading] = useState(false);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [joiningId, setJoiningId] = useState(null);
+    const [trendingTags, setTrendingTags] = useState([]);
+
+    const query = input.trim();
 
     const { getToken } = useAuth();
     const navigate = useNavigate();
@@ -104,64 +251,177 @@ const Search = () => {
     // --- Handlers ---
 
     /**
-     * Executes the search API call.
+     * Fetches one page of the active tab.
      * Wrapped in useCallback to be stable for the effect dependency.
      */
-    const handleSearch = useCallback(async (searchQuery, signal) => {
-        if (!searchQuery.trim()) return;
+    const fetchPage = useCallback(async (searchQuery, type, pageToLoad, signal) => {
+        const token = await getToken();
+        const { data } = await api.get("/search", {
+            headers: { Authorization: `Bearer ${token}` },
+            params: { q: searchQuery, type, page: pageToLoad, limit: PAGE_SIZE },
+            signal // Pass abort signal to cancel stale requests
+        });
+        return data;
+    }, [getToken]);
 
+    const handleLoadMore = useCallback(async () => {
+        if (loadingMore || !hasMore) return;
         try {
-            setLoading(true);
-            const token = await getToken();
-            const { data } = await api.get(`/user/search?query=${searchQuery}`, {
-                headers: { Authorization: `Bearer ${token}` },
-                signal // Pass abort signal to cancel stale requests
-            });
-
+            setLoadingMore(true);
+            const data = await fetchPage(query, activeTab, page + 1);
             if (data.success) {
-                setUsers(data.users);
+                // Key per tab: hashtags have no _id
+                const keyOf = (item) => item._id || item.tag;
+                setResults(prev => [...prev, ...data.results.filter(r => !prev.some(existing => keyOf(existing) === keyOf(r)))]);
+                setPage(data.currentPage);
+                setHasMore(data.hasMore);
             }
         } catch (error) {
-            if (error.name !== "CanceledError") {
-                console.error("Search Error:", error);
-            }
+            console.error("Search Error:", error);
         } finally {
-            // Only set loading false if the component is still mounted/request wasn't aborted
-            if (!signal.aborted) {
-                setLoading(false);
-            }
+            setLoadingMore(false);
         }
-    }, [getToken]);
+    }, [fetchPage, query, activeTab, page, hasMore, loadingMore]);
+
+    const handleInputChange = useCallback((e) => {
+        const value = e.target.value;
+        setInput(value);
+        // "#topic" queries search hashtags
+        if (value.trim().startsWith("#")) setActiveTab("hashtags");
+    }, []);
 
     const clearSearch = useCallback(() => {
         setInput("");
-        setUsers([]);
+        setResults([]);
+        setHasMore(false);
     }, []);
 
     const handleUserClick = useCallback((userId) => {
         navigate(`/profile/${userId}`);
     }, [navigate]);
 
+    const handleTagClick = useCallback((tag) => {
+        navigate(`/hashtag/${encodeURIComponent(tag)}`);
+    }, [navigate]);
+
+    const handleOpenGroup = useCallback((groupId) => {
+        navigate(`/groups/${groupId}/chat`);
+    }, [navigate]);
+
+    const handleJoinGroup = useCallback(async (groupId) => {
+        try {
+            setJoiningId(groupId);
+            const token = await getToken();
+            const { data } = await api.post(`/group/join/${groupId}`, {}, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+
+            const joined = data.status === "accepted";
+            toast.success(joined ? t("availableGroups.toasts.joined") : t("availableGroups.toasts.requestSent"));
+            setResults(prev => prev.map(g => (g._id === groupId ? { ...g, membership: joined ? "member" : "pending" } : g)));
+        } catch (error) {
+            console.error(error);
+            toast.error(error.response?.data?.message || t("availableGroups.toasts.joinError"));
+        } finally {
+            setJoiningId(null);
+        }
+    }, [getToken, t]);
+
+    /**
+     * Optimistic UI: Removes a deleted post from the posts tab.
+     */
+    const handleDeletePost = useCallback((postId) => {
+        setResults(prev => prev.filter(p => p._id !== postId));
+    }, []);
+
     // --- Effects ---
 
-    // Debounce Logic with Cleanup
+    // Trending tags for the empty state (fetched once)
     useEffect(() => {
         const controller = new AbortController();
-        const delayDebounceFn = setTimeout(() => {
-            if (input.trim()) {
-                handleSearch(input, controller.signal);
-            } else {
-                setUsers([]);
-                setLoading(false);
+
+        const fetchTrending = async () => {
+            try {
+                const token = await getToken();
+                const { data } = await api.get("/post/tags/trending", {
+                    headers: { Authorization: `Bearer ${token}` },
+                    params: { limit: 10 },
+                    signal: controller.signal
+                });
+                if (data.success) setTrendingTags(data.tags);
+            } catch (error) {
+                if (error.name !== "CanceledError") {
+                    console.error("Trending Tags Error:", error);
+                }
             }
-        }, 100);
+        };
+
+        fetchTrending();
+        return () => controller.abort();
+    }, [getToken]);
+
+    // Debounce Logic with Cleanup (re-runs when the query or the tab changes)
+    useEffect(() => {
+        const controller = new AbortController();
+        setResults([]);
+        setHasMore(false);
+
+        if (!query) {
+            setLoading(false);
+            return () => controller.abort();
+        }
+
+        setLoading(true);
+        const delayDebounceFn = setTimeout(async () => {
+            try {
+                const data = await fetchPage(query, activeTab, 1, controller.signal);
+                if (!controller.signal.aborted && data.success) {
+                    setResults(data.results);
+                    setPage(1);
+                    setHasMore(data.hasMore);
+                }
+            } catch (error) {
+                if (error.name !== "CanceledError") {
+                    console.error("Search Error:", error);
+                }
+            } finally {
+                // Only set loading false if the request wasn't superseded
+                if (!controller.signal.aborted) {
+                    setLoading(false);
+                }
+            }
+        }, 250);
 
         // Cleanup: Clear timeout and abort previous fetch if user keeps typing
         return () => {
             clearTimeout(delayDebounceFn);
             controller.abort();
         };
-    }, [input, handleSearch]);
+    }, [query, activeTab, fetchPage]);
+
+    // --- Render Helpers ---
+
+    const renderResult = (item, index) => {
+        switch (activeTab) {
+            case "posts":
+                return <PostCard key={item._id} post={item} onDelete={handleDeletePost} />;
+            case "hashtags":
+                return <HashtagResultCard key={item.tag} tag={item.tag} posts={item.posts} onClick={handleTagClick} t={t} />;
+            case "groups":
+                return (
+                    <GroupResultCard
+                        key={item._id}
+                        group={item}
+                        joining={joiningId === item._id}
+                        onOpen={handleOpenGroup}
+                        onJoin={handleJoinGroup}
+                        t={t}
+                    />
+                );
+            default:
+                return <UserSearchResultCard key={item._id} user={item} index={index} onClick={handleUserClick} />;
+        }
+    };
 
     // --- Render ---
 
@@ -189,7 +449,7 @@ const Search = () => {
                 <motion.div
                     initial={{ opacity: 0, scale: 0.95 }}
                     animate={{ opacity: 1, scale: 1 }}
-                    className="relative w-full max-w-xl mb-10 z-20"
+                    className="relative w-full max-w-xl mb-6 z-20"
                 >
                     <div className="relative group">
                         {/* Glow Effect */}
@@ -203,8 +463,9 @@ const Search = () => {
                                 type="text"
                                 placeholder={t("search.placeholder")} // 🟢
                                 className="w-full bg-transparent text-content px-3 py-2.5 text-base focus:outline-none border-none outline-none ring-0 placeholder-muted/70"
-                                onChange={(e) => setInput(e.target.value)}
+                                onChange={handleInputChange}
                                 value={input}
+                                dir="auto"
                                 autoFocus
                             />
 
@@ -225,6 +486,24 @@ const Search = () => {
                     </div>
                 </motion.div>
 
+                {/* Tabs */}
+                <div role="tablist" className="flex gap-2 overflow-x-auto no-scrollbar mb-8 max-w-3xl">
+                    {TABS.map(({ id, icon }) => (
+                        <button
+                            key={id}
+                            role="tab"
+                            aria-selected={activeTab === id}
+                            onClick={() => setActiveTab(id)}
+                            className={`flex items-center gap-1.5 px-4 py-2 rounded-full text-sm font-bold whitespace-nowrap border transition ${activeTab === id
+                                ? "bg-primary text-white border-primary shadow-md shadow-primary/20"
+                                : "bg-surface text-muted border-adaptive hover:text-content hover:border-primary/40"
+                                }`}
+                        >
+                            {icon} {t(`search.tabs.${id}`)}
+                        </button>
+                    ))}
+                </div>
+
                 {/* Results Area */}
                 {loading ? (
                     <SearchSkeleton />
@@ -232,7 +511,7 @@ const Search = () => {
                     <div className="max-w-3xl mx-auto">
 
                         {/* Empty State */}
-                        {!input && users.length === 0 && (
+                        {!query && (
                             <motion.div
                                 initial={{ opacity: 0 }}
                                 animate={{ opacity: 1 }}
@@ -242,31 +521,39 @@ const Search = () => {
                                 <p className="text-muted text-sm">{t("search.startTyping")}</p> {/* 🟢 */}
                             </motion.div>
                         )}
+                        {!query && <TrendingTags tags={trendingTags} onClick={handleTagClick} t={t} />}
 
                         {/* No Results */}
-                        {input && users.length === 0 && (
+                        {query && results.length === 0 && (
                             <motion.div
                                 initial={{ opacity: 0 }}
                                 animate={{ opacity: 1 }}
                                 className="text-center py-10"
                             >
-                                <p className="text-xl text-muted font-medium">{t("search.noResults", { query: input })}</p> {/* 🟢 Dynamic */}
+                                <p className="text-xl text-muted font-medium">{t(`search.noResults.${activeTab}`, { query })}</p> {/* 🟢 Dynamic */}
                             </motion.div>
                         )}
 
                         {/* Results List */}
-                        <motion.div layout className="grid grid-cols-1 gap-3">
+                        <motion.div layout className={`grid grid-cols-1 ${activeTab === "posts" ? "gap-5" : "gap-3"}`}>
                             <AnimatePresence mode="popLayout">
-                                {users.map((user, index) => (
-                                    <UserSearchResultCard
-                                        key={user._id}
-                                        user={user}
-                                        index={index}
-                                        onClick={handleUserClick}
-                                    />
-                                ))}
+                                {results.map(renderResult)}
                             </AnimatePresence>
                         </motion.div>
+
+                        {/* Load More */}
+                        {hasMore && (
+                            <div className="flex justify-center pt-6">
+                                <button
+                                    onClick={handleLoadMore}
+                                    disabled={loadingMore}
+                                    className="flex items-center gap-2 px-5 py-2 rounded-full bg-surface border border-adaptive text-sm font-bold text-content hover:border-primary/40 hover:text-primary transition disabled:opacity-60"
+                                >
+                                    {loadingMore && <Loader2 size={16} className="animate-spin" />}
+                                    {t("search.loadMore")}
+                                </button>
+                            </div>
+                        )}
                     </div>
                 )}
             </div>
@@ -274,4 +561,4 @@ const Search = () => {
     );
 };
 
-export default Search;
\ No newline at end of file
+export default Search;
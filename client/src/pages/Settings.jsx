@@ -2,7 +2,7 @@
  * Settings Component
  * ------------------------------------------------------------------
  * Architect: Senior Frontend Architect
- * Purpose: Manages user preferences (Profile, Privacy, Theme, Notifications).
+ * Purpose: Manages user preferences (Profile, Privacy, Theme, Notifications, Data Export).
  * * Optimizations:
  * - Memoized all sub-components to prevent re-renders on tab switching.
  * - integrated toast.promise for async form submissions.
@@ -12,19 +12,23 @@
 
 import React, { useState, useEffect, useMemo, useCallback, memo } from "react";
 import { useDispatch, useSelector } from "react-redux";
+import { useSearchParams } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
-import { useAuth } from "@clerk/clerk-react";
+import { useAuth, useClerk } from "@clerk/clerk-react";
 import toast from "react-hot-toast";
 import { useTranslation } from "react-i18next";
+import { format } from "date-fns";
+import { ar, enUS } from "date-fns/locale";
 
 // Icons
 import {
     User, Lock, Palette, Bell, ShieldAlert, Save, Loader2,
-    Moon, Sun, Monitor, Check, Earth, ChevronDown
+    Moon, Sun, Monitor, Check, Earth, ChevronDown, FileArchive, Download
 } from "lucide-react";
 
 // Local Imports
-import { updateUser, updatePrivacy, updateNotificationSettings } from "../features/userSlice";
+import api from "../lib/axios";
+import { updateUser, updatePrivacy, updateNotificationSettings, deleteAccount } from "../features/userSlice";
 import { useTheme } from "../context/ThemeContext";
 import { useSocketContext } from "../context/SocketContext";
 
@@ -389,22 +393,161 @@ const LanguageSettings = memo(() => {
     );
 });
 
+/**
+ * DataSettings
+ * "Export my data": requests an archive and shows its status / download link.
+ * The archive is built in the background; the user is also notified when it's ready.
+ */
+const DataSettings = memo(() => {
+    const { getToken } = useAuth();
+    const { t, i18n } = useTranslation();
+    const currentLocale = i18n.language === "ar" ? ar : enUS;
+
+    const [dataExport, setDataExport] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRequesting, setIsRequesting] = useState(false);
+
+    const fetchExport = useCallback(async () => {
+        try {
+            const token = await getToken();
+            const { data } = await api.get("/user/export", { headers: { Authorization: `Bearer ${token}` } });
+            setDataExport(data.dataExport);
+        } catch (error) {
+            console.error("Failed to load data export:", error);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [getToken]);
+
+    useEffect(() => { fetchExport(); }, [fetchExport]);
+
+    const handleRequestExport = useCallback(async () => {
+        setIsRequesting(true);
+        try {
+            const token = await getToken();
+            const { data } = await api.post("/user/export", {}, { headers: { Authorization: `Bearer ${token}` } });
+            setDataExport(data.dataExport);
+            toast.success(t("settings.data.requested"));
+        } catch (error) {
+            toast.error(error.response?.data?.message || t("settings.data.error"));
+        } finally {
+            setIsRequesting(false);
+        }
+    }, [getToken, t]);
+
+    const isInProgress = dataExport?.status === "pending" || dataExport?.status === "processing";
+
+    return (
+        <motion.div variants={tabVariants} initial="hidden" animate="visible" exit="exit" transition={{ duration: 0.3 }} className="space-y-6">
+            <h2 className="text-2xl font-bold mb-8 flex items-center gap-3 text-content border-b border-adaptive pb-4">
+                <div className="p-2 bg-primary/10 rounded-sg"><FileArchive className="text-primary" size={24} /></div>
+                {t("settings.data.title")}
+            </h2>
+            <p className="text-muted leading-relaxed max-w-lg">{t("settings.data.desc")}</p>
+
+            {/* Latest Export Status */}
+            {!isLoading && dataExport && (
+                <div className="p-4 bg-main border border-adaptive rounded-xl flex flex-wrap items-center justify-between gap-4">
+                    <div className="space-y-1">
+                        <p className="text-sm font-bold text-content">{t(`settings.data.status.${dataExport.status}`)}</p>
+                        <p className="text-xs text-muted">
+                            {dataExport.status === "ready"
+                                ? t("settings.data.expiresOn", { date: format(new Date(dataExport.expiresAt), "PPp", { locale: currentLocale }) })
+                                : t("settings.data.requestedOn", { date: format(new Date(dataExport.createdAt), "PPp", { locale: currentLocale }) })}
+                        </p>
+                    </div>
+                    {dataExport.status === "ready" && dataExport.downloadUrl && (
+                        <a href={dataExport.downloadUrl} target="_blank" rel="noopener noreferrer" className="bg-primary hover:opacity-90 text-white px-5 py-2.5 rounded-xl font-bold transition flex items-center gap-2 text-sm">
+                            <Download size={16} /> {t("settings.data.downloadBtn")}
+                        </a>
+                    )}
+                </div>
+            )}
+
+            <div className="flex justify-start">
+                <button onClick={handleRequestExport} disabled={isLoading || isRequesting || isInProgress} className="bg-primary hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-xl font-bold shadow-lg shadow-primary/20 transition active:scale-95 flex items-center gap-2">
+                    {isRequesting || isInProgress ? <Loader2 size={18} className="animate-spin" /> : <FileArchive size={18} />}
+                    {isInProgress ? t("settings.data.preparing") : t("settings.data.exportBtn")}
+                </button>
+            </div>
+        </motion.div>
+    );
+});
+
 /**
  * DangerZone
- * Destructive actions section.
+ * Destructive actions section: schedules account deletion after a typed confirmation.
  */
 const DangerZone = memo(() => {
+    const dispatch = useDispatch();
+    const { getToken } = useAuth();
+    const { signOut } = useClerk();
     const { t } = useTranslation();
+
+    const [isConfirming, setIsConfirming] = useState(false);
+    const [confirmText, setConfirmText] = useState("");
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    const canConfirm = confirmText.trim() === t("settings.danger.confirmWord") && !isDeleting;
+
+    const handleCancel = useCallback(() => {
+        setIsConfirming(false);
+        setConfirmText("");
+    }, []);
+
+    const handleDelete = useCallback(async () => {
+        setIsDeleting(true);
+        try {
+            const token = await getToken();
+            await toast.promise(dispatch(deleteAccount(token)).unwrap(), {
+                loading: t("settings.danger.deleting"),
+                success: t("settings.danger.success"),
+                error: t("settings.danger.error"),
+            });
+            await signOut();
+        } catch (error) {
+            console.error("Account deletion failed:", error);
+            setIsDeleting(false);
+        }
+    }, [dispatch, getToken, signOut, t]);
+
     return (
         <motion.div variants={tabVariants} initial="hidden" animate="visible" exit="exit" transition={{ duration: 0.3 }} className="border border-red-500/20 bg-red-500/5 rounded-3xl p-8 relative overflow-hidden">
             <div className="absolute top-0 end-0 p-3 opacity-10"><ShieldAlert size={100} className="text-red-500" /></div>
             <h2 className="text-2xl font-bold mb-4 flex items-center gap-2 text-red-500">{t("settings.danger.title")}</h2>
             <p className="text-muted mb-8 leading-relaxed max-w-lg">{t("settings.danger.desc")}</p>
-            <div className="flex justify-start">
-                <button onClick={() => toast.error(t("settings.danger.disabledMsg"))} className="bg-red-600 hover:bg-red-700 text-white px-6 py-3 rounded-xl font-bold shadow-lg shadow-red-900/20 transition hover:scale-105 active:scale-95 flex items-center gap-2">
-                    <ShieldAlert size={18} /> {t("settings.danger.deleteBtn")}
-                </button>
-            </div>
+
+            {!isConfirming ? (
+                <div className="flex justify-start">
+                    <button onClick={() => setIsConfirming(true)} className="bg-red-600 hover:bg-red-700 text-white px-6 py-3 rounded-xl font-bold shadow-lg shadow-red-900/20 transition hover:scale-105 active:scale-95 flex items-center gap-2">
+                        <ShieldAlert size={18} /> {t("settings.danger.deleteBtn")}
+                    </button>
+                </div>
+            ) : (
+                <div className="space-y-4 max-w-lg relative">
+                    <div>
+                        <p className="font-bold text-content">{t("settings.danger.confirmTitle")}</p>
+                        <p className="text-sm text-muted mt-1">{t("settings.danger.confirmDesc")}</p>
+                    </div>
+                    <input
+                        type="text"
+                        value={confirmText}
+                        onChange={(e) => setConfirmText(e.target.value)}
+                        placeholder={t("settings.danger.confirmWord")}
+                        autoFocus
+                        className="w-full bg-surface border border-red-500/30 rounded-xl px-4 py-3 text-content outline-none focus:border-red-500 transition"
+                    />
+                    <div className="flex flex-wrap gap-3">
+                        <button onClick={handleDelete} disabled={!canConfirm} className="bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-xl font-bold transition flex items-center gap-2">
+                            {isDeleting ? <Loader2 size={18} className="animate-spin" /> : <ShieldAlert size={18} />}
+                            {t("settings.danger.confirmBtn")}
+                        </button>
+                        <button onClick={handleCancel} disabled={isDeleting} className="px-6 py-3 rounded-xl font-bold border border-adaptive text-content hover:bg-surface transition">
+                            {t("settings.danger.cancelBtn")}
+                        </button>
+                    </div>
+                </div>
+            )}
         </motion.div>
     );
 });
@@ -413,7 +556,8 @@ const DangerZone = memo(() => {
 
 const Settings = () => {
     const { currentUser } = useSelector((state) => state.user);
-    const [activeTab, setActiveTab] = useState("general");
+    const [searchParams] = useSearchParams();
+    const [activeTab, setActiveTab] = useState(searchParams.get("tab") || "general"); // Deep links, e.g. ?tab=data
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
     const { t } = useTranslation();
 
@@ -423,6 +567,7 @@ const Settings = () => {
         { id: "appearance", label: t("settings.tabs.appearance"), icon: <Palette className="w-4 h-4" /> },
         { id: "notifications", label: t("settings.tabs.notifications"), icon: <Bell className="w-4 h-4" /> },
         { id: "language", label: t("settings.tabs.language"), icon: <Earth className="w-4 h-4" /> },
+        { id: "data", label: t("settings.tabs.data"), icon: <FileArchive className="w-4 h-4" /> },
         { id: "danger", label: t("settings.tabs.danger"), icon: <ShieldAlert className="w-4 h-4" /> },
     ], [t]);
 
@@ -488,6 +633,7 @@ const Settings = () => {
                         {activeTab === "appearance" && <AppearanceSettings key="appearance" />}
                         {activeTab === "notifications" && <NotificationSettings key="notifications" currentUser={currentUser} />}
                         {activeTab === "language" && <LanguageSettings key="language" />}
+                        {activeTab === "data" && <DataSettings key="data" />}
                         {activeTab === "danger" && <DangerZone key="danger" />}
                     </AnimatePresence>
                 </div>
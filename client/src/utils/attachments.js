@@ -0,0 +1,93 @@
+/**
+ * Chat attachment helpers.
+ * Limits mirror the "message" / "group_message" upload contexts (server/media/contexts.js);
+ * the server sniffs the real type and has the final word.
+ */
+
+const MB = 1024 * 1024;
+
+/** Max bytes per attachment kind. */
+export const ATTACHMENT_LIMITS = { image: 10 * MB, audio: 10 * MB, video: 50 * MB, file: 25 * MB };
+
+/** `accept` for the "attach file" picker: videos, documents and archives. */
+export const FILE_ACCEPT = [
+    "video/mp4", "video/webm", "video/quicktime",
+    ".pdf", ".doc", ".docx", ".xls", ".xlsx", ".ppt", ".pptx", ".rtf", ".txt", ".csv", ".md",
+    ".zip", ".rar", ".7z", ".gz",
+].join(",");
+
+/**
+ * Which limit a picked file falls under (by its declared type).
+ * @param {File} file
+ * @returns {"image"|"audio"|"video"|"file"}
+ */
+export const attachmentKind = (file) => {
+    const type = file?.type || "";
+    if (type.startsWith("image/")) return "image";
+    if (type.startsWith("video/")) return "video";
+    if (type.startsWith("audio/")) return "audio";
+    return "file";
+};
+
+/**
+ * Client-side size check before uploading.
+ * @param {File} file
+ * @returns {number|null} - The exceeded limit in MB, or null when the file fits.
+ */
+export const exceededLimitMb = (file) => {
+    const limit = ATTACHMENT_LIMITS[attachmentKind(file)];
+    return file.size > limit ? Math.round(limit / MB) : null;
+};
+
+/**
+ * Human-readable file size ("840 KB", "2.4 MB").
+ * @param {number} bytes
+ * @returns {string}
+ */
+export const formatFileSize = (bytes) => {
+    if (!Number.isFinite(bytes) || bytes < 0) return "";
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < MB) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / MB).toFixed(bytes < 10 * MB ? 1 : 0)} MB`;
+};
+
+/**
+ * Short label for a file card ("PDF", "DOCX"), from the name first, then the MIME type.
+ * @param {string} [name]
+ * @param {string} [mimeType]
+ * @returns {string}
+ */
+export const fileExtensionLabel = (name = "", mimeType = "") => {
+    const match = /\.([a-z0-9]{1,5})$/i.exec(name);
+    if (match) return match[1].toUpperCase();
+    return (mimeType.split("/")[1] || "file").split(/[.+-]/).pop().slice(0, 5).toUpperCase();
+};
+
+/**
+ * Saves an attachment under its original name.
+ * `<a download>` is ignored for cross-origin URLs (the CDN), and the stored file name
+ * carries an upload suffix, so the file is fetched as a blob and saved from a local URL.
+ * Falls back to opening the file in a new tab when it can't be fetched.
+ * @param {string} url
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export const downloadAttachment = async (url, name) => {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const objectUrl = URL.createObjectURL(await response.blob());
+        const link = document.createElement("a");
+        link.href = objectUrl;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+    } catch (error) {
+        console.error("Attachment download failed", error);
+        window.open(url, "_blank", "noopener,noreferrer");
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * Hashtag helpers for rendering post content.
+ * Mirrors the server parser (server/utils/hashtags.js) so every highlighted tag
+ * links to a hashtag page that actually has the post.
+ */
+
+/** "#tag" preceded by start-of-text or a non-word character (skips "page#section", "&#39;"). */
+const HASHTAG_REGEX = /(^|[^\p{L}\p{M}\p{N}_&#/])#([\p{L}\p{M}\p{N}_]+)/gu;
+
+/** Tags made only of digits ("#1") are not topics. */
+const DIGITS_ONLY = /^\p{N}+$/u;
+
+const MAX_HASHTAG_LENGTH = 50;
+
+/**
+ * Normalizes a tag the way the server stores it: no "#", lowercased.
+ * @param {string} tag
+ * @returns {string} - "" when the tag is not valid.
+ */
+export const normalizeHashtag = (tag) => {
+    if (!tag || typeof tag !== "string") return "";
+
+    const normalized = tag.trim().replace(/^#/, "").normalize("NFC").toLowerCase();
+    if (!normalized || normalized.length > MAX_HASHTAG_LENGTH) return "";
+    if (!/^[\p{L}\p{M}\p{N}_]+$/u.test(normalized) || DIGITS_ONLY.test(normalized)) return "";
+
+    return normalized;
+};
+
+/**
+ * Splits text into plain and hashtag segments for rendering.
+ *
+ * @param {string} content
+ * @returns {Array<{ type: "text", value: string } | { type: "tag", value: string, tag: string }>}
+ */
+export const splitHashtags = (content) => {
+    if (!content) return [];
+
+    const segments = [];
+    let lastIndex = 0;
+
+    for (const match of content.matchAll(HASHTAG_REGEX)) {
+        const [, prefix, rawTag] = match;
+        const tag = normalizeHashtag(rawTag);
+        if (!tag) continue;
+
+        // The prefix char belongs to the preceding text
+        const tagStart = match.index + prefix.length;
+        if (tagStart > lastIndex) segments.push({ type: "text", value: content.slice(lastIndex, tagStart) });
+
+        segments.push({ type: "tag", value: `#${rawTag}`, tag });
+        lastIndex = tagStart + rawTag.length + 1;
+    }
+
+    if (lastIndex < content.length) segments.push({ type: "text", value: content.slice(lastIndex) });
+    return segments;
+};
@@ -0,0 +1,72 @@
+/**
+ * Chat poll helpers.
+ * Polls arrive as the server's per-viewer view (server/utils/polls.js): `voteCount` per option,
+ * `votes` (voter ids) only on non-anonymous polls, and the viewer's choices in `myVotes`.
+ */
+
+/**
+ * Option indexes the current user voted for.
+ * @param {Object} poll
+ * @returns {number[]}
+ */
+export const getMyVotes = (poll) => poll?.myVotes || [];
+
+/**
+ * Whether the poll stopped taking votes (closed by the server, or past its close time).
+ * @param {Object} poll
+ * @returns {boolean}
+ */
+export const isPollClosed = (poll) =>
+    Boolean(poll?.closedAt) || Boolean(poll?.closesAt && new Date(poll.closesAt) <= new Date());
+
+/**
+ * The poll after the current user's choices change to `nextVotes` (optimistic update).
+ * @param {Object} poll
+ * @param {number[]} nextVotes
+ * @param {string} userId
+ * @returns {Object}
+ */
+export const withMyVotes = (poll, nextVotes, userId) => {
+    const prevVotes = getMyVotes(poll);
+
+    return {
+        ...poll,
+        myVotes: nextVotes,
+        options: poll.options.map((opt, index) => {
+            const had = prevVotes.includes(index);
+            const has = nextVotes.includes(index);
+            if (had === has) return opt;
+
+            return {
+                ...opt,
+                voteCount: Math.max(0, (opt.voteCount || 0) + (has ? 1 : -1)),
+                ...(opt.votes && {
+                    votes: has ? [...opt.votes, userId] : opt.votes.filter(id => String(id) !== String(userId))
+                }),
+            };
+        }),
+    };
+};
+
+/**
+ * The current user's choices after tapping an option (same rules as the server:
+ * tapping a chosen option takes the vote back, single-choice polls move the vote).
+ * @param {Object} poll
+ * @param {number} optionIndex
+ * @returns {number[]}
+ */
+export const toggledVotes = (poll, optionIndex) => {
+    const myVotes = getMyVotes(poll);
+    if (myVotes.includes(optionIndex)) return myVotes.filter(index => index !== optionIndex);
+    return poll.allowMultipleAnswers ? [...myVotes, optionIndex] : [optionIndex];
+};
+
+/**
+ * Applies a `pollUpdated` payload. Room broadcasts carry no `myVotes`, so the
+ * current user's choices are kept from the poll already shown.
+ * @param {Object} prevPoll
+ * @param {Object} nextPoll
+ * @returns {Object}
+ */
+export const mergePollUpdate = (prevPoll, nextPoll) =>
+    nextPoll.myVotes ? nextPoll : { ...nextPoll, myVotes: getMyVotes(prevPoll) };
@@ -7,9 +7,13 @@
  * This is the optimal strategy when the immediate next step is uploading
  * the file to a cloud provider (e.g., ImageKit, Cloudinary, AWS S3)
  * because it avoids the I/O overhead of writing/reading temporary files on disk.
+ *
+ * Limits here are the hard cap that protects memory while buffering; the per-feature
+ * type and size rules are enforced afterwards by the media service (media/contexts.js).
  */
 
 import multer from "multer";
+import { MAX_UPLOAD_BYTES } from "../media/contexts.js";
 
 // --- Configuration ---
 
@@ -21,13 +25,18 @@ import multer from "multer";
  *
  * Behavior:
  * 1. Intercepts the request.
- * 2. Parses the file stream.
+ * 2. Parses the file stream (aborting with a MulterError once a limit is hit).
  * 3. Stores the file in `req.file.buffer`.
- * 4. Passes control to the next controller (ImageKit uploader).
+ * 4. Passes control to the next controller (media service).
  */
 const upload = multer({
     storage: multer.memoryStorage(), // Explicitly defined for code clarity
-    // Future Optimization: Add limits here if needed (e.g., limits: { fileSize: 5 * 1024 * 1024 })
+    limits: {
+        fileSize: MAX_UPLOAD_BYTES,
+        files: 6, // The post form's "images" (5) + "video" (1) fields; other forms send one file
+        fields: 20,
+        fieldSize: 100 * 1024, // Text fields (captions, member lists), not file contents
+    },
 });
 
-export default upload;
\ No newline at end of file
+export default upload;
@@ -0,0 +1,425 @@
+import expressAsyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Report from "../models/Report.js";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import ModerationLog from "../models/ModerationLog.js";
+import { io, getUserRoom } from "../socket/socket.js";
+import { REPORT_TARGETS, HIDEABLE_TARGET_TYPES, OPEN_REPORT_STATUSES } from "../utils/reporting.js";
+import { parseListParams, findPage } from "../utils/pagination.js";
+
+/**
+ * @file adminController.js
+ * @description Moderation console: report queue (posts, comments, stories, messages, users),
+ * hidden-content restore, user suspension and the audit log. Every route is behind `protect` + `adminOnly` (see routes/adminRoutes.js),
+ * and every state change is recorded in `ModerationLog`.
+ */
+
+// --- Constants ---
+const REPORT_STATUSES = Report.schema.path("status").enumValues;
+const REPORT_REASONS = Report.schema.path("reason").enumValues;
+const REPORT_TARGET_TYPES = Object.keys(REPORT_TARGETS);
+const PUBLIC_USER_FIELDS = "full_name username profile_picture";
+
+/** Preview fields of every target model (populate ignores the ones a model lacks). */
+const TARGET_PREVIEW_FIELDS = [
+    "content image_urls video post_type", // Post
+    "text post message_type media_url isDeleted", // Comment, Message, GroupMessage
+    "image type background_color caption", // Story
+    `${PUBLIC_USER_FIELDS} suspendedAt`, // User
+    "isHidden createdAt",
+].join(" ");
+
+// =========================================================
+// Helpers (Internal)
+// =========================================================
+
+const parsePagination = (res, query) => {
+    const params = parseListParams(query, { defaultLimit: 20 });
+    if (!params) {
+        res.status(400);
+        throw new Error("Invalid cursor.");
+    }
+    return params;
+};
+
+const assertObjectId = (res, id, label) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400);
+        throw new Error(`Invalid ${label} ID`);
+    }
+};
+
+/**
+ * Appends an entry to the audit log.
+ */
+const logModeratorAction = ({ moderator, action, report = null, targetType = null, targetId = null, targetUser = null, note = "" }) =>
+    ModerationLog.create({ moderator, action, report, targetType, targetId, targetUser, note });
+
+/**
+ * Open report counts per target, for the given reports.
+ * @returns {Promise<Map<string, number>>}
+ */
+const countOpenReports = async (reports) => {
+    const targetIds = [...new Set(reports.map((report) => report.targetId.toString()))].map(
+        (id) => new mongoose.Types.ObjectId(id)
+    );
+
+    const counts = await Report.aggregate([
+        { $match: { targetId: { $in: targetIds }, status: { $in: OPEN_REPORT_STATUSES } } },
+        { $group: { _id: "$targetId", count: { $sum: 1 } } },
+    ]);
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Loads a report that is still open, or fails the request.
+ */
+const findOpenReport = async (res, reportId) => {
+    assertObjectId(res, reportId, "report");
+
+    const report = await Report.findById(reportId);
+    if (!report) {
+        res.status(404);
+        throw new Error("Report not found");
+    }
+    if (["resolved", "dismissed"].includes(report.status)) {
+        res.status(400);
+        throw new Error(`Report is already ${report.status}`);
+    }
+    return report;
+};
+
+// =========================================================
+// 1. Report Queue
+// =========================================================
+
+/**
+ * @desc List reports (filterable by status, reason & target type), newest first
+ * @route GET /api/admin/reports?status=pending&reason=Spam&targetType=comment&limit=20[&cursor=...]
+ * @access Admin
+ */
+export const getReports = expressAsyncHandler(async (req, res) => {
+    const { status = "pending", reason, targetType } = req.query;
+    const params = parsePagination(res, req.query);
+
+    const query = {};
+    if (status !== "all") {
+        if (!REPORT_STATUSES.includes(status)) {
+            res.status(400);
+            throw new Error(`Invalid status. Use one of: all, ${REPORT_STATUSES.join(", ")}`);
+        }
+        query.status = status;
+    }
+    if (reason) {
+        if (!REPORT_REASONS.includes(reason)) {
+            res.status(400);
+            throw new Error(`Invalid reason. Use one of: ${REPORT_REASONS.join(", ")}`);
+        }
+        query.reason = reason;
+    }
+    if (targetType) {
+        if (!REPORT_TARGET_TYPES.includes(targetType)) {
+            res.status(400);
+            throw new Error(`Invalid target type. Use one of: ${REPORT_TARGET_TYPES.join(", ")}`);
+        }
+        query.targetType = targetType;
+    }
+
+    const [page, totalCount] = await Promise.all([
+        findPage(Report, query, params, (q) => q
+            .populate("reporter", PUBLIC_USER_FIELDS)
+            .populate("reviewedBy", PUBLIC_USER_FIELDS)
+            .populate("target", TARGET_PREVIEW_FIELDS)
+            .populate("targetOwner", `${PUBLIC_USER_FIELDS} suspendedAt role`)
+            .lean()),
+        Report.countDocuments(query),
+    ]);
+    const reports = page.items;
+
+    const openCounts = await countOpenReports(reports);
+
+    // `target` is null once the content is gone (the snapshot remains for messages)
+    const data = reports.map((report) => ({
+        ...report,
+        target: report.target || null,
+        reportsCount: openCounts.get(report.targetId.toString()) || 0,
+    }));
+
+    res.status(200).json({
+        success: true,
+        reports: data,
+        ...(params.page && { page: params.page }), // Deprecated (page mode only)
+        totalCount,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+    });
+});
+
+/**
+ * @desc Resolve a report (violation confirmed), optionally hiding the content
+ * @route PATCH /api/admin/reports/:id/resolve
+ * @body { note?: string, hideContent?: boolean } (hiding applies to posts, comments, stories & group messages)
+ * @access Admin
+ */
+export const resolveReport = expressAsyncHandler(async (req, res) => {
+    const { note = "", hideContent = false } = req.body;
+    const report = await findOpenReport(res, req.params.id);
+
+    if (hideContent && !HIDEABLE_TARGET_TYPES.includes(report.targetType)) {
+        res.status(400);
+        throw new Error(`A ${report.targetType} cannot be hidden`);
+    }
+
+    report.status = "resolved";
+    report.reviewedBy = req.user._id;
+    report.reviewedAt = new Date();
+    report.resolutionNote = note;
+    await report.save();
+
+    if (hideContent) {
+        await REPORT_TARGETS[report.targetType].model.findByIdAndUpdate(report.targetId, { isHidden: true });
+    }
+
+    await logModeratorAction({
+        moderator: req.user._id,
+        action: "report_resolved",
+        report: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        targetUser: report.targetOwner,
+        note: hideContent ? `[${report.targetType} hidden] ${note}`.trim() : note,
+    });
+
+    res.status(200).json({ success: true, message: "Report resolved", report });
+});
+
+/**
+ * @desc Dismiss a report (no violation); the reporter no longer counts toward auto-moderation
+ * @route PATCH /api/admin/reports/:id/dismiss
+ * @body { note?: string }
+ * @access Admin
+ */
+export const dismissReport = expressAsyncHandler(async (req, res) => {
+    const { note = "" } = req.body;
+    const report = await findOpenReport(res, req.params.id);
+
+    report.status = "dismissed";
+    report.reviewedBy = req.user._id;
+    report.reviewedAt = new Date();
+    report.resolutionNote = note;
+    await report.save();
+
+    if (report.targetType === "post") {
+        await Post.findByIdAndUpdate(report.targetId, { $pull: { reports: report.reporter } });
+    }
+
+    await logModeratorAction({
+        moderator: req.user._id,
+        action: "report_dismissed",
+        report: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        targetUser: report.targetOwner,
+        note,
+    });
+
+    res.status(200).json({ success: true, message: "Report dismissed", report });
+});
+
+// =========================================================
+// 2. Content Restore
+// =========================================================
+
+/**
+ * @desc Restore hidden content: unhides it and dismisses the reports still open against it
+ * (which also resets its auto-moderation count)
+ * @route PATCH /api/admin/content/:type/:id/restore
+ * @param type post | comment | story | group_message
+ * @body { note?: string }
+ * @access Admin
+ */
+export const restoreContent = expressAsyncHandler(async (req, res) => {
+    const { type, id } = req.params;
+    const { note = "" } = req.body;
+
+    if (!HIDEABLE_TARGET_TYPES.includes(type)) {
+        res.status(400);
+        throw new Error(`Invalid content type. Use one of: ${HIDEABLE_TARGET_TYPES.join(", ")}`);
+    }
+    const { model, ownerField, label } = REPORT_TARGETS[type];
+    assertObjectId(res, id, label.toLowerCase());
+
+    const content = await model.findById(id);
+    if (!content) {
+        res.status(404);
+        throw new Error(`${label} not found`);
+    }
+
+    content.isHidden = false;
+    // Posts also keep a reporter list (see utils/reporting.js)
+    if (type === "post") content.reports = [];
+    await content.save();
+
+    const { modifiedCount } = await Report.updateMany(
+        { targetType: type, targetId: content._id, status: { $in: OPEN_REPORT_STATUSES } },
+        {
+            status: "dismissed",
+            reviewedBy: req.user._id,
+            reviewedAt: new Date(),
+            resolutionNote: note || `${label} restored`,
+        }
+    );
+
+    await logModeratorAction({
+        moderator: req.user._id,
+        action: "content_restored",
+        targetType: type,
+        targetId: content._id,
+        targetUser: content[ownerField],
+        note,
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `${label} restored`,
+        content: { _id: content._id, type, isHidden: content.isHidden },
+        dismissedReports: modifiedCount,
+    });
+});
+
+// =========================================================
+// 3. User Suspension
+// =========================================================
+
+/**
+ * @desc Suspend a user (blocks sign-in & API access, hides their content)
+ * @route POST /api/admin/users/:id/suspend
+ * @body { reason: string }
+ * @access Admin
+ */
+export const suspendUser = expressAsyncHandler(async (req, res) => {
+    const { reason = "" } = req.body;
+    assertObjectId(res, req.params.id, "user");
+
+    if (req.params.id === req.user._id.toString()) {
+        res.status(400);
+        throw new Error("You cannot suspend yourself");
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        res.status(404);
+        throw new Error("User not found");
+    }
+    if (user.role === "admin") {
+        res.status(403);
+        throw new Error("Admins cannot be suspended");
+    }
+    if (user.suspendedAt) {
+        res.status(400);
+        throw new Error("User is already suspended");
+    }
+
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason.trim();
+    await user.save();
+
+    // Drop live sessions on every device
+    io.in(getUserRoom(user._id.toString())).disconnectSockets(true);
+
+    await logModeratorAction({
+        moderator: req.user._id,
+        action: "user_suspended",
+        targetUser: user._id,
+        note: user.suspensionReason,
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `${user.username} suspended`,
+        user: { _id: user._id, suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason },
+    });
+});
+
+/**
+ * @desc Lift a suspension
+ * @route POST /api/admin/users/:id/unsuspend
+ * @body { note?: string }
+ * @access Admin
+ */
+export const unsuspendUser = expressAsyncHandler(async (req, res) => {
+    const { note = "" } = req.body;
+    assertObjectId(res, req.params.id, "user");
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        res.status(404);
+        throw new Error("User not found");
+    }
+    if (!user.suspendedAt) {
+        res.status(400);
+        throw new Error("User is not suspended");
+    }
+
+    user.suspendedAt = null;
+    user.suspensionReason = "";
+    await user.save();
+
+    await logModeratorAction({
+        moderator: req.user._id,
+        action: "user_unsuspended",
+        targetUser: user._id,
+        note,
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `${user.username} unsuspended`,
+        user: { _id: user._id, suspendedAt: null, suspensionReason: "" },
+    });
+});
+
+// =========================================================
+// 4. Audit Log
+// =========================================================
+
+/**
+ * @desc Moderator actions, newest first (filterable by action, moderator or target user)
+ * @route GET /api/admin/audit-log?action=&moderator=&targetUser=&limit=20[&cursor=...]
+ * @access Admin
+ */
+export const getAuditLog = expressAsyncHandler(async (req, res) => {
+    const { action, moderator, targetUser } = req.query;
+    const params = parsePagination(res, req.query);
+
+    const query = {};
+    if (action) query.action = action;
+    if (moderator) {
+        assertObjectId(res, moderator, "moderator");
+        query.moderator = moderator;
+    }
+    if (targetUser) {
+        assertObjectId(res, targetUser, "user");
+        query.targetUser = targetUser;
+    }
+
+    const [page, totalCount] = await Promise.all([
+        findPage(ModerationLog, query, params, (q) => q
+            .populate("moderator", PUBLIC_USER_FIELDS)
+            .populate("targetUser", PUBLIC_USER_FIELDS)
+            .populate("targetId", "content text caption username")
+            .populate("report", "reason status")
+            .lean()),
+        ModerationLog.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+        success: true,
+        entries: page.items,
+        ...(params.page && { page: params.page }), // Deprecated (page mode only)
+        totalCount,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+    });
+});
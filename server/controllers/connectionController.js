@@ -11,41 +11,33 @@ import Connection from "../models/Connection.js";
 import User from "../models/User.js";
 import Notification from "../models/Notification.js";
 import sendEmail from "../utils/sendEmail.js";
-import { io, getReceiverSocketId } from "../socket/socket.js";
+import { emitToUser } from "../socket/socket.js";
+import { inngest } from "../inngest/index.js";
 
 // --- Internal Helpers (Decomposition) ---
 
 /**
- * Helper to emit socket notifications safely
+ * Helper to emit socket notifications safely (reaches all of the receiver's devices)
  */
 const emitSocketNotification = (receiverId, event, data) => {
-    const socketId = getReceiverSocketId(receiverId);
-    if (socketId) {
-        io.to(socketId).emit(event, data);
-        console.log(`📡 Socket event [${event}] sent to UID: ${receiverId}`);
-    }
+    emitToUser(receiverId, event, data);
+    console.log(`📡 Socket event [${event}] sent to UID: ${receiverId}`);
 };
 
 /**
- * Helper to handle connection emails
+ * Helper to handle the "request accepted" email.
+ * (Request emails & the 24h reminder run as an Inngest workflow, see inngest/index.js)
  */
-const sendConnectionEmail = async (receiver, sender, type) => {
+const sendAcceptedEmail = async (receiver, sender) => {
     if (!receiver.notificationSettings?.email) return;
 
     try {
         const profileUrl = `${process.env.CLIENT_URL}/profile/${sender.username}`;
-        const subjects = {
-            request: `New Connection Request from ${sender.full_name} 👥`,
-            accept: `Connection Accepted: You are now connected with ${sender.full_name}! 🎉`
-        };
-
-        const htmlContent = type === 'request'
-            ? `<h2>Hello ${receiver.full_name.split(" ")[0]}!</h2><p><strong>${sender.full_name}</strong> wants to connect with you on Flurry.</p><a href="${profileUrl}">View Profile</a>`
-            : `<h2>Good News! 🥳</h2><p><strong>${sender.full_name}</strong> accepted your connection request.</p><a href="${profileUrl}">Visit Profile</a>`;
+        const htmlContent = `<h2>Good News! 🥳</h2><p><strong>${sender.full_name}</strong> accepted your connection request.</p><a href="${profileUrl}">Visit Profile</a>`;
 
         sendEmail({
             to: receiver.email,
-            subject: subjects[type],
+            subject: `Connection Accepted: You are now connected with ${sender.full_name}! 🎉`,
             html: `<div style="font-family: Arial, sans-serif; padding: 20px;">${htmlContent}</div>`
         });
     } catch (error) {
@@ -53,6 +45,39 @@ const sendConnectionEmail = async (receiver, sender, type) => {
     }
 };
 
+/**
+ * Helper to queue connection workflow events without failing the request
+ */
+const queueConnectionEvent = async (name, data) => {
+    try {
+        await inngest.send({ name, data });
+    } catch (error) {
+        console.error(`⚙️ Failed to queue [${name}]:`, error.message);
+    }
+};
+
+/**
+ * Helper to close pending request records between two users (either direction)
+ * and cancel their reminder workflows.
+ * @param {"accepted"|"rejected"} status
+ */
+const resolveConnectionRequests = async (userA, userB, status) => {
+    const pending = await Connection.find({
+        $or: [
+            { sender: userA, receiver: userB },
+            { sender: userB, receiver: userA }
+        ],
+        status: "pending"
+    }).select("_id");
+
+    if (pending.length === 0) return;
+
+    await Connection.updateMany({ _id: { $in: pending.map((c) => c._id) } }, { status });
+    await Promise.all(pending.map((c) =>
+        queueConnectionEvent("app/connection-request.resolved", { connectionId: c._id.toString(), status })
+    ));
+};
+
 // --- Controllers ---
 
 /**
@@ -83,6 +108,13 @@ export const sendConnectionRequest = expressAsyncHandler(async (req, res) => {
         User.findByIdAndUpdate(receiver._id, { $addToSet: { pendingRequests: sender._id } })
     ]);
 
+    // Request record drives the email workflow (re-opened if a previous one was closed)
+    const connection = await Connection.findOneAndUpdate(
+        { sender: sender._id, receiver: receiver._id },
+        { status: "pending" },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
     // Create persistent notification
     const notification = await Notification.create({
         recipient: receiver._id,
@@ -104,8 +136,8 @@ export const sendConnectionRequest = expressAsyncHandler(async (req, res) => {
         message: "New connection request"
     });
 
-    // Background Email Task
-    sendConnectionEmail(receiver, sender, 'request');
+    // Background Email Workflow (initial email + 24h reminder)
+    await queueConnectionEvent("app/connection-requested", { connectionId: connection._id.toString() });
 
     res.status(200).json({ success: true, message: "Connection request sent" });
 });
@@ -199,11 +231,14 @@ export const acceptConnection = expressAsyncHandler(async (req, res) => {
         })
     ]);
 
-    // Update historical notification status
-    await Notification.findOneAndUpdate(
-        { recipient: me._id, sender: sender._id, type: "connection_request" },
-        { status: "accepted" }
-    );
+    // Update historical notification status & stop the reminder workflow
+    await Promise.all([
+        Notification.findOneAndUpdate(
+            { recipient: me._id, sender: sender._id, type: "connection_request" },
+            { status: "accepted" }
+        ),
+        resolveConnectionRequests(me._id, sender._id, "accepted")
+    ]);
 
     // Create success notification for the requester
     const newNotification = await Notification.create({
@@ -225,7 +260,7 @@ export const acceptConnection = expressAsyncHandler(async (req, res) => {
         message: "Connection accepted"
     });
 
-    sendConnectionEmail(sender, me, 'accept');
+    sendAcceptedEmail(sender, me);
 
     res.status(200).json({ success: true, message: "Connection accepted" });
 });
@@ -261,7 +296,8 @@ export const rejectConnectionRequest = expressAsyncHandler(async (req, res) => {
                 type: { $in: ["connection_request", "follow_request"] }
             },
             { status: "rejected" }
-        )
+        ),
+        resolveConnectionRequests(currentUser._id, targetUser._id, "rejected")
     ]);
 
     res.status(200).json({ success: true, message: "Request removed/rejected successfully" });
@@ -285,6 +321,9 @@ export const blockUser = expressAsyncHandler(async (req, res) => {
         throw new Error("You cannot block yourself.");
     }
 
+    // Cancel any pending request workflows before their records are removed
+    await resolveConnectionRequests(currentUserId, targetUserId, "rejected");
+
     // Comprehensive relationship termination
     await Promise.all([
         User.findByIdAndUpdate(currentUserId, {
@@ -294,7 +333,7 @@ export const blockUser = expressAsyncHandler(async (req, res) => {
         User.findByIdAndUpdate(targetUserId, {
             $pull: { following: currentUserId, followers: currentUserId, connections: currentUserId }
         }),
-        Connection.findOneAndDelete({
+        Connection.deleteMany({
             $or: [
                 { sender: currentUserId, receiver: targetUserId },
                 { sender: targetUserId, receiver: currentUserId }
@@ -1,11 +1,37 @@
+import { randomBytes } from "node:crypto";
 import expressAsyncHandler from "express-async-handler";
-import Group from "../models/Group.js";
+import Group, { JOIN_POLICIES } from "../models/Group.js";
 import GroupMessage from "../models/GroupMessage.js";
+import GroupInvite, { usableInviteFilter } from "../models/GroupInvite.js";
 import User from "../models/User.js";
-import imagekit from "../configs/imagekit.js";
-import { connections } from "./messageController.js";
-import { io, getReceiverSocketId } from "../socket/socket.js";
+import { io } from "../socket/socket.js";
+import { pushToStream } from "../socket/streams.js";
 import { sendGroupPushNotification } from "../utils/sendNotification.js";
+import { resolveMentions, notifyMentions } from "../utils/mentions.js";
+import { fileReport } from "../utils/reporting.js";
+import { parseListParams, findPage, findWindow, pageMeta } from "../utils/pagination.js";
+import { uploadMedia, toAttachment } from "../media/index.js";
+import { SHARED_MESSAGE_TYPES } from "../models/schemas/attachmentSchema.js";
+import { inngest } from "../inngest/index.js";
+import {
+    ASSIGNABLE_ROLES,
+    getMemberRole,
+    hasGroupPermission,
+    listGroupPermissions,
+    outranks,
+    requireGroupPermission
+} from "../utils/groupPermissions.js";
+import {
+    buildPoll,
+    castVote,
+    retractVotes,
+    appendPollOption,
+    pollView,
+    withPollView,
+    emitPollUpdate,
+    requireOpenPoll
+} from "../utils/polls.js";
+import { requirePinnable, requirePinCapacity, findPinnedMessages } from "../utils/pins.js";
 
 /**
  * @file groupController.js
@@ -32,13 +58,71 @@ const POPULATE_MESSAGE_SENDER = {
 
 const POPULATE_REPLY_TO = {
     path: "replyTo",
-    select: "text sender message_type media_url",
+    select: "text sender message_type media_url attachment.name",
     populate: {
         path: "sender",
         select: "full_name username"
     }
 };
 
+// --- Helpers ---
+
+const ROLE_LABELS = { owner: "owner", admin: "an admin", moderator: "a moderator", member: "a member" };
+
+const JOIN_POLICY_LABELS = {
+    open: "anyone can join",
+    approval: "new members need approval",
+    invite_only: "new members need an invite"
+};
+
+const INVITE_MAX_HOURS = 24 * 30;
+const INVITE_MAX_USES = 1000;
+
+/** FormData sends booleans as strings. */
+const parseBoolean = (value) => value === true || value === "true";
+
+/** Posts a `system` message to the group and broadcasts it to the room. */
+const postSystemMessage = async (req, groupId, senderId, text) => {
+    const systemMsg = await GroupMessage.create({
+        group: groupId,
+        sender: senderId,
+        text,
+        message_type: "system",
+        readBy: [senderId]
+    });
+
+    const io = req.app.get("io");
+    if (io) io.to(groupId.toString()).emit("receiveGroupMessage", systemMsg);
+    return systemMsg;
+};
+
+/**
+ * Throws 403 when the chat lock or announcement-only mode keeps the user from posting.
+ * Announcement-only goes further than a lock: moderators can't post either.
+ */
+const requireCanPost = (res, group, userId) => {
+    if (group.isAnnouncementOnly && !hasGroupPermission(group, userId, "post_announcements")) {
+        res.status(403);
+        throw new Error("Only admins can post in this group");
+    }
+    if (group.isChatLocked && !hasGroupPermission(group, userId, "post_when_locked")) {
+        res.status(403);
+        throw new Error("Chat is locked by admin");
+    }
+};
+
+/** Tells the room that roles changed (clients reload the group details). */
+const emitRolesUpdated = (req, group, changes) => {
+    const io = req.app.get("io");
+    if (io) {
+        io.to(group._id.toString()).emit("groupRolesUpdated", {
+            groupId: group._id.toString(),
+            owner: group.owner.toString(),
+            changes
+        });
+    }
+};
+
 // --- Controllers ---
 
 /**
@@ -67,24 +151,16 @@ export const createGroup = expressAsyncHandler(async (req, res) => {
         }
     }
 
-    // 3. Image Upload (Parallelize if needed, here sequential is fine)
+    // 3. Image Upload
     let groupImageUrl = "";
     if (file) {
-        const uploadResponse = await imagekit.upload({
-            file: file.buffer,
-            fileName: `group-${Date.now()}-${file.originalname}`,
-            folder: "/groups"
-        });
-        groupImageUrl = imagekit.url({
-            path: uploadResponse.filePath,
-            transformation: [{ quality: "auto" }, { width: "500" }]
-        });
+        groupImageUrl = (await uploadMedia(res, file, "group_image")).url;
     }
 
     // 4. Construct Member List
     const initialMembers = [{
         user: ownerUser._id,
-        role: "admin",
+        role: "owner",
         status: "accepted",
         joinedAt: Date.now()
     }];
@@ -174,12 +250,13 @@ export const getDiscoveryGroups = expressAsyncHandler(async (req, res) => {
     if (!currentUser) { res.status(404); throw new Error("User not found"); }
 
     const groups = await Group.find({
+        isDiscoverable: { $ne: false },
         $and: [
             { "members.user": { $ne: currentUser._id } },
             { "owner": { $ne: currentUser._id } }
         ]
     })
-        .select("name description group_image members owner")
+        .select("name description group_image members owner joinPolicy")
         .populate(POPULATE_OWNER)
         .sort({ createdAt: -1 })
         .limit(50);
@@ -188,7 +265,8 @@ export const getDiscoveryGroups = expressAsyncHandler(async (req, res) => {
 });
 
 /**
- * @desc Join a Group
+ * @desc Join a Group: instantly for open groups, as a pending request for approval-only ones.
+ * Invite-only groups can't be joined from here.
  * @route POST /api/group/join/:groupId
  * @access Private
  */
@@ -214,21 +292,34 @@ export const joinGroup = expressAsyncHandler(async (req, res) => {
         throw new Error("You are already a member of this group");
     }
 
+    if (group.joinPolicy === "invite_only") {
+        res.status(403);
+        throw new Error("This group is invite-only");
+    }
+
+    const isOpen = group.joinPolicy === "open";
+
     // Add Member
     group.members.push({
         user: currentUser._id,
         role: "member",
-        status: "pending" // Or "accepted" for open groups
+        status: isOpen ? "accepted" : "pending",
+        joinedAt: Date.now()
     });
 
     await group.save();
 
+    if (isOpen) {
+        await postSystemMessage(req, groupId, currentUser._id, `${currentUser.full_name} has joined the group`);
+    }
+
     // Populate and Return
     const populatedGroup = await group.populate("members.user", "full_name profile_picture");
 
     res.status(200).json({
         success: true,
-        message: "Join request sent successfully",
+        message: isOpen ? "Joined the group" : "Join request sent successfully",
+        status: isOpen ? "accepted" : "pending",
         group: populatedGroup
     });
 });
@@ -243,15 +334,13 @@ export const getGroupRequests = expressAsyncHandler(async (req, res) => {
     const { groupId } = req.params;
 
     const currentUser = await User.findOne({ clerkId: userId });
-    const group = await Group.findById(groupId).populate("members.user", "full_name profile_picture username");
+    const group = await Group.findById(groupId)
+        .populate("members.user", "full_name profile_picture username")
+        .populate("members.invitedBy", "full_name username");
 
     if (!group) { res.status(404); throw new Error("Group not found"); }
 
-    // Authorization Check
-    if (group.owner.toString() !== currentUser._id.toString()) {
-        res.status(403);
-        throw new Error("Not authorized");
-    }
+    requireGroupPermission(res, group, currentUser._id, "approve_requests");
 
     const requests = group.members.filter(m => m.status === "pending");
 
@@ -279,11 +368,7 @@ export const respondToJoinRequest = expressAsyncHandler(async (req, res) => {
         throw new Error("Group not found");
     }
 
-    // Authorization Check: Only owner can respond
-    if (group.owner.toString() !== currentUser._id.toString()) {
-        res.status(403);
-        throw new Error("Not authorized");
-    }
+    requireGroupPermission(res, group, currentUser._id, "approve_requests");
 
     // Find the pending member request
     // IMPORTANT: This prevents processing the same request twice (idempotency)
@@ -360,7 +445,120 @@ export const getGroupDetails = expressAsyncHandler(async (req, res) => {
     // Filter out deleted users from the response to prevent frontend issues
     group.members = group.members.filter(m => m.user !== null);
 
-    res.status(200).json({ success: true, group });
+    // Report effective roles (groups created before roles stored the owner as "admin")
+    group.members.forEach(m => {
+        if (m.status === "accepted") m.role = getMemberRole(group, m.user._id);
+    });
+
+    res.status(200).json({
+        success: true,
+        group,
+        myRole: getMemberRole(group, currentUser._id),
+        permissions: listGroupPermissions(group, currentUser._id)
+    });
+});
+
+/**
+ * @desc Update group settings: profile (name, description, image), privacy
+ * (join policy, discoverability) and announcement-only mode. Only the fields sent are
+ * changed; each change posts a system message.
+ * @route PUT /api/group/:groupId
+ * @body multipart { name?, description?, image?, joinPolicy?, isDiscoverable?, isAnnouncementOnly? }
+ * @access Private (Owner & Admins)
+ */
+export const updateGroupSettings = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { groupId } = req.params;
+    const { name, description, joinPolicy, isDiscoverable, isAnnouncementOnly } = req.body;
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    const group = await Group.findById(groupId);
+
+    if (!group) { res.status(404); throw new Error("Group not found"); }
+    requireGroupPermission(res, group, currentUser._id, "edit_info");
+
+    // 1. Validate everything before changing anything
+    const updates = {};
+    const announcements = [];
+
+    if (name !== undefined) {
+        const trimmed = String(name).trim();
+        if (!trimmed || trimmed.length > 100) {
+            res.status(400);
+            throw new Error("Group name must be between 1 and 100 characters");
+        }
+        if (trimmed !== group.name) {
+            updates.name = trimmed;
+            announcements.push(`${currentUser.full_name} renamed the group to "${trimmed}"`);
+        }
+    }
+
+    if (description !== undefined) {
+        const trimmed = String(description).trim();
+        if (trimmed.length > 500) {
+            res.status(400);
+            throw new Error("Description cannot exceed 500 characters");
+        }
+        if (trimmed !== group.description) {
+            updates.description = trimmed;
+            announcements.push(trimmed
+                ? `${currentUser.full_name} updated the group description`
+                : `${currentUser.full_name} removed the group description`);
+        }
+    }
+
+    if (joinPolicy !== undefined) {
+        if (!JOIN_POLICIES.includes(joinPolicy)) {
+            res.status(400);
+            throw new Error(`Join policy must be one of: ${JOIN_POLICIES.join(", ")}`);
+        }
+        if (joinPolicy !== group.joinPolicy) {
+            updates.joinPolicy = joinPolicy;
+            announcements.push(`${currentUser.full_name} changed who can join: ${JOIN_POLICY_LABELS[joinPolicy]}`);
+        }
+    }
+
+    if (isDiscoverable !== undefined) {
+        const discoverable = parseBoolean(isDiscoverable);
+        if (discoverable !== (group.isDiscoverable !== false)) {
+            updates.isDiscoverable = discoverable;
+            announcements.push(discoverable
+                ? `${currentUser.full_name} made the group visible in discovery`
+                : `${currentUser.full_name} hid the group from discovery`);
+        }
+    }
+
+    if (isAnnouncementOnly !== undefined) {
+        const announcementOnly = parseBoolean(isAnnouncementOnly);
+        if (announcementOnly !== Boolean(group.isAnnouncementOnly)) {
+            updates.isAnnouncementOnly = announcementOnly;
+            announcements.push(announcementOnly
+                ? `📢 ${currentUser.full_name} made the group announcement-only: only admins can post`
+                : `${currentUser.full_name} turned off announcement-only mode`);
+        }
+    }
+
+    // 2. Image last: it is only uploaded once the rest is known to be valid
+    if (req.file) {
+        updates.group_image = (await uploadMedia(res, req.file, "group_image")).url;
+        announcements.push(`${currentUser.full_name} changed the group photo`);
+    }
+
+    if (announcements.length === 0) {
+        return res.status(200).json({ success: true, message: "Nothing to update", group });
+    }
+
+    Object.assign(group, updates);
+    await group.save();
+
+    for (const text of announcements) {
+        await postSystemMessage(req, groupId, currentUser._id, text);
+    }
+
+    const io = req.app.get("io");
+    if (io) io.to(groupId).emit("groupUpdated", { groupId, ...updates });
+
+    res.status(200).json({ success: true, message: "Group updated", group });
 });
 
 /**
@@ -379,11 +577,8 @@ export const sendGroupMessage = expressAsyncHandler(async (req, res) => {
 
     if (!group) { res.status(404); throw new Error("Group not found"); }
 
-    // --- Chat Lock Check ---
-    if (group.isChatLocked && group.owner.toString() !== currentUser._id.toString()) {
-        res.status(403);
-        throw new Error("Chat is locked by admin");
-    }
+    // --- Chat Lock / Announcement-Only Check ---
+    requireCanPost(res, group, currentUser._id);
 
     const isMember = group.members.some(
         m => m.user.toString() === currentUser._id.toString() && m.status === "accepted"
@@ -393,39 +588,28 @@ export const sendGroupMessage = expressAsyncHandler(async (req, res) => {
 
     // 2. Media Handling
     let mediaUrl = "";
+    let attachment = null;
     let messageType = "text";
 
     if (file) {
-        const timestamp = Date.now();
-        if (file.mimetype.startsWith("image/")) {
-            messageType = "image";
-            const upload = await imagekit.upload({
-                file: file.buffer,
-                fileName: `group-img-${timestamp}-${file.originalname}`,
-                folder: "/group-messages/images"
-            });
-            mediaUrl = imagekit.url({
-                path: upload.filePath,
-                transformation: [{ quality: "auto" }, { width: "800" }]
-            });
-        } else if (file.mimetype.startsWith("audio/")) {
-            messageType = "audio";
-            const upload = await imagekit.upload({
-                file: file.buffer,
-                fileName: `group-voice-${timestamp}.webm`,
-                folder: "/group-messages/voices"
-            });
-            mediaUrl = upload.url;
-        }
+        const media = await uploadMedia(res, file, "group_message");
+        messageType = media.kind;
+        mediaUrl = media.url;
+        attachment = toAttachment(media);
     }
 
-    // 3. Create Message
+    // 3. Create Message (mentions are limited to accepted members)
+    const memberIds = group.members.filter(m => m.status === "accepted").map(m => m.user);
+    const mentionedUsers = await resolveMentions(text, currentUser, { allowedIds: memberIds });
+
     let newMessage = await GroupMessage.create({
         group: groupId,
         sender: currentUser._id,
         text: text || "",
+        mentions: mentionedUsers.map(u => u._id),
         message_type: messageType,
         media_url: mediaUrl,
+        attachment,
         replyTo: replyTo || null,
         readBy: [currentUser._id]
     });
@@ -433,16 +617,16 @@ export const sendGroupMessage = expressAsyncHandler(async (req, res) => {
     // 4. Populate
     newMessage = await newMessage.populate([
         { path: "sender", select: "full_name username profile_picture" },
-        { path: "replyTo", select: "text media_url message_type sender" }
+        { path: "replyTo", select: "text media_url message_type sender attachment.name" }
     ]);
 
     // 5. SSE & Socket Emission
-    // A. SSE
-    const payload = JSON.stringify(newMessage);
-    group.members.forEach(member => {
-        const memberId = member.user.toString();
-        if (memberId !== currentUser._id.toString() && global.connections && global.connections[memberId]) {
-            global.connections[memberId].write(`data: ${payload}\n\n`);
+    // A. SSE (per accepted member: stream clients aren't in the Socket.io group room,
+    //    and pending join requests must not receive the group's messages)
+    memberIds.forEach(member => {
+        const memberId = member.toString();
+        if (memberId !== currentUser._id.toString()) {
+            pushToStream(memberId, "receiveGroupMessage", newMessage);
         }
     });
 
@@ -462,6 +646,8 @@ export const sendGroupMessage = expressAsyncHandler(async (req, res) => {
             let notificationBody = text;
             if (messageType === 'image') notificationBody = `${currentUser.full_name} sent a photo 📷`;
             else if (messageType === 'audio') notificationBody = `${currentUser.full_name} sent a voice message 🎤`;
+            else if (messageType === 'video') notificationBody = `${currentUser.full_name} sent a video 🎬`;
+            else if (messageType === 'file') notificationBody = `${currentUser.full_name} sent a file 📎 ${attachment.name}`;
             else notificationBody = `${currentUser.full_name}: ${text}`;
 
             await sendGroupPushNotification(
@@ -481,22 +667,32 @@ export const sendGroupMessage = expressAsyncHandler(async (req, res) => {
         console.error("⚠️ Failed to send group notification:", error);
     }
 
+    // 7. Mention Notifications
+    await notifyMentions({ users: mentionedUsers, sender: currentUser, context: "group", group });
+
     res.status(201).json({ success: true, data: newMessage });
 });
 
+/** Populates a history query the way the chat renders it. */
+const withMessageDetails = (q) => q
+    .populate(POPULATE_MESSAGE_SENDER)
+    .populate(POPULATE_REPLY_TO)
+    .populate("reactions.user", "full_name username profile_picture")
+    .lean(); // Using lean for performance is recommended here too
+
 /**
  * @desc Get Group Chat History
- * @route GET /api/group/messages/:groupId
+ * @route GET /api/group/messages/:groupId?limit=20[&cursor=...|&after=...]
+ * `cursor` pages back through older messages; `after` pages forward again after a jump (see getGroupMessageContext).
  * @access Private
  */
 export const getGroupMessages = expressAsyncHandler(async (req, res) => {
     const { userId } = req.auth();
     const { groupId } = req.params;
 
-    // 🟢 Pagination Parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    // 🟢 Pagination Parameters (cursor = oldest message already loaded)
+    const params = parseListParams(req.query, { defaultLimit: 20, allowNewer: true });
+    if (!params) { res.status(400); throw new Error("Invalid cursor."); }
 
     const currentUser = await User.findOne({ clerkId: userId });
     const group = await Group.findById(groupId);
@@ -509,24 +705,96 @@ export const getGroupMessages = expressAsyncHandler(async (req, res) => {
 
     if (!isMember) { res.status(403); throw new Error("Not a member"); }
 
-    // 🟢 Updated Query: Sort -1, Skip, Limit
-    const messages = await GroupMessage.find({ group: groupId })
-        .sort({ createdAt: -1 }) // Newest first
-        .skip(skip)
-        .limit(limit)
-        .populate(POPULATE_MESSAGE_SENDER)
-        .populate(POPULATE_REPLY_TO)
-        .populate("reactions.user", "full_name username profile_picture")
-        .lean(); // Using lean for performance is recommended here too
+    // 🟢 Newest first, then re-ordered to chronological
+    const page = await findPage(GroupMessage, { group: groupId, isHidden: { $ne: true } }, params, withMessageDetails);
 
-    // 🟢 Re-order to chronological
-    const sortedMessages = messages.reverse();
+    const sortedMessages = page.items.reverse().map(msg => withPollView(msg, currentUser._id));
 
     res.status(200).json({
         success: true,
         count: sortedMessages.length,
         messages: sortedMessages,
-        hasMore: messages.length === limit // 🟢 Helper flag
+        ...pageMeta(page) // 🟢 hasMore + nextCursor (older messages)
+    });
+});
+
+/**
+ * @desc Get the messages around one message (jump to a quoted message that isn't loaded)
+ * @route GET /api/group/messages/:groupId/around/:messageId?limit=30
+ * Returns a chronological window like getGroupMessages: `nextCursor` continues into older
+ * messages, `newerCursor` (null once the window reaches the latest message) into newer ones.
+ * @access Private (Accepted members)
+ */
+export const getGroupMessageContext = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { groupId, messageId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 3), 50);
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    const group = await Group.findById(groupId);
+
+    if (!group) { res.status(404); throw new Error("Group not found"); }
+
+    const isMember = group.members.some(
+        m => m.user.toString() === currentUser._id.toString() && m.status === "accepted"
+    );
+
+    if (!isMember) { res.status(403); throw new Error("Not a member"); }
+
+    const page = await findWindow(GroupMessage, { group: groupId, isHidden: { $ne: true } }, messageId, limit, withMessageDetails);
+    if (!page) { res.status(404); throw new Error("Message not found"); }
+
+    const sortedMessages = page.items.reverse().map(msg => withPollView(msg, currentUser._id));
+
+    res.status(200).json({
+        success: true,
+        count: sortedMessages.length,
+        messages: sortedMessages,
+        targetId: messageId,
+        ...pageMeta(page) // hasMore + nextCursor (older) + newerCursor
+    });
+});
+
+/**
+ * @desc Get a group's shared media or files, newest first (chat info sidebar)
+ * @route GET /api/group/messages/:groupId/shared?kind=media|files&limit=30[&cursor=...]
+ * @access Private (Accepted members)
+ */
+export const getGroupSharedAttachments = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { groupId } = req.params;
+    const kind = req.query.kind || "files";
+
+    if (!SHARED_MESSAGE_TYPES[kind]) { res.status(400); throw new Error("Invalid kind."); }
+
+    const params = parseListParams(req.query, { defaultLimit: 30 });
+    if (!params) { res.status(400); throw new Error("Invalid cursor."); }
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    const group = await Group.findById(groupId);
+
+    if (!group) { res.status(404); throw new Error("Group not found"); }
+
+    const isMember = group.members.some(
+        m => m.user.toString() === currentUser._id.toString() && m.status === "accepted"
+    );
+
+    if (!isMember) { res.status(403); throw new Error("Not a member"); }
+
+    const page = await findPage(GroupMessage, {
+        group: groupId,
+        message_type: { $in: SHARED_MESSAGE_TYPES[kind] },
+        isDeleted: { $ne: true },
+        isHidden: { $ne: true },
+    }, params, (q) => q
+        .select("sender message_type media_url attachment createdAt")
+        .populate("sender", "full_name username")
+        .lean());
+
+    res.status(200).json({
+        success: true,
+        items: page.items,
+        ...pageMeta(page)
     });
 });
 
@@ -570,9 +838,9 @@ export const leaveGroup = expressAsyncHandler(async (req, res) => {
 });
 
 /**
- * @desc Kick Member
+ * @desc Kick Member (only members ranked below the caller)
  * @route PUT /api/group/kick
- * @access Private (Owner Only)
+ * @access Private (Owner, Admins & Moderators)
  */
 export const removeMember = expressAsyncHandler(async (req, res) => {
     const { userId } = req.auth();
@@ -582,11 +850,8 @@ export const removeMember = expressAsyncHandler(async (req, res) => {
     const group = await Group.findById(groupId);
 
     if (!group) { res.status(404); throw new Error("Group not found"); }
-    if (group.owner.toString() !== currentUser._id.toString()) {
-        res.status(403);
-        throw new Error("Not authorized");
-    }
-    if (memberId === group.owner.toString()) {
+    const myRole = requireGroupPermission(res, group, currentUser._id, "kick_members");
+    if (memberId === currentUser._id.toString()) {
         res.status(400);
         throw new Error("Cannot kick yourself");
     }
@@ -597,6 +862,12 @@ export const removeMember = expressAsyncHandler(async (req, res) => {
         throw new Error("Member not found");
     }
 
+    const targetRole = getMemberRole(group, memberId);
+    if (targetRole && !outranks(myRole, targetRole)) {
+        res.status(403);
+        throw new Error(`You can't remove a ${targetRole}`);
+    }
+
     group.members.splice(memberIndex, 1);
     await group.save();
 
@@ -614,6 +885,306 @@ export const removeMember = expressAsyncHandler(async (req, res) => {
     res.status(200).json({ success: true, message: "Removed successfully", memberId });
 });
 
+/**
+ * @desc Promote or demote a member. The caller must outrank both the member's current
+ * role and the new one (admins manage moderators, only the owner manages admins).
+ * @route PUT /api/group/:groupId/members/:memberId/role
+ * @body { role: "admin" | "moderator" | "member" }
+ * @access Private (Owner & Admins)
+ */
+export const updateMemberRole = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { groupId, memberId } = req.params;
+    const { role } = req.body;
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+        res.status(400);
+        throw new Error(`Role must be one of: ${ASSIGNABLE_ROLES.join(", ")}`);
+    }
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    const group = await Group.findById(groupId);
+
+    if (!group) { res.status(404); throw new Error("Group not found"); }
+    const myRole = requireGroupPermission(res, group, currentUser._id, "manage_roles");
+
+    const member = group.members.find(m => m.user.toString() === memberId && m.status === "accepted");
+    if (!member) { res.status(404); throw new Error("Member not found"); }
+
+    const currentRole = getMemberRole(group, memberId);
+    if (!outranks(myRole, currentRole) || !outranks(myRole, role)) {
+        res.status(403);
+        throw new Error("You can only manage roles below your own");
+    }
+
+    if (currentRole === role) {
+        return res.status(200).json({ success: true, memberId, role });
+    }
+
+    member.role = role;
+    await group.save();
+
+    const targetUser = await User.findById(memberId).select("full_name");
+    const isPromotion = outranks(role, currentRole);
+    const text = isPromotion
+        ? `${currentUser.full_name} made ${targetUser?.full_name} ${ROLE_LABELS[role]}`
+        : `${currentUser.full_name} changed ${targetUser?.full_name}'s role to ${role}`;
+
+    await postSystemMessage(req, groupId, currentUser._id, text);
+    emitRolesUpdated(req, group, [{ memberId, role }]);
+
+    res.status(200).json({ success: true, memberId, role });
+});
+
+/**
+ * @desc Transfer ownership to another member. The previous owner stays on as an admin.
+ * @route PUT /api/group/:groupId/transfer-ownership
+ * @body { memberId }
+ * @access Private (Owner Only)
+ */
+export const transferOwnership = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { groupId } = req.params;
+    const { memberId } = req.body;
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    const group = await Group.findById(groupId);
+
+    if (!group) { res.status(404); throw new Error("Group not found"); }
+    if (getMemberRole(group, currentUser._id) !== "owner") {
+        res.status(403);
+        throw new Error("Only the owner can transfer ownership");
+    }
+    if (!memberId || memberId === currentUser._id.toString()) {
+        res.status(400);
+        throw new Error("Choose another member to become the owner");
+    }
+
+    const newOwner = group.members.find(m => m.user.toString() === memberId && m.status === "accepted");
+    if (!newOwner) { res.status(404); throw new Error("Member not found"); }
+
+    const previousOwner = group.members.find(m => m.user.toString() === currentUser._id.toString());
+    if (previousOwner) previousOwner.role = "admin";
+    newOwner.role = "owner";
+    group.owner = newOwner.user;
+    await group.save();
+
+    const targetUser = await User.findById(memberId).select("full_name");
+    await postSystemMessage(req, groupId, currentUser._id,
+        `👑 ${currentUser.full_name} transferred ownership to ${targetUser?.full_name}`);
+    emitRolesUpdated(req, group, [
+        { memberId, role: "owner" },
+        { memberId: currentUser._id.toString(), role: "admin" }
+    ]);
+
+    res.status(200).json({ success: true, owner: memberId });
+});
+
+/**
+ * Optional positive number from the body (null when left out), or throws 400.
+ */
+const parseLimit = (res, value, { max, integer = false, label }) => {
+    if (value === undefined || value === null || value === "") return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || number > max || (integer && !Number.isInteger(number))) {
+        res.status(400);
+        throw new Error(`${label} must be ${integer ? "a whole number " : ""}between 1 and ${max}`);
+    }
+    return number;
+};
+
+/**
+ * @desc Create an invite link
+ * @route POST /api/group/:groupId/invites
+ * @body { expiresInHours?, maxUses?, skipApproval? = true }
+ * @access Private (Owner & Admins)
+ */
+export const createGroupInvite = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { groupId } = req.params;
+    const { expiresInHours, maxUses, skipApproval } = req.body;
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    const group = await Group.findById(groupId);
+
+    if (!group) { res.status(404); throw new Error("Group not found"); }
+    requireGroupPermission(res, group, currentUser._id, "manage_invites");
+
+    const hours = parseLimit(res, expiresInHours, { max: INVITE_MAX_HOURS, label: "Expiry (hours)" });
+    const uses = parseLimit(res, maxUses, { max: INVITE_MAX_USES, integer: true, label: "Max uses" });
+
+    const invite = await GroupInvite.create({
+        group: group._id,
+        token: randomBytes(18).toString("base64url"),
+        createdBy: currentUser._id,
+        expiresAt: hours ? new Date(Date.now() + hours * 60 * 60 * 1000) : null,
+        maxUses: uses,
+        skipApproval: skipApproval === undefined ? true : parseBoolean(skipApproval)
+    });
+
+    await invite.populate("createdBy", "full_name username profile_picture");
+
+    res.status(201).json({ success: true, invite });
+});
+
+/**
+ * @desc List the group's invite links that still work
+ * @route GET /api/group/:groupId/invites
+ * @access Private (Owner & Admins)
+ */
+export const getGroupInvites = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { groupId } = req.params;
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    const group = await Group.findById(groupId);
+
+    if (!group) { res.status(404); throw new Error("Group not found"); }
+    requireGroupPermission(res, group, currentUser._id, "manage_invites");
+
+    const invites = await GroupInvite.find({ group: group._id, ...usableInviteFilter() })
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .populate("createdBy", "full_name username profile_picture")
+        .lean();
+
+    res.status(200).json({ success: true, count: invites.length, invites });
+});
+
+/**
+ * @desc Revoke an invite link
+ * @route DELETE /api/group/:groupId/invites/:inviteId
+ * @access Private (Owner & Admins)
+ */
+export const revokeGroupInvite = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { groupId, inviteId } = req.params;
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    const group = await Group.findById(groupId);
+
+    if (!group) { res.status(404); throw new Error("Group not found"); }
+    requireGroupPermission(res, group, currentUser._id, "manage_invites");
+
+    const invite = await GroupInvite.findOneAndUpdate(
+        { _id: inviteId, group: group._id, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+    if (!invite) { res.status(404); throw new Error("Invite not found"); }
+
+    res.status(200).json({ success: true, inviteId });
+});
+
+/**
+ * @desc Preview the group behind an invite link (before joining)
+ * @route GET /api/group/invite/:token
+ * @access Private
+ */
+export const getInvitePreview = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { token } = req.params;
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    const invite = await GroupInvite.findOne({ token, ...usableInviteFilter() })
+        .populate("createdBy", "full_name username profile_picture")
+        .lean();
+
+    if (!invite) { res.status(404); throw new Error("This invite link is invalid or has expired"); }
+
+    const group = await Group.findById(invite.group)
+        .select("name description group_image members joinPolicy")
+        .lean();
+    if (!group) { res.status(404); throw new Error("This invite link is invalid or has expired"); }
+
+    const myRecord = group.members.find(m => m.user.toString() === currentUser._id.toString());
+
+    res.status(200).json({
+        success: true,
+        group: {
+            _id: group._id,
+            name: group.name,
+            description: group.description,
+            group_image: group.group_image,
+            membersCount: group.members.filter(m => m.status === "accepted").length
+        },
+        invite: {
+            createdBy: invite.createdBy,
+            expiresAt: invite.expiresAt,
+            skipApproval: invite.skipApproval
+        },
+        membership: myRecord?.status === "accepted" ? "member" : myRecord?.status === "pending" ? "pending" : null
+    });
+});
+
+/**
+ * @desc Join through an invite link. Whatever the group's join policy, the joiner becomes a
+ * member right away when the link skips approval, and a pending request otherwise.
+ * @route POST /api/group/invite/:token/join
+ * @access Private
+ */
+export const joinGroupWithInvite = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { token } = req.params;
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    if (!currentUser) { res.status(404); throw new Error("User not found"); }
+
+    const invite = await GroupInvite.findOne({ token }).populate("createdBy", "full_name");
+    const group = invite && await Group.findById(invite.group);
+    if (!group) { res.status(404); throw new Error("This invite link is invalid or has expired"); }
+
+    const myRecord = group.members.find(m => m.user.toString() === currentUser._id.toString());
+    if (myRecord?.status === "accepted") {
+        res.status(400);
+        throw new Error("You are already a member of this group");
+    }
+    if (myRecord && !invite.skipApproval) {
+        res.status(400);
+        throw new Error("Your request to join is already pending");
+    }
+
+    // Take one use atomically: fails once the link is revoked, expired or used up
+    const consumed = await GroupInvite.findOneAndUpdate(
+        { _id: invite._id, ...usableInviteFilter() },
+        { $inc: { uses: 1 } }
+    );
+    if (!consumed) { res.status(410); throw new Error("This invite link is invalid or has expired"); }
+
+    const status = invite.skipApproval ? "accepted" : "pending";
+    const inviterId = invite.createdBy?._id || null;
+
+    if (myRecord) {
+        // A pending request, approved by the link
+        myRecord.status = "accepted";
+        myRecord.joinedAt = Date.now();
+        myRecord.invitedBy = inviterId;
+    } else {
+        group.members.push({
+            user: currentUser._id,
+            role: "member",
+            status,
+            joinedAt: Date.now(),
+            invitedBy: inviterId
+        });
+    }
+
+    await group.save();
+
+    if (status === "accepted") {
+        const inviterName = invite.createdBy?.full_name;
+        await postSystemMessage(req, group._id, currentUser._id, inviterName
+            ? `${currentUser.full_name} joined using an invite link from ${inviterName}`
+            : `${currentUser.full_name} joined using an invite link`);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: status === "accepted" ? "Joined the group" : "Join request sent successfully",
+        status,
+        groupId: group._id
+    });
+});
+
 /**
  * @desc React to Message
  * @route PUT /api/group/react
@@ -697,10 +1268,10 @@ export const markGroupMessagesRead = expressAsyncHandler(async (req, res) => {
 /**
  * @desc Toggle Group Lock
  * @route PUT /api/group/toggle-lock/:groupId
- * @access Private (Owner Only)
+ * @access Private (Owner & Admins)
  */
 export const toggleGroupLock = expressAsyncHandler(async (req, res) => {
-    const { userId } = req.auth;
+    const { userId } = req.auth();
     const { groupId } = req.params;
 
     const currentUser = await User.findOne({ clerkId: userId });
@@ -715,10 +1286,7 @@ export const toggleGroupLock = expressAsyncHandler(async (req, res) => {
         throw new Error("Group not found");
     }
 
-    if (group.owner.toString() !== currentUser._id.toString()) {
-        res.status(403);
-        throw new Error("Not authorized: Only the group owner can lock the chat");
-    }
+    requireGroupPermission(res, group, currentUser._id, "lock_chat");
 
     group.isChatLocked = !group.isChatLocked;
     await group.save();
@@ -733,7 +1301,9 @@ export const toggleGroupLock = expressAsyncHandler(async (req, res) => {
         const systemMsg = await GroupMessage.create({
             group: groupId,
             sender: currentUser._id,
-            text: group.isChatLocked ? "🔒 Group chat locked by admin" : "🔓 Group chat unlocked by admin",
+            text: group.isChatLocked
+                ? `🔒 Group chat locked by ${currentUser.full_name}`
+                : `🔓 Group chat unlocked by ${currentUser.full_name}`,
             message_type: "system",
             readBy: [currentUser._id]
         });
@@ -758,14 +1328,14 @@ export const deleteGroupMessage = expressAsyncHandler(async (req, res) => {
     const message = await GroupMessage.findById(messageId);
     if (!message) { res.status(404); throw new Error("Message not found"); }
 
-    // Find the group to check permissions (Admin can delete anyone's msg)
-    const group = await Group.findById(message.group); // Assuming message has 'group' field
+    // Find the group to check permissions (staff can delete anyone's msg)
+    const group = await Group.findById(message.group);
     if (!group) { res.status(404); throw new Error("Group not found"); }
 
     const isSender = message.sender.toString() === user._id.toString();
-    const isAdmin = group.owner.toString() === user._id.toString(); // Or check admins array
+    const canModerate = hasGroupPermission(group, user._id, "delete_messages");
 
-    if (!isSender && !isAdmin) {
+    if (!isSender && !canModerate) {
         res.status(401);
         throw new Error("Not authorized to delete this message");
     }
@@ -773,7 +1343,11 @@ export const deleteGroupMessage = expressAsyncHandler(async (req, res) => {
     // Soft Delete
     message.text = "";
     message.media_url = null;
+    message.attachment = null;
     message.isDeleted = true;
+    const wasPinned = Boolean(message.pinnedAt);
+    message.pinnedAt = null;
+    message.pinnedBy = null;
     await message.save();
 
     // 🟢 Socket Notification (Broadcast to Group Room)
@@ -783,6 +1357,12 @@ export const deleteGroupMessage = expressAsyncHandler(async (req, res) => {
                 messageId,
                 groupId: message.group.toString()
             });
+            if (wasPinned) {
+                io.to(message.group.toString()).emit("groupMessageUnpinned", {
+                    messageId,
+                    groupId: message.group.toString()
+                });
+            }
         }
     } catch (socketError) {
         console.error("Socket emit failed:", socketError);
@@ -843,20 +1423,138 @@ export const editGroupMessage = expressAsyncHandler(async (req, res) => {
     res.status(200).json({ success: true, data: message });
 });
 
+/**
+ * Loads a group message for pinning / unpinning.
+ * Throws 404 for unknown messages and 403 without the `pin_messages` permission.
+ */
+const findPinTarget = async (res, messageId, userId) => {
+    const message = await GroupMessage.findById(messageId);
+    if (!message) { res.status(404); throw new Error("Message not found"); }
+
+    const group = await Group.findById(message.group).select("owner members");
+    if (!group) { res.status(404); throw new Error("Group not found"); }
+    requireGroupPermission(res, group, userId, "pin_messages");
+
+    return message;
+};
+
+/**
+ * @desc    Get the pinned messages of a group (pinned bar), most recently pinned first
+ * @route   GET /api/group/messages/:groupId/pinned
+ * @access  Private (Accepted members)
+ */
+export const getPinnedGroupMessages = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { groupId } = req.params;
+
+    const currentUser = await User.findOne({ clerkId: userId });
+    const group = await Group.findById(groupId).select("owner members");
+
+    if (!group) { res.status(404); throw new Error("Group not found"); }
+    if (!getMemberRole(group, currentUser._id)) { res.status(403); throw new Error("Not a member"); }
+
+    const pinned = await findPinnedMessages(GroupMessage, { group: groupId });
+
+    res.status(200).json({ success: true, pinned });
+});
+
+/**
+ * @desc    Pin a group message for every member (capped, see utils/pins.js)
+ * @route   PUT /api/group/message/:id/pin
+ * @access  Private (Owner, Admins & Moderators)
+ */
+export const pinGroupMessage = expressAsyncHandler(async (req, res) => {
+    const { id: messageId } = req.params;
+    const { userId: clerkId } = req.auth();
+
+    const user = await User.findOne({ clerkId });
+    if (!user) { res.status(404); throw new Error("User not found"); }
+
+    const message = await findPinTarget(res, messageId, user._id);
+    requirePinnable(res, message);
+
+    const isNewPin = !message.pinnedAt; // Pinning again is a no-op
+    if (isNewPin) {
+        await requirePinCapacity(res, GroupMessage, { group: message.group });
+
+        message.pinnedAt = new Date();
+        message.pinnedBy = user._id;
+        await message.save();
+    }
+
+    const [pinned] = await findPinnedMessages(GroupMessage, { _id: message._id });
+
+    if (isNewPin) {
+        const groupId = message.group.toString();
+        const io = req.app.get("io");
+        if (io) io.to(groupId).emit("groupMessagePinned", { groupId, pinned });
+        await postSystemMessage(req, groupId, user._id, `📌 ${user.full_name} pinned a message`);
+    }
+
+    res.status(200).json({ success: true, pinned });
+});
+
+/**
+ * @desc    Unpin a group message
+ * @route   DELETE /api/group/message/:id/pin
+ * @access  Private (Owner, Admins & Moderators)
+ */
+export const unpinGroupMessage = expressAsyncHandler(async (req, res) => {
+    const { id: messageId } = req.params;
+    const { userId: clerkId } = req.auth();
+
+    const user = await User.findOne({ clerkId });
+    if (!user) { res.status(404); throw new Error("User not found"); }
+
+    const message = await findPinTarget(res, messageId, user._id);
+
+    if (message.pinnedAt) {
+        message.pinnedAt = null;
+        message.pinnedBy = null;
+        await message.save();
+
+        const groupId = message.group.toString();
+        const io = req.app.get("io");
+        if (io) io.to(groupId).emit("groupMessageUnpinned", { groupId, messageId });
+    }
+
+    res.status(200).json({ success: true, messageId });
+});
+
+/**
+ * Loads a poll of a group the user is an accepted member of.
+ * Throws 404 for unknown / deleted polls and 403 for non-members.
+ */
+const findMemberPoll = async (res, messageId, userId) => {
+    const message = await GroupMessage.findById(messageId);
+    if (!message || message.message_type !== "poll" || message.isDeleted) {
+        res.status(404); throw new Error("Poll not found");
+    }
+
+    const group = await Group.findById(message.group).select("owner members");
+    if (!getMemberRole(group, userId)) {
+        res.status(403); throw new Error("You are not a member of this group");
+    }
+
+    return message;
+};
+
 /**
  * @desc    Create a new Poll message
  * @route   POST /api/group/poll
+ * @body    { groupId, question, options[], allowMultipleAnswers?, isAnonymous?, allowAddOptions?, closesAt? }
  * @access  Private
  */
 export const createPoll = expressAsyncHandler(async (req, res) => {
-    const { groupId, question, options, allowMultipleAnswers } = req.body;
+    const { groupId } = req.body;
     const { userId: clerkId } = req.auth();
 
     // 1. Validation
-    if (!groupId || !question || !options || !Array.isArray(options) || options.length < 2) {
+    if (!groupId) {
         res.status(400);
         throw new Error("Invalid poll data. Must have question and at least 2 options.");
     }
+    const poll = buildPoll(res, req.body);
 
     const user = await User.findOne({ clerkId });
     if (!user) { res.status(404); throw new Error("User not found"); }
@@ -868,100 +1566,132 @@ export const createPoll = expressAsyncHandler(async (req, res) => {
     const isMember = group.members.some(m => m.user.toString() === user._id.toString() && m.status === "accepted");
     if (!isMember) { res.status(403); throw new Error("You are not a member of this group"); }
 
-    // 3. Check Chat Lock (Optional - if you want polls to respect lock)
-    if (group.isChatLocked && group.owner.toString() !== user._id.toString()) {
-        res.status(403); throw new Error("Chat is locked");
-    }
+    // 3. Check Chat Lock / Announcement-Only
+    requireCanPost(res, group, user._id);
 
     // 4. Create Poll Message
-    // Format options: Array of strings -> Array of Objects { text, votes: [] }
-    const formattedOptions = options.map(opt => ({ text: opt, votes: [] }));
-
     const newPoll = await GroupMessage.create({
         group: groupId,
         sender: user._id,
         message_type: "poll",
-        poll: {
-            question,
-            options: formattedOptions,
-            allowMultipleAnswers: allowMultipleAnswers || false
-        },
+        poll,
         readBy: [user._id]
     });
 
     // Populate sender details for frontend
     await newPoll.populate("sender", "full_name username profile_picture image");
 
-    // 5. Socket Emit
+    // 5. Close Job (final results are announced at the deadline)
+    if (poll.closesAt) {
+        await inngest.send({
+            name: "app/poll.created",
+            data: { scope: "group", messageId: newPoll._id, closesAt: poll.closesAt }
+        });
+    }
+
+    // 6. Socket Emit
     try {
         const io = req.app.get("io");
         if (io) {
-            io.to(groupId).emit("receiveGroupMessage", newPoll);
+            io.to(groupId).emit("receiveGroupMessage", withPollView(newPoll));
         }
     } catch (error) { console.error("Socket emit failed:", error); }
 
-    res.status(201).json({ success: true, message: newPoll });
+    res.status(201).json({ success: true, message: withPollView(newPoll, user._id) });
 });
 
 /**
- * @desc    Vote on a Poll
+ * @desc    Vote on a Poll. Voting for an option already chosen takes the vote back;
+ * in single-choice polls a vote for another option moves it.
  * @route   PUT /api/group/poll/vote
- * @access  Private
+ * @body    { messageId, optionIndex }
+ * @access  Private (Accepted members)
  */
 export const votePoll = expressAsyncHandler(async (req, res) => {
-    const { messageId, optionIndex } = req.body; // optionIndex (0, 1, 2...) is safer than ID sometimes, but ID is fine too
+    const { messageId, optionIndex } = req.body;
     const { userId: clerkId } = req.auth();
 
     const user = await User.findOne({ clerkId });
     if (!user) { res.status(404); throw new Error("User not found"); }
 
-    const message = await GroupMessage.findById(messageId);
-    if (!message || message.message_type !== "poll") {
-        res.status(404); throw new Error("Poll not found");
-    }
+    const message = await findMemberPoll(res, messageId, user._id);
+    await requireOpenPoll(res, "group", message);
 
     // Validate Option
-    if (optionIndex < 0 || optionIndex >= message.poll.options.length) {
+    if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= message.poll.options.length) {
         res.status(400); throw new Error("Invalid option index");
     }
 
-    const userIdStr = user._id.toString();
-    const poll = message.poll;
-    const targetOption = poll.options[optionIndex];
+    castVote(message.poll, user._id, optionIndex);
+
+    // Save changes (Mongoose detects subdoc changes)
+    await message.save();
+
+    // 🟢 Socket Emit (Live Update for Progress Bars)
+    emitPollUpdate(message, user._id);
 
-    // --- Voting Logic ---
+    res.status(200).json({ success: true, poll: pollView(message.poll, user._id) });
+});
 
-    // Check if user already voted for THIS option
-    const alreadyVotedThis = targetOption.votes.some(id => id.toString() === userIdStr);
+/**
+ * @desc    Retract all of the user's votes on a Poll
+ * @route   DELETE /api/group/poll/:messageId/vote
+ * @access  Private (Accepted members)
+ */
+export const retractPollVote = expressAsyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const { userId: clerkId } = req.auth();
 
-    if (alreadyVotedThis) {
-        // Unvote (Toggle off) - Remove user from this option
-        targetOption.votes = targetOption.votes.filter(id => id.toString() !== userIdStr);
-    } else {
-        // Logic for Single Choice vs Multiple Choice
-        if (!poll.allowMultipleAnswers) {
-            // Remove vote from ALL other options first
-            poll.options.forEach(opt => {
-                opt.votes = opt.votes.filter(id => id.toString() !== userIdStr);
-            });
-        }
-        // Add vote to target option
-        targetOption.votes.push(user._id);
+    const user = await User.findOne({ clerkId });
+    if (!user) { res.status(404); throw new Error("User not found"); }
+
+    const message = await findMemberPoll(res, messageId, user._id);
+    await requireOpenPoll(res, "group", message);
+
+    if (retractVotes(message.poll, user._id)) {
+        await message.save();
+        emitPollUpdate(message, user._id);
     }
 
-    // Save changes (Mongoose detects subdoc changes)
+    res.status(200).json({ success: true, poll: pollView(message.poll, user._id) });
+});
+
+/**
+ * @desc    Add an option to a Poll that allows it
+ * @route   POST /api/group/poll/:messageId/options
+ * @body    { text }
+ * @access  Private (Accepted members)
+ */
+export const addPollOption = expressAsyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const { userId: clerkId } = req.auth();
+
+    const user = await User.findOne({ clerkId });
+    if (!user) { res.status(404); throw new Error("User not found"); }
+
+    const message = await findMemberPoll(res, messageId, user._id);
+    await requireOpenPoll(res, "group", message);
+
+    appendPollOption(res, message.poll, user._id, req.body.text);
     await message.save();
 
-    // 🟢 Socket Emit (Live Update for Progress Bars)
-    try {
-        const io = req.app.get("io");
-        if (io) {
-            io.to(message.group.toString()).emit("pollUpdated", {
-                messageId: message._id,
-                poll: message.poll // Send the whole updated poll object
-            });
-        }
-    } catch (error) { console.error("Socket emit failed:", error); }
+    emitPollUpdate(message, user._id);
+
+    res.status(201).json({ success: true, poll: pollView(message.poll, user._id) });
+});
+
+/**
+ * @desc Report a group message (a copy is kept as evidence)
+ * @route POST /api/group/message/:id/report
+ * @access Private
+ */
+export const reportGroupMessage = expressAsyncHandler(async (req, res) => {
+    await fileReport(res, {
+        reporter: req.user,
+        targetType: "group_message",
+        targetId: req.params.id,
+        reason: req.body.reason,
+    });
 
-    res.status(200).json({ success: true, poll: message.poll });
+    res.status(201).json({ success: true, message: "Report submitted successfully." });
 });
\ No newline at end of file
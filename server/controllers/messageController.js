@@ -1,10 +1,26 @@
 import mongoose from "mongoose";
 import expressAsyncHandler from "express-async-handler";
-import imagekit from "../configs/imagekit.js";
 import Message from "../models/Message.js";
 import User from "../models/User.js";
-import { getReceiverSocketId, io } from "../socket/socket.js";
+import { emitToUser, isUserOnline } from "../socket/socket.js";
+import { openStream } from "../socket/streams.js";
 import { sendPushNotification } from "../utils/sendNotification.js";
+import { fileReport } from "../utils/reporting.js";
+import { parseListParams, findPage, findWindow, pageMeta } from "../utils/pagination.js";
+import { uploadMedia, toAttachment } from "../media/index.js";
+import { SHARED_MESSAGE_TYPES } from "../models/schemas/attachmentSchema.js";
+import { inngest } from "../inngest/index.js";
+import {
+    buildPoll,
+    castVote,
+    retractVotes,
+    appendPollOption,
+    pollView,
+    withPollView,
+    emitPollUpdate,
+    requireOpenPoll
+} from "../utils/polls.js";
+import { requirePinnable, requirePinCapacity, findPinnedMessages } from "../utils/pins.js";
 
 /**
  * @file messageController.js
@@ -14,12 +30,6 @@ import { sendPushNotification } from "../utils/sendNotification.js";
 
 // --- Constants & Config ---
 
-/**
- * Global SSE Connection Registry.
- * Note: In a clustered environment (Kubernetes/PM2), use Redis for session management.
- */
-export const connections = {};
-
 /**
  * Reusable Mongoose Populate Options.
  * Centralized to ensure consistency across endpoints and reduce code duplication.
@@ -36,7 +46,7 @@ const POPULATE_STORY = {
 
 const POPULATE_REPLY_TO = {
     path: "replyTo",
-    select: "text sender message_type media_url",
+    select: "text sender message_type media_url attachment.name",
     populate: {
         path: "sender",
         select: "full_name username",
@@ -56,55 +66,38 @@ const FULL_MESSAGE_POPULATE = [
     POPULATE_REACTIONS
 ];
 
-// --- Controllers ---
-
 /**
- * @desc Initialize Server-Sent Events (SSE) Stream
- * @route GET /api/message/stream/:userId
- * @access Public/Private
+ * Messages of one conversation that `viewerId` can still see.
+ * @param {string|mongoose.Types.ObjectId} viewerId
+ * @param {string|mongoose.Types.ObjectId} partnerId
  */
-export const sseController = (req, res) => {
-    const { userId } = req.params;
-
-    // 1. Establish SSE Headers
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
-    // Security: Ensure CORS is handled at the middleware level or uncomment below
-    // res.setHeader("Access-Control-Allow-Origin", process.env.FRONTEND_URL);
-
-    // 2. Register Active Connection
-    connections[userId] = res;
-
-    // 3. Send Heartbeat/Handshake
-    res.write(`data: ${JSON.stringify({ type: "connected" })}\n\n`);
-
-    // 4. Cleanup on Client Disconnect
-    req.on("close", () => {
-        if (connections[userId] === res) {
-            delete connections[userId];
-        }
-        console.log(`[SSE] Client ${userId} disconnected`);
-    });
-};
+const conversationFilter = (viewerId, partnerId) => ({
+    $and: [
+        {
+            $or: [
+                { sender: viewerId, receiver: partnerId },
+                { sender: partnerId, receiver: viewerId },
+            ],
+        },
+        { deletedBy: { $ne: viewerId } },
+    ],
+});
 
 /**
- * @desc Send a new message (Text, Image, Audio, or Shared Post)
- * @route POST /api/message/send
- * @access Private
+ * Resolves both sides of a new 1:1 message and checks they may talk:
+ * no block either way, and connected. Throws 404/403 (status set on `res`).
+ * @param {Object} res
+ * @param {string} clerkId - Sender
+ * @param {string} receiverId - Mongo ID or Clerk ID
+ * @returns {Promise<{ senderUser: Object, receiverUser: Object }>}
  */
-export const sendMessage = expressAsyncHandler(async (req, res) => {
-    const { userId } = req.auth();
-    const { receiverId, text, sharedPostId, storyId, replyTo } = req.body;
-    const file = req.file;
-
+const resolveConversation = async (res, clerkId, receiverId) => {
     // 1. Validate Sender
-    const senderUser = await User.findOne({ clerkId: userId });
+    const senderUser = await User.findOne({ clerkId });
     if (!senderUser) {
         res.status(404);
         throw new Error("Sender not found");
     }
-    const senderMongoId = senderUser._id;
 
     // 2. Validate Receiver (Support Clerk ID or Mongo ID)
     let receiverUser = null;
@@ -120,11 +113,10 @@ export const sendMessage = expressAsyncHandler(async (req, res) => {
         res.status(404);
         throw new Error("Receiver not found");
     }
-    const finalReceiverId = receiverUser._id;
 
     // 3. Privacy & Block Checks
-    const isSenderBlocked = senderUser.blockedUsers.includes(finalReceiverId);
-    const isReceiverBlocked = receiverUser.blockedUsers.includes(senderMongoId);
+    const isSenderBlocked = senderUser.blockedUsers.includes(receiverUser._id);
+    const isReceiverBlocked = receiverUser.blockedUsers.includes(senderUser._id);
 
     if (isSenderBlocked || isReceiverBlocked) {
         res.status(403);
@@ -133,7 +125,7 @@ export const sendMessage = expressAsyncHandler(async (req, res) => {
 
     // 4. Connection Requirement Check
     const isConnected = senderUser.connections.some(
-        (id) => id.toString() === finalReceiverId.toString()
+        (id) => id.toString() === receiverUser._id.toString()
     );
 
     if (!isConnected) {
@@ -141,44 +133,65 @@ export const sendMessage = expressAsyncHandler(async (req, res) => {
         throw new Error("You must be connected to send messages.");
     }
 
-    // 5. Handle Media Uploads (ImageKit)
+    return { senderUser, receiverUser };
+};
+
+// --- Controllers ---
+
+/**
+ * @desc Initialize Server-Sent Events (SSE) Stream
+ * Carries the same typed events as Socket.io (`event: receiveMessage`, ...),
+ * resumable with `Last-Event-ID` (header on auto-reconnect, `?lastEventId=` on manual reopen).
+ * @route GET /api/message/stream
+ * @access Private (via protectStream)
+ */
+export const sseController = (req, res) => {
+    // 1. Establish SSE Headers
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no"); // Disable proxy buffering (nginx)
+    // Security: Ensure CORS is handled at the middleware level or uncomment below
+    // res.setHeader("Access-Control-Allow-Origin", process.env.FRONTEND_URL);
+    res.flushHeaders();
+
+    // 2. Register, Resume & Keep Alive (see socket/streams.js)
+    openStream(req, res, req.streamSession);
+};
+
+/**
+ * @desc Send a new message (Text, Image, Audio, or Shared Post)
+ * @route POST /api/message/send
+ * @access Private
+ */
+export const sendMessage = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const { receiverId, text, sharedPostId, storyId, replyTo } = req.body;
+    const file = req.file;
+
+    // 1-4. Sender, Receiver, Blocks & Connection
+    const { senderUser, receiverUser } = await resolveConversation(res, userId, receiverId);
+    const senderMongoId = senderUser._id;
+    const finalReceiverId = receiverUser._id;
+
+    // 5. Handle Media Uploads (type comes from the sniffed file, not the client)
     let mediaUrl = "";
+    let attachment = null;
     let messageType = "text";
 
     if (file) {
-        const timestamp = Date.now();
-        try {
-            if (file.mimetype.startsWith("image")) {
-                messageType = "image";
-                const { url } = await imagekit.upload({
-                    file: file.buffer,
-                    fileName: `msg-${timestamp}`,
-                    folder: "/messages/images",
-                });
-                mediaUrl = url;
-            } else if (file.mimetype.startsWith("audio")) {
-                messageType = "audio";
-                const { url } = await imagekit.upload({
-                    file: file.buffer,
-                    fileName: `voice-${timestamp}.webm`,
-                    folder: "/messages/voices",
-                });
-                mediaUrl = url;
-            }
-        } catch (uploadError) {
-            console.error("❌ ImageKit Upload Error:", uploadError);
-            res.status(500);
-            throw new Error(`Media upload failed: ${uploadError.message}`);
-        }
+        const media = await uploadMedia(res, file, "message");
+        messageType = media.kind;
+        mediaUrl = media.url;
+        attachment = toAttachment(media);
     } else if (sharedPostId) {
         messageType = "shared_post";
     } else if (storyId) {
         messageType = "story_reply";
     }
 
-    // 6. Determine Delivery Status
-    const receiverSocketId = getReceiverSocketId(finalReceiverId.toString());
-    const isDelivered = !!receiverSocketId;
+    // 6. Determine Delivery Status (Any connected device counts)
+    const isDelivered = await isUserOnline(finalReceiverId);
 
     // 7. Create & Populate Message
     let newMessage = await Message.create({
@@ -187,6 +200,7 @@ export const sendMessage = expressAsyncHandler(async (req, res) => {
         text: text || "",
         message_type: messageType,
         media_url: mediaUrl,
+        attachment,
         sharedPostId: sharedPostId || null,
         replyToStoryId: storyId || null,
         replyTo: replyTo || null,
@@ -197,14 +211,10 @@ export const sendMessage = expressAsyncHandler(async (req, res) => {
     newMessage = await newMessage.populate(FULL_MESSAGE_POPULATE);
 
     // 8. Real-time Emission (Socket.io)
-    if (receiverSocketId) {
-        io.to(receiverSocketId).emit("receiveMessage", newMessage);
-
+    emitToUser(finalReceiverId, "receiveMessage", newMessage);
+    if (isDelivered) {
         // Notify sender of delivery
-        const senderSocketId = getReceiverSocketId(senderMongoId.toString());
-        if (senderSocketId) {
-            io.to(senderSocketId).emit("messageDelivered", { toUserId: finalReceiverId });
-        }
+        emitToUser(senderMongoId, "messageDelivered", { toUserId: finalReceiverId });
     }
 
     // 🔥🔥🔥 9. Push Notification Logic (New Addition) 🔥🔥🔥
@@ -212,6 +222,8 @@ export const sendMessage = expressAsyncHandler(async (req, res) => {
         let notificationBody = text;
         if (messageType === 'image') notificationBody = " Sent a photo 📷";
         if (messageType === 'audio') notificationBody = " Sent a voice message 🎤";
+        if (messageType === 'video') notificationBody = " Sent a video 🎬";
+        if (messageType === 'file') notificationBody = ` Sent a file 📎 ${attachment.name}`;
         if (messageType === 'shared_post') notificationBody = " Shared a post 🔗";
         if (messageType === 'story_reply') notificationBody = " Replied to a story 📝";
 
@@ -235,17 +247,20 @@ export const sendMessage = expressAsyncHandler(async (req, res) => {
 
 /**
  * @desc Fetch Chat History with a specific user
- * @route GET /api/message/:withUserId
+ * @route GET /api/message/:withUserId?limit=20[&cursor=...|&after=...]
+ * `cursor` pages back through older messages; `after` pages forward again after a jump (see getMessageContext).
  * @access Private
  */
 export const getChatMessages = expressAsyncHandler(async (req, res) => {
     const { userId: clerkId } = req.auth();
     const { withUserId } = req.params;
 
-    // 🟢 Pagination Parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20; // Default 20 messages per chunk
-    const skip = (page - 1) * limit;
+    // 🟢 Pagination Parameters (cursor = oldest message already loaded)
+    const params = parseListParams(req.query, { defaultLimit: 20, allowNewer: true }); // Default 20 messages per chunk
+    if (!params) {
+        res.status(400);
+        throw new Error("Invalid cursor.");
+    }
 
     // 1. Resolve Current User
     const user = await User.findOne({ clerkId });
@@ -263,32 +278,18 @@ export const getChatMessages = expressAsyncHandler(async (req, res) => {
             partnerId = partner._id;
         } else {
             // Graceful fallback for invalid/non-existent users
-            return res.status(200).json({ success: true, data: [], hasMore: false });
+            return res.status(200).json({ success: true, data: [], hasMore: false, nextCursor: null });
         }
     }
 
     // 3. Query Messages
     // Logic: (Sender=Me & Receiver=Partner) OR (Sender=Partner & Receiver=Me) AND Not Deleted
-    // 🟢 Updated: Sort by -1 (Newest first) for pagination, then reverse back
-    const messages = await Message.find({
-        $and: [
-            {
-                $or: [
-                    { sender: myId, receiver: partnerId },
-                    { sender: partnerId, receiver: myId },
-                ],
-            },
-            { deletedBy: { $ne: myId } },
-        ],
-    })
-        .sort({ createdAt: -1 }) // 🟢 Fetch newest first
-        .skip(skip)
-        .limit(limit)
-        .populate(FULL_MESSAGE_POPULATE)
-        .lean(); // Convert to plain JS objects for performance
+    // 🟢 Fetched newest first for pagination, then reversed
+    const page = await findPage(Message, conversationFilter(myId, partnerId), params,
+        (q) => q.populate(FULL_MESSAGE_POPULATE).lean()); // Plain JS objects for performance
 
     // 🟢 Re-order to chronological (Oldest -> Newest) for frontend display
-    const sortedMessages = messages.reverse();
+    const sortedMessages = page.items.reverse().map(msg => withPollView(msg, myId));
 
     // 4. Mark Messages as Read (Batch Update)
     // We explicitly mark ALL unread messages from this partner as read, not just the fetched chunk
@@ -300,15 +301,103 @@ export const getChatMessages = expressAsyncHandler(async (req, res) => {
 
     // Notify partner that I have seen their messages
     // (We emit this regardless of whether we updated rows, to be safe/real-time)
-    const partnerSocketId = getReceiverSocketId(partnerId.toString());
-    if (partnerSocketId) {
-        io.to(partnerSocketId).emit("messagesSeen", { byUserId: myId });
-    }
+    emitToUser(partnerId, "messagesSeen", { byUserId: myId });
 
     res.status(200).json({
         success: true,
         data: sortedMessages,
-        hasMore: messages.length === limit // 🟢 Flag for frontend to know if more exist
+        ...pageMeta(page) // 🟢 hasMore + nextCursor (older messages)
+    });
+});
+
+/**
+ * @desc Fetch the messages around one message (jump to a quoted message that isn't loaded)
+ * @route GET /api/message/:withUserId/around/:messageId?limit=30
+ * Returns a chronological window like getChatMessages: `nextCursor` continues into older
+ * messages, `newerCursor` (null once the window reaches the latest message) into newer ones.
+ * @access Private
+ */
+export const getMessageContext = expressAsyncHandler(async (req, res) => {
+    const { userId: clerkId } = req.auth();
+    const { withUserId, messageId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 3), 50);
+
+    const user = await User.findOne({ clerkId });
+    if (!user) {
+        res.status(404);
+        throw new Error("User not found");
+    }
+
+    const partner = mongoose.Types.ObjectId.isValid(withUserId)
+        ? await User.findById(withUserId).select("_id")
+        : await User.findOne({ clerkId: withUserId }).select("_id");
+    if (!partner) {
+        res.status(404);
+        throw new Error("User not found");
+    }
+
+    const page = await findWindow(Message, conversationFilter(user._id, partner._id), messageId, limit,
+        (q) => q.populate(FULL_MESSAGE_POPULATE).lean());
+    if (!page) {
+        res.status(404);
+        throw new Error("Message not found");
+    }
+
+    res.status(200).json({
+        success: true,
+        data: page.items.reverse().map(msg => withPollView(msg, user._id)),
+        targetId: messageId,
+        ...pageMeta(page) // hasMore + nextCursor (older) + newerCursor
+    });
+});
+
+/**
+ * @desc Get the media or files shared with a user, newest first (chat info sidebar)
+ * @route GET /api/message/:withUserId/shared?kind=media|files&limit=30[&cursor=...]
+ * @access Private
+ */
+export const getSharedAttachments = expressAsyncHandler(async (req, res) => {
+    const { userId: clerkId } = req.auth();
+    const { withUserId } = req.params;
+    const kind = req.query.kind || "files";
+
+    if (!SHARED_MESSAGE_TYPES[kind]) {
+        res.status(400);
+        throw new Error("Invalid kind.");
+    }
+
+    const params = parseListParams(req.query, { defaultLimit: 30 });
+    if (!params) {
+        res.status(400);
+        throw new Error("Invalid cursor.");
+    }
+
+    const user = await User.findOne({ clerkId });
+    if (!user) {
+        res.status(404);
+        throw new Error("User not found");
+    }
+    const myId = user._id;
+
+    const partner = mongoose.Types.ObjectId.isValid(withUserId)
+        ? await User.findById(withUserId).select("_id")
+        : await User.findOne({ clerkId: withUserId }).select("_id");
+    if (!partner) {
+        res.status(404);
+        throw new Error("User not found");
+    }
+
+    const page = await findPage(Message, {
+        $and: [
+            conversationFilter(myId, partner._id),
+            { message_type: { $in: SHARED_MESSAGE_TYPES[kind] }, isDeleted: { $ne: true } },
+        ],
+    }, params, (q) => q.select("sender message_type media_url attachment createdAt").lean());
+
+    res.status(200).json({
+        success: true,
+        items: page.items,
+        ...pageMeta(page)
     });
 });
 
@@ -405,7 +494,10 @@ export const getRecentMessages = expressAsyncHandler(async (req, res) => {
         { $sort: { "lastMessage.createdAt": -1 } },
     ]);
 
-    res.status(200).json({ success: true, conversations });
+    res.status(200).json({
+        success: true,
+        conversations: conversations.map(chat => ({ ...chat, lastMessage: withPollView(chat.lastMessage, myId) }))
+    });
 });
 
 /**
@@ -435,10 +527,7 @@ export const markMessagesAsRead = expressAsyncHandler(async (req, res) => {
 
     // Real-time Notification
     if (result.modifiedCount > 0) {
-        const senderSocketId = getReceiverSocketId(finalSenderId.toString());
-        if (senderSocketId) {
-            io.to(senderSocketId).emit("messagesSeen", { byUserId: myId });
-        }
+        emitToUser(finalSenderId, "messagesSeen", { byUserId: myId });
     }
 
     res.status(200).json({ success: true, message: "Messages marked as read" });
@@ -529,16 +618,11 @@ export const reactToMessage = expressAsyncHandler(async (req, res) => {
         reactions: populatedMessage.reactions,
     };
 
-    const ioInstance = req.app.get("io") || io;
-
     if (isGroupMsg) {
-        ioInstance.to(message.group.toString()).emit("messageReaction", socketPayload);
+        req.app.get("io").to(message.group.toString()).emit("messageReaction", socketPayload);
     } else {
-        const receiverSocket = getReceiverSocketId(message.receiver.toString());
-        const senderSocket = getReceiverSocketId(message.sender.toString());
-
-        if (receiverSocket) ioInstance.to(receiverSocket).emit("messageReaction", socketPayload);
-        if (senderSocket) ioInstance.to(senderSocket).emit("messageReaction", socketPayload);
+        emitToUser(message.receiver, "messageReaction", socketPayload);
+        emitToUser(message.sender, "messageReaction", socketPayload);
     }
 
     res.status(200).json({ success: true, reactions: message.reactions });
@@ -577,22 +661,21 @@ export const deleteMessage = expressAsyncHandler(async (req, res) => {
         // 4. Soft Delete (Update DB)
         message.text = "";
         message.media_url = null;
+        message.attachment = null;
         message.isDeleted = true;
+        const wasPinned = Boolean(message.pinnedAt);
+        message.pinnedAt = null;
+        message.pinnedBy = null;
 
         await message.save(); // 💾 Save changes to Database
 
         // 5. Socket Notification (Isolated Block)
         try {
             if (message.receiver) {
-                // Check if functions are imported correctly
-                if (typeof getReceiverSocketId === 'function' && typeof io !== 'undefined') {
-                    const receiverSocketId = getReceiverSocketId(message.receiver.toString());
-                    if (receiverSocketId) {
-                        io.to(receiverSocketId).emit("messageDeleted", { messageId });
-                    }
-                } else {
-                    console.warn("⚠️ Socket.io is not initialized properly in deleteMessage controller.");
-                }
+                emitToUser(message.receiver, "messageDeleted", { messageId });
+            }
+            if (wasPinned) {
+                [message.sender, message.receiver].forEach(id => emitToUser(id, "messageUnpinned", { messageId }));
             }
         } catch (socketError) {
             // Log error internally but don't fail the request
@@ -654,14 +737,258 @@ export const editMessage = expressAsyncHandler(async (req, res) => {
     await message.save();
 
     // 5. Real-time Notification
-    const receiverSocketId = getReceiverSocketId(message.receiver.toString());
-    if (receiverSocketId) {
-        io.to(receiverSocketId).emit("messageUpdated", {
-            messageId,
-            newText: text,
-            isEdited: true
+    emitToUser(message.receiver, "messageUpdated", {
+        messageId,
+        newText: text,
+        isEdited: true
+    });
+
+    res.status(200).json({ success: true, data: message });
+});
+
+/**
+ * Loads a 1:1 message for pinning / unpinning: either participant may pin, as long as
+ * they haven't deleted the message for themselves. Throws 404 otherwise.
+ */
+const findConversationMessage = async (res, messageId, userId) => {
+    const message = await Message.findById(messageId);
+    const isParticipant = message && [message.sender, message.receiver].some(id => id.toString() === userId.toString());
+
+    if (!isParticipant || message.deletedBy.some(id => id.toString() === userId.toString())) {
+        res.status(404);
+        throw new Error("Message not found");
+    }
+
+    return message;
+};
+
+/**
+ * @desc    Get the pinned messages of a conversation (pinned bar), most recently pinned first
+ * @route   GET /api/message/:withUserId/pinned
+ * @access  Private
+ */
+export const getPinnedMessages = expressAsyncHandler(async (req, res) => {
+    const { withUserId } = req.params;
+    const user = req.user;
+
+    const partner = mongoose.Types.ObjectId.isValid(withUserId)
+        ? await User.findById(withUserId).select("_id")
+        : await User.findOne({ clerkId: withUserId }).select("_id");
+    if (!partner) {
+        res.status(404);
+        throw new Error("User not found");
+    }
+
+    const pinned = await findPinnedMessages(Message, conversationFilter(user._id, partner._id));
+
+    res.status(200).json({ success: true, pinned });
+});
+
+/**
+ * @desc    Pin a message for both participants (capped, see utils/pins.js)
+ * @route   PUT /api/message/:id/pin
+ * @access  Private (Participants)
+ */
+export const pinMessage = expressAsyncHandler(async (req, res) => {
+    const user = req.user;
+
+    const message = await findConversationMessage(res, req.params.id, user._id);
+    requirePinnable(res, message);
+
+    const isNewPin = !message.pinnedAt; // Pinning again is a no-op
+    if (isNewPin) {
+        await requirePinCapacity(res, Message, {
+            $or: [
+                { sender: message.sender, receiver: message.receiver },
+                { sender: message.receiver, receiver: message.sender },
+            ],
         });
+
+        message.pinnedAt = new Date();
+        message.pinnedBy = user._id;
+        await message.save();
     }
 
-    res.status(200).json({ success: true, data: message });
+    const [pinned] = await findPinnedMessages(Message, { _id: message._id });
+
+    if (isNewPin) {
+        [message.sender, message.receiver].forEach(id => emitToUser(id, "messagePinned", { pinned }));
+    }
+
+    res.status(200).json({ success: true, pinned });
+});
+
+/**
+ * @desc    Unpin a message (either participant)
+ * @route   DELETE /api/message/:id/pin
+ * @access  Private (Participants)
+ */
+export const unpinMessage = expressAsyncHandler(async (req, res) => {
+    const { id: messageId } = req.params;
+    const user = req.user;
+
+    const message = await findConversationMessage(res, messageId, user._id);
+
+    if (message.pinnedAt) {
+        message.pinnedAt = null;
+        message.pinnedBy = null;
+        await message.save();
+
+        [message.sender, message.receiver].forEach(id => emitToUser(id, "messageUnpinned", { messageId }));
+    }
+
+    res.status(200).json({ success: true, messageId });
+});
+
+/**
+ * Loads a 1:1 poll the user takes part in (and hasn't deleted for themselves).
+ * Throws 404 otherwise.
+ */
+const findConversationPoll = async (res, messageId, userId) => {
+    const message = await Message.findById(messageId);
+    const isParticipant = message && [message.sender, message.receiver].some(id => id.toString() === userId.toString());
+
+    if (!isParticipant || message.message_type !== "poll" || message.isDeleted
+        || message.deletedBy.some(id => id.toString() === userId.toString())) {
+        res.status(404);
+        throw new Error("Poll not found");
+    }
+
+    return message;
+};
+
+/**
+ * @desc    Send a Poll in a 1:1 chat
+ * @route   POST /api/message/poll
+ * @body    { receiverId, question, options[], allowMultipleAnswers?, isAnonymous?, allowAddOptions?, closesAt? }
+ * @access  Private
+ */
+export const createDirectPoll = expressAsyncHandler(async (req, res) => {
+    const { userId } = req.auth();
+    const poll = buildPoll(res, req.body);
+
+    const { senderUser, receiverUser } = await resolveConversation(res, userId, req.body.receiverId);
+    const isDelivered = await isUserOnline(receiverUser._id);
+
+    let newMessage = await Message.create({
+        sender: senderUser._id,
+        receiver: receiverUser._id,
+        message_type: "poll",
+        poll,
+        delivered: isDelivered,
+        read: false,
+    });
+    newMessage = await newMessage.populate(FULL_MESSAGE_POPULATE);
+
+    // Close Job (the poll shows its final results from the deadline on)
+    if (poll.closesAt) {
+        await inngest.send({
+            name: "app/poll.created",
+            data: { scope: "direct", messageId: newMessage._id, closesAt: poll.closesAt },
+        });
+    }
+
+    emitToUser(receiverUser._id, "receiveMessage", withPollView(newMessage, receiverUser._id));
+    if (isDelivered) {
+        emitToUser(senderUser._id, "messageDelivered", { toUserId: receiverUser._id });
+    }
+
+    try {
+        await sendPushNotification(
+            receiverUser._id,
+            senderUser.full_name,
+            ` Sent a poll 📊 ${poll.question}`,
+            {
+                type: "chat",
+                chatId: senderUser._id.toString(),
+                senderId: senderUser._id.toString(),
+                senderImage: senderUser.profile_picture || senderUser.image || "",
+            }
+        );
+    } catch (error) {
+        console.error("⚠️ Failed to send push notification:", error);
+    }
+
+    res.status(201).json({ success: true, data: withPollView(newMessage, senderUser._id) });
+});
+
+/**
+ * @desc    Vote on a 1:1 Poll (same toggle rules as group polls)
+ * @route   PUT /api/message/poll/vote
+ * @body    { messageId, optionIndex }
+ * @access  Private (Participants)
+ */
+export const voteDirectPoll = expressAsyncHandler(async (req, res) => {
+    const { messageId, optionIndex } = req.body;
+    const user = req.user;
+
+    const message = await findConversationPoll(res, messageId, user._id);
+    await requireOpenPoll(res, "direct", message);
+
+    if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= message.poll.options.length) {
+        res.status(400);
+        throw new Error("Invalid option index");
+    }
+
+    castVote(message.poll, user._id, optionIndex);
+    await message.save();
+
+    emitPollUpdate(message);
+
+    res.status(200).json({ success: true, poll: pollView(message.poll, user._id) });
+});
+
+/**
+ * @desc    Retract all of the user's votes on a 1:1 Poll
+ * @route   DELETE /api/message/poll/:messageId/vote
+ * @access  Private (Participants)
+ */
+export const retractDirectPollVote = expressAsyncHandler(async (req, res) => {
+    const user = req.user;
+
+    const message = await findConversationPoll(res, req.params.messageId, user._id);
+    await requireOpenPoll(res, "direct", message);
+
+    if (retractVotes(message.poll, user._id)) {
+        await message.save();
+        emitPollUpdate(message);
+    }
+
+    res.status(200).json({ success: true, poll: pollView(message.poll, user._id) });
+});
+
+/**
+ * @desc    Add an option to a 1:1 Poll that allows it
+ * @route   POST /api/message/poll/:messageId/options
+ * @body    { text }
+ * @access  Private (Participants)
+ */
+export const addDirectPollOption = expressAsyncHandler(async (req, res) => {
+    const user = req.user;
+
+    const message = await findConversationPoll(res, req.params.messageId, user._id);
+    await requireOpenPoll(res, "direct", message);
+
+    appendPollOption(res, message.poll, user._id, req.body.text);
+    await message.save();
+
+    emitPollUpdate(message);
+
+    res.status(201).json({ success: true, poll: pollView(message.poll, user._id) });
+});
+
+/**
+ * @desc    Report a direct message (a copy is kept as evidence)
+ * @route   POST /api/message/report/:id
+ * @access  Private
+ */
+export const reportMessage = expressAsyncHandler(async (req, res) => {
+    await fileReport(res, {
+        reporter: req.user,
+        targetType: "message",
+        targetId: req.params.id,
+        reason: req.body.reason,
+    });
+
+    res.status(201).json({ success: true, message: "Report submitted successfully." });
 });
\ No newline at end of file
@@ -1,7 +1,8 @@
 import expressAsyncHandler from "express-async-handler";
 import Notification from "../models/Notification.js";
 import User from "../models/User.js";
-import { io, userSocketMap } from "../socket/socket.js";
+import { emitToUser, isUserOnline } from "../socket/socket.js";
+import { parseListParams, findPage, pageMeta } from "../utils/pagination.js";
 
 /**
  * @file notificationController.js
@@ -9,8 +10,10 @@ import { io, userSocketMap } from "../socket/socket.js";
  */
 
 // --- Constants ---
-const INTERACTION_TYPES = ["like", "comment", "reply", "share", "follow", "connection_accept", "follow_accept"];
+const INTERACTION_TYPES = ["like", "comment", "reply", "share", "mention", "follow", "connection_accept", "follow_accept", "data_export"];
 const REQUEST_TYPES = ["connection_request", "follow_request"];
+// Sent by the platform about the user's own account (sender === recipient)
+const SYSTEM_TYPES = ["data_export"];
 
 // =========================================================
 // 1. Fetching Notifications
@@ -18,20 +21,18 @@ const REQUEST_TYPES = ["connection_request", "follow_request"];
 
 /**
  * @desc Get User Notifications (Paginated & Filtered)
- * @route GET /api/notifications
+ * @route GET /api/notifications?filter=interactions|requests&limit=15[&cursor=...]
  * @access Private
  */
 export const getUserNotifications = expressAsyncHandler(async (req, res) => {
     const { userId: clerkId } = req.auth();
-    const { filter, page = 1, limit = 15 } = req.query;
+    const { filter } = req.query;
+    const params = parseListParams(req.query, { defaultLimit: 15 });
+    if (!params) { res.status(400); throw new Error("Invalid cursor."); }
 
     const user = await User.findOne({ clerkId });
     if (!user) { res.status(404); throw new Error("User not found"); }
 
-    const parsedPage = parseInt(page);
-    const parsedLimit = parseInt(limit);
-    const skip = (parsedPage - 1) * parsedLimit;
-
     // Base Query
     let query = { recipient: user._id };
 
@@ -45,20 +46,14 @@ export const getUserNotifications = expressAsyncHandler(async (req, res) => {
     }
 
     // Execute Query
-    const notifications = await Notification.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parsedLimit)
+    const page = await findPage(Notification, query, params, (q) => q
         .populate("sender", "full_name username profile_picture")
         .populate("post", "content image")
         .populate("commentId", "text")
-        .lean();
-
-    // Pagination Metadata
-    const totalCount = await Notification.countDocuments(query);
-    const hasMore = totalCount > skip + notifications.length;
+        .populate("group", "name group_image")
+        .lean());
 
-    res.status(200).json({ success: true, notifications, hasMore });
+    res.status(200).json({ success: true, notifications: page.items, ...pageMeta(page) });
 });
 
 /**
@@ -215,13 +210,16 @@ export const markNetworkAsRead = expressAsyncHandler(async (req, res) => {
 /**
  * Internal Helper: Creates a notification and triggers real-time socket event.
  */
-export const createNotification = async ({ recipient, sender, type, post, commentId, status }) => {
+export const createNotification = async ({ recipient, sender, type, post, commentId, group, dataExport, status }) => {
     try {
+        const isSystem = SYSTEM_TYPES.includes(type);
+
         // 1. Self-Action Check
-        if (recipient.toString() === sender.toString()) return;
+        if (!isSystem && recipient.toString() === sender.toString()) return;
 
-        // 2. Duplicate Check (Debounce logic, except for comments)
-        if (type !== 'comment' && type !== 'reply') {
+        // 2. Duplicate Check (Debounce logic, except for comments, mentions & system notices)
+        // Mentions are de-duplicated by the caller (edits only notify newly mentioned users)
+        if (!isSystem && type !== 'comment' && type !== 'reply' && type !== 'mention') {
             const existing = await Notification.findOne({ recipient, sender, type, post, commentId });
             if (existing) return;
         }
@@ -233,15 +231,15 @@ export const createNotification = async ({ recipient, sender, type, post, commen
             type,
             post,
             commentId,
+            group,
+            dataExport,
             status: status || "pending"
         });
 
-        // 4. Real-time Socket Emission
-        const receiverSocketId = userSocketMap[recipient.toString()];
-
-        if (receiverSocketId) {
+        // 4. Real-time Socket Emission (All of the recipient's devices)
+        if (await isUserOnline(recipient)) {
             const populatedNotif = await newNotification.populate("sender", "full_name username profile_picture");
-            io.to(receiverSocketId).emit("newNotification", populatedNotif);
+            emitToUser(recipient, "newNotification", populatedNotif);
         }
 
     } catch (error) {
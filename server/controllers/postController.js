@@ -6,7 +6,6 @@
  */
 
 import expressAsyncHandler from "express-async-handler";
-import imagekit from "../configs/imagekit.js";
 
 // --- Models ---
 import Post from "../models/Post.js";
@@ -14,7 +13,13 @@ import User from "../models/User.js";
 import Comment from "../models/Comment.js";
 import Notification from "../models/Notification.js";
 import Story from "../models/Story.js";
-import Report from "../models/Report.js";
+import { fileReport } from "../utils/reporting.js";
+import { extractHashtags, normalizeHashtag } from "../utils/hashtags.js";
+import { resolveMentions, notifyMentions, getNewMentions } from "../utils/mentions.js";
+import { getFeedExcludeList } from "../utils/visibility.js";
+import { rankForYouFeed } from "../utils/feedRanking.js";
+import { parseListParams, parseLimit, findPage, pageMeta, encodeCursor, decodeCursor } from "../utils/pagination.js";
+import { uploadMedia, uploadMediaFiles } from "../media/index.js";
 
 // ==========================================
 // --- Helpers & Utilities ---
@@ -103,78 +108,13 @@ const getRecursiveCommentIds = async (commentId) => {
     return ids;
 };
 
-// ==========================================
-// --- Feed & Retrieval Controllers ---
-// ==========================================
-
 /**
- * @desc Get Feed Posts (Unified Logic For You & Following)
- * @route GET /api/post/feed
- * @access Private
+ * Attaches each author's active (last 24h) stories to feed posts, with a per-viewer `seen` flag.
+ * @param {Object[]} posts - Lean posts with `user` populated.
+ * @param {import("mongoose").Types.ObjectId} viewerId
+ * @returns {Promise<Object[]>}
  */
-export const getPostsFeed = expressAsyncHandler(async (req, res) => {
-    const currentUser = req.user; // Assumes middleware attaches full user
-    const { type } = req.query; // "for-you" | "following"
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    // --- 1. Block Logic ---
-    const blockedByMe = currentUser.blockedUsers?.map((id) => id.toString()) || [];
-
-    // Optimized: Fetch blocking users and hidden private users in parallel if needed
-    const usersWhoBlockedMe = await User.find({ blockedUsers: currentUser._id }).distinct("_id");
-    const blockedByThem = usersWhoBlockedMe.map((id) => id.toString());
-    const baseExcludeList = [...blockedByMe, ...blockedByThem];
-
-    // --- 2. Query Construction ---
-    const isHiddenCondition = {
-        $or: [{ isHidden: false }, { isHidden: { $exists: false } }],
-    };
-
-    let query = {};
-
-    if (type === "following") {
-        query = {
-            $and: [
-                {
-                    user: {
-                        $in: currentUser.following,
-                        $nin: baseExcludeList,
-                    },
-                },
-                isHiddenCondition,
-            ],
-        };
-    } else {
-        // "For You" Logic
-        const myCircle = [...currentUser.following, currentUser._id];
-
-        // Fetch private accounts outside my circle
-        const hiddenPrivateUsers = await User.find({
-            isPrivate: true,
-            _id: { $nin: myCircle },
-        }).distinct("_id");
-
-        const finalExcludeList = [...baseExcludeList, ...hiddenPrivateUsers];
-
-        query = {
-            $and: [
-                { user: { $nin: finalExcludeList } },
-                isHiddenCondition,
-            ],
-        };
-    }
-
-    // --- 3. Execution & Story Injection ---
-    let posts = await Post.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate("user", "full_name username profile_picture isPrivate isVerified")
-        .populate("comments.user", "full_name username profile_picture isVerified")
-        .lean();
-
+const injectActiveStories = async (posts, viewerId) => {
     // Optimized Story Fetching (Map-based O(N))
     const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
     const userIdsInFeed = posts.map((p) => p.user._id);
@@ -182,6 +122,7 @@ export const getPostsFeed = expressAsyncHandler(async (req, res) => {
     const activeStories = await Story.find({
         user: { $in: userIdsInFeed },
         createdAt: { $gte: twentyFourHoursAgo },
+        isHidden: { $ne: true },
     }).lean();
 
     // Group stories by User ID for fast lookup
@@ -193,15 +134,15 @@ export const getPostsFeed = expressAsyncHandler(async (req, res) => {
     });
 
     // Inject Stories into Posts
-    posts = posts.map((post) => {
+    return posts.map((post) => {
         const userStories = storiesMap.get(post.user._id.toString()) || [];
 
         const storiesWithSeenStatus = userStories.map((s) => ({
             ...s,
             seen: s.viewers
                 ? s.viewers.some((v) => {
-                    const viewerId = v.user ? v.user.toString() : v.toString();
-                    return viewerId === currentUser._id.toString();
+                    const viewerIdStr = v.user ? v.user.toString() : v.toString();
+                    return viewerIdStr === viewerId.toString();
                 })
                 : false,
         }));
@@ -215,15 +156,210 @@ export const getPostsFeed = expressAsyncHandler(async (req, res) => {
             },
         };
     });
+};
 
-    const totalPosts = await Post.countDocuments(query);
+// ==========================================
+// --- Feed & Retrieval Controllers ---
+// ==========================================
+
+/**
+ * Reference time for a ranked feed session, or now. Future or malformed values fall back to now.
+ */
+const parseFeedAsOf = (raw) => {
+    const now = new Date();
+    const asOf = raw ? new Date(raw) : now;
+    return Number.isNaN(asOf.getTime()) || asOf > now ? now : asOf;
+};
+
+/**
+ * Ranked feeds can't use item cursors (the order isn't chronological), so their cursor carries
+ * the ranking session instead: `asOf` (fixes the candidate set and scores) + the offset reached.
+ * @returns {{ asOf: Date, offset: number }|null} null when the cursor is malformed.
+ */
+const parseRankedCursor = (query, limit) => {
+    if (query.cursor) {
+        const payload = decodeCursor(query.cursor);
+        if (!payload || !Number.isFinite(payload.asOf) || !Number.isInteger(payload.o) || payload.o < 0) return null;
+        return { asOf: parseFeedAsOf(payload.asOf), offset: payload.o };
+    }
+
+    // Deprecated: `page` (+ `asOf`) params are kept for one release
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    return { asOf: parseFeedAsOf(query.asOf), offset: (page - 1) * limit, page: query.page ? page : undefined };
+};
+
+/**
+ * @desc Get Feed Posts (Unified Logic For You & Following)
+ * "following" is reverse-chronological; "for-you" is ranked (see utils/feedRanking.js).
+ * @route GET /api/post/feed?type=for-you|following&limit=10[&cursor=...][&debug=1]
+ * @access Private
+ */
+export const getPostsFeed = expressAsyncHandler(async (req, res) => {
+    const currentUser = req.user; // Assumes middleware attaches full user
+    const { type } = req.query; // "for-you" | "following"
+
+    // --- 1. Block Logic ---
+    const baseExcludeList = await getFeedExcludeList(currentUser, { excludePrivate: type !== "following" });
+
+    let rawPosts;
+    let meta;
+
+    if (type === "following") {
+        // --- 2a. Following (chronological, item cursor) ---
+        const params = parseListParams(req.query, { defaultLimit: 10 });
+        if (!params) {
+            res.status(400);
+            throw new Error("Invalid cursor.");
+        }
+
+        const query = {
+            user: { $in: currentUser.following, $nin: baseExcludeList },
+            isHidden: { $ne: true },
+        };
+
+        const page = await findPage(Post, query, params, (q) => q.lean());
+        rawPosts = page.items;
+        meta = pageMeta(page);
+    } else {
+        // --- 2b. For You (ranked; private accounts outside my circle are already excluded) ---
+        const limit = parseLimit(req.query, 10);
+        const session = parseRankedCursor(req.query, limit);
+        if (!session) {
+            res.status(400);
+            throw new Error("Invalid cursor.");
+        }
+
+        // Score breakdowns are for tuning: admins only in production
+        const debug = req.query.debug === "1" && (process.env.NODE_ENV !== "production" || currentUser.role === "admin");
+
+        const { posts, total } = await rankForYouFeed(currentUser, {
+            excludeList: baseExcludeList,
+            asOf: session.asOf,
+            skip: session.offset,
+            limit,
+            debug,
+        });
+
+        const hasMore = total > session.offset + posts.length;
+        rawPosts = posts;
+        meta = {
+            hasMore,
+            nextCursor: hasMore
+                ? encodeCursor({ asOf: session.asOf.getTime(), o: session.offset + posts.length })
+                : null,
+            asOf: session.asOf.toISOString(),
+            ...(session.page && { currentPage: session.page, totalPages: Math.ceil(total / limit) }),
+        };
+    }
+
+    // --- 3. Population & Story Injection ---
+    await Post.populate(rawPosts, [
+        { path: "user", select: "full_name username profile_picture isPrivate isVerified" },
+        { path: "comments.user", select: "full_name username profile_picture isVerified" },
+    ]);
+
+    const posts = await injectActiveStories(rawPosts, currentUser._id);
+
+    res.status(200).json({ success: true, posts, ...meta });
+});
+
+/**
+ * @desc Get Posts by Hashtag
+ * @route GET /api/post/tag/:tag
+ * @access Private
+ */
+export const getPostsByTag = expressAsyncHandler(async (req, res) => {
+    const currentUser = req.user;
+    const tag = normalizeHashtag(req.params.tag);
+    const params = parseListParams(req.query, { defaultLimit: 10 });
+
+    if (!tag) {
+        res.status(400);
+        throw new Error("Invalid hashtag.");
+    }
+    if (!params) {
+        res.status(400);
+        throw new Error("Invalid cursor.");
+    }
+
+    // Same visibility rules as the "For You" feed
+    const excludeList = await getFeedExcludeList(currentUser, { excludePrivate: true });
+
+    const query = {
+        hashtags: tag,
+        user: { $nin: excludeList },
+        isHidden: { $ne: true },
+    };
+
+    // The header count is only needed with the first page
+    const [page, totalPosts] = await Promise.all([
+        findPage(Post, query, params, (q) => q
+            .populate("user", "full_name username profile_picture isPrivate isVerified")
+            .populate("comments.user", "full_name username profile_picture isVerified")
+            .lean()),
+        params.cursor ? undefined : Post.countDocuments(query),
+    ]);
+
+    const posts = await injectActiveStories(page.items, currentUser._id);
 
     res.status(200).json({
         success: true,
+        tag,
         posts,
-        currentPage: page,
-        totalPages: Math.ceil(totalPosts / limit),
-        hasMore: totalPosts > skip + posts.length,
+        ...(totalPosts !== undefined && { totalPosts }),
+        ...pageMeta(page),
+    });
+});
+
+/**
+ * @desc Get Trending Hashtags (sliding window, default last 24h)
+ * @route GET /api/post/tags/trending?hours=24&limit=10
+ * @access Private
+ */
+export const getTrendingTags = expressAsyncHandler(async (req, res) => {
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 7 * 24);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    // Only count posts the viewer could actually open from the hashtag page
+    const excludeList = await getFeedExcludeList(req.user, { excludePrivate: true });
+
+    const tags = await Post.aggregate([
+        {
+            $match: {
+                createdAt: { $gte: since },
+                "hashtags.0": { $exists: true },
+                isHidden: { $ne: true },
+                user: { $nin: excludeList },
+            },
+        },
+        { $unwind: "$hashtags" },
+        {
+            $group: {
+                _id: "$hashtags",
+                posts: { $sum: 1 },
+                authors: { $addToSet: "$user" },
+                lastUsedAt: { $max: "$createdAt" },
+            },
+        },
+        // Rank by distinct authors first so one account spamming a tag can't top the list
+        {
+            $project: {
+                _id: 0,
+                tag: "$_id",
+                posts: 1,
+                authors: { $size: "$authors" },
+                lastUsedAt: 1,
+            },
+        },
+        { $sort: { authors: -1, posts: -1, lastUsedAt: -1 } },
+        { $limit: limit },
+    ]);
+
+    res.status(200).json({
+        success: true,
+        windowHours: hours,
+        tags,
     });
 });
 
@@ -247,6 +383,7 @@ export const getPostById = expressAsyncHandler(async (req, res) => {
         .populate("user", "full_name username profile_picture isPrivate isVerified blockedUsers")
         .populate({
             path: "comments",
+            match: { isHidden: { $ne: true } },
             populate: { path: "user", select: "full_name username profile_picture isVerified" },
         })
         .lean();
@@ -293,6 +430,7 @@ export const getPostById = expressAsyncHandler(async (req, res) => {
     const stories = await Story.find({
         user: post.user._id,
         createdAt: { $gte: twentyFourHoursAgo },
+        isHidden: { $ne: true },
     })
         .populate("user", "full_name username profile_picture isVerified")
         .lean();
@@ -329,7 +467,7 @@ export const getUserById = expressAsyncHandler(async (req, res) => {
         ),
     ]);
 
-    if (!targetUser) {
+    if (!targetUser || targetUser.deactivatedAt || targetUser.suspendedAt) {
         res.status(404);
         throw new Error("User not found.");
     }
@@ -396,6 +534,7 @@ export const getUserById = expressAsyncHandler(async (req, res) => {
     const activeStories = await Story.find({
         user: targetUser._id,
         createdAt: { $gte: twentyFourHoursAgo },
+        isHidden: { $ne: true },
     })
         .populate("user", "full_name username profile_picture isVerified")
         .lean();
@@ -419,25 +558,24 @@ export const getUserById = expressAsyncHandler(async (req, res) => {
         postQuery.$or = [{ isHidden: false }, { isHidden: { $exists: false } }];
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const params = parseListParams(req.query, { defaultLimit: 10 });
+    if (!params) {
+        res.status(400);
+        throw new Error("Invalid cursor.");
+    }
 
-    const posts = await Post.find(postQuery)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
+    const page = await findPage(Post, postQuery, params, (q) => q
         .populate("user", "full_name username profile_picture isVerified isPrivate")
         .populate("comments.user", "full_name username profile_picture isVerified")
-        .lean();
+        .lean());
 
     res.status(200).json({
         success: true,
         user: { ...targetUser, isBlockedByMe: false, isBlockedByTarget: false },
-        posts,
+        posts: page.items,
         connectionStatus,
         followStatus,
-        hasMore: posts.length === limit,
+        ...pageMeta(page),
     });
 });
 
@@ -446,14 +584,15 @@ export const getUserById = expressAsyncHandler(async (req, res) => {
 // ==========================================
 
 /**
- * @desc Create New Post with Optional Images
+ * @desc Create New Post with Optional Images or Video
  * @route POST /api/post/add
  * @access Private
  */
 export const addPost = expressAsyncHandler(async (req, res) => {
     const { userId: clerkId } = req.auth();
-    const { content, postType } = req.body;
-    const files = req.files;
+    const { content } = req.body;
+    const images = req.files?.images || [];
+    const [videoFile] = req.files?.video || [];
 
     // Retrieve Real User ID
     const user = await User.findOne({ clerkId });
@@ -463,35 +602,41 @@ export const addPost = expressAsyncHandler(async (req, res) => {
     }
 
     const hasContent = content && content.trim().length > 0;
-    const hasFiles = files && files.length > 0;
 
-    if (!hasContent && !hasFiles) {
+    if (!hasContent && images.length === 0 && !videoFile) {
         res.status(400);
         throw new Error("Post cannot be empty.");
     }
 
-    // Handle Image Uploads
-    let image_urls = [];
-    if (hasFiles) {
-        image_urls = await Promise.all(
-            files.map(async (file) => {
-                const response = await imagekit.upload({
-                    file: file.buffer,
-                    fileName: file.originalname,
-                    folder: "posts",
-                });
-                return response.url;
-            })
-        );
+    if (videoFile && images.length > 0) {
+        res.status(400);
+        throw new Error("A post can have images or a video, not both.");
     }
 
+    // Handle Media (validated, cleaned and stored by the media service)
+    let video;
+    if (videoFile) {
+        const { url, thumbnail_url, duration, width, height, mime_type, size } = await uploadMedia(res, videoFile, "post_video");
+        video = { url, thumbnail_url, duration, width, height, mime_type, size };
+    }
+
+    const image_urls = (await uploadMediaFiles(res, images, "post_image")).map((media) => media.url);
+
+    const mentionedUsers = await resolveMentions(content, user);
+
     const newPost = await Post.create({
         user: user._id,
         content: content || "",
-        post_type: postType,
+        hashtags: extractHashtags(content),
+        mentions: mentionedUsers.map((u) => u._id),
+        // Derived from the upload (the client's own label is not trusted)
+        post_type: video ? "video" : image_urls.length ? "image" : "text",
         image_urls,
+        video,
     });
 
+    await notifyMentions({ users: mentionedUsers, sender: user, context: "post", post: newPost._id });
+
     const populatedPost = await populatePostData(newPost);
 
     res.status(201).json({
@@ -530,7 +675,15 @@ export const updatePost = expressAsyncHandler(async (req, res) => {
     }
 
     post.content = content || post.content;
+    post.hashtags = extractHashtags(post.content);
+
+    // Only people newly mentioned by this edit get notified
+    const mentionedUsers = await resolveMentions(post.content, currentUser);
+    const newMentions = getNewMentions(post.mentions, mentionedUsers);
+    post.mentions = mentionedUsers.map((u) => u._id);
+
     const updatedPost = await post.save();
+    await notifyMentions({ users: newMentions, sender: currentUser, context: "post", post: post._id });
 
     res.status(200).json({
         success: true,
@@ -663,10 +816,13 @@ export const addComment = expressAsyncHandler(async (req, res) => {
         throw new Error("Post not found.");
     }
 
+    const mentionedUsers = await resolveMentions(text, currentUser);
+
     let newComment = await Comment.create({
         user: currentUser._id,
         post: postId,
         text,
+        mentions: mentionedUsers.map((u) => u._id),
         parentId: parentId || null,
     });
 
@@ -688,6 +844,15 @@ export const addComment = expressAsyncHandler(async (req, res) => {
         }
     }
 
+    // Mentions (the post author already got the comment notification above)
+    await notifyMentions({
+        users: mentionedUsers.filter((u) => u._id.toString() !== post.user.toString()),
+        sender: currentUser,
+        context: "comment",
+        post: post._id,
+        commentId: newComment._id,
+    });
+
     res.status(201).json({
         success: true,
         message: parentId ? "Reply added successfully" : "Comment added successfully",
@@ -922,9 +1087,11 @@ export const togglePostSave = expressAsyncHandler(async (req, res) => {
  */
 export const getSavedPosts = expressAsyncHandler(async (req, res) => {
     const { userId } = req.auth();
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const params = parseListParams(req.query, { defaultLimit: 10 });
+    if (!params) {
+        res.status(400);
+        throw new Error("Invalid cursor.");
+    }
 
     const currentUser = await User.findOne({ clerkId: userId });
     if (!currentUser) {
@@ -937,59 +1104,16 @@ export const getSavedPosts = expressAsyncHandler(async (req, res) => {
         $or: [{ isHidden: false }, { isHidden: { $exists: false } }],
     };
 
-    let posts = await Post.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
+    // Ordered by post date (saves don't record when they were made)
+    const page = await findPage(Post, query, params, (q) => q
         .populate("user", "full_name username profile_picture isPrivate isVerified")
         .populate("comments.user", "full_name username profile_picture")
-        .lean();
+        .lean());
 
     // Consistent Story Injection Logic
-    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const userIdsInFeed = posts.map((p) => p.user._id);
+    const posts = await injectActiveStories(page.items, currentUser._id);
 
-    const activeStories = await Story.find({
-        user: { $in: userIdsInFeed },
-        createdAt: { $gte: twentyFourHoursAgo },
-    }).lean();
-
-    // Map optimized lookup
-    const storiesMap = new Map();
-    activeStories.forEach(story => {
-        const uid = story.user.toString();
-        if (!storiesMap.has(uid)) storiesMap.set(uid, []);
-        storiesMap.get(uid).push(story);
-    });
-
-    posts = posts.map((post) => {
-        const userStories = storiesMap.get(post.user._id.toString()) || [];
-        const storiesWithSeenStatus = userStories.map((s) => ({
-            ...s,
-            seen: s.viewers
-                ? s.viewers.some((v) => v.toString() === currentUser._id.toString())
-                : false,
-        }));
-
-        return {
-            ...post,
-            user: {
-                ...post.user,
-                stories: storiesWithSeenStatus,
-                hasActiveStory: userStories.length > 0,
-            },
-        };
-    });
-
-    const totalPosts = await Post.countDocuments(query);
-
-    res.status(200).json({
-        success: true,
-        posts,
-        currentPage: page,
-        totalPages: Math.ceil(totalPosts / limit),
-        hasMore: totalPosts > skip + posts.length,
-    });
+    res.status(200).json({ success: true, posts, ...pageMeta(page) });
 });
 
 /**
@@ -998,62 +1122,31 @@ export const getSavedPosts = expressAsyncHandler(async (req, res) => {
  * @access Private
  */
 export const reportPost = expressAsyncHandler(async (req, res) => {
-    const { id: postId } = req.params;
-    const { userId } = req.auth(); // Clerk ID
-    const { reason } = req.body;
-
-    // 1. a map of reasons to their translated versions
-    const REASON_MAP = {
-        "spam": "Spam",
-        "harassment": "Harassment",
-        "hateSpeech": "Hate Speech",
-        "violence": "Violence",
-        "nudity": "Nudity",
-        "other": "Other"
-    };
-
-    const formattedReason = REASON_MAP[reason] || "Other";
-
-    const currentUser = await User.findOne({ clerkId: userId });
-    if (!currentUser) {
-        res.status(404);
-        throw new Error("User not found via Clerk ID");
-    }
-
-    const post = await Post.findById(postId);
-    if (!post) {
-        res.status(404);
-        throw new Error("Post not found");
-    }
-
-    const isAlreadyReported = post.reports.includes(currentUser._id);
-
-    if (isAlreadyReported) {
-        res.status(400);
-        throw new Error("You have already reported this post");
-    }
-
-    await Report.create({
-        reporter: currentUser._id,
-        targetPost: postId,
-        reason: formattedReason,
+    await fileReport(res, {
+        reporter: req.user,
+        targetType: "post",
+        targetId: req.params.id,
+        reason: req.body.reason,
     });
 
-    const updatedPost = await Post.findByIdAndUpdate(
-        postId,
-        {
-            $addToSet: { reports: currentUser._id }
-        },
-        { new: true }
-    );
-
-    const REPORT_THRESHOLD = 5;
+    res.status(201).json({
+        success: true,
+        message: "Report submitted successfully.",
+    });
+});
 
-    if (updatedPost.reports.length >= REPORT_THRESHOLD) {
-        updatedPost.isHidden = true;
-        await updatedPost.save();
-        console.log(`🚨 Auto-Moderation: Post ${postId} hidden due to high reports.`);
-    }
+/**
+ * @desc Report a Comment (or reply)
+ * @route POST /api/post/comment/report/:commentId
+ * @access Private
+ */
+export const reportComment = expressAsyncHandler(async (req, res) => {
+    await fileReport(res, {
+        reporter: req.user,
+        targetType: "comment",
+        targetId: req.params.commentId,
+        reason: req.body.reason,
+    });
 
     res.status(201).json({
         success: true,
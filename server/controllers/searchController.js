@@ -0,0 +1,171 @@
+import expressAsyncHandler from "express-async-handler";
+import Post from "../models/Post.js";
+import Group from "../models/Group.js";
+import User from "../models/User.js";
+import { getFeedExcludeList } from "../utils/visibility.js";
+import { normalizeHashtag } from "../utils/hashtags.js";
+import { normalizeSearchQuery, toTextSearch, escapeRegex, searchPeople } from "../utils/search.js";
+
+/**
+ * @file searchController.js
+ * @description Unified search (people, posts, hashtags, groups) backed by language-neutral text indexes.
+ * Results are ranked by text relevance and paginated; blocked, inactive and (for posts)
+ * private-outside-circle authors are excluded exactly like in the feeds.
+ */
+
+// --- Constants ---
+const SEARCH_TYPES = ["people", "posts", "hashtags", "groups"];
+const MAX_PAGE_SIZE = 50;
+
+// =========================================================
+// Helpers (Internal)
+// =========================================================
+
+const parsePagination = ({ page = 1, limit = 20 }) => {
+    const parsedPage = Math.max(parseInt(page) || 1, 1);
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+    return { page: parsedPage, limit: parsedLimit, skip: (parsedPage - 1) * parsedLimit };
+};
+
+/**
+ * Posts matching the query, most relevant first (newest breaks ties).
+ */
+const searchPosts = async (viewer, query, { limit, skip }) => {
+    const textSearch = toTextSearch(query);
+    if (!textSearch) return { results: [], total: 0 };
+
+    const excludeList = await getFeedExcludeList(viewer, { excludePrivate: true });
+    const filter = {
+        $text: { $search: textSearch },
+        user: { $nin: excludeList },
+        isHidden: { $ne: true },
+    };
+
+    const [results, total] = await Promise.all([
+        Post.find(filter)
+            .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .populate("user", "full_name username profile_picture isPrivate isVerified")
+            .lean(),
+        Post.countDocuments(filter),
+    ]);
+
+    return { results, total };
+};
+
+/**
+ * Hashtags starting with the query (exact match first, then by number of visible posts).
+ */
+const searchHashtags = async (viewer, query, { limit, skip }) => {
+    const tag = normalizeHashtag(query.split(" ")[0]);
+    if (!tag) return { results: [], total: 0 };
+
+    const excludeList = await getFeedExcludeList(viewer, { excludePrivate: true });
+    const prefix = new RegExp(`^${escapeRegex(tag)}`);
+
+    const [{ results, total }] = await Post.aggregate([
+        { $match: { hashtags: prefix, isHidden: { $ne: true }, user: { $nin: excludeList } } },
+        { $unwind: "$hashtags" },
+        { $match: { hashtags: prefix } },
+        { $group: { _id: "$hashtags", posts: { $sum: 1 }, lastUsedAt: { $max: "$createdAt" } } },
+        { $addFields: { isExact: { $eq: ["$_id", tag] } } },
+        { $sort: { isExact: -1, posts: -1, lastUsedAt: -1 } },
+        {
+            $facet: {
+                results: [
+                    { $skip: skip },
+                    { $limit: limit },
+                    { $project: { _id: 0, tag: "$_id", posts: 1, lastUsedAt: 1 } },
+                ],
+                total: [{ $count: "count" }],
+            },
+        },
+        { $project: { results: 1, total: { $ifNull: [{ $arrayElemAt: ["$total.count", 0] }, 0] } } },
+    ]);
+
+    return { results, total };
+};
+
+/**
+ * Groups whose name/description match the query. Groups owned by blocked users and groups
+ * hidden from discovery (unless the viewer is in them) are skipped, and member lists are
+ * reduced to a count plus the viewer's own membership state.
+ */
+const searchGroups = async (viewer, query, { limit, skip }) => {
+    const textSearch = toTextSearch(query);
+    if (!textSearch) return { results: [], total: 0 };
+
+    const usersWhoBlockedMe = await User.find({ blockedUsers: viewer._id }).distinct("_id");
+    const filter = {
+        $text: { $search: textSearch },
+        owner: { $nin: [...(viewer.blockedUsers || []), ...usersWhoBlockedMe] },
+        // Hidden groups only show up for people already in them
+        $or: [{ isDiscoverable: { $ne: false } }, { "members.user": viewer._id }],
+    };
+
+    const [groups, total] = await Promise.all([
+        Group.find(filter)
+            .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select("name description group_image members owner joinPolicy createdAt")
+            .populate("owner", "full_name username profile_picture")
+            .lean(),
+        Group.countDocuments(filter),
+    ]);
+
+    const viewerId = viewer._id.toString();
+    const results = groups.map(({ members, ...group }) => {
+        const myRecord = members.find((m) => m.user.toString() === viewerId);
+        return {
+            ...group,
+            membersCount: members.filter((m) => m.status === "accepted").length,
+            membership: myRecord?.status === "accepted" ? "member" : myRecord?.status === "pending" ? "pending" : null,
+        };
+    });
+
+    return { results, total };
+};
+
+const SEARCHERS = {
+    people: searchPeople,
+    posts: searchPosts,
+    hashtags: searchHashtags,
+    groups: searchGroups,
+};
+
+// =========================================================
+// Controllers
+// =========================================================
+
+/**
+ * @desc Unified search (one tab per request)
+ * @route GET /api/search?q=...&type=people|posts|hashtags|groups&page=1&limit=20
+ * @access Private
+ */
+export const search = expressAsyncHandler(async (req, res) => {
+    const { type = "people" } = req.query;
+    const query = normalizeSearchQuery(req.query.q);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    if (!SEARCH_TYPES.includes(type)) {
+        res.status(400);
+        throw new Error(`Invalid search type. Use one of: ${SEARCH_TYPES.join(", ")}`);
+    }
+
+    const { results, total } = query
+        ? await SEARCHERS[type](req.user, query, { page, limit, skip })
+        : { results: [], total: 0 };
+
+    res.status(200).json({
+        success: true,
+        type,
+        query,
+        results,
+        total,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        hasMore: total > skip + results.length,
+    });
+});
@@ -7,11 +7,12 @@
 
 import expressAsyncHandler from "express-async-handler";
 import { inngest } from "../inngest/index.js";
-import imagekit from "../configs/imagekit.js";
+import { uploadMedia } from "../media/index.js";
 
 // --- Models ---
 import Story from "../models/Story.js";
 import User from "../models/User.js";
+import { fileReport } from "../utils/reporting.js";
 
 // ==========================================
 // --- Helpers & Utilities ---
@@ -78,35 +79,17 @@ export const addStory = expressAsyncHandler(async (req, res) => {
     }
 
     // --- Media Upload ---
-    let mediaUrl = "";
-
-
-
-    if (file) {
-        const uploadResponse = await imagekit.upload({
-            file: file.buffer,
-            fileName: file.originalname,
-            folder: "/stories/",
-        });
-
-        // Conditional Transformation
-        let transformationOptions = [];
-        if (file.mimetype.startsWith("image/")) {
-            transformationOptions = [{ quality: "auto" }];
-        }
-
-        mediaUrl = imagekit.url({
-            path: uploadResponse.filePath,
-            transformation: transformationOptions,
-        });
+    let media = null;
+    if (type !== "text") {
+        media = await uploadMedia(res, file, "story");
     }
 
     // --- DB Creation ---
     const story = await Story.create({
         user: user._id,
         content: content || "",
-        image: mediaUrl,
-        type: type || "text",
+        image: media?.url || "",
+        type: media?.kind || "text", // Image vs. video comes from the sniffed file
         background_color: backgroundColor,
         caption,
     });
@@ -156,6 +139,7 @@ export const getStoriesFeed = expressAsyncHandler(async (req, res) => {
             $nin: blockedList,
         },
         createdAt: { $gt: getTwentyFourHoursAgo() },
+        isHidden: { $ne: true },
     })
         .populate("user", "username full_name profile_picture isVerified")
         .populate({
@@ -247,6 +231,7 @@ export const getUserStories = expressAsyncHandler(async (req, res) => {
     let stories = await Story.find({
         user: targetUserId,
         createdAt: { $gt: getTwentyFourHoursAgo() },
+        isHidden: { $ne: true },
     })
         .populate("user", "username full_name profile_picture isVerified")
         .sort({ createdAt: 1 })
@@ -457,4 +442,20 @@ export const toggleReaction = expressAsyncHandler(async (req, res) => {
     await story.save();
 
     res.status(200).json({ success: true, reaction: emoji });
+});
+
+/**
+ * @desc Report a story
+ * @route POST /api/story/:id/report
+ * @access Private
+ */
+export const reportStory = expressAsyncHandler(async (req, res) => {
+    await fileReport(res, {
+        reporter: req.user,
+        targetType: "story",
+        targetId: req.params.id,
+        reason: req.body.reason,
+    });
+
+    res.status(201).json({ success: true, message: "Report submitted successfully." });
 });
\ No newline at end of file
@@ -1,9 +1,15 @@
 import expressAsyncHandler from "express-async-handler";
 import User from "../models/User.js";
 import Notification from "../models/Notification.js";
-import imagekit from "../configs/imagekit.js";
-import sendEmail from "../utils/sendEmail.js";
-import { io, getReceiverSocketId } from "../socket/socket.js";
+import DataExport from "../models/DataExport.js";
+import { uploadMedia } from "../media/index.js";
+import { isValidTimeZone } from "../utils/timezone.js";
+import { upsertUserFromClerk } from "../utils/userSync.js";
+import { getArchiveDownloadUrl } from "../utils/dataExport.js";
+import { fileReport } from "../utils/reporting.js";
+import { searchPeople, normalizeSearchQuery } from "../utils/search.js";
+import { emitToUser, isUserOnline, io, getUserRoom } from "../socket/socket.js";
+import { inngest } from "../inngest/index.js";
 import { clerkClient } from "@clerk/clerk-sdk-node";
 
 /**
@@ -21,8 +27,9 @@ import { clerkClient } from "@clerk/clerk-sdk-node";
  * @access Private
  */
 export const syncUser = expressAsyncHandler(async (req, res) => {
-    const { id, emailAddresses, firstName, lastName, imageUrl, image_url, username } = req.body;
-    const clerkUserId = id || (req.auth?.userId);
+    const { emailAddresses, firstName, lastName, imageUrl, image_url, username, timezone } = req.body;
+    // Identity comes from the verified session, never from the body
+    const clerkUserId = req.auth().userId;
 
     if (!clerkUserId) {
         res.status(400);
@@ -31,45 +38,18 @@ export const syncUser = expressAsyncHandler(async (req, res) => {
 
     const email = emailAddresses?.[0]?.emailAddress || req.body.email;
     const fullName = (firstName && lastName) ? `${firstName} ${lastName}` : (req.body.fullName || "User");
-    const imageFromClerk = imageUrl || image_url || req.body.profile_image_url || "";
-    const userNameData = username || req.body.username || email?.split("@")[0] || `user_${Date.now()}`;
 
-    let user = await User.findOne({ clerkId: clerkUserId });
-
-    if (user) {
-        user.email = email;
-        user.full_name = fullName;
-        if (!user.profile_picture || user.profile_picture === "") {
-            user.profile_picture = imageFromClerk;
-        }
-        user.username = userNameData;
-        await user.save();
-        return res.status(200).json({ success: true, user });
-    }
-
-    user = await User.create({
+    // Same upsert & username-collision rules as the Clerk webhooks (utils/userSync.js)
+    const { user, created } = await upsertUserFromClerk({
         clerkId: clerkUserId,
         email,
         full_name: fullName,
-        username: userNameData,
-        profile_picture: imageFromClerk
+        username: username || req.body.username,
+        profile_picture: imageUrl || image_url || req.body.profile_image_url || "",
+        timezone: isValidTimeZone(timezone) ? timezone : undefined,
     });
 
-    // Send Welcome Email (Background Task)
-    sendEmail({
-        to: email,
-        subject: "Welcome to Flurry! 🚀",
-        html: `
-            <div style="font-family: sans-serif; text-align: center; padding: 20px; background-color: #f9fafb; border-eadius: 10px;">
-                <h1 style="color: #2563eb;">Welcome ${fullName}! 👋</h1>
-                <p>We are thrilled to have you on board.</p>
-                <hr style="margin: 20px 0;" />
-                <p style="font-size: 12px; color: #9ca3af;">Flurry Team</p>
-            </div>
-        `
-    }).catch(console.error);
-
-    res.status(201).json({ success: true, user });
+    res.status(created ? 201 : 200).json({ success: true, user });
 });
 
 /**
@@ -107,40 +87,14 @@ export const updateUserData = expressAsyncHandler(async (req, res) => {
         ...(full_name && { full_name }),
     };
 
-    // 2. Handle Profile Picture Upload
+    // 2. Handle Profile Picture Upload (stored names are unique, so browsers never show a cached old one)
     if (req.files?.profile_picture?.[0]) {
-        const file = req.files.profile_picture[0];
-
-        // Optimization: Append timestamp to filename to prevent browser caching issues
-        const fileName = `${Date.now()}_${file.originalname}`;
-
-        const result = await imagekit.upload({
-            file: file.buffer,
-            fileName: fileName
-        });
-
-        updatedData.profile_picture = imagekit.url({
-            path: result.filePath,
-            transformation: [{ format: "webp" }, { width: 512 }, { quality: "auto" }]
-        });
+        updatedData.profile_picture = (await uploadMedia(res, req.files.profile_picture[0], "avatar")).url;
     }
 
     // 3. Handle Cover Photo Upload
     if (req.files?.cover?.[0]) {
-        const file = req.files.cover[0];
-
-        // Optimization: Append timestamp to filename
-        const fileName = `${Date.now()}_${file.originalname}`;
-
-        const result = await imagekit.upload({
-            file: file.buffer,
-            fileName: fileName
-        });
-
-        updatedData.cover_photo = imagekit.url({
-            path: result.filePath,
-            transformation: [{ format: "webp" }, { width: 1280 }, { quality: "auto" }]
-        });
+        updatedData.cover_photo = (await uploadMedia(res, req.files.cover[0], "cover")).url;
     }
 
     // 4. Update Clerk Profile
@@ -221,28 +175,8 @@ export const discoverUsers = expressAsyncHandler(async (req, res) => {
 
     if (!currentUser) return res.json({ success: true, users: [] });
 
-    // Escape regex characters to prevent ReDoS
-    const safeQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const searchRegex = new RegExp(safeQuery, "i");
-
-    const users = await User.find({
-        $and: [
-            {
-                $or: [
-                    { username: searchRegex },
-                    { full_name: searchRegex },
-                    { bio: searchRegex },
-                    { location: searchRegex }
-                ]
-            },
-            { _id: { $ne: currentUser._id } },
-            { _id: { $nin: currentUser.blockedUsers || [] } },
-            { blockedUsers: { $ne: currentUser._id } }
-        ]
-    })
-        .select("_id full_name username profile_picture bio isVerified location")
-        .limit(20)
-        .lean(); // Faster for read-only
+    // Same ranking and exclusions as GET /api/search?type=people (first page only)
+    const { results: users } = await searchPeople(currentUser, normalizeSearchQuery(query), { page: 1, limit: 20 });
 
     res.status(200).json({ success: true, users });
 });
@@ -256,7 +190,7 @@ export const getUserById = expressAsyncHandler(async (req, res) => {
     const { id } = req.params;
     const user = await User.findById(id).select("-password -email -clerkId -blockedUsers -mutedUsers");
 
-    if (!user) { res.status(404); throw new Error("User not found"); }
+    if (!user || user.deactivatedAt || user.suspendedAt) { res.status(404); throw new Error("User not found"); }
 
     res.status(200).json({ success: true, user });
 });
@@ -314,10 +248,9 @@ export const followUser = expressAsyncHandler(async (req, res) => {
         });
 
         // Socket Event
-        const socketId = getReceiverSocketId(targetUser._id);
-        if (socketId) {
+        if (await isUserOnline(targetUser._id)) {
             const populatedNotif = await notif.populate("sender", "full_name username profile_picture");
-            io.to(socketId).emit("newNotification", populatedNotif);
+            emitToUser(targetUser._id, "newNotification", populatedNotif);
         }
 
         return res.status(200).json({ success: true, status: "requested", message: "Follow request sent" });
@@ -335,10 +268,9 @@ export const followUser = expressAsyncHandler(async (req, res) => {
     });
 
     // Socket Event
-    const socketId = getReceiverSocketId(targetUser._id);
-    if (socketId) {
+    if (await isUserOnline(targetUser._id)) {
         const populatedNotif = await notif.populate("sender", "full_name username profile_picture");
-        io.to(socketId).emit("newNotification", populatedNotif);
+        emitToUser(targetUser._id, "newNotification", populatedNotif);
     }
 
     res.status(200).json({ success: true, status: "following", message: `You are now following ${targetUser.full_name}` });
@@ -413,10 +345,9 @@ export const acceptFollowRequest = expressAsyncHandler(async (req, res) => {
     );
 
     // Socket Event
-    const socketId = getReceiverSocketId(requester._id);
-    if (socketId) {
+    if (await isUserOnline(requester._id)) {
         const populatedNotif = await notif.populate("sender", "full_name username profile_picture");
-        io.to(socketId).emit("newNotification", populatedNotif);
+        emitToUser(requester._id, "newNotification", populatedNotif);
     }
 
     res.status(200).json({ success: true, message: "Request accepted" });
@@ -550,4 +481,168 @@ export const saveFcmToken = expressAsyncHandler(async (req, res) => {
     }
 
     res.status(200).json({ success: true, message: "Token saved successfully" });
-});
\ No newline at end of file
+});
+// =========================================================
+// 7. Account Lifecycle (Deletion & Restore)
+// =========================================================
+
+/** Days a deactivated account can still be restored before the cascade runs. */
+const ACCOUNT_DELETION_GRACE_DAYS = 14;
+
+/**
+ * @desc Schedule Account Deletion (deactivates immediately, deletes after the grace period)
+ * @route DELETE /api/user/me
+ * @access Private
+ */
+export const deleteMyAccount = expressAsyncHandler(async (req, res) => {
+    const user = req.user;
+
+    // 1. Deactivate & Schedule
+    const deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    user.deactivatedAt = new Date();
+    user.deletionScheduledFor = deletionScheduledFor;
+    await user.save();
+
+    // 2. Queue the cancellable deletion job (see inngest/index.js)
+    await inngest.send({
+        name: "app/user.deletion-requested",
+        data: {
+            userId: user._id.toString(),
+            scheduledFor: deletionScheduledFor.toISOString(),
+        },
+    });
+
+    // 3. Drop live sessions on every device
+    io.in(getUserRoom(user._id.toString())).disconnectSockets(true);
+
+    res.status(202).json({
+        success: true,
+        message: `Account deactivated. It will be permanently deleted after ${ACCOUNT_DELETION_GRACE_DAYS} days unless restored.`,
+        deletionScheduledFor,
+    });
+});
+
+/**
+ * @desc Restore a deactivated account during its grace period
+ * @route POST /api/user/me/restore
+ * @access Private (verifyToken: deactivated users can't pass `protect`)
+ */
+export const restoreMyAccount = expressAsyncHandler(async (req, res) => {
+    const user = await User.findOne({ clerkId: req.auth().userId });
+
+    if (!user) {
+        res.status(404);
+        throw new Error("User not found");
+    }
+
+    if (!user.deactivatedAt) {
+        res.status(400);
+        throw new Error("Account is not scheduled for deletion");
+    }
+
+    user.deactivatedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+
+    // Cancels the sleeping deletion job
+    await inngest.send({
+        name: "app/user.deletion-cancelled",
+        data: { userId: user._id.toString() },
+    });
+
+    res.status(200).json({ success: true, message: "Account restored", user });
+});
+
+// =========================================================
+// 8. Data Export (Download My Data)
+// =========================================================
+
+/** Minimum time between two export requests of the same user. */
+const DATA_EXPORT_COOLDOWN_HOURS = 24;
+
+/**
+ * Shapes an export for the client; signs the download URL while the link is still valid.
+ */
+const formatDataExport = (dataExport) => {
+    if (!dataExport) return null;
+
+    const isExpired = dataExport.status === "ready" && dataExport.expiresAt <= new Date();
+    const status = isExpired ? "expired" : dataExport.status;
+
+    return {
+        _id: dataExport._id,
+        status,
+        size: dataExport.size,
+        createdAt: dataExport.createdAt,
+        expiresAt: dataExport.expiresAt,
+        downloadUrl: status === "ready" ? getArchiveDownloadUrl(dataExport.fileUrl, dataExport.expiresAt) : null,
+    };
+};
+
+/**
+ * @desc Request an archive of everything stored about the current user
+ * @route POST /api/user/export
+ * @access Private
+ */
+export const requestDataExport = expressAsyncHandler(async (req, res) => {
+    const user = req.user;
+
+    // 1. One export at a time, and not more than once per cooldown
+    const latest = await DataExport.findOne({ user: user._id }).sort({ createdAt: -1 });
+
+    if (latest && ["pending", "processing"].includes(latest.status)) {
+        res.status(409);
+        throw new Error("An export is already being prepared");
+    }
+
+    const cooldownEndsAt = latest && new Date(latest.createdAt.getTime() + DATA_EXPORT_COOLDOWN_HOURS * 60 * 60 * 1000);
+    if (latest && latest.status !== "failed" && cooldownEndsAt > new Date()) {
+        res.status(429);
+        throw new Error(`You can request a new export after ${cooldownEndsAt.toISOString()}`);
+    }
+
+    // 2. Queue the archive job (see inngest/index.js)
+    const dataExport = await DataExport.create({ user: user._id });
+
+    await inngest.send({
+        name: "app/user.export-requested",
+        data: { exportId: dataExport._id.toString(), userId: user._id.toString() },
+    });
+
+    res.status(202).json({
+        success: true,
+        message: "Your data export is being prepared. We'll notify you when it's ready.",
+        dataExport: formatDataExport(dataExport),
+    });
+});
+
+/**
+ * @desc Get the status (and download link) of the latest data export
+ * @route GET /api/user/export
+ * @access Private
+ */
+export const getDataExport = expressAsyncHandler(async (req, res) => {
+    const latest = await DataExport.findOne({ user: req.user._id }).sort({ createdAt: -1 }).lean();
+
+    res.status(200).json({ success: true, dataExport: formatDataExport(latest) });
+});
+
+// =========================================================
+// 9. Reporting (User Accounts)
+// =========================================================
+
+/**
+ * @desc Report a user account
+ * @route POST /api/user/report/:id
+ * @access Private
+ */
+export const reportUser = expressAsyncHandler(async (req, res) => {
+    await fileReport(res, {
+        reporter: req.user,
+        targetType: "user",
+        targetId: req.params.id,
+        reason: req.body.reason,
+    });
+
+    res.status(201).json({ success: true, message: "Report submitted successfully." });
+});
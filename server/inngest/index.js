@@ -1,11 +1,27 @@
 import { Inngest } from "inngest";
+import { clerkClient } from "@clerk/clerk-sdk-node";
 // --- Models ---
 import User from "../models/User.js";
 import Connection from "../models/Connection.js";
 import Story from "../models/Story.js";
 import Message from "../models/Message.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Notification from "../models/Notification.js";
+import Report from "../models/Report.js";
+import Group from "../models/Group.js";
+import GroupMessage from "../models/GroupMessage.js";
+import GroupInvite from "../models/GroupInvite.js";
+import DataExport from "../models/DataExport.js";
 // --- Utils ---
 import sendEmail from "../utils/sendEmail.js";
+import { DEFAULT_TIMEZONE, getLocalHour, isValidTimeZone } from "../utils/timezone.js";
+import { upsertUserFromClerk } from "../utils/userSync.js";
+import { removeMedia } from "../media/index.js";
+import { DATA_EXPORT_TTL_HOURS, buildUserArchive, storeArchive, deleteArchive } from "../utils/dataExport.js";
+import { createNotification } from "../controllers/notificationController.js";
+import { closePoll } from "../utils/polls.js";
+import { getMemberRole, outranks } from "../utils/groupPermissions.js";
 
 // Initialize Inngest Client
 export const inngest = new Inngest({ id: "my-app" });
@@ -14,33 +30,35 @@ export const inngest = new Inngest({ id: "my-app" });
 // 1. User Synchronization (Clerk Webhooks)
 // =========================================================
 
+/**
+ * Helper: Maps a Clerk user payload to the shared sync profile.
+ * Prefers the primary email address when Clerk marks one.
+ */
+function profileFromClerk(data) {
+    const { id, first_name, last_name, email_addresses = [], primary_email_address_id, image_url, username } = data;
+
+    const primaryEmail = email_addresses.find((e) => e.id === primary_email_address_id) || email_addresses[0];
+
+    return {
+        clerkId: id,
+        email: primaryEmail?.email_address,
+        full_name: [first_name, last_name].filter(Boolean).join(" ") || undefined,
+        username: username || undefined,
+        profile_picture: image_url,
+    };
+}
+
 /**
  * Syncs new user creation from Clerk to MongoDB.
- * Handles username collision by appending random digits if necessary.
+ * Upserts by clerkId (the client may have synced first) with the same
+ * username-collision handling as POST /api/user/sync.
  */
 const syncUserCreation = inngest.createFunction(
     { id: "sync-user-from-clerk" },
     { event: "clerk/user.created" },
     async ({ event }) => {
-        const { id, first_name, last_name, email_addresses, image_url } = event.data;
-
-        let username = email_addresses[0].email_address.split("@")[0];
-
-        // Check for username collision
-        const existingUser = await User.findOne({ username });
-        if (existingUser) {
-            username += Math.floor(Math.random() * 10000);
-        }
-
-        const userData = {
-            _id: id, // Explicitly mapping Clerk ID to MongoDB _id
-            email: email_addresses[0].email_address,
-            full_name: `${first_name} ${last_name}`,
-            profile_picture: image_url,
-            username,
-        };
-
-        await User.create(userData);
+        const { user, created } = await upsertUserFromClerk(profileFromClerk(event.data));
+        return { userId: user._id.toString(), created };
     }
 );
 
@@ -51,28 +69,33 @@ const syncUserUpdate = inngest.createFunction(
     { id: "update-user-from-clerk" },
     { event: "clerk/user.updated" },
     async ({ event }) => {
-        const { id, first_name, last_name, email_addresses, image_url } = event.data;
-
-        const updatedUserData = {
-            _id: id,
-            email: email_addresses[0].email_address,
-            full_name: `${first_name} ${last_name}`,
-            profile_picture: image_url,
-        };
-
-        await User.findByIdAndUpdate(id, updatedUserData);
+        const { user, created } = await upsertUserFromClerk(profileFromClerk(event.data));
+        return { userId: user._id.toString(), created };
     }
 );
 
 /**
- * Deletes user from MongoDB when deleted in Clerk.
+ * Removes a user deleted in Clerk by handing off to the account-deletion cascade.
  */
 const syncUserDeletion = inngest.createFunction(
     { id: "delete-user-from-clerk" },
     { event: "clerk/user.deleted" },
-    async ({ event }) => {
-        const { id } = event.data; // Fixed: Destructured id from event.data
-        await User.findByIdAndDelete(id);
+    async ({ event, step }) => {
+        const { id: clerkId } = event.data;
+
+        const userId = await step.run("resolve-user", async () => {
+            const user = await User.findOne({ clerkId }).select("_id").lean();
+            return user ? user._id.toString() : null;
+        });
+
+        if (!userId) return { message: `No local user for ${clerkId}.` };
+
+        await step.sendEvent("start-account-deletion", {
+            name: "app/user.account-deletion",
+            data: { userId, clerkId, reason: "clerk_deleted" },
+        });
+
+        return { message: `Account deletion started for ${userId}.` };
     }
 );
 
@@ -80,80 +103,115 @@ const syncUserDeletion = inngest.createFunction(
 // 2. Connection Notifications & Logic
 // =========================================================
 
+// Names are user-controlled; keep them from injecting markup into the email
+const escapeHtml = (value = "") =>
+    String(value).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
 /**
  * Helper: Sends connection request email notifications.
- * @param {Object} connection - The populated connection object
+ * @param {Object} connection - Connection populated with `sender` and `receiver`
  * @param {Boolean} isReminder - Whether this is a reminder email
+ * @returns {Promise<boolean>} Whether the email was sent
  */
 async function sendConnectionNotification(connection, isReminder = false) {
+    const { sender, receiver } = connection;
+
     const subject = isReminder
-        ? `Reminder: New Connection Request`
-        : `New Connection Request`;
+        ? `Reminder: ${sender.full_name} wants to connect on Flurry`
+        : `New Connection Request from ${sender.full_name} 👥`;
 
-    const body = `
+    const html = `
     <div style="font-family:Arial, sans-serif; padding:20px;">
-      <h2>Hi ${connection.to_user_id.full_name},</h2>
-      <p>You have a new connection request from ${connection.from_user_id.full_name} 
-      - @${connection.from_user_id.username}</p>
-      <p>Click <a href="${process.env.FRONTEND_URL}/connections" style="color:#10b981;">here</a> 
+      <h2>Hi ${escapeHtml(receiver.full_name)},</h2>
+      <p>You have ${isReminder ? "a pending" : "a new"} connection request from ${escapeHtml(sender.full_name)}
+      - @${escapeHtml(sender.username)}</p>
+      <p>Click <a href="${process.env.CLIENT_URL}/connections" style="color:#10b981;">here</a>
       to accept or reject the request</p>
       <br/>
-      <p>Thanks,<br/> Postly - Stay Connected</p>
+      <p>Thanks,<br/> Flurry - Stay Connected</p>
     </div>
   `;
 
-    await sendEmail({
-        to: connection.to_user_id.email,
+    return sendEmail({
+        to: receiver.email,
         subject,
-        body,
+        html,
     });
 }
 
+/**
+ * Helper: Loads a connection that still needs an email, or explains why not.
+ * @returns {Promise<{ connection?: Object, skip?: string }>}
+ */
+async function loadPendingConnection(connectionId) {
+    const connection = await Connection.findById(connectionId)
+        .populate("sender", "full_name username")
+        .populate("receiver", "full_name email notificationSettings");
+
+    if (!connection || !connection.sender || !connection.receiver) {
+        return { skip: "Connection not found" };
+    }
+    if (connection.status !== "pending") {
+        return { skip: `Connection already ${connection.status}` };
+    }
+    if (connection.receiver.notificationSettings?.email === false) {
+        return { skip: "Recipient disabled email notifications" };
+    }
+
+    return { connection };
+}
+
 /**
  * Orchestrates connection request notifications:
  * 1. Sends immediate email.
  * 2. Waits 24 hours.
  * 3. Checks status and sends reminder if still pending.
+ *
+ * Cancelled as soon as the request is accepted, rejected or withdrawn
+ * (`app/connection-request.resolved` with the same connectionId).
  */
 export const sendNewConnectionRequestReminder = inngest.createFunction(
-    { id: "send-new-connection-request-reminder" },
+    {
+        id: "send-new-connection-request-reminder",
+        cancelOn: [{ event: "app/connection-request.resolved", match: "data.connectionId" }],
+    },
     { event: "app/connection-requested" },
     async ({ event, step }) => {
         const { connectionId } = event.data;
 
         // --- Step 1: Initial Email ---
-        await step.run("send-initial-connection-mail", async () => {
-            const connection = await Connection.findById(connectionId).populate("from_user_id to_user_id");
+        const initial = await step.run("send-initial-connection-mail", async () => {
+            const { connection, skip } = await loadPendingConnection(connectionId);
+            if (skip) return { sent: false, message: `${skip}, aborting.` };
 
-            if (!connection) {
-                return { message: "Connection not found, aborting." };
+            if (!(await sendConnectionNotification(connection, false))) {
+                throw new Error(`Connection request email failed for ${connectionId}`); // Let Inngest retry
             }
-
-            await sendConnectionNotification(connection, false);
-            return { message: "Initial email sent." };
+            return { sent: true, message: "Initial email sent." };
         });
 
+        // Nothing to remind about if the request is gone or the recipient opted out
+        if (!initial.sent) return initial;
+
         // --- Step 2: Delay ---
-        const in24Hours = new Date(Date.now() + 24 * 60 * 60 * 1000);
-        await step.sleepUntil("wait-for-24-hours", in24Hours);
+        await step.sleep("wait-for-24-hours", "24h");
 
         // --- Step 3: Reminder Logic ---
-        await step.run("send-connection-request-reminder", async () => {
-            // Re-fetch connection to check current status
-            const connection = await Connection.findById(connectionId).populate("from_user_id to_user_id");
+        return step.run("send-connection-request-reminder", async () => {
+            // Re-fetch connection to check current status & preference
+            const { connection, skip } = await loadPendingConnection(connectionId);
+            if (skip) return { sent: false, message: `No reminder needed: ${skip}.` };
 
-            if (connection && connection.status === "pending") {
-                await sendConnectionNotification(connection, true);
-                return { message: "Reminder email sent." };
+            if (!(await sendConnectionNotification(connection, true))) {
+                throw new Error(`Connection reminder email failed for ${connectionId}`); // Let Inngest retry
             }
-
-            return { message: "No reminder needed." };
+            return { sent: true, message: "Reminder email sent." };
         });
     }
 );
 
 // =========================================================
-// 3. Story Management (Ephemeral Content)
+// 3. Timed Content (Story Expiry & Poll Deadlines)
 // =========================================================
 
 /**
@@ -181,84 +239,472 @@ const deleteStory = inngest.createFunction(
     }
 );
 
+/**
+ * Closes a poll at its deadline and announces the final results.
+ * Triggered by `app/poll.created` ({ scope: "group"|"direct", messageId, closesAt }) for polls with a close time.
+ * A vote arriving after the deadline closes the poll too; whichever runs first wins.
+ */
+const closePollAtDeadline = inngest.createFunction(
+    { id: "close-poll-at-deadline" },
+    { event: "app/poll.created" },
+    async ({ event, step }) => {
+        const { scope, messageId, closesAt } = event.data;
+
+        await step.sleepUntil("wait-for-deadline", new Date(closesAt));
+
+        const closed = await step.run("close-poll", async () => Boolean(await closePoll(scope, messageId)));
+
+        return { message: closed ? `Poll ${messageId} closed.` : `Poll ${messageId} was already closed or deleted.` };
+    }
+);
+
 // =========================================================
-// 4. Unread Message Digest (Cron Job & Fan-Out)
+// 4. Unread Message Digest (Hourly Cron, Local-Time Fan-Out)
 // =========================================================
 
+/** Local hour at which each user receives their digest. */
+const DIGEST_LOCAL_HOUR = 9;
+
+/** Max events per `step.sendEvent` call when fanning out. */
+const DIGEST_FAN_OUT_BATCH = 500;
+
 /**
- * Cron Job: Runs daily at 9:00 AM NY Time.
- * Aggregates unread message counts and triggers individual email jobs (Fan-Out pattern).
+ * Cron Job: Runs at the top of every hour (UTC).
+ * Picks the time zones where it is currently DIGEST_LOCAL_HOUR and fans out
+ * one job per opted-in user there, so everyone gets the digest at 9:00 their time.
  */
 export const scheduleUnreadNotifications = inngest.createFunction(
     { id: "schedule-unread-notifications" },
-    { cron: "TZ=America/New_York 0 9 * * *" },
+    { cron: "0 * * * *" },
     async ({ step }) => {
-        // 1. Aggregation: Group unread messages by recipient
-        const userCounts = await Message.aggregate([
-            { $match: { seen: false } },
+        // 1. Resolve the zones that just hit the digest hour
+        const userIds = await step.run("find-due-users", async () => {
+            const now = new Date();
+            const zones = await User.distinct("timezone");
+            const dueZones = zones.filter(
+                (zone) => isValidTimeZone(zone) && getLocalHour(zone, now) === DIGEST_LOCAL_HOUR
+            );
+
+            if (dueZones.length === 0) return [];
+
+            // Legacy accounts without a stored zone are treated as UTC
+            const zoneFilter = dueZones.includes(DEFAULT_TIMEZONE)
+                ? { $or: [{ timezone: { $in: dueZones } }, { timezone: { $exists: false } }] }
+                : { timezone: { $in: dueZones } };
+
+            const users = await User.find({ ...zoneFilter, "notificationSettings.email": { $ne: false } })
+                .select("_id")
+                .lean();
+
+            return users.map((u) => u._id.toString());
+        });
+
+        if (userIds.length === 0) {
+            return { message: "No users due for a digest this hour." };
+        }
+
+        // 2. Fan-Out: Dispatch one event per user, in batches
+        for (let i = 0; i < userIds.length; i += DIGEST_FAN_OUT_BATCH) {
+            const events = userIds.slice(i, i + DIGEST_FAN_OUT_BATCH).map((userId) => ({
+                name: "app/send-unread-summary",
+                data: { userId },
+            }));
+
+            await step.sendEvent(`fan-out-unread-jobs-${i / DIGEST_FAN_OUT_BATCH}`, events);
+        }
+
+        return { message: `Scheduled ${userIds.length} digest jobs.` };
+    }
+);
+
+/**
+ * Helper: Collects a user's unread direct and group messages, grouped per conversation.
+ * - Direct: `read: false` messages where the user is the receiver.
+ * - Groups: messages in accepted memberships, since joining, from others, not in `readBy`.
+ * @param {import("mongoose").Types.ObjectId} userId
+ * @returns {Promise<{ direct: Array, groups: Array, total: number }>}
+ */
+async function buildUnreadDigest(userId) {
+    // A. Direct Messages
+    const direct = await Message.aggregate([
+        {
+            $match: {
+                receiver: userId,
+                read: false,
+                isDeleted: { $ne: true },
+                deletedBy: { $ne: userId },
+            },
+        },
+        { $group: { _id: "$sender", count: { $sum: 1 }, lastAt: { $max: "$createdAt" } } },
+        { $sort: { lastAt: -1 } },
+        { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "sender" } },
+        { $unwind: "$sender" },
+        { $project: { _id: 0, count: 1, name: "$sender.full_name", username: "$sender.username" } },
+    ]);
+
+    // B. Group Messages
+    const groups = await Group.find({ members: { $elemMatch: { user: userId, status: "accepted" } } })
+        .select({ name: 1, members: { $elemMatch: { user: userId } } })
+        .lean();
+
+    let groupCounts = [];
+    if (groups.length > 0) {
+        groupCounts = await GroupMessage.aggregate([
+            {
+                $match: {
+                    // Only messages posted after the user joined each group
+                    $or: groups.map((g) => ({
+                        group: g._id,
+                        createdAt: { $gte: g.members[0]?.joinedAt || new Date(0) },
+                    })),
+                    sender: { $ne: userId },
+                    readBy: { $ne: userId },
+                    isDeleted: { $ne: true },
+                    message_type: { $ne: "system" },
+                },
+            },
             {
                 $group: {
-                    _id: "$to_user_id",
+                    _id: "$group",
                     count: { $sum: 1 },
+                    senders: { $addToSet: "$sender" },
+                    lastAt: { $max: "$createdAt" },
                 },
             },
+            { $sort: { lastAt: -1 } },
+            { $lookup: { from: "users", localField: "senders", foreignField: "_id", as: "senders" } },
         ]);
+    }
 
-        if (userCounts.length === 0) {
-            return { message: "No unread messages." };
-        }
-
-        // 2. Map results to event payloads
-        const events = userCounts.map((item) => ({
-            name: "app/send-unread-summary",
-            data: {
-                userId: item._id,
-                count: item.count,
-            },
-        }));
+    const groupNames = new Map(groups.map((g) => [g._id.toString(), g.name]));
+    const groupSummaries = groupCounts.map((g) => ({
+        name: groupNames.get(g._id.toString()) || "Group",
+        count: g.count,
+        senders: g.senders.map((u) => u.full_name).slice(0, 3),
+    }));
 
-        // 3. Fan-Out: Dispatch events for parallel processing
-        await step.sendEvent("fan-out-unread-jobs", events);
+    const total = [...direct, ...groupSummaries].reduce((sum, c) => sum + c.count, 0);
+    return { direct, groups: groupSummaries, total };
+}
 
-        return { message: `Scheduled ${events.length} summary emails.` };
-    }
-);
+/**
+ * Helper: Renders the digest email body.
+ */
+function renderDigestEmail(user, digest) {
+    const row = (label, count) => `
+        <tr>
+            <td style="padding:6px 0;">${label}</td>
+            <td style="padding:6px 0; text-align:right; font-weight:bold;">${count}</td>
+        </tr>`;
+
+    const directRows = digest.direct
+        .map((c) => row(`<strong>${escapeHtml(c.name)}</strong> <span style="color:#6b7280;">@${escapeHtml(c.username)}</span>`, c.count))
+        .join("");
+
+    const groupRows = digest.groups
+        .map((g) => row(`<strong>${escapeHtml(g.name)}</strong> <span style="color:#6b7280;">from ${escapeHtml(g.senders.join(", "))}</span>`, g.count))
+        .join("");
+
+    return `
+    <div style="font-family:Arial, sans-serif; padding:20px;">
+        <h2>Hi ${escapeHtml(user.full_name)},</h2>
+        <p>You have ${digest.total} unread messages waiting for you.</p>
+        ${directRows ? `<h3>Direct Messages</h3><table style="width:100%; max-width:480px;">${directRows}</table>` : ""}
+        ${groupRows ? `<h3>Groups</h3><table style="width:100%; max-width:480px;">${groupRows}</table>` : ""}
+        <p>Click <a href="${process.env.CLIENT_URL}/messages" style="color:#10b981;">here</a> to catch up</p>
+        <br/>
+        <p>Thanks,<br/> Flurry - Stay Connected</p>
+    </div>
+    `;
+}
 
 /**
- * Worker: Processes individual unread summary emails.
- * Triggered by the Cron Job above.
+ * Worker: Builds and sends one user's unread digest.
+ * Triggered by the Cron Job above; skips users who opted out or are all caught up.
  */
 export const sendUnreadSummaryEmail = inngest.createFunction(
     { id: "send-unread-summary-email-worker" },
     { event: "app/send-unread-summary" },
     async ({ event, step }) => {
-        const { userId, count } = event.data;
+        const { userId } = event.data;
 
-        await step.run("send-summary-email", async () => {
-            const user = await User.findById(userId);
+        const result = await step.run("build-and-send-digest", async () => {
+            const user = await User.findById(userId).select("full_name email notificationSettings").lean();
             if (!user) {
-                throw new Error(`User not found: ${userId}`);
+                return { skipped: true, reason: "User not found" };
+            }
+
+            // Re-check at send time: the preference may have changed since fan-out
+            if (user.notificationSettings?.email === false) {
+                return { skipped: true, reason: "Email notifications disabled" };
+            }
+
+            const digest = await buildUnreadDigest(user._id);
+            if (digest.total === 0) {
+                return { skipped: true, reason: "No unread messages" };
             }
 
-            const subject = `You have ${count} unseen messages`;
-            const body = `
-        <div style="font-family:Arial, sans-serif; padding:20px;">
-            <h2>Hi ${user.full_name},</h2>
-            <p>You have ${count} unseen messages</p>
-            <p>Click <a href="${process.env.FRONTEND_URL}/messages" style="color:#10b981;">here</a> to view them</p>
-            <br/>
-            <p>Thanks,<br/> Postly - Stay Connected</p>
-        </div>
-        `;
-
-            await sendEmail({
+            const sent = await sendEmail({
                 to: user.email,
-                subject,
-                body,
+                subject: `You have ${digest.total} unread messages on Flurry`,
+                html: renderDigestEmail(user, digest),
+            });
+
+            if (!sent) throw new Error(`Digest email failed for ${userId}`); // Let Inngest retry
+            return { skipped: false, total: digest.total };
+        });
+
+        return result;
+    }
+);
+
+// =========================================================
+// 5. Account Deletion (Grace Period & Cascade)
+// =========================================================
+
+/**
+ * Waits out the grace period of a user-requested deletion, then starts the cascade.
+ * Cancelled by `app/user.deletion-cancelled` (POST /api/user/me/restore).
+ */
+export const scheduleAccountDeletion = inngest.createFunction(
+    {
+        id: "schedule-account-deletion",
+        cancelOn: [{ event: "app/user.deletion-cancelled", match: "data.userId" }],
+    },
+    { event: "app/user.deletion-requested" },
+    async ({ event, step }) => {
+        const { userId, scheduledFor } = event.data;
+
+        await step.sleepUntil("wait-for-grace-period", new Date(scheduledFor));
+
+        // Double-check against the DB in case a restore raced the cancel event
+        const user = await step.run("verify-still-scheduled", async () => {
+            const found = await User.findById(userId).select("clerkId deactivatedAt").lean();
+            return found?.deactivatedAt ? { clerkId: found.clerkId } : null;
+        });
+
+        if (!user) return { message: "Deletion no longer scheduled." };
+
+        await step.sendEvent("start-account-deletion", {
+            name: "app/user.account-deletion",
+            data: { userId, clerkId: user.clerkId, reason: "user_requested" },
+        });
+
+        return { message: `Account deletion started for ${userId}.` };
+    }
+);
+
+/**
+ * Deletes a user and everything that references them, one retryable step per area.
+ * Every step is idempotent, so a retry after a partial failure is safe.
+ * Triggered by `app/user.account-deletion` ({ userId, clerkId, reason }).
+ */
+export const deleteUserAccount = inngest.createFunction(
+    {
+        id: "delete-user-account",
+        concurrency: { key: "event.data.userId", limit: 1 },
+    },
+    { event: "app/user.account-deletion" },
+    async ({ event, step }) => {
+        const { userId, clerkId, reason } = event.data;
+
+        // --- Step 0: Media URLs (collected before the documents that hold them are gone) ---
+        const mediaUrls = await step.run("collect-media", async () => {
+            const [user, posts, stories, messages, groupMessages, exports] = await Promise.all([
+                User.findById(userId).select("profile_picture cover_photo").lean(),
+                Post.find({ user: userId }).select("image_urls video").lean(),
+                Story.find({ user: userId }).select("image").lean(),
+                Message.find({ sender: userId, media_url: { $ne: "" } }).select("media_url attachment.thumbnail_url").lean(),
+                GroupMessage.find({ sender: userId, media_url: { $ne: "" } }).select("media_url attachment.thumbnail_url").lean(),
+                DataExport.find({ user: userId, fileUrl: { $ne: null } }).select("fileUrl").lean(),
+            ]);
+
+            return [
+                user?.profile_picture,
+                user?.cover_photo,
+                ...posts.flatMap((p) => [...(p.image_urls || []), p.video?.url, p.video?.thumbnail_url]),
+                ...stories.map((st) => st.image),
+                ...[...messages, ...groupMessages].flatMap((m) => [m.media_url, m.attachment?.thumbnail_url]),
+                ...exports.map((e) => e.fileUrl),
+            ].filter(Boolean);
+        });
+
+        // --- Step 1: Authored Content ---
+        await step.run("delete-content", async () => {
+            const postIds = await Post.find({ user: userId }).distinct("_id");
+
+            // Comments by the user on other posts must leave those posts' comment lists
+            const ownComments = await Comment.find({ user: userId, post: { $nin: postIds } }).select("_id post").lean();
+            await Post.updateMany(
+                { _id: { $in: ownComments.map((c) => c.post) } },
+                { $pull: { comments: { $in: ownComments.map((c) => c._id) } } }
+            );
+
+            await Comment.deleteMany({ $or: [{ user: userId }, { post: { $in: postIds } }] });
+            await Post.deleteMany({ _id: { $in: postIds } });
+            await Story.deleteMany({ user: userId });
+
+            return { posts: postIds.length };
+        });
+
+        // --- Step 2: Messages ---
+        await step.run("delete-messages", async () => {
+            await Message.deleteMany({ $or: [{ sender: userId }, { receiver: userId }] });
+            await GroupMessage.deleteMany({ sender: userId });
+            await GroupMessage.updateMany(
+                { $or: [{ readBy: userId }, { "reactions.user": userId }] },
+                { $pull: { readBy: userId, reactions: { user: userId } } }
+            );
+            await GroupMessage.updateMany(
+                { "poll.options.votes": userId },
+                { $pull: { "poll.options.$[].votes": userId } }
+            );
+        });
+
+        // --- Step 3: Groups (hand over ownership, or close empty groups) ---
+        const groupImages = await step.run("transfer-groups", async () => {
+            const ownedGroups = await Group.find({ owner: userId });
+            const dissolvedImages = [];
+
+            for (const group of ownedGroups) {
+                // Highest role first (admin > moderator > member), then the longest-standing member
+                const roleOf = (member) => getMemberRole(group, member.user);
+                const successor = group.members
+                    .filter((m) => m.user.toString() !== userId && m.status === "accepted")
+                    .sort((a, b) => {
+                        if (outranks(roleOf(a), roleOf(b))) return -1;
+                        if (outranks(roleOf(b), roleOf(a))) return 1;
+                        return a.joinedAt - b.joinedAt;
+                    })[0];
+
+                if (!successor) {
+                    if (group.group_image) dissolvedImages.push(group.group_image);
+                    await GroupMessage.deleteMany({ group: group._id });
+                    await GroupInvite.deleteMany({ group: group._id });
+                    await group.deleteOne();
+                    continue;
+                }
+
+                successor.role = "owner"; // Same as transferOwnership
+                group.owner = successor.user;
+                await group.save();
+            }
+
+            await Group.updateMany({ "members.user": userId }, { $pull: { members: { user: userId } } });
+            await GroupInvite.deleteMany({ createdBy: userId }); // Their links stop working with them
+            return dissolvedImages;
+        });
+
+        // --- Step 4: Social Graph & Interactions ---
+        await step.run("detach-social-graph", async () => {
+            await User.updateMany({}, {
+                $pull: {
+                    connections: userId,
+                    pendingRequests: userId,
+                    sentRequests: userId,
+                    followers: userId,
+                    following: userId,
+                    followRequests: userId,
+                    blockedUsers: userId,
+                    mutedUsers: userId,
+                },
             });
+            await Post.updateMany({}, { $pull: { likes: userId, shares: userId, saves: userId, reports: userId } });
+            await Comment.updateMany({ likes: userId }, { $pull: { likes: userId } });
+            await Story.updateMany({ "viewers.user": userId }, { $pull: { viewers: { user: userId } } });
+
+            await Promise.all([
+                Notification.deleteMany({ $or: [{ recipient: userId }, { sender: userId }] }),
+                Connection.deleteMany({ $or: [{ sender: userId }, { receiver: userId }] }),
+                // Filed by them, or about their content (message snapshots hold their words)
+                Report.deleteMany({ $or: [{ reporter: userId }, { targetOwner: userId }] }),
+                DataExport.deleteMany({ user: userId }),
+            ]);
+        });
+
+        // --- Step 5: The Account Itself ---
+        await step.run("delete-user-document", async () => {
+            await User.deleteOne({ _id: userId });
+        });
+
+        // --- Step 6: Uploaded Media (best effort) ---
+        const media = await step.run("delete-media", () => removeMedia([...mediaUrls, ...groupImages]));
+
+        // --- Step 7: Clerk Identity (skipped when Clerk itself reported the deletion) ---
+        if (clerkId && reason !== "clerk_deleted") {
+            await step.run("delete-clerk-user", async () => {
+                try {
+                    await clerkClient.users.deleteUser(clerkId);
+                } catch (error) {
+                    if (error.status !== 404) throw error; // Already gone is fine
+                }
+            });
+        }
+
+        return { message: `Account ${userId} deleted (${reason || "unspecified"}).`, media };
+    }
+);
 
-            return { message: `Email sent to ${user.email}` };
+// =========================================================
+// 6. Data Export (Archive, Notify, Expire)
+// =========================================================
+
+/**
+ * Builds the "Export my data" archive, notifies the user, and removes it once the link expires.
+ * Triggered by `app/user.export-requested` ({ exportId, userId }) from POST /api/user/export.
+ */
+export const exportUserData = inngest.createFunction(
+    {
+        id: "export-user-data",
+        concurrency: { key: "event.data.userId", limit: 1 },
+        onFailure: async ({ event, error }) => {
+            await DataExport.updateOne(
+                { _id: event.data.event.data.exportId },
+                { status: "failed", error: error.message }
+            );
+        },
+    },
+    { event: "app/user.export-requested" },
+    async ({ event, step }) => {
+        const { exportId, userId } = event.data;
+
+        // --- Step 1: Build & Upload (the archive itself never leaves this step) ---
+        const archive = await step.run("build-and-store-archive", async () => {
+            await DataExport.updateOne({ _id: exportId }, { status: "processing" });
+
+            const built = await buildUserArchive(userId);
+            if (!built) return null;
+
+            return storeArchive(built.buffer, built.fileName);
         });
+
+        if (!archive) {
+            await step.run("mark-failed", () =>
+                DataExport.updateOne({ _id: exportId }, { status: "failed", error: "User not found" })
+            );
+            return { message: `Export ${exportId} skipped: user not found.` };
+        }
+
+        // --- Step 2: Publish the Download ---
+        const expiresAt = await step.run("mark-ready", async () => {
+            const expiry = new Date(Date.now() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000);
+            await DataExport.updateOne({ _id: exportId }, { status: "ready", ...archive, expiresAt: expiry });
+            return expiry.toISOString();
+        });
+
+        await step.run("notify-user", () =>
+            createNotification({ recipient: userId, sender: userId, type: "data_export", dataExport: exportId })
+        );
+
+        // --- Step 3: Expire the Link ---
+        await step.sleepUntil("wait-for-link-expiry", new Date(expiresAt));
+
+        await step.run("expire-archive", async () => {
+            await deleteArchive(archive.fileId);
+            await DataExport.updateOne({ _id: exportId }, { status: "expired", fileId: null, fileUrl: null });
+        });
+
+        return { message: `Export ${exportId} delivered and expired.` };
     }
 );
 
@@ -267,8 +713,12 @@ export const functions = [
     syncUserCreation,
     syncUserUpdate,
     syncUserDeletion,
+    scheduleAccountDeletion,
+    deleteUserAccount,
+    exportUserData,
     sendNewConnectionRequestReminder,
     deleteStory,
+    closePollAtDeadline,
     scheduleUnreadNotifications,
     sendUnreadSummaryEmail,
 ];
\ No newline at end of file
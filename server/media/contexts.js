@@ -0,0 +1,69 @@
+/**
+ * @file contexts.js
+ * @description Upload contexts: what each feature may upload, how big, and where it is stored.
+ * Kept free of side effects so configs/multer.js can read the global cap from it.
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * @typedef {Object} MediaContext
+ * @property {Object<string, number>} limits - Max bytes per accepted kind ("image" | "video" | "audio" | "file")
+ * @property {Object<string, string>} folders - Storage folder per kind
+ * @property {import("./storage/index.js").MediaTransform} [transform] - Delivery transform for images
+ * @property {number} [maxDuration] - Max video length (seconds); videos are probed and remuxed with the bundled FFmpeg (see video.js)
+ */
+
+/** @type {Object<string, MediaContext>} */
+export const MEDIA_CONTEXTS = {
+    post_image: {
+        limits: { image: 10 * MB },
+        folders: { image: "posts" },
+    },
+    post_video: {
+        limits: { video: 50 * MB },
+        folders: { video: "posts/videos" },
+        maxDuration: 180,
+    },
+    message: {
+        limits: { image: 10 * MB, audio: 10 * MB, video: 50 * MB, file: 25 * MB },
+        folders: { image: "messages/images", audio: "messages/voices", video: "messages/videos", file: "messages/files" },
+        maxDuration: 300,
+    },
+    group_message: {
+        limits: { image: 10 * MB, audio: 10 * MB, video: 50 * MB, file: 25 * MB },
+        folders: {
+            image: "group-messages/images",
+            audio: "group-messages/voices",
+            video: "group-messages/videos",
+            file: "group-messages/files",
+        },
+        transform: { width: 800 },
+        maxDuration: 300,
+    },
+    story: {
+        limits: { image: 10 * MB, video: 30 * MB },
+        folders: { image: "stories", video: "stories" },
+        maxDuration: 60,
+    },
+    group_image: {
+        limits: { image: 5 * MB },
+        folders: { image: "groups" },
+        transform: { width: 500 },
+    },
+    avatar: {
+        limits: { image: 5 * MB },
+        folders: { image: "users/avatars" },
+        transform: { width: 512, format: "webp" },
+    },
+    cover: {
+        limits: { image: 10 * MB },
+        folders: { image: "users/covers" },
+        transform: { width: 1280, format: "webp" },
+    },
+};
+
+/** Largest file any context accepts: the hard cap multer enforces while buffering. */
+export const MAX_UPLOAD_BYTES = Math.max(
+    ...Object.values(MEDIA_CONTEXTS).flatMap((context) => Object.values(context.limits))
+);
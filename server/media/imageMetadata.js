@@ -0,0 +1,225 @@
+/**
+ * @file imageMetadata.js
+ * @description Reads image dimensions and removes location metadata, without decoding pixels.
+ *
+ * - JPEG: GPS entries of the EXIF block are wiped (orientation and the rest of EXIF stay,
+ *   so photos keep displaying upright); XMP packets, which can repeat the location, are dropped.
+ * - PNG:  `eXIf` chunks and XMP text chunks are dropped.
+ * - WebP: `EXIF` / `XMP ` chunks are dropped and the VP8X flags updated.
+ * - GIF:  carries no EXIF.
+ */
+
+const XMP_JPEG_HEADERS = ["http://ns.adobe.com/xap/1.0/\0", "http://ns.adobe.com/xmp/extension/\0"];
+const XMP_PNG_KEYWORD = "XML:com.adobe.xmp";
+
+/** Byte size of each TIFF field type (EXIF). */
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const GPS_IFD_TAG = 0x8825;
+
+// =========================================================
+// JPEG
+// =========================================================
+
+/** SOFn markers carry the frame size (C4 / C8 / CC are DHT, JPG and DAC). */
+const isStartOfFrame = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+/**
+ * Wipes the GPS IFD of an EXIF block in place.
+ * @param {Buffer} tiff - The TIFF structure following "Exif\0\0".
+ */
+const wipeExifGps = (tiff) => {
+    if (tiff.length < 8) return;
+
+    const little = tiff.toString("latin1", 0, 2) === "II";
+    const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+    const inBounds = (offset, length) => offset >= 0 && offset + length <= tiff.length;
+
+    const ifd0 = u32(4);
+    if (!inBounds(ifd0, 2)) return;
+
+    let gpsIfd = null;
+    for (let i = 0, count = u16(ifd0); i < count; i++) {
+        const entry = ifd0 + 2 + i * 12;
+        if (!inBounds(entry, 12)) return;
+        if (u16(entry) === GPS_IFD_TAG) gpsIfd = u32(entry + 8);
+    }
+    if (gpsIfd === null || !inBounds(gpsIfd, 2)) return;
+
+    const count = u16(gpsIfd);
+    for (let i = 0; i < count; i++) {
+        const entry = gpsIfd + 2 + i * 12;
+        if (!inBounds(entry, 12)) break;
+
+        // Values longer than 4 bytes live elsewhere in the block: wipe them too
+        const size = (TIFF_TYPE_SIZES[u16(entry + 2)] || 1) * u32(entry + 4);
+        const valueOffset = u32(entry + 8);
+        if (size > 4 && inBounds(valueOffset, size)) tiff.fill(0, valueOffset, valueOffset + size);
+
+        tiff.fill(0, entry, entry + 12);
+    }
+    tiff.fill(0, gpsIfd, gpsIfd + 2); // Entry count: an empty, still valid IFD
+};
+
+/**
+ * @param {Buffer} buffer
+ * @returns {{ buffer: Buffer, width: number|null, height: number|null }}
+ */
+const processJpeg = (buffer) => {
+    const parts = [buffer.subarray(0, 2)];
+    let width = null;
+    let height = null;
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+
+        // Start of scan / end of image: the rest is compressed data
+        if (marker === 0xda || marker === 0xd9) break;
+
+        // Fill byte
+        if (marker === 0xff) {
+            parts.push(buffer.subarray(offset, offset + 1));
+            offset += 1;
+            continue;
+        }
+
+        // Standalone markers (no length)
+        if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+            parts.push(buffer.subarray(offset, offset + 2));
+            offset += 2;
+            continue;
+        }
+
+        const length = buffer.readUInt16BE(offset + 2);
+        const end = offset + 2 + length;
+        if (length < 2 || end > buffer.length) break;
+
+        const segment = buffer.subarray(offset, end);
+
+        if (isStartOfFrame(marker) && length >= 7) {
+            height = segment.readUInt16BE(5);
+            width = segment.readUInt16BE(7);
+        }
+
+        if (marker === 0xe1) {
+            const header = segment.toString("latin1", 4, 4 + 35);
+            if (XMP_JPEG_HEADERS.some((xmp) => header.startsWith(xmp))) {
+                offset = end;
+                continue; // Dropped
+            }
+            if (header.startsWith("Exif\0\0")) {
+                const copy = Buffer.from(segment);
+                wipeExifGps(copy.subarray(10));
+                parts.push(copy);
+                offset = end;
+                continue;
+            }
+        }
+
+        parts.push(segment);
+        offset = end;
+    }
+
+    parts.push(buffer.subarray(offset));
+    return { buffer: Buffer.concat(parts), width, height };
+};
+
+// =========================================================
+// PNG
+// =========================================================
+
+const processPng = (buffer) => {
+    const parts = [buffer.subarray(0, 8)];
+    let width = null;
+    let height = null;
+    let offset = 8;
+
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString("latin1", offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (end > buffer.length) break;
+
+        if (type === "IHDR" && length >= 8) {
+            width = buffer.readUInt32BE(offset + 8);
+            height = buffer.readUInt32BE(offset + 12);
+        }
+
+        const isXmp = ["iTXt", "tEXt", "zTXt"].includes(type) &&
+            buffer.toString("latin1", offset + 8, offset + 8 + XMP_PNG_KEYWORD.length) === XMP_PNG_KEYWORD;
+
+        if (type !== "eXIf" && !isXmp) parts.push(buffer.subarray(offset, end));
+        offset = end;
+    }
+
+    parts.push(buffer.subarray(offset));
+    return { buffer: Buffer.concat(parts), width, height };
+};
+
+// =========================================================
+// WebP
+// =========================================================
+
+const processWebp = (buffer) => {
+    const chunks = [];
+    let width = null;
+    let height = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const type = buffer.toString("latin1", offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const end = Math.min(offset + 8 + size + (size % 2), buffer.length);
+        const data = buffer.subarray(offset + 8, offset + 8 + size);
+
+        if (type === "VP8X" && data.length >= 10) {
+            width = data.readUIntLE(4, 3) + 1;
+            height = data.readUIntLE(7, 3) + 1;
+        } else if (type === "VP8 " && data.length >= 10 && width === null) {
+            width = data.readUInt16LE(6) & 0x3fff;
+            height = data.readUInt16LE(8) & 0x3fff;
+        } else if (type === "VP8L" && data.length >= 5 && width === null) {
+            const bits = data.readUInt32LE(1);
+            width = (bits & 0x3fff) + 1;
+            height = ((bits >> 14) & 0x3fff) + 1;
+        }
+
+        if (type === "VP8X") {
+            const copy = Buffer.from(buffer.subarray(offset, end));
+            copy[8] &= ~(0x08 | 0x04); // EXIF + XMP flags
+            chunks.push(copy);
+        } else if (type !== "EXIF" && type !== "XMP ") {
+            chunks.push(buffer.subarray(offset, end));
+        }
+        offset = end;
+    }
+
+    const body = Buffer.concat(chunks);
+    const header = Buffer.from(buffer.subarray(0, 12));
+    header.writeUInt32LE(body.length + 4, 4);
+    return { buffer: Buffer.concat([header, body]), width, height };
+};
+
+// =========================================================
+// Public API
+// =========================================================
+
+/**
+ * Strips location metadata from an image and reads its dimensions.
+ * Throws on structurally broken files (the caller rejects the upload rather than risk
+ * storing metadata it couldn't clean).
+ *
+ * @param {Buffer} buffer
+ * @param {string} mime - Sniffed MIME type.
+ * @returns {{ buffer: Buffer, width: number|null, height: number|null }}
+ */
+export const sanitizeImage = (buffer, mime) => {
+    if (mime === "image/jpeg") return processJpeg(buffer);
+    if (mime === "image/png") return processPng(buffer);
+    if (mime === "image/webp") return processWebp(buffer);
+    if (mime === "image/gif" && buffer.length >= 10) {
+        return { buffer, width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    return { buffer, width: null, height: null };
+};
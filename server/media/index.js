@@ -0,0 +1,187 @@
+/**
+ * @file index.js
+ * @description Media service: the single path every upload takes before it is stored.
+ *
+ * 1. Sniff the real content type from the bytes (the client's MIME type is not trusted).
+ * 2. Enforce the context's accepted kinds and per-kind size limit (see contexts.js).
+ * 3. Clean it: images lose their location metadata, videos are probed, remuxed without
+ *    metadata and given a poster frame.
+ * 4. Store it through the configured backend (see storage/index.js).
+ *
+ * Every upload comes back as the same media descriptor, whatever the feature.
+ */
+
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import mediaStorage from "./storage/index.js";
+import { MEDIA_CONTEXTS } from "./contexts.js";
+import { sniffContentType } from "./sniff.js";
+import { sanitizeImage } from "./imageMetadata.js";
+import { processVideo } from "./video.js";
+
+/**
+ * @typedef {Object} MediaDescriptor
+ * @property {string} url
+ * @property {"image"|"video"|"audio"|"file"} kind - "file" covers documents and archives
+ * @property {string} mime_type - Sniffed type, not the client's claim
+ * @property {number} size - Stored size in bytes
+ * @property {string} name - Original file name (display only)
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {number|null} duration - Seconds (video)
+ * @property {string|null} thumbnail_url - Poster frame (video)
+ */
+
+const KIND_LABELS = { image: "images", video: "videos", audio: "audio", file: "documents and archives" };
+
+// =========================================================
+// Helpers (Internal)
+// =========================================================
+
+/** Display name only: no directories, no control characters. */
+const cleanFileName = (name = "") =>
+    path.basename(String(name)).replace(/[\u0000-\u001f\u007f]/g, "").slice(0, 200) || "file";
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+/**
+ * Validates and cleans one file, without storing anything.
+ * Throws (with the HTTP status already set) when the file is not accepted.
+ */
+const prepareFile = async (res, file, context) => {
+    const detected = sniffContentType(file.buffer, file.mimetype, file.originalname);
+    const limit = detected && context.limits[detected.kind];
+
+    if (!limit) {
+        const allowed = Object.keys(context.limits).map((kind) => KIND_LABELS[kind]).join(", ");
+        res.status(415);
+        throw new Error(`Unsupported file type. Allowed here: ${allowed}.`);
+    }
+
+    if (file.size > limit) {
+        res.status(413);
+        throw new Error(`File is too large (max ${formatMegabytes(limit)} for ${KIND_LABELS[detected.kind]}).`);
+    }
+
+    const prepared = {
+        ...detected,
+        name: cleanFileName(file.originalname),
+        buffer: file.buffer,
+        poster: null,
+        width: null,
+        height: null,
+        duration: null,
+    };
+
+    if (detected.kind === "image") {
+        try {
+            Object.assign(prepared, sanitizeImage(file.buffer, detected.mime));
+        } catch {
+            res.status(400);
+            throw new Error("The image file is corrupt.");
+        }
+    } else if (detected.kind === "video") {
+        Object.assign(prepared, await processVideo(res, file.buffer, {
+            mime: detected.mime,
+            maxDuration: context.maxDuration,
+        }));
+    }
+
+    return prepared;
+};
+
+/** Stores a prepared file (and its poster) and builds its descriptor. */
+const storeFile = async (prepared, context) => {
+    const folder = context.folders[prepared.kind];
+    const baseName = `${Date.now()}-${randomUUID().slice(0, 8)}`;
+
+    const [saved, poster] = await Promise.all([
+        mediaStorage.save({
+            buffer: prepared.buffer,
+            fileName: `${baseName}.${prepared.ext}`,
+            folder,
+            mimeType: prepared.mime,
+            transform: prepared.kind === "image" ? context.transform : undefined,
+        }),
+        prepared.poster && mediaStorage.save({
+            buffer: prepared.poster,
+            fileName: `${baseName}-poster.jpg`,
+            folder: `${folder}/thumbnails`,
+            mimeType: "image/jpeg",
+        }),
+    ]);
+
+    return {
+        url: saved.url,
+        kind: prepared.kind,
+        mime_type: prepared.mime,
+        size: prepared.buffer.length,
+        name: prepared.name,
+        width: prepared.width || null,
+        height: prepared.height || null,
+        duration: prepared.duration,
+        thumbnail_url: poster?.url || null,
+    };
+};
+
+// =========================================================
+// Public API
+// =========================================================
+
+/**
+ * Validates, cleans and stores uploaded files for one context.
+ * Every file is checked before any is stored, so a rejected batch leaves nothing behind.
+ * Throws (with the HTTP status already set) when a file is not accepted or storage fails.
+ *
+ * @param {Object} res - Express response (status is set before throwing).
+ * @param {Object[]} files - Multer files (memory storage).
+ * @param {string} contextName - Key of MEDIA_CONTEXTS.
+ * @returns {Promise<MediaDescriptor[]>} In upload order.
+ */
+export const uploadMediaFiles = async (res, files, contextName) => {
+    const context = MEDIA_CONTEXTS[contextName];
+    if (!context) throw new Error(`Unknown media context "${contextName}"`);
+
+    const prepared = [];
+    for (const file of files) {
+        prepared.push(await prepareFile(res, file, context)); // One at a time: videos spawn ffmpeg
+    }
+
+    try {
+        return await Promise.all(prepared.map((item) => storeFile(item, context)));
+    } catch (error) {
+        console.error(`[Media] Storage (${mediaStorage.name}) upload failed:`, error.message);
+        res.status(502);
+        throw new Error("Media upload failed. Please try again.");
+    }
+};
+
+/**
+ * Single-file variant of uploadMediaFiles.
+ * @param {Object} res
+ * @param {Object} file - Multer file.
+ * @param {string} contextName
+ * @returns {Promise<MediaDescriptor>}
+ */
+export const uploadMedia = async (res, file, contextName) => {
+    const [descriptor] = await uploadMediaFiles(res, [file], contextName);
+    return descriptor;
+};
+
+/**
+ * The part of a descriptor a chat message keeps next to its `media_url`
+ * (see models/schemas/attachmentSchema.js).
+ * @param {MediaDescriptor} media
+ * @returns {Object}
+ */
+export const toAttachment = ({ name, size, mime_type, width, height, duration, thumbnail_url }) =>
+    ({ name, size, mime_type, width, height, duration, thumbnail_url });
+
+/**
+ * Best-effort removal of stored media by URL (never throws).
+ * @param {string[]} urls
+ * @returns {Promise<{ deleted: number, failed: number }>}
+ */
+export const removeMedia = (urls) => mediaStorage.remove(urls);
+
+export { MEDIA_CONTEXTS };
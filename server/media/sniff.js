@@ -0,0 +1,132 @@
+/**
+ * @file sniff.js
+ * @description Detects the real content type of an upload from its leading bytes.
+ * The MIME type and file name sent by the browser are only used to break ties the
+ * bytes can't (a WebM container holding a voice note vs. a video, a ZIP that is
+ * really a .docx). Markup (HTML, SVG) is never accepted: stored files are served as-is.
+ */
+
+// =========================================================
+// Helpers (Internal)
+// =========================================================
+
+const ascii = (buffer, start, end) => buffer.toString("latin1", start, end);
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+/** ISO-BMFF (MP4 / MOV / M4A): `....ftyp<brand>`. */
+const sniffIsoBmff = (buffer, declared) => {
+    if (buffer.length < 12 || ascii(buffer, 4, 8) !== "ftyp") return null;
+
+    const brand = ascii(buffer, 8, 12);
+    if (brand === "M4A " || brand === "M4B " || declared.startsWith("audio/")) {
+        return { kind: "audio", mime: "audio/mp4", ext: "m4a" };
+    }
+    if (brand === "qt  ") return { kind: "video", mime: "video/quicktime", ext: "mov" };
+    return { kind: "video", mime: "video/mp4", ext: "mp4" };
+};
+
+/** Matroska / WebM (EBML header). */
+const sniffEbml = (buffer, declared) => {
+    if (!startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return null;
+
+    // The DocType ("webm" / "matroska") sits within the first few dozen bytes
+    const header = ascii(buffer, 0, Math.min(buffer.length, 64));
+    if (!header.includes("webm")) return null;
+
+    return declared.startsWith("audio/")
+        ? { kind: "audio", mime: "audio/webm", ext: "webm" }
+        : { kind: "video", mime: "video/webm", ext: "webm" };
+};
+
+const extensionOf = (fileName) => {
+    const match = /\.([a-z0-9]{1,8})$/i.exec(String(fileName));
+    return match ? match[1].toLowerCase() : "";
+};
+
+/** Office Open XML documents are ZIP archives; the extension tells them apart. */
+const OOXML = {
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+};
+
+/** Legacy Office documents share the OLE2 compound-file container. */
+const OLE = {
+    doc: "application/msword",
+    xls: "application/vnd.ms-excel",
+    ppt: "application/vnd.ms-powerpoint",
+};
+
+const TEXT = { txt: "text/plain", csv: "text/csv", md: "text/markdown" };
+
+/** ZIP and OLE2 containers: documents by extension, otherwise a plain archive. */
+const sniffContainer = (buffer, ext) => {
+    if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+        return OOXML[ext]
+            ? { kind: "file", mime: OOXML[ext], ext }
+            : { kind: "file", mime: "application/zip", ext: "zip" };
+    }
+    // OLE2 also wraps installers (.msi), so only the known document types pass
+    if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) && OLE[ext]) {
+        return { kind: "file", mime: OLE[ext], ext };
+    }
+    return null;
+};
+
+/** Plain text has no signature: it must be declared as text and decode as UTF-8. */
+const sniffText = (buffer, declared, ext) => {
+    if (!TEXT[ext] || !(declared === "" || declared.startsWith("text/") || declared === "application/octet-stream")) {
+        return null;
+    }
+    if (buffer.includes(0)) return null;
+    try {
+        new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    } catch {
+        return null;
+    }
+    return { kind: "file", mime: TEXT[ext], ext };
+};
+
+/** Formats recognized by a fixed signature: `[test, descriptor]`. */
+const SIGNATURES = [
+    [(b) => startsWith(b, [0xff, 0xd8, 0xff]), { kind: "image", mime: "image/jpeg", ext: "jpg" }],
+    [(b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), { kind: "image", mime: "image/png", ext: "png" }],
+    [(b) => ascii(b, 0, 6) === "GIF87a" || ascii(b, 0, 6) === "GIF89a", { kind: "image", mime: "image/gif", ext: "gif" }],
+    [(b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP", { kind: "image", mime: "image/webp", ext: "webp" }],
+    [(b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WAVE", { kind: "audio", mime: "audio/wav", ext: "wav" }],
+    [(b) => ascii(b, 0, 4) === "OggS", { kind: "audio", mime: "audio/ogg", ext: "ogg" }],
+    [(b) => ascii(b, 0, 3) === "ID3" || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0), { kind: "audio", mime: "audio/mpeg", ext: "mp3" }],
+    [(b) => ascii(b, 0, 5) === "%PDF-", { kind: "file", mime: "application/pdf", ext: "pdf" }],
+    [(b) => ascii(b, 0, 5) === "{\\rtf", { kind: "file", mime: "application/rtf", ext: "rtf" }],
+    [(b) => ascii(b, 0, 6) === "Rar!\x1a\x07", { kind: "file", mime: "application/vnd.rar", ext: "rar" }],
+    [(b) => startsWith(b, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), { kind: "file", mime: "application/x-7z-compressed", ext: "7z" }],
+    [(b) => startsWith(b, [0x1f, 0x8b]), { kind: "file", mime: "application/gzip", ext: "gz" }],
+];
+
+// =========================================================
+// Public API
+// =========================================================
+
+/**
+ * Identifies a buffer's real format.
+ * @param {Buffer} buffer
+ * @param {string} [declaredMime=""] - MIME type reported by the client (tie-breaker only).
+ * @param {string} [fileName=""] - Original file name (tie-breaker only).
+ * @returns {{ kind: "image"|"video"|"audio"|"file", mime: string, ext: string }|null}
+ *   null when the bytes match no supported format.
+ */
+export const sniffContentType = (buffer, declaredMime = "", fileName = "") => {
+    if (!buffer || buffer.length < 4) return null;
+
+    const declared = String(declaredMime).toLowerCase();
+    const ext = extensionOf(fileName);
+    const signature = SIGNATURES.find(([test]) => test(buffer));
+    if (signature) return { ...signature[1] };
+
+    return sniffIsoBmff(buffer, declared)
+        || sniffEbml(buffer, declared)
+        || sniffContainer(buffer, ext)
+        || sniffText(buffer, declared, ext);
+};
@@ -0,0 +1,101 @@
+/**
+ * @file imagekitStorage.js
+ * @description ImageKit implementation of the media storage interface (production default).
+ * Delivery transforms become URL transformations, so the original stays untouched.
+ */
+
+import imagekit from "../../configs/imagekit.js";
+
+/** ImageKit's bulk delete accepts at most 100 IDs per call. */
+const BULK_DELETE_LIMIT = 100;
+
+/**
+ * Resolves the ImageKit fileId behind a URL, or null when it isn't ours / is already gone.
+ * Documents only store URLs, so each file is looked up by name and matched on its path.
+ * Transformed URLs (`<endpoint>/tr:q-auto:w-1280/users/covers/x.jpg`) carry the
+ * transformation as a leading path segment, which isn't part of the file's path.
+ * @param {string} url
+ * @returns {Promise<string|null>}
+ */
+const findFileId = async (url) => {
+    const endpoint = process.env.IMAGEKIT_URL_ENDPOINT?.replace(/\/+$/, "");
+    if (!endpoint || !url?.startsWith(endpoint)) return null;
+
+    const segments = url.split("?")[0].slice(endpoint.length).split("/").filter(Boolean).map(decodeURIComponent);
+    if (segments[0]?.startsWith("tr:")) segments.shift();
+
+    const name = segments.at(-1);
+    if (!name) return null;
+    const filePath = `/${segments.join("/")}`;
+
+    const files = await imagekit.listFiles({ searchQuery: `name = "${name.replace(/"/g, '\\"')}"` });
+    const match = files.find((file) => file.filePath === filePath);
+    return match?.fileId || null;
+};
+
+/**
+ * Creates the ImageKit storage adapter.
+ * @returns {import("./index.js").MediaStorage}
+ */
+export const createImageKitStorage = () => ({
+    name: "imagekit",
+
+    async save({ buffer, fileName, folder, transform }) {
+        const result = await imagekit.upload({ file: buffer, fileName, folder, useUniqueFileName: true });
+        if (!transform) return { url: result.url };
+
+        const transformation = [{ quality: "auto" }];
+        if (transform.width) transformation.push({ width: String(transform.width) });
+        if (transform.format) transformation.push({ format: transform.format });
+
+        return { url: imagekit.url({ path: result.filePath, transformation }) };
+    },
+
+    async remove(urls = []) {
+        const uniqueUrls = [...new Set(urls.filter(Boolean))];
+        const fileIds = [];
+        let deleted = 0;
+        let failed = 0;
+
+        for (const url of uniqueUrls) {
+            try {
+                const fileId = await findFileId(url);
+                if (fileId) fileIds.push(fileId);
+            } catch (error) {
+                failed++;
+                console.error(`[Media] Lookup failed for ${url}:`, error.message);
+            }
+        }
+
+        for (let i = 0; i < fileIds.length; i += BULK_DELETE_LIMIT) {
+            const batch = fileIds.slice(i, i + BULK_DELETE_LIMIT);
+            try {
+                await imagekit.bulkDeleteFiles(batch);
+                deleted += batch.length;
+            } catch (error) {
+                failed += batch.length;
+                console.error("[Media] Bulk delete failed:", error.message);
+            }
+        }
+
+        return { deleted, failed };
+    },
+
+    async savePrivate({ buffer, fileName, folder }) {
+        const file = await imagekit.upload({ file: buffer, fileName, folder, isPrivateFile: true, useUniqueFileName: true });
+        return { fileId: file.fileId, url: file.url, size: file.size ?? buffer.length };
+    },
+
+    signedUrl(url, expiresAt) {
+        const expireSeconds = Math.max(Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000), 1);
+        return imagekit.url({ src: url, signed: true, expireSeconds });
+    },
+
+    async removePrivate(fileId) {
+        try {
+            await imagekit.deleteFile(fileId);
+        } catch (error) {
+            if (error?.$ResponseMetadata?.statusCode !== 404) throw error;
+        }
+    },
+});
@@ -0,0 +1,54 @@
+/**
+ * @file index.js
+ * @description Selects the storage backend for uploaded media.
+ *
+ * Every adapter implements the same async interface, so the media service never
+ * cares where files end up:
+ *
+ * @typedef {Object} MediaStorage
+ * @property {string} name
+ * @property {(file: { buffer: Buffer, fileName: string, folder: string, mimeType: string, transform?: MediaTransform }) => Promise<{ url: string }>} save
+ *   Stores a file and returns its public URL (with the delivery transform applied where supported).
+ * @property {(urls: string[]) => Promise<{ deleted: number, failed: number }>} remove - Best-effort, never throws
+ * @property {(file: { buffer: Buffer, fileName: string, folder: string }) => Promise<{ fileId: string, url: string, size: number }>} savePrivate
+ *   Stores a file that is only reachable through `signedUrl` (e.g. data export archives)
+ * @property {(url: string, expiresAt: Date) => string} signedUrl - Download URL of a private file, valid until `expiresAt`
+ * @property {(fileId: string) => Promise<void>} removePrivate - Deletes a private file (already gone counts as success)
+ * @property {string} [staticDir] - Set by adapters whose files the API server must serve itself
+ * @property {import("express").RequestHandler} [servePrivate] - Set by adapters whose private files
+ *   the API server must serve itself (checks the signature from `signedUrl`)
+ *
+ * @typedef {Object} MediaTransform
+ * @property {number} [width] - Max delivered width
+ * @property {string} [format] - Delivered format (e.g. "webp")
+ *
+ * Configuration:
+ * - MEDIA_STORAGE: "imagekit" or "local"; defaults to "imagekit" when IMAGEKIT_PRIVATE_KEY is set
+ * - MEDIA_LOCAL_DIR / MEDIA_PUBLIC_URL / MEDIA_SIGNING_SECRET: see localStorage.js
+ */
+
+const createMediaStorage = async () => {
+    const kind = process.env.MEDIA_STORAGE || (process.env.IMAGEKIT_PRIVATE_KEY ? "imagekit" : "local");
+
+    // Loaded lazily: the local adapter never touches the ImageKit SDK
+    if (kind === "imagekit") {
+        const { createImageKitStorage } = await import("./imagekitStorage.js");
+        return createImageKitStorage();
+    }
+
+    if (kind === "local") {
+        const { createLocalStorage } = await import("./localStorage.js");
+        return createLocalStorage({
+            dir: process.env.MEDIA_LOCAL_DIR,
+            publicUrl: process.env.MEDIA_PUBLIC_URL,
+            signingSecret: process.env.MEDIA_SIGNING_SECRET,
+        });
+    }
+
+    throw new Error(`Unknown MEDIA_STORAGE "${kind}"`);
+};
+
+/** @type {MediaStorage} */
+const mediaStorage = await createMediaStorage();
+
+export default mediaStorage;
@@ -0,0 +1,153 @@
+/**
+ * @file localStorage.js
+ * @description Local-disk implementation of the media storage interface.
+ * For development and tests: files are written under one directory and served by the
+ * API server itself at `/uploads` (see server.js). Delivery transforms are ignored.
+ * "Private" files live in a sibling directory outside the static root (`<dir>-private`)
+ * and are only served at `/uploads-private` with a signed, expiring URL (see `servePrivate`).
+ *
+ * Configuration:
+ * - MEDIA_LOCAL_DIR: target directory (default `server/uploads`)
+ * - MEDIA_PUBLIC_URL: public base of that directory (default `http://localhost:$PORT/uploads`)
+ * - MEDIA_SIGNING_SECRET: key for private download URLs (default: random per process,
+ *   so links stop working after a restart)
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { randomUUID, randomBytes, createHmac, timingSafeEqual } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../uploads");
+
+/** Private file names are prefixed with a UUID and a dash (see `savePrivate`). */
+const UNIQUE_PREFIX_LENGTH = 37;
+
+/** Folder names come from our own context table, but never let one escape the root. */
+const safeSegments = (folder) =>
+    folder.split("/").filter((segment) => segment && segment !== "." && segment !== "..");
+
+/**
+ * Creates the local-disk storage adapter.
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ * @param {string} [options.publicUrl]
+ * @returns {import("./index.js").MediaStorage}
+ */
+export const createLocalStorage = ({ dir, publicUrl, signingSecret } = {}) => {
+    const root = path.resolve(dir || DEFAULT_DIR);
+    const privateRoot = `${root}-private`;
+    const baseUrl = (publicUrl || `http://localhost:${process.env.PORT || 4000}/uploads`).replace(/\/+$/, "");
+    const privateBaseUrl = `${baseUrl}-private`;
+    const secret = signingSecret || randomBytes(32);
+
+    /** Maps one of our URLs back to its file under `base`, or null for foreign URLs. */
+    const toFilePath = (url, urlBase = baseUrl, base = root) => {
+        if (!url?.startsWith(`${urlBase}/`)) return null;
+        const relative = decodeURIComponent(url.slice(urlBase.length + 1).split("?")[0]);
+        const filePath = path.resolve(base, relative);
+        return filePath.startsWith(`${base}${path.sep}`) ? filePath : null;
+    };
+
+    /** Writes a file under `base/<folder>` and returns its path relative to `base` and its URL. */
+    const writeFile = async ({ buffer, fileName, folder }, base = root, urlBase = baseUrl) => {
+        const segments = safeSegments(folder);
+        const targetDir = path.join(base, ...segments);
+        await fs.mkdir(targetDir, { recursive: true });
+        await fs.writeFile(path.join(targetDir, fileName), buffer);
+
+        return {
+            relativePath: [...segments, fileName].join("/"),
+            url: [urlBase, ...segments, encodeURIComponent(fileName)].join("/"),
+        };
+    };
+
+    /** Signature of a private file path for an expiry time (ms). */
+    const sign = (relativePath, expires) =>
+        createHmac("sha256", secret).update(`${relativePath}:${expires}`).digest("hex");
+
+    return {
+        name: "local",
+        staticDir: root,
+
+        async save(file) {
+            const { url } = await writeFile(file);
+            return { url };
+        },
+
+        async savePrivate({ buffer, fileName, folder }) {
+            // Unique like ImageKit's useUniqueFileName (same-day exports share a name),
+            // and not guessable: the path is only reachable with a signature anyway
+            const { relativePath, url } = await writeFile(
+                { buffer, fileName: `${randomUUID()}-${fileName}`, folder },
+                privateRoot,
+                privateBaseUrl
+            );
+            return { fileId: relativePath, url, size: buffer.length };
+        },
+
+        signedUrl(url, expiresAt) {
+            const filePath = toFilePath(url, privateBaseUrl, privateRoot);
+            if (!filePath) return url;
+
+            const expires = new Date(expiresAt).getTime();
+            const relativePath = path.relative(privateRoot, filePath).split(path.sep).join("/");
+            return `${url}?expires=${expires}&signature=${sign(relativePath, expires)}`;
+        },
+
+        /**
+         * Express handler for `/uploads-private`: streams a private file when the URL carries
+         * a valid, unexpired signature from `signedUrl`, under its original file name.
+         */
+        async servePrivate(req, res) {
+            const relativePath = decodeURIComponent(req.path.slice(1));
+            const filePath = path.resolve(privateRoot, relativePath);
+            const expires = Number(req.query.expires);
+            const expected = Buffer.from(sign(relativePath, expires));
+            const given = Buffer.from(String(req.query.signature || ""));
+
+            const valid = filePath.startsWith(`${privateRoot}${path.sep}`) &&
+                Number.isFinite(expires) && expires > Date.now() &&
+                given.length === expected.length && timingSafeEqual(given, expected);
+
+            if (!valid) {
+                res.status(403);
+                throw new Error("This download link is invalid or has expired.");
+            }
+
+            try {
+                await fs.access(filePath);
+            } catch {
+                res.status(404);
+                throw new Error("File not found");
+            }
+
+            res.download(filePath, path.basename(filePath).slice(UNIQUE_PREFIX_LENGTH));
+        },
+
+        async removePrivate(fileId) {
+            const filePath = path.resolve(privateRoot, ...safeSegments(fileId));
+            if (!filePath.startsWith(`${privateRoot}${path.sep}`)) return;
+            await fs.rm(filePath, { force: true });
+        },
+
+        async remove(urls = []) {
+            let deleted = 0;
+            let failed = 0;
+
+            for (const url of new Set(urls.filter(Boolean))) {
+                const filePath = toFilePath(url);
+                if (!filePath) continue;
+                try {
+                    await fs.rm(filePath, { force: true });
+                    deleted++;
+                } catch (error) {
+                    failed++;
+                    console.error(`[Media] Delete failed for ${url}:`, error.message);
+                }
+            }
+
+            return { deleted, failed };
+        },
+    };
+};
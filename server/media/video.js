@@ -0,0 +1,225 @@
+/**
+ * @file video.js
+ * @description Probing, cleanup and poster extraction for uploaded videos.
+ *
+ * Uses the `ffprobe` / `ffmpeg` binaries bundled through @ffprobe-installer / @ffmpeg-installer,
+ * so hosts without FFmpeg (e.g. Vercel) can process videos too. Override with FFPROBE_PATH /
+ * FFMPEG_PATH; on platforms without a bundled build the ones on PATH are used.
+ * Duration and dimensions come from probing the file itself, and the stored copy is a
+ * remux (no re-encode) holding only the audio/video streams: container metadata and
+ * data tracks, which phones use for the recording location, are dropped.
+ */
+
+import { execFile } from "node:child_process";
+import { createRequire } from "node:module";
+import { randomUUID } from "node:crypto";
+import { promisify } from "node:util";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import fs from "node:fs/promises";
+
+const run = promisify(execFile);
+const require = createRequire(import.meta.url);
+
+/** ffprobe container names each sniffed MIME type may report. */
+const CONTAINERS = {
+    "video/mp4": { formats: ["mp4", "mov"], muxer: "mp4" },
+    "video/quicktime": { formats: ["mov", "mp4"], muxer: "mov" },
+    "video/webm": { formats: ["webm", "matroska"], muxer: "webm" },
+};
+
+const PROBE_TIMEOUT_MS = 15 * 1000;
+const FFMPEG_TIMEOUT_MS = 60 * 1000;
+const POSTER_MAX_WIDTH = 1280;
+
+/**
+ * Path of the bundled binary for this platform, or null when the installer has none.
+ * @param {string} installer - Package name
+ * @returns {string|null}
+ */
+const bundledBinary = (installer) => {
+    try {
+        return require(installer).path;
+    } catch {
+        return null;
+    }
+};
+
+const FFPROBE = () => process.env.FFPROBE_PATH || bundledBinary("@ffprobe-installer/ffprobe") || "ffprobe";
+const FFMPEG = () => process.env.FFMPEG_PATH || bundledBinary("@ffmpeg-installer/ffmpeg") || "ffmpeg";
+
+// =========================================================
+// Helpers (Internal)
+// =========================================================
+
+/**
+ * Reads duration, dimensions and container from a video file.
+ * @param {string} filePath
+ * @returns {Promise<{ duration: number, width: number, height: number, formats: string[] }|null>}
+ *   null when the file has no readable video stream.
+ */
+const probe = async (filePath) => {
+    const { stdout } = await run(
+        FFPROBE(),
+        ["-v", "error", "-print_format", "json", "-show_format", "-show_streams", filePath],
+        { timeout: PROBE_TIMEOUT_MS, maxBuffer: 1024 * 1024 }
+    );
+
+    const { format = {}, streams = [] } = JSON.parse(stdout);
+    const stream = streams.find((s) => s.codec_type === "video");
+    if (!stream) return null;
+
+    // Phones record landscape frames with a rotation flag: report what the viewer sees
+    const rotation = Math.abs(
+        parseInt(stream.tags?.rotate) ||
+        parseInt(stream.side_data_list?.find((d) => d.rotation !== undefined)?.rotation) ||
+        0
+    );
+    const sideways = rotation === 90 || rotation === 270;
+
+    return {
+        duration: parseFloat(format.duration ?? stream.duration) || 0,
+        width: sideways ? stream.height : stream.width,
+        height: sideways ? stream.width : stream.height,
+        formats: (format.format_name || "").split(","),
+    };
+};
+
+/**
+ * Copies the audio/video streams into a fresh container without metadata.
+ * @param {string} filePath
+ * @param {string} muxer - ffmpeg output format.
+ * @returns {Promise<Buffer>}
+ */
+const remuxWithoutMetadata = async (filePath, muxer) => {
+    const outputPath = `${filePath}.clean`;
+    const fastStart = muxer === "webm" ? [] : ["-movflags", "+faststart"]; // Playable while downloading
+
+    try {
+        await run(
+            FFMPEG(),
+            [
+                "-v", "error",
+                "-i", filePath,
+                "-map", "0:v", "-map", "0:a?",
+                "-map_metadata", "-1",
+                "-map_metadata:s:v", "0:s:v", // Keeps the rotation tag older ffmpeg builds store there
+                "-c", "copy",
+                ...fastStart,
+                "-f", muxer,
+                "-y", outputPath,
+            ],
+            { timeout: FFMPEG_TIMEOUT_MS }
+        );
+        return await fs.readFile(outputPath);
+    } finally {
+        await fs.rm(outputPath, { force: true });
+    }
+};
+
+/**
+ * Grabs one JPEG frame (1s in, or the middle of very short clips).
+ * @param {string} filePath
+ * @param {number} duration - Seconds.
+ * @returns {Promise<Buffer>}
+ */
+const extractPoster = async (filePath, duration) => {
+    const posterPath = `${filePath}.jpg`;
+    const seek = Math.min(1, duration / 2).toFixed(2);
+
+    try {
+        await run(
+            FFMPEG(),
+            [
+                "-v", "error",
+                "-ss", seek,
+                "-i", filePath,
+                "-frames:v", "1",
+                "-vf", `scale='min(${POSTER_MAX_WIDTH},iw)':-2`,
+                "-q:v", "4",
+                "-y", posterPath,
+            ],
+            { timeout: FFMPEG_TIMEOUT_MS }
+        );
+        return await fs.readFile(posterPath);
+    } finally {
+        await fs.rm(posterPath, { force: true });
+    }
+};
+
+/** Missing binaries are a server problem, not a bad upload. */
+const failUnavailable = (res, tool) => {
+    console.error(`[Media] ${tool} not found. No bundled build for ${process.platform}-${process.arch}: install ffmpeg or set ${tool.toUpperCase()}_PATH.`);
+    res.status(503);
+    throw new Error("Video uploads are not available right now.");
+};
+
+// =========================================================
+// Public API
+// =========================================================
+
+/**
+ * Validates a video (container, duration), strips its metadata and extracts a poster frame.
+ * Throws (with the HTTP status already set) when the video is not accepted.
+ *
+ * @param {Object} res - Express response (status is set before throwing).
+ * @param {Buffer} buffer
+ * @param {Object} options
+ * @param {string} options.mime - Sniffed MIME type (see sniff.js).
+ * @param {number} options.maxDuration - Seconds.
+ * @returns {Promise<{ buffer: Buffer, poster: Buffer, duration: number, width: number, height: number }>}
+ */
+export const processVideo = async (res, buffer, { mime, maxDuration }) => {
+    const container = CONTAINERS[mime];
+    if (!container) {
+        res.status(415);
+        throw new Error("Unsupported video format. Use MP4, MOV or WebM.");
+    }
+
+    const filePath = path.join(tmpdir(), `upload-video-${randomUUID()}`);
+    await fs.writeFile(filePath, buffer);
+
+    try {
+        let info;
+        try {
+            info = await probe(filePath);
+        } catch (error) {
+            if (error.code === "ENOENT") failUnavailable(res, "ffprobe");
+            info = null; // ffprobe couldn't parse it: treat as corrupt
+        }
+
+        if (!info || !info.width || !info.height || !info.formats.some((f) => container.formats.includes(f))) {
+            res.status(400);
+            throw new Error("The video file is corrupt or doesn't match its type.");
+        }
+
+        if (info.duration <= 0 || info.duration > maxDuration) {
+            res.status(400);
+            throw new Error(maxDuration > 60 && maxDuration % 60 === 0
+                ? `Videos must be at most ${maxDuration / 60} minutes long.`
+                : `Videos must be at most ${maxDuration} seconds long.`);
+        }
+
+        let cleaned;
+        let poster;
+        try {
+            cleaned = await remuxWithoutMetadata(filePath, container.muxer);
+            poster = await extractPoster(filePath, info.duration);
+        } catch (error) {
+            if (error.code === "ENOENT") failUnavailable(res, "ffmpeg");
+            console.error("[Media] Video processing failed:", error.message);
+            res.status(400);
+            throw new Error("Could not process this video.");
+        }
+
+        return {
+            buffer: cleaned,
+            poster,
+            duration: Math.round(info.duration * 10) / 10,
+            width: info.width,
+            height: info.height,
+        };
+    } finally {
+        await fs.rm(filePath, { force: true });
+    }
+};
@@ -1,4 +1,5 @@
 import expressAsyncHandler from "express-async-handler";
+import { verifyToken as verifyClerkToken } from "@clerk/express";
 import User from "../models/User.js";
 
 // ========================================================
@@ -11,7 +12,8 @@ import User from "../models/User.js";
  * The "Strict Guard".
  * 1. Verifies a valid Clerk session exists.
  * 2. Ensures the user is fully synced and exists in MongoDB.
- * 3. Attaches the full User document to `req.user` for downstream use.
+ * 3. Rejects deactivated (pending deletion) and suspended accounts.
+ * 4. Attaches the full User document to `req.user` for downstream use.
  *
  * @description Use for core application routes (Posting, Commenting, etc).
  */
@@ -34,11 +36,37 @@ export const protect = expressAsyncHandler(async (req, res, next) => {
         throw new Error("User not found in database (Sync Error)");
     }
 
-    // 3. Attach user to request context
+    // 3. Block accounts waiting for deletion (they can only restore via /api/user/me/restore)
+    if (user.deactivatedAt) {
+        res.status(403);
+        throw new Error("Account is deactivated and scheduled for deletion");
+    }
+
+    if (user.suspendedAt) {
+        res.status(403);
+        throw new Error("Account is suspended");
+    }
+
+    // 4. Attach user to request context
     req.user = user;
     next();
 });
 
+/**
+ * Middleware: adminOnly
+ * ---------------------
+ * The "Moderator Guard". Must run after `protect` (relies on `req.user`).
+ *
+ * @description Use for the moderation console (/api/admin).
+ */
+export const adminOnly = (req, res, next) => {
+    if (req.user?.role !== "admin") {
+        res.status(403);
+        throw new Error("Admin access required");
+    }
+    next();
+};
+
 /**
  * Middleware: verifyToken
  * -----------------------
@@ -60,4 +88,97 @@ export const verifyToken = expressAsyncHandler(async (req, res, next) => {
 
     // 3. Pass control to controller (No DB lookup performed)
     next();
-});
\ No newline at end of file
+});
+
+// ========================================================
+// 🔌 Socket.io Authentication
+// ========================================================
+
+/**
+ * Helper: resolveSocketSession
+ * ----------------------------
+ * Verifies a Clerk session JWT and resolves it to the MongoDB user.
+ * Throws if the token is missing, invalid, expired, or the user is not synced.
+ *
+ * @param {string} token - Clerk session token sent by the client.
+ * @returns {Promise<{ userId: string, clerkId: string, expiresAt: number }>}
+ */
+export const resolveSocketSession = async (token) => {
+    if (!token) {
+        throw new Error("Unauthorized, no token");
+    }
+
+    const payload = await verifyClerkToken(token, {
+        secretKey: process.env.CLERK_SECRET_KEY,
+        // PEM public key (same variable clerkMiddleware reads): verifies without fetching the JWKS
+        jwtKey: process.env.CLERK_JWT_KEY,
+    });
+
+    const user = await User.findOne({ clerkId: payload.sub }).select("_id deactivatedAt suspendedAt").lean();
+    if (!user) {
+        throw new Error("User not found in database (Sync Error)");
+    }
+    if (user.deactivatedAt) {
+        throw new Error("Account is deactivated");
+    }
+    if (user.suspendedAt) {
+        throw new Error("Account is suspended");
+    }
+
+    return {
+        userId: user._id.toString(),
+        clerkId: payload.sub,
+        expiresAt: payload.exp * 1000,
+    };
+};
+
+/**
+ * Middleware: socketAuth
+ * ----------------------
+ * The "Handshake Guard" for Socket.io.
+ * 1. Reads the Clerk session token from `socket.handshake.auth.token`.
+ * 2. Verifies it and resolves the MongoDB user.
+ * 3. Attaches the session to `socket.data` (userId, clerkId, expiresAt).
+ *
+ * @description Registered with `io.use()`. Rejected handshakes surface as `connect_error` on the client.
+ */
+export const socketAuth = async (socket, next) => {
+    try {
+        const session = await resolveSocketSession(socket.handshake.auth?.token);
+        Object.assign(socket.data, session);
+        next();
+    } catch (error) {
+        console.warn(`[Socket] Handshake rejected (${socket.id}): ${error.message}`);
+        next(new Error("Unauthorized, invalid or expired token"));
+    }
+};
+
+// ========================================================
+// 📡 SSE Authentication
+// ========================================================
+
+/**
+ * Middleware: protectStream
+ * -------------------------
+ * The "Stream Guard" for Server-Sent Events.
+ * 1. Reads the Clerk session token from `?token=` (EventSource can't set headers)
+ *    or from a standard `Authorization: Bearer` header.
+ * 2. Verifies it and resolves the MongoDB user.
+ * 3. Attaches the session to `req.streamSession` (userId, clerkId, expiresAt).
+ *
+ * @description The stream identity always comes from the token, never from the URL path.
+ */
+export const protectStream = expressAsyncHandler(async (req, res, next) => {
+    const bearer = req.get("authorization")?.replace(/^Bearer\s+/i, "");
+    const token = req.query.token || bearer;
+
+    try {
+        req.streamSession = await resolveSocketSession(token);
+    } catch (error) {
+        console.warn(`[SSE] Stream rejected: ${error.message}`);
+        res.status(401);
+        throw new Error("Unauthorized, invalid or expired token");
+    }
+
+    next();
+});
@@ -41,6 +41,16 @@ const commentSchema = new mongoose.Schema(
             trim: true,
         },
 
+        /**
+         * Users tagged with "@username" in `text` (resolved by utils/mentions.js).
+         */
+        mentions: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+        ],
+
         // --- Threading (Adjacency List Pattern) ---
 
         /**
@@ -69,6 +79,12 @@ const commentSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
         },
+
+        // Hidden by auto-moderation or a moderator (see utils/reporting.js)
+        isHidden: {
+            type: Boolean,
+            default: false,
+        },
     },
     {
         timestamps: true,
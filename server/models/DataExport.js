@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+/**
+ * DataExport Schema
+ * -----------------
+ * Tracks a user's "Export my data" requests.
+ * The archive is built by a background job (see inngest/index.js) and stored as a
+ * private ImageKit file; downloads go through short-lived signed URLs until `expiresAt`.
+ * Lifecycle: Pending -> Processing -> Ready -> Expired (or Failed).
+ *
+ * @module models/DataExport
+ */
+
+const dataExportSchema = new mongoose.Schema(
+    {
+        // --- Ownership ---
+
+        /**
+         * The user whose data is exported (and the only one allowed to download it).
+         */
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        // --- State Management ---
+
+        status: {
+            type: String,
+            enum: ["pending", "processing", "ready", "failed", "expired"],
+            default: "pending",
+        },
+
+        // --- Archive Storage (set once ready) ---
+
+        /** ImageKit file ID, used to delete the archive when the link expires. */
+        fileId: {
+            type: String,
+            default: null,
+        },
+
+        /** ImageKit URL of the private file (only reachable through a signed URL). */
+        fileUrl: {
+            type: String,
+            default: null,
+        },
+
+        /** Archive size in bytes. */
+        size: {
+            type: Number,
+            default: 0,
+        },
+
+        /** When the download link stops working and the archive is removed. */
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+
+        /** Failure reason, shown to the user when the job gives up. */
+        error: {
+            type: String,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// --- Database Optimizations (Indexes) ---
+
+/**
+ * Query Performance
+ * Target Query: "Latest export of a user" (status polling & rate limiting).
+ */
+dataExportSchema.index({ user: 1, createdAt: -1 });
+
+const DataExport =
+    mongoose.models.DataExport || mongoose.model("DataExport", dataExportSchema);
+
+export default DataExport;
@@ -1,4 +1,8 @@
 import mongoose from "mongoose";
+import { GROUP_ROLES } from "../utils/groupPermissions.js";
+
+/** How people get in: join instantly, request and wait for staff, or only through an invite. */
+export const JOIN_POLICIES = ["open", "approval", "invite_only"];
 
 /**
  * @file Group.js
@@ -17,7 +21,7 @@ const memberSchema = new mongoose.Schema(
         },
         role: {
             type: String,
-            enum: ["admin", "member"],
+            enum: GROUP_ROLES, // Permissions per role: utils/groupPermissions.js
             default: "member",
         },
         status: {
@@ -29,6 +33,12 @@ const memberSchema = new mongoose.Schema(
             type: Date,
             default: Date.now,
         },
+        // Creator of the invite link this member joined through (null otherwise)
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
     },
     { _id: false } // Lightweight sub-documents (no individual ID)
 );
@@ -74,6 +84,20 @@ const groupSchema = new mongoose.Schema(
             type: Boolean,
             default: false
         },
+        // Only owner/admins post (announcements); unlike a lock, moderators can't post either
+        isAnnouncementOnly: {
+            type: Boolean,
+            default: false
+        },
+        joinPolicy: {
+            type: String,
+            enum: JOIN_POLICIES,
+            default: "approval",
+        },
+        isDiscoverable: {
+            type: Boolean,
+            default: true, // false: left out of discovery and search (members still see it)
+        },
     },
     {
         timestamps: true, // Auto-manage createdAt / updatedAt
@@ -86,6 +110,15 @@ const groupSchema = new mongoose.Schema(
 // Composite index for sorting or frequent combined queries if needed
 // groupSchema.index({ updatedAt: -1 }); 
 
+// Discovery list (newest discoverable groups)
+groupSchema.index({ isDiscoverable: 1, createdAt: -1 });
+
+// Full-text search over groups (GET /api/search?type=groups), language-neutral for Arabic + English
+groupSchema.index(
+    { name: "text", description: "text" },
+    { name: "group_search_text", weights: { name: 5, description: 1 }, default_language: "none" }
+);
+
 const Group = mongoose.model("Group", groupSchema);
 
 export default Group;
\ No newline at end of file
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+/**
+ * GroupInvite Schema
+ * ------------------
+ * A shareable invite link (`/groups/join/:token`) created by a group's owner or admins.
+ * A link stops working once it is revoked, expires or has been used `maxUses` times.
+ * Members who join through one keep the creator in `members[].invitedBy` (see Group.js).
+ *
+ * @module models/GroupInvite
+ */
+
+const groupInviteSchema = new mongoose.Schema(
+    {
+        group: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Group",
+            required: true,
+        },
+
+        /** Random, URL-safe secret: the only thing the link carries. */
+        token: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        // --- Limits ---
+
+        /** null = never expires. */
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+
+        /** null = unlimited. */
+        maxUses: {
+            type: Number,
+            default: null,
+            min: 1,
+        },
+
+        uses: {
+            type: Number,
+            default: 0,
+        },
+
+        /** Joiners become members right away; otherwise they land in the request queue. */
+        skipApproval: {
+            type: Boolean,
+            default: true,
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// --- Database Optimizations (Indexes) ---
+
+/**
+ * Query Performance
+ * Target Query: "Links of a group" (admin list, newest first).
+ */
+groupInviteSchema.index({ group: 1, createdAt: -1 });
+
+/**
+ * Filter matching invites that can still be used (not revoked, not expired, uses left).
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+export const usableInviteFilter = (now = new Date()) => ({
+    revokedAt: null,
+    $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }] },
+    ],
+});
+
+const GroupInvite =
+    mongoose.models.GroupInvite || mongoose.model("GroupInvite", groupInviteSchema);
+
+export default GroupInvite;
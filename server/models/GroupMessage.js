@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import attachmentSchema from "./schemas/attachmentSchema.js";
+import pollSchema from "./schemas/pollSchema.js";
 
 /**
  * @file GroupMessage.js
@@ -12,18 +14,6 @@ const reactionSchema = new mongoose.Schema({
     emoji: { type: String, required: true }
 }, { _id: false });
 
-// --- Poll Sub-Schema (New Feature 🚀) ---
-const pollOptionSchema = new mongoose.Schema({
-    text: { type: String, required: true },
-    votes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }] // Array of user IDs who voted
-});
-
-const pollSchema = new mongoose.Schema({
-    question: { type: String, required: true },
-    options: [pollOptionSchema],
-    allowMultipleAnswers: { type: Boolean, default: false }
-}, { _id: false }); // No separate ID for poll object, it's part of the message
-
 // --- Main Message Schema ---
 const groupMessageSchema = new mongoose.Schema({
     group: {
@@ -42,6 +32,11 @@ const groupMessageSchema = new mongoose.Schema({
         trim: true,
         default: ""
     },
+    // Members tagged with "@username" in `text` (see utils/mentions.js)
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }],
     // 🟢 Added "poll" to enum
     message_type: {
         type: String,
@@ -52,6 +47,11 @@ const groupMessageSchema = new mongoose.Schema({
         type: String,
         default: ""
     },
+    // File details for image / audio / video / file messages
+    attachment: {
+        type: attachmentSchema,
+        default: null
+    },
     // 🟢 Added Poll Field
     poll: {
         type: pollSchema,
@@ -74,9 +74,24 @@ const groupMessageSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Hidden by auto-moderation or a moderator (see utils/reporting.js)
+    isHidden: {
+        type: Boolean,
+        default: false
+    },
     isEdited: {
         type: Boolean,
         default: false
+    },
+    // Pinned to the top of the chat (capped per group, see groupController)
+    pinnedAt: {
+        type: Date,
+        default: null
+    },
+    pinnedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
     }
 }, {
     timestamps: true
@@ -84,6 +99,8 @@ const groupMessageSchema = new mongoose.Schema({
 
 // --- Performance Indexes ---
 groupMessageSchema.index({ group: 1, createdAt: -1 });
+groupMessageSchema.index({ group: 1, message_type: 1, createdAt: -1 }); // Shared media / files
+groupMessageSchema.index({ group: 1, pinnedAt: -1 }); // Pinned messages bar
 
 // ==========================================
 // --- Middleware (Validation Logic) ---
@@ -6,6 +6,8 @@
  */
 
 import mongoose from "mongoose";
+import attachmentSchema from "./schemas/attachmentSchema.js";
+import pollSchema from "./schemas/pollSchema.js";
 
 const messageSchema = new mongoose.Schema(
     {
@@ -39,6 +41,7 @@ const messageSchema = new mongoose.Schema(
                 "file",
                 "shared_post",
                 "story_reply",
+                "poll",
             ],
             required: true,
             default: "text",
@@ -47,6 +50,15 @@ const messageSchema = new mongoose.Schema(
             type: String,
             default: "",
         },
+        // File details for image / audio / video / file messages
+        attachment: {
+            type: attachmentSchema,
+            default: null,
+        },
+        poll: {
+            type: pollSchema,
+            default: null,
+        },
 
         // --- References (Context) ---
         sharedPostId: {
@@ -84,6 +96,18 @@ const messageSchema = new mongoose.Schema(
             default: false
         },
 
+        // --- Pinning ---
+        // Either participant may pin; pins are shared by both sides of the chat
+        pinnedAt: {
+            type: Date,
+            default: null,
+        },
+        pinnedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
         // --- Privacy & Visibility ---
         // Soft Delete: Contains IDs of users who deleted this message for themselves
         deletedBy: [
@@ -122,7 +146,10 @@ const messageSchema = new mongoose.Schema(
 messageSchema.index({ sender: 1, receiver: 1, createdAt: -1 });
 messageSchema.index({ receiver: 1, sender: 1, createdAt: -1 });
 
-// 2. Index for Pagination
+// 2. Shared Media / Files of a Conversation (chat info sidebar)
+messageSchema.index({ sender: 1, receiver: 1, message_type: 1, createdAt: -1 });
+
+// 3. Index for Pagination
 // Crucial for loading messages in chunks (infinite scroll)
 messageSchema.index({ createdAt: -1 });
 
@@ -140,14 +167,21 @@ messageSchema.pre("validate", function (next) {
         return next();
     }
 
-    // 2. Text Messages: Must have content if no media is attached
+    // 2. Polls: Must have a question and at least 2 options
+    if (this.message_type === "poll") {
+        if (!this.poll || !this.poll.question || this.poll.options.length < 2) {
+            return next(new Error("Poll must have a question and at least 2 options."));
+        }
+    }
+
+    // 3. Text Messages: Must have content if no media is attached
     if (this.message_type === "text" && !this.media_url) {
         if (!this.text || this.text.trim().length === 0) {
             return next(new Error("Text message cannot be empty without media."));
         }
     }
 
-    // 3. Media Messages: Must have a URL
+    // 4. Media Messages: Must have a URL
     const mediaTypes = ["image", "audio", "video", "file"];
     if (mediaTypes.includes(this.message_type)) {
         if (!this.media_url) {
@@ -157,12 +191,12 @@ messageSchema.pre("validate", function (next) {
         }
     }
 
-    // 4. Shared Post: Must have a post ID
+    // 5. Shared Post: Must have a post ID
     if (this.message_type === "shared_post" && !this.sharedPostId) {
         return next(new Error("Shared post message must include a sharedPostId."));
     }
 
-    // 5. Story Reply: Must have a story ID
+    // 6. Story Reply: Must have a story ID
     if (this.message_type === "story_reply" && !this.replyToStoryId) {
         return next(
             new Error("Story reply message must include a replyToStoryId.")
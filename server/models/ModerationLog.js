@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+import { TARGET_MODELS } from "./Report.js";
+
+/**
+ * ModerationLog Schema
+ * --------------------
+ * Append-only audit trail of moderator actions taken through /api/admin.
+ * Entries are never edited or deleted by the API, so decisions stay traceable.
+ *
+ * @module models/ModerationLog
+ */
+
+const moderationLogSchema = new mongoose.Schema(
+    {
+        // --- Actor ---
+
+        /**
+         * The admin who performed the action.
+         */
+        moderator: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        // --- Action ---
+
+        action: {
+            type: String,
+            required: true,
+            enum: [
+                "report_resolved",
+                "report_dismissed",
+                "content_restored",
+                "user_suspended",
+                "user_unsuspended",
+            ],
+        },
+
+        // --- Targets (whichever apply to the action) ---
+
+        report: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Report",
+            default: null,
+        },
+
+        /**
+         * Reported/restored content, same polymorphic shape as `Report` targets.
+         */
+        targetType: {
+            type: String,
+            enum: [...Object.keys(TARGET_MODELS), null],
+            default: null,
+        },
+        targetId: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: "targetModel",
+            default: null,
+        },
+        targetModel: {
+            type: String,
+            enum: [...Object.values(TARGET_MODELS), null],
+            default: null,
+        },
+
+        /**
+         * The account acted on (suspensions, or the owner of the content).
+         */
+        targetUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
+        /**
+         * Free-text reason / note entered by the moderator.
+         */
+        note: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: "",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// --- Middleware ---
+
+moderationLogSchema.pre("validate", function (next) {
+    this.targetModel = TARGET_MODELS[this.targetType] || null;
+    next();
+});
+
+// --- Database Optimizations (Indexes) ---
+
+/**
+ * 1. Audit Log Feed: newest first, optionally filtered by action.
+ */
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ action: 1, createdAt: -1 });
+
+/**
+ * 2. History of a specific user or piece of content.
+ */
+moderationLogSchema.index({ targetUser: 1, createdAt: -1 });
+moderationLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const ModerationLog =
+    mongoose.models.ModerationLog || mongoose.model("ModerationLog", moderationLogSchema);
+
+export default ModerationLog;
@@ -22,11 +22,13 @@ const notificationSchema = new mongoose.Schema({
         type: String,
         enum: [
             "like", "comment", "reply", "share",       // Interactions
+            "mention",                                 // @username in a post, comment or group chat
             "follow",                                  // Standard Follow
             "follow_request",                          // Private Account Request
             "connection_request",                      // Friend Request
             "connection_accept",                       // Friend Request Accepted
-            "follow_accept"                            // Private Follow Accepted
+            "follow_accept",                           // Private Follow Accepted
+            "data_export"                              // System: Data Export Ready
         ],
         required: true
     },
@@ -38,6 +40,15 @@ const notificationSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: "Comment"
     },
+    // Group chat mentions link back to the group
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Group"
+    },
+    dataExport: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "DataExport"
+    },
     read: {
         type: Boolean,
         default: false
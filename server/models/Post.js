@@ -29,6 +29,26 @@ const postSchema = new mongoose.Schema(
             default: "",
         },
 
+        /**
+         * Lowercased hashtags parsed from `content` (without the "#").
+         * Kept in sync by the post controller (see utils/hashtags.js).
+         */
+        hashtags: [
+            {
+                type: String,
+            },
+        ],
+
+        /**
+         * Users tagged with "@username" in `content` (resolved by utils/mentions.js).
+         */
+        mentions: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+        ],
+
         /**
          * Array of image URLs hosted on external service (e.g., ImageKit/Cloudinary).
          */
@@ -38,6 +58,20 @@ const postSchema = new mongoose.Schema(
             },
         ],
 
+        /**
+         * Uploaded video (video posts only). Validated and probed by the media service (media/video.js);
+         * `thumbnail_url` is a poster frame extracted at upload time.
+         */
+        video: {
+            url: { type: String },
+            thumbnail_url: { type: String },
+            duration: { type: Number }, // Seconds
+            width: { type: Number },
+            height: { type: Number },
+            mime_type: { type: String },
+            size: { type: Number }, // Bytes
+        },
+
         post_type: {
             type: String,
             enum: ["text", "image", "video"],
@@ -102,20 +136,32 @@ postSchema.index({ user: 1, createdAt: -1 });
 // Optimizes "Get all posts" queries for the general discovery feed.
 postSchema.index({ createdAt: -1 });
 
+// 3. Hashtag Index
+// Optimizes hashtag pages ("posts tagged X, newest first") and the trending window scan.
+postSchema.index({ hashtags: 1, createdAt: -1 });
+
+// 4. Full-Text Search Index
+// Ranked post search (GET /api/search?type=posts). Language-neutral tokenization for Arabic + English.
+postSchema.index(
+    { content: "text", hashtags: "text" },
+    { name: "post_search_text", weights: { hashtags: 3, content: 1 }, default_language: "none" }
+);
+
 // ==========================================
 // --- Middleware (Validation Logic) ---
 // ==========================================
 
 /**
  * Pre-validate Hook
- * Ensures a post is not empty (must contain either text content OR images).
+ * Ensures a post is not empty (must contain text content, images OR a video).
  */
 postSchema.pre("validate", function (next) {
     const hasContent = this.content && this.content.trim().length > 0;
     const hasImages = this.image_urls && this.image_urls.length > 0;
+    const hasVideo = Boolean(this.video?.url);
 
-    if (!hasContent && !hasImages) {
-        next(new Error("Post cannot be empty. Must have content or images."));
+    if (!hasContent && !hasImages && !hasVideo) {
+        next(new Error("Post cannot be empty. Must have content, images or a video."));
     } else {
         next();
     }
@@ -3,12 +3,33 @@ import mongoose from "mongoose";
 /**
  * Report Schema
  * -------------
- * Handles content moderation by allowing users to report posts.
+ * Handles content moderation by allowing users to report posts, comments,
+ * stories, direct messages, group messages and user accounts.
  * Critical for platform safety and community standard enforcement.
  *
+ * Targets are polymorphic (`targetType` + `targetId`); see utils/reporting.js
+ * for the per-type rules and auto-moderation thresholds.
+ *
  * @module models/Report
  */
 
+/**
+ * Evidence copy of a reported direct/group message.
+ */
+const messageSnapshotSchema = new mongoose.Schema(
+    {
+        text: String,
+        message_type: String,
+        media_url: String,
+        sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        receiver: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        group: { type: mongoose.Schema.Types.ObjectId, ref: "Group" },
+        sentAt: Date,
+        isEdited: Boolean,
+    },
+    { _id: false }
+);
+
 const reportSchema = new mongoose.Schema(
     {
         // --- Associations ---
@@ -24,13 +45,48 @@ const reportSchema = new mongoose.Schema(
         },
 
         /**
-         * The content being reported.
-         * Reference to the 'Post' collection.
+         * What kind of content is reported.
+         */
+        targetType: {
+            type: String,
+            required: true,
+            enum: ["post", "comment", "story", "message", "group_message", "user"],
+        },
+
+        /**
+         * The reported document (resolved through `targetModel`).
          */
-        targetPost: {
+        targetId: {
             type: mongoose.Schema.Types.ObjectId,
-            ref: "Post",
             required: true,
+            refPath: "targetModel",
+        },
+
+        /**
+         * Model name behind `targetType`, derived automatically (used by populate).
+         */
+        targetModel: {
+            type: String,
+            enum: ["Post", "Comment", "Story", "Message", "GroupMessage", "User"],
+        },
+
+        /**
+         * Author of the reported content (the account itself for user reports).
+         * Lets moderators act on the person even after the content is gone.
+         */
+        targetOwner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
+        /**
+         * Copy of the reported message taken at report time (messages & group messages),
+         * so the evidence survives the sender editing or deleting it.
+         */
+        snapshot: {
+            type: messageSnapshotSchema,
+            default: null,
         },
 
         // --- Report Details ---
@@ -60,9 +116,32 @@ const reportSchema = new mongoose.Schema(
          */
         status: {
             type: String,
-            enum: ["pending", "reviewed", "resolved"],
+            enum: ["pending", "reviewed", "resolved", "dismissed"],
             default: "pending",
         },
+
+        /**
+         * The moderator who closed the report (resolved or dismissed), and when.
+         */
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+
+        /**
+         * Optional moderator note explaining the decision.
+         */
+        resolutionNote: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: "",
+        },
     },
     {
         // Automatically adds 'createdAt' (submission time) and 'updatedAt'
@@ -70,28 +149,63 @@ const reportSchema = new mongoose.Schema(
     }
 );
 
+// --- Middleware ---
+
+/** Report `targetType` -> Mongoose model name (shared with ModerationLog). */
+export const TARGET_MODELS = {
+    post: "Post",
+    comment: "Comment",
+    story: "Story",
+    message: "Message",
+    group_message: "GroupMessage",
+    user: "User",
+};
+
+/**
+ * Keeps `targetModel` in sync with `targetType` so populate("targetId") always works.
+ */
+reportSchema.pre("validate", function (next) {
+    this.targetModel = TARGET_MODELS[this.targetType];
+    next();
+});
+
+// --- Virtuals ---
+
+/**
+ * The reported document itself. Populating this (rather than `targetId`)
+ * keeps the id available when the content has since been deleted.
+ */
+reportSchema.virtual("target", {
+    refPath: "targetModel",
+    localField: "targetId",
+    foreignField: "_id",
+    justOne: true,
+});
+
 // --- Database Optimizations (Indexes) ---
 
 /**
  * 1. Admin Dashboard Performance
- * Optimization: Speeds up the query "Show me all Pending reports".
+ * Optimization: Speeds up the query "Show me all Pending reports" (newest first).
  * This is the most frequent query run by moderators.
  */
-reportSchema.index({ status: 1 });
+reportSchema.index({ status: 1, createdAt: -1 });
 
 /**
  * 2. Content Safety Aggregation
- * Optimization: Allows quick counting of how many reports a specific post has.
- * Useful for auto-hiding posts that exceed a certain report threshold.
+ * Optimization: Allows quick counting of how many open reports a target has
+ * (or an author has, for owner-level thresholds).
+ * Useful for auto-moderating content that exceeds its report threshold.
  */
-reportSchema.index({ targetPost: 1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+reportSchema.index({ targetType: 1, targetOwner: 1, status: 1 });
 
 /**
  * 3. User Activity & Spam Prevention
- * Optimization: quickly checks if a specific user has already reported a specific post.
+ * Optimization: quickly checks if a specific user has already reported a specific target.
  * Helps the UI/Backend prevent duplicate report submissions.
  */
-reportSchema.index({ reporter: 1, targetPost: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, targetId: 1 });
 
 // --- Model Export ---
 
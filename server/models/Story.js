@@ -43,6 +43,12 @@ const storySchema = new mongoose.Schema(
             default: "",
         },
 
+        // Hidden by auto-moderation or a moderator (see utils/reporting.js)
+        isHidden: {
+            type: Boolean,
+            default: false,
+        },
+
         /**
          * Viewers & Interactions
          * Consolidated array to track both views and reactions in a single entry per user.
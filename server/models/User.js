@@ -60,6 +60,12 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Moderators get access to /api/admin (see scripts/promoteAdmin.js)
+    role: {
+        type: String,
+        enum: ["user", "admin"],
+        default: "user"
+    },
 
     // --- Privacy & Visibility ---
     isPrivate: {
@@ -82,6 +88,12 @@ const userSchema = new mongoose.Schema({
             default: true
         }
     },
+    // IANA zone reported by the client; schedules the daily digest at local time
+    timezone: {
+        type: String,
+        default: "UTC",
+        index: true
+    },
 
     // --- Social Graph (Connections) ---
     // 1. Friends/Connections
@@ -138,6 +150,28 @@ const userSchema = new mongoose.Schema({
         default: Date.now
     },
 
+    // --- Account Deletion (Grace Period) ---
+    // Set by DELETE /api/user/me; the account is deactivated until the cascade runs
+    deactivatedAt: {
+        type: Date,
+        default: null
+    },
+    deletionScheduledFor: {
+        type: Date,
+        default: null
+    },
+
+    // --- Moderation ---
+    // Set by an admin (POST /api/admin/users/:id/suspend); blocks sign-in until lifted
+    suspendedAt: {
+        type: Date,
+        default: null
+    },
+    suspensionReason: {
+        type: String,
+        default: ""
+    },
+
     // (Notifications)
     fcmTokens: {
         type: [String], // Array of FCM tokens
@@ -156,8 +190,12 @@ const userSchema = new mongoose.Schema({
 
 // --- Performance Indexes ---
 
-// 1. Search Optimization: Allow finding users by name or username efficiently
-userSchema.index({ full_name: "text", username: "text" });
+// 1. Search Optimization: Ranked full-text search over names and bios (GET /api/search?type=people)
+// `default_language: "none"` skips English stemming/stop words so Arabic and English tokenize the same way.
+userSchema.index(
+    { username: "text", full_name: "text", bio: "text" },
+    { name: "user_search_text", weights: { username: 10, full_name: 6, bio: 1 }, default_language: "none" }
+);
 
 const User = mongoose.model("User", userSchema);
 
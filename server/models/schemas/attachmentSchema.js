@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+/**
+ * @file attachmentSchema.js
+ * @description Details of the file behind a chat message's `media_url`, shared by
+ * Message and GroupMessage. Filled from the media service's descriptor (media/index.js)
+ * so clients can show a file card or size a preview without fetching the file.
+ */
+const attachmentSchema = new mongoose.Schema({
+    name: { type: String, trim: true, maxlength: 200 }, // Original file name (display / download name)
+    size: { type: Number, min: 0 }, // Bytes
+    mime_type: { type: String }, // Sniffed by the server, not the client's claim
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    duration: { type: Number, default: null }, // Seconds (video)
+    thumbnail_url: { type: String, default: null }, // Poster frame (video)
+}, { _id: false });
+
+/** Message types listed in a chat's "shared" tabs (`?kind=` on the shared-attachments endpoints). */
+export const SHARED_MESSAGE_TYPES = {
+    media: ["image", "video"],
+    files: ["file"],
+};
+
+export default attachmentSchema;
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+/**
+ * @file pollSchema.js
+ * @description Poll carried by a `message_type: "poll"` message, shared by Message (1:1 chats)
+ * and GroupMessage. Voter ids are always stored (needed to change or retract a vote), but
+ * clients only ever get the view built by utils/polls.js, which hides them for anonymous polls.
+ */
+
+const pollOptionSchema = new mongoose.Schema({
+    text: { type: String, required: true, trim: true },
+    votes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // Array of user IDs who voted
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null } // Set when a voter added the option
+});
+
+const pollSchema = new mongoose.Schema({
+    question: { type: String, required: true, trim: true },
+    options: [pollOptionSchema],
+    allowMultipleAnswers: { type: Boolean, default: false },
+    isAnonymous: { type: Boolean, default: false }, // Nobody (creator included) sees who voted
+    allowAddOptions: { type: Boolean, default: false }, // Participants may add options while it is open
+    closesAt: { type: Date, default: null }, // null = open until deleted
+    closedAt: { type: Date, default: null } // Set once the final results were announced
+}, { _id: false }); // No separate ID for poll object, it's part of the message
+
+export default pollSchema;
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Admin Routes - Moderation console API.
+ * Report queue, hidden-content restore, user suspension and the moderator audit log.
+ * @module routes/adminRouter
+ */
+
+import express from "express";
+import { protect, adminOnly } from "../middlewares/auth.js";
+import {
+    getReports,
+    resolveReport,
+    dismissReport,
+    restoreContent,
+    suspendUser,
+    unsuspendUser,
+    getAuditLog,
+} from "../controllers/adminController.js";
+
+const adminRouter = express.Router();
+
+// Every moderation endpoint requires a synced, active admin account
+adminRouter.use(protect, adminOnly);
+
+// ==========================================
+// --- Report Queue ---
+// ==========================================
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    List reports. Query Params: ?status=pending|reviewed|resolved|dismissed|all&reason=Spam
+ *          &targetType=post|comment|story|message|group_message|user&limit&cursor
+ * @access  Admin
+ */
+adminRouter.get("/reports", getReports);
+
+/**
+ * @route   PATCH /api/admin/reports/:id/resolve
+ * @desc    Close a report as a confirmed violation (optionally hiding the content).
+ * @access  Admin
+ */
+adminRouter.patch("/reports/:id/resolve", resolveReport);
+
+/**
+ * @route   PATCH /api/admin/reports/:id/dismiss
+ * @desc    Close a report as unfounded.
+ * @access  Admin
+ */
+adminRouter.patch("/reports/:id/dismiss", dismissReport);
+
+// ==========================================
+// --- Content & Users ---
+// ==========================================
+
+/**
+ * @route   PATCH /api/admin/content/:type/:id/restore
+ * @desc    Unhide a post, comment, story or group message and reset its reports.
+ * @access  Admin
+ */
+adminRouter.patch("/content/:type/:id/restore", restoreContent);
+
+/**
+ * @route   POST /api/admin/users/:id/suspend
+ * @desc    Suspend an author (blocks access, hides content).
+ * @access  Admin
+ */
+adminRouter.post("/users/:id/suspend", suspendUser);
+
+/**
+ * @route   POST /api/admin/users/:id/unsuspend
+ * @desc    Lift a suspension.
+ * @access  Admin
+ */
+adminRouter.post("/users/:id/unsuspend", unsuspendUser);
+
+// ==========================================
+// --- Audit Log ---
+// ==========================================
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Moderator actions, newest first. Query Params: ?action&moderator&targetUser&limit&cursor
+ * @access  Admin
+ */
+adminRouter.get("/audit-log", getAuditLog);
+
+export default adminRouter;
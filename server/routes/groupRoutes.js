@@ -6,20 +6,36 @@ import {
     getAvailableGroups,
     getDiscoveryGroups,
     getGroupDetails,
+    updateGroupSettings,
     joinGroup,
     leaveGroup,
     removeMember,
+    updateMemberRole,
+    transferOwnership,
+    createGroupInvite,
+    getGroupInvites,
+    revokeGroupInvite,
+    getInvitePreview,
+    joinGroupWithInvite,
     getGroupRequests,
     respondToJoinRequest,
     sendGroupMessage,
     getGroupMessages,
+    getGroupSharedAttachments,
+    getGroupMessageContext,
     markGroupMessagesRead,
     reactToGroupMessage,
     toggleGroupLock,
     deleteGroupMessage,
     editGroupMessage,
+    getPinnedGroupMessages,
+    pinGroupMessage,
+    unpinGroupMessage,
     createPoll,
-    votePoll
+    votePoll,
+    retractPollVote,
+    addPollOption,
+    reportGroupMessage
 } from '../controllers/groupController.js';
 
 const groupRouter = express.Router();
@@ -52,13 +68,13 @@ groupRouter.get('/discovery', protect, getDiscoveryGroups);
 
 /**
  * @route POST /api/group/send
- * @desc Send text or media message to a group
+ * @desc Send text or an attachment (image, voice note, video or document) to a group
  */
 groupRouter.post('/send', protect, upload.single('file'), sendGroupMessage);
 
 /**
  * @route POST /api/group/poll
- * @desc Create a new Poll message
+ * @desc Create a new Poll message (optionally anonymous, open to new options, or closing at a set time)
  */
 groupRouter.post("/poll", protect, createPoll);
 
@@ -68,12 +84,42 @@ groupRouter.post("/poll", protect, createPoll);
  */
 groupRouter.put("/poll/vote", protect, votePoll);
 
+/**
+ * @route DELETE /api/group/poll/:messageId/vote
+ * @desc Retract your votes on a Poll
+ */
+groupRouter.delete("/poll/:messageId/vote", protect, retractPollVote);
+
+/**
+ * @route POST /api/group/poll/:messageId/options
+ * @desc Add an option to a Poll (when the creator allowed it)
+ */
+groupRouter.post("/poll/:messageId/options", protect, addPollOption);
+
 /**
  * @route GET /api/group/messages/:groupId
  * @desc Fetch chat history
  */
 groupRouter.get('/messages/:groupId', protect, getGroupMessages);
 
+/**
+ * @route GET /api/group/messages/:groupId/shared?kind=media|files
+ * @desc Fetch media or files shared in the group (cursor paginated)
+ */
+groupRouter.get('/messages/:groupId/shared', protect, getGroupSharedAttachments);
+
+/**
+ * @route GET /api/group/messages/:groupId/around/:messageId
+ * @desc Fetch a window of messages around one message (jump to an older message)
+ */
+groupRouter.get('/messages/:groupId/around/:messageId', protect, getGroupMessageContext);
+
+/**
+ * @route GET /api/group/messages/:groupId/pinned
+ * @desc Fetch the pinned messages (pinned bar)
+ */
+groupRouter.get('/messages/:groupId/pinned', protect, getPinnedGroupMessages);
+
 /**
  * @route PUT /api/group/read/:groupId
  * @desc Mark messages as read
@@ -92,6 +138,19 @@ groupRouter.post("/react", protect, reactToGroupMessage);
  */
 groupRouter.delete("/message/:id", protect, deleteGroupMessage);
 
+/**
+ * @route POST /api/group/message/:id/report
+ * @desc Report a message (the report keeps a copy of it as evidence)
+ */
+groupRouter.post("/message/:id/report", protect, reportGroupMessage);
+
+/**
+ * @route PUT|DELETE /api/group/message/:id/pin
+ * @desc Pin / unpin a message (staff with the pin_messages permission)
+ */
+groupRouter.put("/message/:id/pin", protect, pinGroupMessage);
+groupRouter.delete("/message/:id/pin", protect, unpinGroupMessage);
+
 /**
  * @route PUT /api/group/message/:id
  * @desc Edit a message
@@ -105,8 +164,20 @@ groupRouter.put("/message/:id", protect, editGroupMessage);
 groupRouter.post('/join/:groupId', protect, joinGroup);
 groupRouter.put('/leave/:groupId', protect, leaveGroup);
 
+/**
+ * @route GET /api/group/invite/:token
+ * @desc Preview the group behind an invite link
+ */
+groupRouter.get('/invite/:token', protect, getInvitePreview);
+
+/**
+ * @route POST /api/group/invite/:token/join
+ * @desc Join through an invite link (skips approval when the link allows it)
+ */
+groupRouter.post('/invite/:token/join', protect, joinGroupWithInvite);
+
 // =========================================================
-// 4. Administration (Owner/Admin Only)
+// 4. Administration (permissions per role: utils/groupPermissions.js)
 // =========================================================
 
 groupRouter.put('/kick', protect, removeMember);
@@ -114,6 +185,31 @@ groupRouter.get('/requests/:groupId', protect, getGroupRequests);
 groupRouter.put('/request/respond', protect, respondToJoinRequest);
 groupRouter.put('/toggle-lock/:groupId', protect, toggleGroupLock);
 
+/**
+ * @route PUT /api/group/:groupId/members/:memberId/role
+ * @desc Promote / demote a member (admin, moderator, member)
+ */
+groupRouter.put('/:groupId/members/:memberId/role', protect, updateMemberRole);
+
+/**
+ * @route PUT /api/group/:groupId/transfer-ownership
+ * @desc Hand the group over to another member (owner only)
+ */
+groupRouter.put('/:groupId/transfer-ownership', protect, transferOwnership);
+
+/**
+ * @route GET|POST /api/group/:groupId/invites
+ * @desc List active invite links / create one (optional expiry and max uses)
+ */
+groupRouter.get('/:groupId/invites', protect, getGroupInvites);
+groupRouter.post('/:groupId/invites', protect, createGroupInvite);
+
+/**
+ * @route DELETE /api/group/:groupId/invites/:inviteId
+ * @desc Revoke an invite link
+ */
+groupRouter.delete('/:groupId/invites/:inviteId', protect, revokeGroupInvite);
+
 // =========================================================
 // 5. General Details (Dynamic Route)
 // =========================================================
@@ -125,4 +221,10 @@ groupRouter.put('/toggle-lock/:groupId', protect, toggleGroupLock);
  */
 groupRouter.get('/:groupId', protect, getGroupDetails);
 
+/**
+ * @route PUT /api/group/:groupId
+ * @desc Edit name, description, image (field "image"), join policy and discoverability
+ */
+groupRouter.put('/:groupId', protect, upload.single('image'), updateGroupSettings);
+
 export default groupRouter;
\ No newline at end of file
@@ -9,20 +9,30 @@
 import express from "express";
 
 // --- Middleware & Config ---
-import { protect } from "../middlewares/auth.js";
+import { protect, protectStream } from "../middlewares/auth.js";
 import upload from "../configs/multer.js";
 
 // --- Controllers ---
 import {
     sendMessage,
     getChatMessages,
+    getSharedAttachments,
+    getMessageContext,
     getRecentMessages,
     sseController,
     markMessagesAsRead,
     deleteConversation,
     reactToMessage,
     deleteMessage,
-    editMessage
+    editMessage,
+    reportMessage,
+    createDirectPoll,
+    voteDirectPoll,
+    retractDirectPollVote,
+    addDirectPollOption,
+    getPinnedMessages,
+    pinMessage,
+    unpinMessage
 } from "../controllers/messageController.js";
 
 const messageRouter = express.Router();
@@ -34,10 +44,11 @@ const messageRouter = express.Router();
 // to prevent the server from interpreting "recent" or "stream" as a user ID.
 
 /**
- * @route GET /api/message/stream/:userId
- * @desc Initialize Server-Sent Events (SSE) connection
+ * @route GET /api/message/stream?token=<clerk session token>
+ * @desc Initialize Server-Sent Events (SSE) connection for the authenticated user
+ * @access Private (EventSource can't send headers, so the token may travel in the query)
  */
-messageRouter.get("/stream/:userId", sseController);
+messageRouter.get("/stream", protectStream, sseController);
 
 /**
  * @route GET /api/message/recent
@@ -52,12 +63,40 @@ messageRouter.get("/recent", protect, getRecentMessages);
 
 /**
  * @route POST /api/message/send
- * @desc Send a new message (Text and/or Image)
- * @middleware upload.single('image') - Handles multipart/form-data
+ * @desc Send a new message (Text and/or one attachment: image, voice note, video or document)
+ * @middleware upload.single('image') - Handles multipart/form-data (field name kept for older clients)
  * @access Private
  */
 messageRouter.post("/send", protect, upload.single("image"), sendMessage);
 
+/**
+ * @route POST /api/message/poll
+ * @desc Send a Poll (optionally anonymous, open to new options, or closing at a set time)
+ * @access Private
+ */
+messageRouter.post("/poll", protect, createDirectPoll);
+
+/**
+ * @route PUT /api/message/poll/vote
+ * @desc Vote on a Poll
+ * @access Private
+ */
+messageRouter.put("/poll/vote", protect, voteDirectPoll);
+
+/**
+ * @route DELETE /api/message/poll/:messageId/vote
+ * @desc Retract your votes on a Poll
+ * @access Private
+ */
+messageRouter.delete("/poll/:messageId/vote", protect, retractDirectPollVote);
+
+/**
+ * @route POST /api/message/poll/:messageId/options
+ * @desc Add an option to a Poll (when the creator allowed it)
+ * @access Private
+ */
+messageRouter.post("/poll/:messageId/options", protect, addDirectPollOption);
+
 /**
  * @route POST /api/message/react
  * @desc Add, update, or remove a reaction
@@ -72,6 +111,21 @@ messageRouter.post("/react", protect, reactToMessage);
  */
 messageRouter.put("/read/:senderId", protect, markMessagesAsRead);
 
+/**
+ * @route POST /api/message/report/:id
+ * @desc Report a received message (the report keeps a copy of it as evidence)
+ * @access Private
+ */
+messageRouter.post("/report/:id", protect, reportMessage);
+
+/**
+ * @route PUT|DELETE /api/message/:id/pin
+ * @desc Pin / unpin a message for both participants
+ * @access Private
+ */
+messageRouter.put("/:id/pin", protect, pinMessage);
+messageRouter.delete("/:id/pin", protect, unpinMessage);
+
 /**
  * @route DELETE /api/message/conversation/:targetId
  * @desc Delete an entire conversation history
@@ -97,6 +151,27 @@ messageRouter.put("/:id", protect, editMessage);
 // 3. Dynamic Routes (Low Priority)
 // ==============================================================================
 
+/**
+ * @route GET /api/message/:withUserId/shared?kind=media|files
+ * @desc Get media or files shared in a conversation (cursor paginated)
+ * @access Private
+ */
+messageRouter.get("/:withUserId/shared", protect, getSharedAttachments);
+
+/**
+ * @route GET /api/message/:withUserId/around/:messageId
+ * @desc Get a window of messages around one message (jump to an older message)
+ * @access Private
+ */
+messageRouter.get("/:withUserId/around/:messageId", protect, getMessageContext);
+
+/**
+ * @route GET /api/message/:withUserId/pinned
+ * @desc Get the pinned messages of a conversation
+ * @access Private
+ */
+messageRouter.get("/:withUserId/pinned", protect, getPinnedMessages);
+
 /**
  * @route GET /api/message/:withUserId
  * @desc Get chat history with a specific user
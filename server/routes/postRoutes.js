@@ -4,6 +4,8 @@ import upload from '../configs/multer.js';
 import {
     addPost,
     getPostsFeed,
+    getPostsByTag,
+    getTrendingTags,
     getSavedPosts,
     getUserById,
     getPostById,
@@ -13,6 +15,7 @@ import {
     sharePost,
     togglePostSave,
     reportPost,
+    reportComment,
     addComment,
     updateComment,
     deleteComment,
@@ -27,9 +30,14 @@ const postRouter = express.Router();
 
 /**
  * @route POST /api/post/add
- * @desc Create new post with up to 5 images
+ * @desc Create new post with up to 5 images, or a single video
  */
-postRouter.post('/add', protect, upload.array('images', 5), addPost);
+postRouter.post(
+    '/add',
+    protect,
+    upload.fields([{ name: 'images', maxCount: 5 }, { name: 'video', maxCount: 1 }]),
+    addPost
+);
 
 /**
  * @route GET /api/post/feed
@@ -44,7 +52,23 @@ postRouter.get('/feed', protect, getPostsFeed);
 postRouter.get("/saved", protect, getSavedPosts);
 
 // ==================================================
-// 2. User Context
+// 2. Hashtags
+// ==================================================
+
+/**
+ * @route GET /api/post/tags/trending
+ * @desc Most used hashtags in a sliding window (?hours=24&limit=10)
+ */
+postRouter.get("/tags/trending", protect, getTrendingTags);
+
+/**
+ * @route GET /api/post/tag/:tag
+ * @desc Get posts tagged with a hashtag
+ */
+postRouter.get("/tag/:tag", protect, getPostsByTag);
+
+// ==================================================
+// 3. User Context
 // ==================================================
 
 /**
@@ -54,7 +78,7 @@ postRouter.get("/saved", protect, getSavedPosts);
 postRouter.get("/user/:userId", protect, getUserById);
 
 // ==================================================
-// 3. Post Interactions (Like, Share, Save)
+// 4. Post Interactions (Like, Share, Save)
 // ==================================================
 
 postRouter.put("/like/:id", protect, likeUnlikePost);
@@ -63,7 +87,7 @@ postRouter.put("/save/:id", protect, togglePostSave);
 postRouter.post("/report/:id", protect, reportPost);
 
 // ==================================================
-// 4. Comment Management
+// 5. Comment Management
 // ==================================================
 
 /**
@@ -78,6 +102,12 @@ postRouter.post("/comment/:postId", protect, addComment);
  */
 postRouter.post("/comment/like/:commentId", protect, toggleCommentLike);
 
+/**
+ * @route POST /api/post/comment/report/:commentId
+ * @desc Report a comment or reply
+ */
+postRouter.post("/comment/report/:commentId", protect, reportComment);
+
 /**
  * @route PUT/DELETE /api/post/comment/:commentId
  * @desc Modify or remove comments
@@ -86,7 +116,7 @@ postRouter.put("/comment/:commentId", protect, updateComment);
 postRouter.delete("/comment/:commentId", protect, deleteComment);
 
 // ==================================================
-// 5. Single Post CRUD (Dynamic ID - MUST BE LAST)
+// 6. Single Post CRUD (Dynamic ID - MUST BE LAST)
 // ==================================================
 
 /**
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Search Routes - Unified, ranked search across people, posts, hashtags and groups.
+ * @module routes/searchRouter
+ */
+
+import express from "express";
+import { protect } from "../middlewares/auth.js";
+import { search } from "../controllers/searchController.js";
+
+const searchRouter = express.Router();
+
+/**
+ * @route   GET /api/search
+ * @desc    Ranked search. Query Params: ?q=...&type=people|posts|hashtags|groups&page=1&limit=20
+ * @access  Private
+ */
+searchRouter.get("/", protect, search);
+
+export default searchRouter;
@@ -16,6 +16,7 @@ import {
     viewStory,
     handleStoriesEnd,
     toggleReaction,
+    reportStory,
 } from "../controllers/storyController.js";
 
 const storyRouter = express.Router();
@@ -65,6 +66,13 @@ storyRouter.put("/mark-all-seen/:targetUserId", protect, handleStoriesEnd);
  */
 storyRouter.post("/:storyId/react", protect, toggleReaction);
 
+/**
+ * @route   POST /api/story/:id/report
+ * @desc    Report a story (auto-hidden once enough users report it).
+ * @access  Private
+ */
+storyRouter.post("/:id/report", protect, reportStory);
+
 // ==========================================
 // --- User Specific & Management ---
 // ==========================================
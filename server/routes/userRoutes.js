@@ -16,7 +16,12 @@ import {
     toggleMuteUser,
     updatePrivacySettings,
     updateNotificationSettings,
-    saveFcmToken
+    saveFcmToken,
+    deleteMyAccount,
+    restoreMyAccount,
+    requestDataExport,
+    getDataExport,
+    reportUser
 } from "../controllers/userController.js";
 
 const userRouter = express.Router();
@@ -48,6 +53,31 @@ userRouter.post("/fcm-token", protect, saveFcmToken);
  */
 userRouter.get("/me", protect, getUserData);
 
+/**
+ * @route DELETE /api/user/me
+ * @desc Deactivate the account and schedule its permanent deletion (grace period).
+ */
+userRouter.delete("/me", protect, deleteMyAccount);
+
+/**
+ * @route POST /api/user/me/restore
+ * @desc Cancel a scheduled deletion during the grace period.
+ * @middleware verifyToken (deactivated accounts are rejected by protect)
+ */
+userRouter.post("/me/restore", verifyToken, restoreMyAccount);
+
+/**
+ * @route POST /api/user/export
+ * @desc Queue a downloadable archive of all the user's data (notified when ready).
+ */
+userRouter.post("/export", protect, requestDataExport);
+
+/**
+ * @route GET /api/user/export
+ * @desc Status of the latest export, with a signed download link while it is valid.
+ */
+userRouter.get("/export", protect, getDataExport);
+
 /**
  * @route PUT /api/user/update-profile
  * @desc Update profile info and upload images.
@@ -87,11 +117,12 @@ userRouter.post("/follow-request/accept/:id", protect, acceptFollowRequest);
 userRouter.post("/follow-request/decline/:id", protect, declineFollowRequest);
 
 // =========================================================
-// 6. Moderation (Block & Mute)
+// 6. Moderation (Block, Mute & Report)
 // =========================================================
 
 userRouter.put("/block/:id", protect, toggleBlockUser);
 userRouter.put("/mute/:id", protect, toggleMuteUser);
+userRouter.post("/report/:id", protect, reportUser);
 
 // =========================================================
 // 7. Public Data & Network
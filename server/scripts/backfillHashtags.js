@@ -0,0 +1,52 @@
+/**
+ * @file backfillHashtags.js
+ * @description One-off backfill of `Post.hashtags` for posts created before hashtags were parsed.
+ * New and edited posts are tagged by the post controller. Safe to run more than once.
+ *
+ * Usage:
+ *   npm run backfill-hashtags
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import { extractHashtags } from "../utils/hashtags.js";
+
+dotenv.config();
+
+if (!process.env.MONGO_URL) {
+    console.error("❌ MONGO_URL is not defined in .env file.");
+    process.exit(1);
+}
+
+await mongoose.connect(process.env.MONGO_URL, { serverSelectionTimeoutMS: 5000 });
+
+const BATCH_SIZE = 500;
+let scanned = 0;
+let updated = 0;
+let batch = [];
+
+const flush = async () => {
+    if (!batch.length) return;
+    await Post.bulkWrite(batch);
+    updated += batch.length;
+    batch = [];
+};
+
+// Only posts with a "#" somewhere can carry tags
+const cursor = Post.find({ content: /#/ }).select("content hashtags").lean().cursor();
+
+for await (const post of cursor) {
+    scanned++;
+    const hashtags = extractHashtags(post.content);
+    if (hashtags.join(" ") === (post.hashtags || []).join(" ")) continue;
+
+    batch.push({ updateOne: { filter: { _id: post._id }, update: { $set: { hashtags } } } });
+    if (batch.length >= BATCH_SIZE) await flush();
+}
+await flush();
+
+console.log(`✅ Hashtags backfilled: ${updated} of ${scanned} posts updated`);
+
+await mongoose.disconnect();
+process.exit(0);
@@ -0,0 +1,320 @@
+/**
+ * @file devBroker.js
+ * @description Minimal Redis stand-in for local multi-instance testing.
+ * Speaks enough RESP2 for the realtime Redis adapter and `@socket.io/redis-adapter`:
+ * strings with expiry, sets, hashes and pub/sub (channels + glob patterns).
+ *
+ * NOT for production: single process, no persistence, no auth.
+ *
+ * Usage:
+ *   npm run broker                       # listens on 6379 (BROKER_PORT to change)
+ *   REDIS_URL=redis://localhost:6379 PORT=4000 npm start
+ *   REDIS_URL=redis://localhost:6379 PORT=4001 npm start
+ */
+
+import net from "net";
+
+const PORT = Number(process.env.BROKER_PORT) || 6379;
+const CRLF = "\r\n";
+
+// ==========================================
+// --- RESP2 Encoding ---
+// ==========================================
+
+const resp = {
+    ok: () => `+OK${CRLF}`,
+    simple: (text) => `+${text}${CRLF}`,
+    error: (message) => `-ERR ${message}${CRLF}`,
+    integer: (n) => `:${n}${CRLF}`,
+    bulk: (value) => {
+        if (value === null || value === undefined) return `$-1${CRLF}`;
+        const buf = Buffer.isBuffer(value) ? value : Buffer.from(String(value), "latin1");
+        return Buffer.concat([Buffer.from(`$${buf.length}${CRLF}`), buf, Buffer.from(CRLF)]);
+    },
+    array: (items) => {
+        const parts = [Buffer.from(`*${items.length}${CRLF}`)];
+        for (const item of items) {
+            const encoded = typeof item === "number" ? resp.integer(item) : resp.bulk(item);
+            parts.push(Buffer.isBuffer(encoded) ? encoded : Buffer.from(encoded));
+        }
+        return Buffer.concat(parts);
+    },
+};
+
+/**
+ * Parses as many complete commands as the buffer holds.
+ * Keys and arguments are kept as latin1 strings so binary payloads survive the round trip.
+ * @returns {{ commands: string[][], rest: Buffer }}
+ */
+const parseCommands = (buffer) => {
+    const commands = [];
+    let offset = 0;
+
+    const readLine = (from) => {
+        const end = buffer.indexOf(CRLF, from);
+        if (end === -1) return null;
+        return { line: buffer.toString("latin1", from, end), next: end + 2 };
+    };
+
+    while (offset < buffer.length) {
+        const header = readLine(offset);
+        if (!header) break;
+
+        // Inline command (e.g. typed into telnet)
+        if (!header.line.startsWith("*")) {
+            const args = header.line.trim().split(/\s+/).filter(Boolean);
+            if (args.length) commands.push(args);
+            offset = header.next;
+            continue;
+        }
+
+        const count = Number(header.line.slice(1));
+        const args = [];
+        let cursor = header.next;
+        let complete = true;
+
+        for (let i = 0; i < count; i++) {
+            const lengthLine = readLine(cursor);
+            if (!lengthLine) { complete = false; break; }
+
+            const length = Number(lengthLine.line.slice(1));
+            if (lengthLine.next + length + 2 > buffer.length) { complete = false; break; }
+
+            args.push(buffer.toString("latin1", lengthLine.next, lengthLine.next + length));
+            cursor = lengthLine.next + length + 2;
+        }
+
+        if (!complete) break;
+        commands.push(args);
+        offset = cursor;
+    }
+
+    return { commands, rest: buffer.subarray(offset) };
+};
+
+// ==========================================
+// --- Keyspace ---
+// ==========================================
+
+/** @type {Map<string, { type: "string"|"set"|"hash", value: *, expiresAt: number|null }>} */
+const store = new Map();
+
+const getEntry = (key) => {
+    const entry = store.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+        store.delete(key);
+        return undefined;
+    }
+    return entry;
+};
+
+const getTyped = (key, type, create = false) => {
+    let entry = getEntry(key);
+    if (entry && entry.type !== type) {
+        throw new Error("WRONGTYPE Operation against a key holding the wrong kind of value");
+    }
+    if (!entry && create) {
+        entry = { type, value: type === "set" ? new Set() : new Map(), expiresAt: null };
+        store.set(key, entry);
+    }
+    return entry;
+};
+
+// Empty collections disappear, like in Redis
+const dropIfEmpty = (key, entry) => {
+    if (entry && entry.value.size === 0) store.delete(key);
+};
+
+// ==========================================
+// --- Pub/Sub ---
+// ==========================================
+
+/** @type {Map<string, Set<net.Socket>>} */
+const channels = new Map();
+/** @type {Map<string, { regex: RegExp, clients: Set<net.Socket> }>} */
+const patterns = new Map();
+
+const globToRegex = (glob) => {
+    const source = glob.replace(/[.+^${}()|\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    return new RegExp(`^${source}$`, "s");
+};
+
+const subscriptionCount = (client) => client.channels.size + client.patterns.size;
+
+const subscribe = (client, names, isPattern) => {
+    for (const name of names) {
+        if (isPattern) {
+            if (!patterns.has(name)) patterns.set(name, { regex: globToRegex(name), clients: new Set() });
+            patterns.get(name).clients.add(client);
+            client.patterns.add(name);
+        } else {
+            if (!channels.has(name)) channels.set(name, new Set());
+            channels.get(name).add(client);
+            client.channels.add(name);
+        }
+        client.write(resp.array([isPattern ? "psubscribe" : "subscribe", name, subscriptionCount(client)]));
+    }
+};
+
+const unsubscribe = (client, names, isPattern) => {
+    const owned = isPattern ? client.patterns : client.channels;
+    const targets = names.length ? names : [...owned];
+
+    for (const name of targets) {
+        owned.delete(name);
+        if (isPattern) {
+            patterns.get(name)?.clients.delete(client);
+            if (patterns.get(name)?.clients.size === 0) patterns.delete(name);
+        } else {
+            channels.get(name)?.delete(client);
+            if (channels.get(name)?.size === 0) channels.delete(name);
+        }
+        if (!client.destroyed) {
+            client.write(resp.array([isPattern ? "punsubscribe" : "unsubscribe", name, subscriptionCount(client)]));
+        }
+    }
+};
+
+const publish = (channel, message) => {
+    let receivers = 0;
+
+    for (const client of channels.get(channel) || []) {
+        client.write(resp.array(["message", channel, message]));
+        receivers++;
+    }
+
+    for (const [pattern, { regex, clients }] of patterns) {
+        if (!regex.test(channel)) continue;
+        for (const client of clients) {
+            client.write(resp.array(["pmessage", pattern, channel, message]));
+            receivers++;
+        }
+    }
+
+    return receivers;
+};
+
+// ==========================================
+// --- Command Table ---
+// ==========================================
+
+const commands = {
+    PING: (client, [message]) => {
+        if (subscriptionCount(client) > 0) return resp.array(["pong", message ?? ""]);
+        return message === undefined ? resp.simple("PONG") : resp.bulk(message);
+    },
+    ECHO: (client, [message]) => resp.bulk(message),
+    CLIENT: () => resp.ok(),
+    SELECT: () => resp.ok(),
+    QUIT: (client) => {
+        client.end(resp.ok());
+        return null;
+    },
+
+    // --- Strings & Keys ---
+    SET: (client, [key, value, ...options]) => {
+        let expiresAt = null;
+        for (let i = 0; i < options.length; i++) {
+            const option = options[i].toUpperCase();
+            if (option === "EX") expiresAt = Date.now() + Number(options[++i]) * 1000;
+            if (option === "PX") expiresAt = Date.now() + Number(options[++i]);
+        }
+        store.set(key, { type: "string", value, expiresAt });
+        return resp.ok();
+    },
+    GET: (client, [key]) => resp.bulk(getTyped(key, "string")?.value ?? null),
+    DEL: (client, keys) => resp.integer(keys.filter((key) => getEntry(key) && store.delete(key)).length),
+    EXISTS: (client, keys) => resp.integer(keys.filter((key) => getEntry(key)).length),
+    EXPIRE: (client, [key, seconds]) => {
+        const entry = getEntry(key);
+        if (!entry) return resp.integer(0);
+        entry.expiresAt = Date.now() + Number(seconds) * 1000;
+        return resp.integer(1);
+    },
+
+    // --- Sets ---
+    SADD: (client, [key, ...members]) => {
+        const set = getTyped(key, "set", true).value;
+        let added = 0;
+        for (const m of members) if (!set.has(m)) { set.add(m); added++; }
+        return resp.integer(added);
+    },
+    SREM: (client, [key, ...members]) => {
+        const entry = getTyped(key, "set");
+        if (!entry) return resp.integer(0);
+        const removed = members.filter((m) => entry.value.delete(m)).length;
+        dropIfEmpty(key, entry);
+        return resp.integer(removed);
+    },
+    SCARD: (client, [key]) => resp.integer(getTyped(key, "set")?.value.size ?? 0),
+    SMEMBERS: (client, [key]) => resp.array([...(getTyped(key, "set")?.value ?? [])]),
+    SISMEMBER: (client, [key, m]) => resp.integer(getTyped(key, "set")?.value.has(m) ? 1 : 0),
+
+    // --- Hashes ---
+    HSET: (client, [key, ...pairs]) => {
+        const hash = getTyped(key, "hash", true).value;
+        let added = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+            if (!hash.has(pairs[i])) added++;
+            hash.set(pairs[i], pairs[i + 1]);
+        }
+        return resp.integer(added);
+    },
+    HDEL: (client, [key, ...fields]) => {
+        const entry = getTyped(key, "hash");
+        if (!entry) return resp.integer(0);
+        const removed = fields.filter((f) => entry.value.delete(f)).length;
+        dropIfEmpty(key, entry);
+        return resp.integer(removed);
+    },
+    HGETALL: (client, [key]) => resp.array([...(getTyped(key, "hash")?.value ?? [])].flat()),
+
+    // --- Pub/Sub ---
+    PUBLISH: (client, [channel, message]) => resp.integer(publish(channel, message)),
+    SUBSCRIBE: (client, names) => (subscribe(client, names, false), null),
+    PSUBSCRIBE: (client, names) => (subscribe(client, names, true), null),
+    UNSUBSCRIBE: (client, names) => (unsubscribe(client, names, false), null),
+    PUNSUBSCRIBE: (client, names) => (unsubscribe(client, names, true), null),
+    PUBSUB: (client, [subcommand, ...args]) => {
+        if (subcommand.toUpperCase() !== "NUMSUB") return resp.error("only PUBSUB NUMSUB is supported");
+        return resp.array(args.flatMap((name) => [name, channels.get(name)?.size ?? 0]));
+    },
+};
+
+// ==========================================
+// --- Server ---
+// ==========================================
+
+const server = net.createServer((client) => {
+    client.channels = new Set();
+    client.patterns = new Set();
+    let pending = Buffer.alloc(0);
+
+    client.on("data", (chunk) => {
+        const { commands: parsed, rest } = parseCommands(Buffer.concat([pending, chunk]));
+        pending = rest;
+
+        for (const [name, ...args] of parsed) {
+            const handler = commands[name.toUpperCase()];
+            let reply;
+            try {
+                reply = handler ? handler(client, args) : resp.error(`unknown command '${name}'`);
+            } catch (error) {
+                reply = `-${error.message}${CRLF}`;
+            }
+            if (reply !== null && !client.destroyed) client.write(reply);
+        }
+    });
+
+    const cleanup = () => {
+        unsubscribe(client, [], false);
+        unsubscribe(client, [], true);
+    };
+
+    client.on("close", cleanup);
+    client.on("error", () => client.destroy());
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Dev broker listening on redis://localhost:${PORT}`);
+});
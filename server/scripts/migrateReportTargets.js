@@ -0,0 +1,79 @@
+/**
+ * @file migrateReportTargets.js
+ * @description One-off migration to polymorphic report targets.
+ * Reports used to point at posts only (`targetPost`); they now carry `targetType` + `targetId`
+ * (+ `targetOwner`). Audit log entries move from `post` to the same shape, and the
+ * `post_restored` action becomes `content_restored`. Safe to run more than once.
+ *
+ * Usage:
+ *   npm run migrate-report-targets
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+
+dotenv.config();
+
+if (!process.env.MONGO_URL) {
+    console.error("❌ MONGO_URL is not defined in .env file.");
+    process.exit(1);
+}
+
+await mongoose.connect(process.env.MONGO_URL, { serverSelectionTimeoutMS: 5000 });
+
+// Raw collections: the legacy fields are no longer part of the schemas
+const reports = mongoose.connection.collection("reports");
+const moderationLogs = mongoose.connection.collection("moderationlogs");
+
+// 1. Reports: targetPost -> targetType/targetId/targetModel/targetOwner
+const legacyReports = await reports.find({ targetPost: { $exists: true } }).toArray();
+
+const postIds = [...new Set(legacyReports.map((report) => report.targetPost.toString()))];
+const posts = await Post.find({ _id: { $in: postIds } }).select("user").lean();
+const ownerByPost = new Map(posts.map((post) => [post._id.toString(), post.user]));
+
+if (legacyReports.length) {
+    await reports.bulkWrite(
+        legacyReports.map((report) => ({
+            updateOne: {
+                filter: { _id: report._id },
+                update: {
+                    $set: {
+                        targetType: "post",
+                        targetId: report.targetPost,
+                        targetModel: "Post",
+                        targetOwner: ownerByPost.get(report.targetPost.toString()) || null,
+                        snapshot: null,
+                    },
+                    $unset: { targetPost: "" },
+                },
+            },
+        }))
+    );
+}
+console.log(`✅ Reports migrated: ${legacyReports.length}`);
+
+// 2. Audit log: post -> targetType/targetId/targetModel
+const { modifiedCount: logsWithPost } = await moderationLogs.updateMany({ post: { $ne: null, $exists: true } }, [
+    { $set: { targetType: "post", targetId: "$post", targetModel: "Post" } },
+    { $unset: "post" },
+]);
+await moderationLogs.updateMany({ post: null }, { $unset: { post: "" } });
+const { modifiedCount: restoredEntries } = await moderationLogs.updateMany(
+    { action: "post_restored" },
+    { $set: { action: "content_restored" } }
+);
+console.log(`✅ Audit log entries migrated: ${logsWithPost} (restore actions renamed: ${restoredEntries})`);
+
+// 3. Indexes: drop the legacy post-only ones (the new ones are built by Mongoose on startup)
+for (const [collection, name] of [
+    [reports, "targetPost_1"],
+    [reports, "reporter_1_targetPost_1"],
+    [moderationLogs, "post_1_createdAt_-1"],
+]) {
+    await collection.dropIndex(name).catch(() => {});
+}
+
+await mongoose.disconnect();
+process.exit(0);
@@ -0,0 +1,50 @@
+/**
+ * @file migrateSearchIndexes.js
+ * @description Swaps the old English text index on users for the language-neutral search
+ * indexes used by GET /api/search, and builds the new ones on posts and groups.
+ * MongoDB allows a single text index per collection, so the old one must go first. Safe to run more than once.
+ *
+ * Usage:
+ *   npm run migrate-search-indexes
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Post from "../models/Post.js";
+import Group from "../models/Group.js";
+
+dotenv.config();
+
+if (!process.env.MONGO_URL) {
+    console.error("❌ MONGO_URL is not defined in .env file.");
+    process.exit(1);
+}
+
+await mongoose.connect(process.env.MONGO_URL, { serverSelectionTimeoutMS: 5000 });
+
+const SEARCH_INDEXES = [
+    [User, "user_search_text"],
+    [Post, "post_search_text"],
+    [Group, "group_search_text"],
+];
+
+for (const [Model, indexName] of SEARCH_INDEXES) {
+    const existing = await Model.collection.indexes().catch(() => []);
+
+    // 1. Drop any other text index (e.g. the old `full_name_text_username_text`)
+    for (const index of existing) {
+        const isTextIndex = Object.values(index.key).includes("text") || "_fts" in index.key;
+        if (isTextIndex && index.name !== indexName) {
+            await Model.collection.dropIndex(index.name);
+            console.log(`🗑️  ${Model.collection.name}: dropped ${index.name}`);
+        }
+    }
+
+    // 2. Build the schema's indexes (including the new text index)
+    await Model.createIndexes();
+    console.log(`✅ ${Model.collection.name}: ${indexName} ready`);
+}
+
+await mongoose.disconnect();
+process.exit(0);
@@ -0,0 +1,45 @@
+/**
+ * @file promoteAdmin.js
+ * @description Grants (or revokes) the admin role that unlocks the moderation console.
+ * There is deliberately no API for this: roles are changed by someone with database access.
+ *
+ * Usage:
+ *   npm run promote-admin -- jane@example.com
+ *   npm run promote-admin -- jane@example.com --revoke
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+dotenv.config();
+
+const [identifier, flag] = process.argv.slice(2);
+const role = flag === "--revoke" ? "user" : "admin";
+
+if (!identifier) {
+    console.error("Usage: npm run promote-admin -- <email|username> [--revoke]");
+    process.exit(1);
+}
+
+if (!process.env.MONGO_URL) {
+    console.error("❌ MONGO_URL is not defined in .env file.");
+    process.exit(1);
+}
+
+await mongoose.connect(process.env.MONGO_URL, { serverSelectionTimeoutMS: 5000 });
+
+const user = await User.findOneAndUpdate(
+    { $or: [{ email: identifier.toLowerCase() }, { username: identifier.toLowerCase() }] },
+    { role },
+    { new: true }
+);
+
+if (user) {
+    console.log(`✅ ${user.username} (${user.email}) is now "${user.role}".`);
+} else {
+    console.error(`❌ No user found for "${identifier}".`);
+}
+
+await mongoose.disconnect();
+process.exit(user ? 0 : 1);
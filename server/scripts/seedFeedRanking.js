@@ -0,0 +1,181 @@
+/**
+ * @file seedFeedRanking.js
+ * @description Seeds a small, known scenario into a LOCAL MongoDB and checks that the ranked
+ * "For You" feed orders it as expected (prints the score breakdown of every post).
+ * Fixtures use the "rankseed_" username prefix and are removed afterwards (pass --keep to
+ * inspect them, e.g. with GET /api/post/feed?debug=1 as "rankseed_viewer").
+ * The fixtures and expectations are also exported for tests/feedRanking.test.js.
+ *
+ * Usage:
+ *   MONGO_URL=mongodb://127.0.0.1:27017/flurry-dev npm run seed-feed-ranking
+ *   npm run seed-feed-ranking -- --keep
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { fileURLToPath } from "node:url";
+import User from "../models/User.js";
+import Post from "../models/Post.js";
+import Message from "../models/Message.js";
+import { rankForYouFeed } from "../utils/feedRanking.js";
+
+const PREFIX = "rankseed_";
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Fixtures go straight into the collections: never point this at a shared database. */
+export const isLocalMongoUrl = (url) => /^mongodb:\/\/([^@/]*@)?(localhost|127\.0\.0\.1)(:\d+)?\//.test(url || "");
+
+// ==========================================
+// --- Fixtures ---
+// ==========================================
+
+// Posts are backdated relative to the seeding time
+const POSTS = [
+    { author: "friend", hours: 10, likes: 0 },
+    { author: "stranger", hours: 10, likes: 0 },
+    { author: "viral", hours: 30, likes: 40 },
+    { author: "muted", hours: 1, likes: 5 },
+    { author: "archived", hours: 24 * 8, likes: 0 },
+    { author: "old", hours: 24 * 10, likes: 100 },
+];
+
+export const EXPECTATIONS = [
+    ["friend", "stranger", "affinity lifts a friend above a stranger"],
+    ["viral", "stranger", "engagement outweighs a few hours of recency"],
+    ["stranger", "muted", "muted authors are down-ranked"],
+    ["muted", "archived", "posts outside the ranking window come last"],
+    ["archived", "old", "posts outside the ranking window are chronological, whatever their engagement"],
+];
+
+/**
+ * Removes every "rankseed_" user with their posts and messages.
+ */
+export const cleanup = async () => {
+    const ids = await User.find({ username: new RegExp(`^${PREFIX}`) }).distinct("_id");
+    await Promise.all([
+        Post.deleteMany({ user: { $in: ids } }),
+        Message.deleteMany({ $or: [{ sender: { $in: ids } }, { receiver: { $in: ids } }] }),
+        User.deleteMany({ _id: { $in: ids } }),
+    ]);
+};
+
+/**
+ * Seeds the scenario (after removing any previous one).
+ * The viewer is connected to and follows "friend", has DMs with them and muted "muted".
+ * @param {number} [now] - Reference time the posts are backdated from.
+ * @returns {Promise<{ users: Object<string, Object>, viewer: Object, now: number }>}
+ */
+export const seedFixtures = async (now = Date.now()) => {
+    await cleanup();
+
+    const names = ["viewer", ...new Set(POSTS.map((p) => p.author))];
+    const users = {};
+    for (const name of names) {
+        users[name] = await User.create({
+            clerkId: `${PREFIX}${name}`,
+            email: `${PREFIX}${name}@example.test`,
+            username: `${PREFIX}${name}`,
+            full_name: `Rank ${name}`,
+        });
+    }
+
+    const { viewer } = users;
+    viewer.connections = [users.friend._id];
+    viewer.following = [users.friend._id];
+    viewer.mutedUsers = [users.muted._id];
+    await viewer.save();
+
+    const hoursAgo = (hours) => new Date(now - hours * HOUR_MS);
+    const fakeLikes = (count) => Array.from({ length: count }, () => new mongoose.Types.ObjectId());
+
+    // Raw inserts so `createdAt` can be backdated
+    await Post.collection.insertMany(POSTS.map(({ author, hours, likes }) => ({
+        user: users[author]._id,
+        content: `${author} post`,
+        post_type: "text",
+        isHidden: false,
+        hashtags: [],
+        mentions: [],
+        image_urls: [],
+        likes: fakeLikes(likes),
+        comments: [],
+        shares: [],
+        saves: [],
+        reports: [],
+        createdAt: hoursAgo(hours),
+        updatedAt: hoursAgo(hours),
+    })));
+
+    await Message.create([
+        { sender: viewer._id, receiver: users.friend._id, text: "hey" },
+        { sender: users.friend._id, receiver: viewer._id, text: "hi!" },
+    ]);
+
+    return { users, viewer, now };
+};
+
+/**
+ * Ranks the viewer's feed restricted to the fixtures (other local data would make the order
+ * unpredictable). Each post gets an `author` field with its fixture name.
+ * @param {{ users: Object<string, Object>, viewer: Object, now: number }} fixtures
+ * @param {Object} [options] - `rankForYouFeed` params (defaults: first 20 posts as of `now`, with debug).
+ * @returns {Promise<{ posts: Object[], total: number }>}
+ */
+export const rankFixtures = async ({ users, viewer, now }, options = {}) => {
+    const authorIds = Object.values(users).map((u) => u._id);
+    const fixtureAuthors = new Map(Object.entries(users).map(([name, u]) => [u._id.toString(), name]));
+
+    const otherAuthors = await User.find({ _id: { $nin: authorIds } }).distinct("_id");
+    const { posts, total } = await rankForYouFeed(viewer, {
+        excludeList: otherAuthors,
+        asOf: new Date(now),
+        skip: 0,
+        limit: 20,
+        debug: true,
+        ...options,
+    });
+
+    return { posts: posts.map((p) => ({ ...p, author: fixtureAuthors.get(p.user.toString()) })), total };
+};
+
+// ==========================================
+// --- Ranking Check (CLI) ---
+// ==========================================
+
+const main = async () => {
+    dotenv.config();
+    const keep = process.argv.includes("--keep");
+
+    if (!process.env.MONGO_URL) {
+        console.error("❌ MONGO_URL is not defined in .env file.");
+        process.exit(1);
+    }
+
+    if (!isLocalMongoUrl(process.env.MONGO_URL)) {
+        console.error("❌ Refusing to seed: MONGO_URL must point to a local MongoDB (localhost / 127.0.0.1).");
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGO_URL, { serverSelectionTimeoutMS: 5000 });
+
+    const { posts } = await rankFixtures(await seedFixtures());
+
+    const order = posts.map((p) => p.author);
+    console.table(posts.map((p) => ({ author: p.author, ...p.ranking, reasons: p.ranking.reasons.join(", ") })));
+
+    let failures = 0;
+    EXPECTATIONS.forEach(([above, below, label]) => {
+        const ok = order.indexOf(above) < order.indexOf(below);
+        if (!ok) failures++;
+        console.log(`${ok ? "✅" : "❌"} ${label} (${above} > ${below})`);
+    });
+
+    if (!keep) await cleanup();
+
+    await mongoose.disconnect();
+    process.exit(failures ? 1 : 0);
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    await main();
+}
@@ -14,7 +14,8 @@ import { serve } from "inngest/express";
 
 // --- Imports: Internal ---
 import connectDB from "./configs/db.js";
-import { app, server } from "./socket/socket.js"; // Express app instance created here
+import mediaStorage from "./media/storage/index.js";
+import { app, server, initRealtime, closeRealtime } from "./socket/socket.js"; // Express app instance created here
 import { inngest, functions } from "./inngest/index.js";
 
 // --- Imports: Routes ---
@@ -26,6 +27,8 @@ import messageRouter from "./routes/messageRoutes.js";
 import notificationRouter from "./routes/notificationRoutes.js";
 import groupRouter from "./routes/groupRoutes.js";
 import gemeniRouter from "./routes/gemeniRoutes.js";
+import adminRouter from "./routes/adminRoutes.js";
+import searchRouter from "./routes/searchRoutes.js";
 
 // =========================================================
 // 1. Server Configuration & Security
@@ -35,7 +38,13 @@ import gemeniRouter from "./routes/gemeniRoutes.js";
 app.set("trust proxy", 1);
 
 // Compression: Gzip response bodies for faster speed
-app.use(compression());
+// (SSE is skipped: gzip buffering would hold live events back)
+app.use(compression({
+    filter: (req, res) => {
+        if (String(res.getHeader("Content-Type")).startsWith("text/event-stream")) return false;
+        return compression.filter(req, res);
+    }
+}));
 
 // Helmet: Secure HTTP headers
 app.use(helmet({
@@ -116,6 +125,15 @@ app.use(clerkMiddleware({
 
 app.get("/", (req, res) => res.status(200).send("Flurry Server is running 🚀"));
 
+// Local media storage (dev/tests): the API serves the uploaded files itself.
+// Private files (data exports) stay outside the static root and need a signed URL.
+if (mediaStorage.staticDir) {
+    app.use("/uploads", express.static(mediaStorage.staticDir, { maxAge: "7d", fallthrough: false }));
+}
+if (mediaStorage.servePrivate) {
+    app.use("/uploads-private", mediaStorage.servePrivate);
+}
+
 app.use("/api/user", userRouter);
 app.use("/api/connection", connectionRouter);
 app.use("/api/post", postRouter);
@@ -124,6 +142,8 @@ app.use("/api/message", messageRouter);
 app.use("/api/notifications", notificationRouter);
 app.use("/api/group", groupRouter);
 app.use("/api/gemeni", gemeniRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/search", searchRouter);
 
 // =========================================================
 // 5. Error Handling Strategy
@@ -138,6 +158,9 @@ app.use((req, res, next) => {
 
 // Global Error Handler
 app.use((err, req, res, next) => {
+    // Upload limits hit while multer was still reading the request
+    if (err.name === "MulterError") res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400);
+
     const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
 
     res.status(statusCode).json({
@@ -159,15 +182,32 @@ const startServer = async () => {
         // 1. Establish Database Connection
         await connectDB();
 
-        // 2. Start HTTP/Socket Server
+        // 2. Connect the Realtime Adapter (in-memory, or Redis when REDIS_URL is set)
+        await initRealtime();
+
+        // 3. Start HTTP/Socket Server
         server.listen(PORT, () => {
             console.log(`✅ Server running in ${process.env.NODE_ENV || "development"} mode on port: ${PORT}`);
         });
     } catch (error) {
-        console.error("❌ Failed to connect to Database. Server shutting down.");
+        console.error("❌ Failed to initialize Database or Realtime layer. Server shutting down.");
         console.error(error);
         process.exit(1);
     }
 };
 
+// Graceful Shutdown: release this instance's presence so peers don't wait for the sweeper
+const shutdown = async (signal) => {
+    console.log(`🛑 ${signal} received, shutting down...`);
+    try {
+        await closeRealtime();
+    } catch (error) {
+        console.error("Realtime shutdown error:", error);
+    }
+    process.exit(0);
+};
+
+process.once("SIGINT", shutdown);
+process.once("SIGTERM", shutdown);
+
 startServer();
\ No newline at end of file
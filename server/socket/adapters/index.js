@@ -0,0 +1,54 @@
+/**
+ * @file index.js
+ * @description Selects the realtime state & broadcast adapter for this process.
+ *
+ * Every adapter implements the same async interface, so socket.js and the
+ * SSE hub never care where presence lives:
+ *
+ * @typedef {Object} RealtimeAdapter
+ * @property {string} name
+ * @property {(io: import("socket.io").Server) => Promise<void>} connect
+ * @property {() => Promise<void>} close
+ * @property {(userId: string, socketId: string) => Promise<number>} addSocket - Returns the user's socket count
+ * @property {(userId: string, socketId: string) => Promise<number>} removeSocket - Returns the sockets left
+ * @property {() => Promise<string[]>} getOnlineUsers
+ * @property {(userId: string) => Promise<boolean>} isOnline
+ * @property {(userId: string, isHidden: boolean) => Promise<void>} setHidden
+ * @property {() => Promise<Set<string>>} getHiddenUsers
+ * @property {(channel: string, message: *) => Promise<void>} publish - Reaches every instance, including this one
+ * @property {(channel: string, handler: Function) => Promise<void>} subscribe
+ * @property {(onChange: Function) => void} startSweeper
+ *
+ * Configuration:
+ * - REALTIME_ADAPTER: "memory" (default) or "redis"
+ * - REDIS_URL: required for "redis"; setting it alone also selects "redis"
+ * - REDIS_PREFIX: optional key namespace (default "flurry")
+ */
+
+import { createMemoryAdapter } from "./memoryAdapter.js";
+
+const createRealtimeAdapter = async () => {
+    const kind = process.env.REALTIME_ADAPTER || (process.env.REDIS_URL ? "redis" : "memory");
+
+    if (kind === "memory") return createMemoryAdapter();
+
+    if (kind === "redis") {
+        if (!process.env.REDIS_URL) {
+            throw new Error("REALTIME_ADAPTER=redis requires REDIS_URL");
+        }
+
+        // Loaded lazily: the in-memory default never touches the Redis client
+        const { createRedisAdapter } = await import("./redisAdapter.js");
+        return createRedisAdapter({
+            url: process.env.REDIS_URL,
+            prefix: process.env.REDIS_PREFIX || "flurry",
+        });
+    }
+
+    throw new Error(`Unknown REALTIME_ADAPTER "${kind}"`);
+};
+
+/** @type {RealtimeAdapter} */
+const realtime = await createRealtimeAdapter();
+
+export default realtime;
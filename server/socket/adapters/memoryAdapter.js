@@ -0,0 +1,82 @@
+/**
+ * @file memoryAdapter.js
+ * @description In-process implementation of the realtime adapter interface.
+ * Default for single-instance deployments and local development:
+ * presence lives in RAM and pub/sub is a local EventEmitter.
+ */
+
+import { EventEmitter } from "events";
+
+/**
+ * Creates the in-memory realtime adapter.
+ * @returns {import("./index.js").RealtimeAdapter}
+ */
+export const createMemoryAdapter = () => {
+    /** @type {Map<string, Set<string>>} userId -> socket IDs */
+    const userSockets = new Map();
+
+    /** @type {Set<string>} users in "Ghost Mode" */
+    const hiddenUsers = new Set();
+
+    const bus = new EventEmitter();
+    bus.setMaxListeners(0);
+
+    return {
+        name: "memory",
+
+        // Socket.io's default adapter already broadcasts within this process
+        async connect() { },
+
+        async close() {
+            bus.removeAllListeners();
+        },
+
+        // --- Presence ---
+
+        async addSocket(userId, socketId) {
+            if (!userSockets.has(userId)) userSockets.set(userId, new Set());
+            const sockets = userSockets.get(userId);
+            sockets.add(socketId);
+            return sockets.size;
+        },
+
+        async removeSocket(userId, socketId) {
+            const sockets = userSockets.get(userId);
+            if (!sockets) return 0;
+
+            sockets.delete(socketId);
+            if (sockets.size === 0) userSockets.delete(userId);
+            return sockets.size;
+        },
+
+        async getOnlineUsers() {
+            return [...userSockets.keys()];
+        },
+
+        async isOnline(userId) {
+            return userSockets.has(String(userId));
+        },
+
+        async setHidden(userId, isHidden) {
+            if (isHidden) hiddenUsers.add(userId);
+            else hiddenUsers.delete(userId);
+        },
+
+        async getHiddenUsers() {
+            return new Set(hiddenUsers);
+        },
+
+        // --- Pub/Sub ---
+
+        async publish(channel, message) {
+            bus.emit(channel, message);
+        },
+
+        async subscribe(channel, handler) {
+            bus.on(channel, handler);
+        },
+
+        // Nothing can go stale within a single process
+        startSweeper() { },
+    };
+};
@@ -0,0 +1,211 @@
+/**
+ * @file redisAdapter.js
+ * @description Redis-backed implementation of the realtime adapter interface.
+ * Lets several Flurry instances share presence, Ghost Mode and broadcasts:
+ * - Socket.io emits are relayed through `@socket.io/redis-adapter`.
+ * - Presence is stored in Redis sets, keyed per instance so a crashed
+ *   instance's sockets can be swept by the survivors.
+ * - App-level pub/sub (SSE fan-out, presence changes) uses a dedicated subscriber.
+ *
+ * Only plain commands are used (no MULTI/Lua) so it also runs against the
+ * local stand-in broker (`npm run broker`).
+ */
+
+import crypto from "crypto";
+import { createClient } from "redis";
+import { createAdapter } from "@socket.io/redis-adapter";
+
+// --- Tunables ---
+
+/** Lifetime of an instance's liveness key; survivors sweep it once expired. */
+const INSTANCE_TTL_SECONDS = 30;
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Creates the Redis realtime adapter.
+ * @param {Object} options
+ * @param {string} options.url - Redis connection string (e.g. redis://localhost:6379)
+ * @param {string} [options.prefix="flurry"] - Namespace for every key and channel
+ * @returns {import("./index.js").RealtimeAdapter}
+ */
+export const createRedisAdapter = ({ url, prefix = "flurry" }) => {
+    const instanceId = crypto.randomUUID();
+
+    // Three connections: commands, Socket.io's subscriber, and ours
+    const pubClient = createClient({ url });
+    const ioSubClient = pubClient.duplicate();
+    const appSubClient = pubClient.duplicate();
+
+    for (const client of [pubClient, ioSubClient, appSubClient]) {
+        client.on("error", (error) => console.error("[Realtime:redis] Client error:", error.message));
+    }
+
+    // --- Key Builders ---
+    const keys = {
+        userSockets: (userId) => `${prefix}:presence:user:${userId}`,
+        online: `${prefix}:presence:online`,
+        hidden: `${prefix}:presence:hidden`,
+        instances: `${prefix}:instances`,
+        instance: (id) => `${prefix}:instance:${id}`,
+        instanceSockets: (id) => `${prefix}:instance:${id}:sockets`,
+        channel: (name) => `${prefix}:channel:${name}`,
+    };
+
+    // Socket membership is namespaced by instance so stale entries can be traced back
+    const member = (id, socketId) => `${id}:${socketId}`;
+
+    let heartbeatTimer = null;
+    let sweepTimer = null;
+
+    const heartbeat = async () => {
+        await pubClient.set(keys.instance(instanceId), String(Date.now()), { EX: INSTANCE_TTL_SECONDS });
+    };
+
+    /**
+     * Removes a user's socket entry and drops them from the online set when it was the last one.
+     * @returns {Promise<number>} Sockets the user still has across the cluster
+     */
+    const detachSocket = async (ownerId, userId, socketId) => {
+        await pubClient.sRem(keys.userSockets(userId), member(ownerId, socketId));
+        const remaining = await pubClient.sCard(keys.userSockets(userId));
+
+        if (remaining === 0) {
+            await pubClient.sRem(keys.online, userId);
+
+            // Another instance may have registered a socket in between; restore it
+            if (await pubClient.sCard(keys.userSockets(userId)) > 0) {
+                await pubClient.sAdd(keys.online, userId);
+            }
+        }
+
+        return remaining;
+    };
+
+    /**
+     * Drops every socket owned by an instance (crashed peer or our own shutdown).
+     * @returns {Promise<boolean>} Whether anything was removed
+     */
+    const purgeInstance = async (id) => {
+        const sockets = await pubClient.hGetAll(keys.instanceSockets(id));
+        const entries = Object.entries(sockets);
+
+        for (const [socketId, userId] of entries) {
+            const remaining = await detachSocket(id, userId, socketId);
+            if (remaining === 0) await pubClient.sRem(keys.hidden, userId);
+        }
+
+        await pubClient.del(keys.instanceSockets(id));
+        await pubClient.sRem(keys.instances, id);
+        return entries.length > 0;
+    };
+
+    return {
+        name: "redis",
+        instanceId,
+
+        /**
+         * Connects all clients, plugs Socket.io into Redis and starts the heartbeat.
+         * @param {import("socket.io").Server} io
+         */
+        async connect(io) {
+            await Promise.all([pubClient.connect(), ioSubClient.connect(), appSubClient.connect()]);
+
+            io.adapter(createAdapter(pubClient, ioSubClient, { key: `${prefix}:socket.io` }));
+
+            await pubClient.sAdd(keys.instances, instanceId);
+            await heartbeat();
+            heartbeatTimer = setInterval(() => {
+                heartbeat().catch((error) => console.error("[Realtime:redis] Heartbeat failed:", error.message));
+            }, HEARTBEAT_INTERVAL_MS);
+            heartbeatTimer.unref();
+
+            console.log(`🧩 Realtime adapter: redis (instance ${instanceId})`);
+        },
+
+        async close() {
+            clearInterval(heartbeatTimer);
+            clearInterval(sweepTimer);
+
+            try {
+                await purgeInstance(instanceId);
+                await pubClient.del(keys.instance(instanceId));
+            } finally {
+                await Promise.allSettled([pubClient.quit(), ioSubClient.quit(), appSubClient.quit()]);
+            }
+        },
+
+        // --- Presence ---
+
+        async addSocket(userId, socketId) {
+            await pubClient.hSet(keys.instanceSockets(instanceId), socketId, userId);
+            await pubClient.sAdd(keys.userSockets(userId), member(instanceId, socketId));
+            await pubClient.sAdd(keys.online, userId);
+            return pubClient.sCard(keys.userSockets(userId));
+        },
+
+        async removeSocket(userId, socketId) {
+            await pubClient.hDel(keys.instanceSockets(instanceId), socketId);
+            return detachSocket(instanceId, userId, socketId);
+        },
+
+        async getOnlineUsers() {
+            return pubClient.sMembers(keys.online);
+        },
+
+        async isOnline(userId) {
+            return pubClient.sIsMember(keys.online, String(userId));
+        },
+
+        async setHidden(userId, isHidden) {
+            if (isHidden) await pubClient.sAdd(keys.hidden, userId);
+            else await pubClient.sRem(keys.hidden, userId);
+        },
+
+        async getHiddenUsers() {
+            return new Set(await pubClient.sMembers(keys.hidden));
+        },
+
+        // --- Pub/Sub ---
+
+        async publish(channel, message) {
+            await pubClient.publish(keys.channel(channel), JSON.stringify(message));
+        },
+
+        async subscribe(channel, handler) {
+            await appSubClient.subscribe(keys.channel(channel), (raw) => {
+                try {
+                    handler(JSON.parse(raw));
+                } catch (error) {
+                    console.error(`[Realtime:redis] Bad message on ${channel}:`, error.message);
+                }
+            });
+        },
+
+        /**
+         * Periodically removes presence left behind by instances that stopped heartbeating.
+         * @param {Function} onChange - Called when stale sockets were purged
+         */
+        startSweeper(onChange) {
+            sweepTimer = setInterval(async () => {
+                try {
+                    let changed = false;
+                    const peers = await pubClient.sMembers(keys.instances);
+
+                    for (const id of peers) {
+                        if (id === instanceId) continue;
+                        if (await pubClient.exists(keys.instance(id))) continue;
+
+                        console.warn(`[Realtime:redis] Sweeping dead instance ${id}`);
+                        if (await purgeInstance(id)) changed = true;
+                    }
+
+                    if (changed) await onChange();
+                } catch (error) {
+                    console.error("[Realtime:redis] Sweep failed:", error.message);
+                }
+            }, SWEEP_INTERVAL_MS);
+            sweepTimer.unref();
+        },
+    };
+};
@@ -0,0 +1,65 @@
+/**
+ * @file presence.js
+ * @description Presence bookkeeping shared by Socket.io connections and SSE streams.
+ * A user is online while any of their connections (socket or stream, on any instance)
+ * is open; `lastSeen` and the online lists only change when the first one opens or
+ * the last one closes.
+ */
+
+import User from "../models/User.js";
+import realtime from "./adapters/index.js";
+
+/** Channel telling every instance to refresh its clients' online lists (see socket.js). */
+export const PRESENCE_CHANNEL = "presence";
+
+/**
+ * Tells every instance (this one included) to refresh its clients' online lists.
+ */
+export const broadcastPresence = async () => {
+    try {
+        await realtime.publish(PRESENCE_CHANNEL, { at: Date.now() });
+    } catch (error) {
+        console.error("[Presence] Error broadcasting presence:", error);
+    }
+};
+
+/**
+ * Registers a connection. The first one brings the user online: their Ghost Mode
+ * preference is applied and everyone's lists are refreshed.
+ * @param {string} userId
+ * @param {string} connectionId - Socket ID or SSE stream ID
+ * @returns {Promise<number>} The user's open connections, this one included
+ */
+export const addConnection = async (userId, connectionId) => {
+    const count = await realtime.addSocket(userId, connectionId);
+    if (count > 1) return count;
+
+    const user = await User.findById(userId).select("hideOnlineStatus").lean();
+    if (user?.hideOnlineStatus) {
+        await realtime.setHidden(userId, true);
+    }
+
+    await broadcastPresence();
+    return count;
+};
+
+/**
+ * Unregisters a connection. Closing the last one takes the user offline:
+ * Ghost Mode is reset, `lastSeen` is written and everyone's lists are refreshed.
+ * @param {string} userId
+ * @param {string} connectionId - Socket ID or SSE stream ID
+ * @returns {Promise<number>} The user's connections still open
+ */
+export const removeConnection = async (userId, connectionId) => {
+    const remaining = await realtime.removeSocket(userId, connectionId);
+    if (remaining > 0) return remaining;
+
+    try {
+        await realtime.setHidden(userId, false);
+        await User.findByIdAndUpdate(userId, { lastSeen: new Date() });
+    } finally {
+        // The user is offline either way
+        await broadcastPresence();
+    }
+    return 0;
+};
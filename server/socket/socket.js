@@ -4,10 +4,11 @@
  * Architect: Senior Backend Architect
  * Purpose: centralized real-time gateway handling:
  * 1. Connection Lifecycle & Authentication
- * 2. Personalized Presence System (Ghost Mode + Block Logic)
+ * 2. Personalized Presence System (Multi-Device, Ghost Mode + Block Logic)
  * 3. WebRTC Signaling (1:1 Video/Audio Calls)
  * 4. Messaging & Group Events
- * * @version 1.4.0
+ * 5. Multi-Instance Scaling (pluggable adapter, see ./adapters)
+ * * @version 1.6.0
  */
 
 import { Server } from "socket.io";
@@ -18,6 +19,14 @@ import express from "express";
 import Message from "../models/Message.js";
 import User from "../models/User.js";
 
+// Middleware
+import { socketAuth, resolveSocketSession } from "../middlewares/auth.js";
+
+// Shared State & Broadcast Layer
+import realtime from "./adapters/index.js";
+import { initStreams, pushToStream, STREAM_EVENTS } from "./streams.js";
+import { PRESENCE_CHANNEL, broadcastPresence, addConnection, removeConnection } from "./presence.js";
+
 // ==========================================
 // --- Server Configuration ---
 // ==========================================
@@ -40,29 +49,58 @@ const io = new Server(server, {
 
 app.set("io", io);
 
+// Every handshake must carry a valid Clerk session token (see middlewares/auth.js)
+io.use(socketAuth);
+
+/**
+ * Extra time allowed after a token's `exp` before the socket is dropped.
+ * Clerk session tokens are short-lived, so clients refresh them periodically
+ * via the "refreshToken" event; this covers clock skew and throttled tabs.
+ */
+const TOKEN_EXPIRY_GRACE_MS = 60 * 1000;
+
 // ==========================================
 // --- State Management ---
 // ==========================================
 
 /**
- * Maps User IDs to their current active Socket ID.
- * @type {Object.<string, string>}
+ * Presence (userId -> socket IDs, one per device/tab) and "Ghost Mode" users
+ * live in the realtime adapter, so every server instance shares them.
+ * Defaults to in-memory; set REDIS_URL to run several instances.
+ * Sockets and SSE streams register through ./presence.js.
  */
-export const userSocketMap = {};
 
 /**
- * Tracks users who have enabled "Ghost Mode" (Hidden Status).
- * @type {Set<string>}
+ * Name of the personal room every socket of a user joins.
+ * Emitting to it reaches all of the user's devices at once.
+ * @param {string} userId
+ * @returns {string}
  */
-const hiddenUsers = new Set();
+export const getUserRoom = (userId) => `user:${userId}`;
 
 /**
- * Retrieves the socket ID for a given user ID.
- * @param {string} receiverId 
- * @returns {string|undefined}
+ * Checks whether a user has at least one connected socket on any instance.
+ * @param {string|import("mongoose").Types.ObjectId} userId
+ * @returns {Promise<boolean>}
  */
-export const getReceiverSocketId = (receiverId) => {
-    return userSocketMap[receiverId];
+export const isUserOnline = (userId) => {
+    return realtime.isOnline(String(userId));
+};
+
+/**
+ * Emits an event to every connected device of a user, on every instance.
+ * Events listed in STREAM_EVENTS are mirrored to the user's SSE streams too.
+ * A no-op when the user has no sockets or streams.
+ * @param {string|import("mongoose").Types.ObjectId} userId
+ * @param {string} event
+ * @param {*} data
+ */
+export const emitToUser = (userId, event, data) => {
+    io.to(getUserRoom(String(userId))).emit(event, data);
+
+    if (STREAM_EVENTS.has(event)) {
+        pushToStream(userId, event, data);
+    }
 };
 
 // ==========================================
@@ -70,14 +108,16 @@ export const getReceiverSocketId = (receiverId) => {
 // ==========================================
 
 /**
- * Emits a personalized list of online users to each connected client.
+ * Emits a personalized list of online users to each client connected to THIS instance,
  * filtering out users based on Block Lists and Privacy Settings.
  */
 const emitOnlineUsers = async () => {
     try {
-        const onlineIds = Object.keys(userSocketMap);
+        const onlineIds = await realtime.getOnlineUsers();
         if (onlineIds.length === 0) return;
 
+        const hiddenUsers = await realtime.getHiddenUsers();
+
         // Optimization: Fetch blocking/privacy data for ALL online users in one query
         const onlineUsersData = await User.find({ _id: { $in: onlineIds } })
             .select('_id blockedUsers hideOnlineStatus')
@@ -92,11 +132,11 @@ const emitOnlineUsers = async () => {
             });
         });
 
-        // Iterate connected sockets to send personalized views
-        const sockets = await io.fetchSockets();
+        // Iterate local sockets only; peers refresh their own (see broadcastPresence)
+        const sockets = await io.local.fetchSockets();
 
         for (const socket of sockets) {
-            const recipientId = socket.handshake.query.userId;
+            const recipientId = socket.data.userId;
             if (!recipientId) continue;
 
             const personalizedList = onlineIds.filter(targetId => {
@@ -114,36 +154,69 @@ const emitOnlineUsers = async () => {
                 return true;
             });
 
-            io.to(socket.id).emit("getOnlineUsers", personalizedList);
+            socket.emit("getOnlineUsers", personalizedList);
         }
     } catch (error) {
         console.error("[Socket] Error emitting online users:", error);
     }
 };
 
+// ==========================================
+// --- Adapter Bootstrap ---
+// ==========================================
+
+/**
+ * Connects the realtime adapter and wires cross-instance channels.
+ * Must resolve before the HTTP server starts listening.
+ */
+export const initRealtime = async () => {
+    await realtime.connect(io);
+    await realtime.subscribe(PRESENCE_CHANNEL, emitOnlineUsers);
+    await initStreams();
+
+    // Clean up presence left by instances that crashed without disconnecting their users
+    realtime.startSweeper(broadcastPresence);
+};
+
+/**
+ * Releases this instance's presence entries and adapter connections.
+ */
+export const closeRealtime = () => realtime.close();
+
 // ==========================================
 // --- Connection Handler ---
 // ==========================================
 
 io.on("connection", async (socket) => {
-    const userId = socket.handshake.query.userId;
+    // Identity comes from the verified handshake token, never from client input
+    const { userId } = socket.data;
 
-    // 1. Validation & Initialization
-    if (!userId || userId === "undefined") {
-        console.warn(`[Socket] Connection rejected: Invalid userId (${socket.id})`);
-        socket.disconnect();
-        return;
-    }
+    // 1. Session Expiry Tracking
+    let expiryTimer = null;
+
+    const scheduleExpiry = () => {
+        clearTimeout(expiryTimer);
+        const delay = Math.max(socket.data.expiresAt - Date.now(), 0) + TOKEN_EXPIRY_GRACE_MS;
+        expiryTimer = setTimeout(() => {
+            console.warn(`[Socket] Session expired: ${userId} (${socket.id})`);
+            socket.emit("sessionExpired");
+            socket.disconnect(true);
+        }, delay);
+    };
+
+    scheduleExpiry();
 
     console.log(`🔌 User Connected: ${userId} (${socket.id})`);
-    userSocketMap[userId] = socket.id;
 
-    // 2. Initial State Sync (DB -> Memory)
+    // Register this device: a user stays online while any of their sockets is connected
+    socket.join(getUserRoom(userId));
+
+    // 2. Initial State Sync (DB -> Shared State)
     try {
-        const user = await User.findById(userId).select("hideOnlineStatus").lean();
-        if (user?.hideOnlineStatus) {
-            hiddenUsers.add(userId);
-        }
+        // The first connection brings the user online and refreshes everyone's lists;
+        // any later device still needs its own copy of the list
+        const connections = await addConnection(userId, socket.id);
+        if (connections > 1) await broadcastPresence();
 
         // Mark pending messages as delivered
         await Message.updateMany(
@@ -154,18 +227,40 @@ io.on("connection", async (socket) => {
         // Notify senders that messages were delivered
         const pendingSenders = await Message.distinct("sender", { receiver: userId, delivered: true }); // Optimized query
         pendingSenders.forEach((senderId) => {
-            const senderSocketId = userSocketMap[senderId.toString()];
-            if (senderSocketId) {
-                io.to(senderSocketId).emit("messagesDelivered", { toUserId: userId });
-            }
+            emitToUser(senderId, "messagesDelivered", { toUserId: userId });
         });
 
     } catch (error) {
         console.error(`[Socket] Error initializing user ${userId}:`, error);
     }
 
-    // Broadcast updated presence
-    await emitOnlineUsers();
+
+    // ==========================================
+    // --- FEATURE: Session Refresh ---
+    // ==========================================
+
+    /**
+     * REFRESH TOKEN
+     * Payload: token (fresh Clerk session JWT), optional ack callback
+     * The token must belong to the same user that opened the socket.
+     */
+    socket.on("refreshToken", async (token, ack) => {
+        try {
+            const session = await resolveSocketSession(token);
+            if (session.clerkId !== socket.data.clerkId) {
+                throw new Error("Token does not match socket session");
+            }
+
+            socket.data.expiresAt = session.expiresAt;
+            scheduleExpiry();
+            if (typeof ack === "function") ack({ success: true });
+        } catch (error) {
+            console.warn(`[Socket] Token refresh rejected for ${userId}: ${error.message}`);
+            if (typeof ack === "function") ack({ success: false });
+            socket.emit("sessionExpired");
+            socket.disconnect(true);
+        }
+    });
 
 
     // ==========================================
@@ -174,20 +269,23 @@ io.on("connection", async (socket) => {
 
     /**
      * INITIATE CALL
-     * Payload: { userToCall, signalData, from, name, isVideoCall }
+     * Payload: { userToCall, signalData, name, isVideoCall }
+     * Note: 'from' is always the caller's own socket ID (client value is ignored).
+     * Rings every connected device of the callee.
      */
-    socket.on("callUser", ({ userToCall, signalData, from, name, isVideoCall }) => {
-        const socketIdToCall = userSocketMap[userToCall];
-        if (socketIdToCall) {
-            io.to(socketIdToCall).emit("callUser", {
-                signal: signalData,
-                from,
-                name,
-                isVideoCall
-            });
-        } else {
+    socket.on("callUser", async ({ userToCall, signalData, name, isVideoCall }) => {
+        const isRinging = await isUserOnline(userToCall);
+
+        emitToUser(userToCall, "callUser", {
+            signal: signalData,
+            from: socket.id,
+            name,
+            isVideoCall
+        });
+
+        if (!isRinging) {
             // Optional: Emit 'userOffline' to caller if needed
-            // io.to(from).emit("callFailed", { reason: "offline" }); 
+            // socket.emit("callFailed", { reason: "offline" });
         }
     });
 
@@ -198,6 +296,9 @@ io.on("connection", async (socket) => {
      */
     socket.on("answerCall", (data) => {
         io.to(data.to).emit("callAccepted", data.signal);
+
+        // Stop ringing on the callee's other devices
+        socket.to(getUserRoom(userId)).emit("callAnsweredElsewhere");
     });
 
     /**
@@ -205,11 +306,11 @@ io.on("connection", async (socket) => {
      * Payload: { id } (Can be userId or socketId)
      */
     socket.on("endCall", ({ id }) => {
-        // Smart Check: Resolve socket ID whether user sent DB ID or Socket ID
-        const socketIdToEnd = userSocketMap[id] || id;
-        if (socketIdToEnd) {
-            io.to(socketIdToEnd).emit("callEnded");
-        }
+        if (!id) return;
+
+        // Smart Check: Target both readings at once; whichever room exists receives it
+        // (a user ID reaches all of their devices, a socket ID a single one)
+        io.to([getUserRoom(id), id]).emit("callEnded");
     });
 
 
@@ -217,28 +318,26 @@ io.on("connection", async (socket) => {
     // --- FEATURE: Messaging & Status ---
     // ==========================================
 
-    socket.on("messageReceivedConfirm", ({ messageId, senderId, receiverId }) => {
-        const senderSocket = userSocketMap[senderId];
-        if (senderSocket) {
-            io.to(senderSocket).emit("messageDelivered", { messageId, toUserId: receiverId });
-        }
+    socket.on("messageReceivedConfirm", ({ messageId, senderId }) => {
+        emitToUser(senderId, "messageDelivered", { messageId, toUserId: userId });
     });
 
     socket.on("typing", (receiverId) => {
-        const receiverSocketId = userSocketMap[receiverId];
-        if (receiverSocketId) io.to(receiverSocketId).emit("typing");
+        emitToUser(receiverId, "typing");
     });
 
     socket.on("stop typing", (receiverId) => {
-        const receiverSocketId = userSocketMap[receiverId];
-        if (receiverSocketId) io.to(receiverSocketId).emit("stop typing");
+        emitToUser(receiverId, "stop typing");
     });
 
     socket.on("toggleOnlineStatus", async ({ isHidden }) => {
-        if (isHidden) hiddenUsers.add(userId);
-        else hiddenUsers.delete(userId);
+        try {
+            await realtime.setHidden(userId, Boolean(isHidden));
+        } catch (error) {
+            console.error("[Socket] Error toggling online status:", error);
+        }
 
-        await emitOnlineUsers();
+        await broadcastPresence();
     });
 
 
@@ -272,21 +371,14 @@ io.on("connection", async (socket) => {
 
     socket.on("disconnect", async () => {
         console.log(`❌ User Disconnected: ${userId}`);
-
-        if (userId) {
-            // Update Last Seen in DB
-            try {
-                await User.findByIdAndUpdate(userId, { lastSeen: new Date() });
-            } catch (error) {
-                console.error("[Socket] Error updating lastSeen:", error);
-            }
-
-            // Cleanup Memory
-            delete userSocketMap[userId];
-            hiddenUsers.delete(userId);
-
-            // Broadcast updated list
-            await emitOnlineUsers();
+        clearTimeout(expiryTimer);
+
+        // Unregister this device only; the user stays online on their other sockets and streams.
+        // The last one gone (on every instance) resets Ghost Mode, writes lastSeen and broadcasts.
+        try {
+            await removeConnection(userId, socket.id);
+        } catch (error) {
+            console.error("[Socket] Error cleaning up presence:", error);
         }
     });
 });
@@ -0,0 +1,207 @@
+/**
+ * @file streams.js
+ * @description SSE stream registry & cross-instance fan-out.
+ * The fallback live channel for clients that cannot hold a WebSocket: it carries
+ * the same typed events as Socket.io (see STREAM_EVENTS).
+ *
+ * - Each instance only holds the HTTP responses of its own clients; pushes are
+ *   published through the realtime adapter so a stream opened on any instance
+ *   receives them.
+ * - Every instance sees every push, so each one keeps the same short replay
+ *   buffer per user and can resume a stream via `Last-Event-ID`.
+ * - A user may hold several streams (tabs/devices); each counts toward presence.
+ */
+
+import crypto from "crypto";
+import realtime from "./adapters/index.js";
+import { addConnection, removeConnection } from "./presence.js";
+
+// --- Config ---
+
+const SSE_CHANNEL = "sse";
+
+/** Comment line written to idle streams so proxies don't close them. */
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/** Reconnect delay suggested to EventSource. */
+const RETRY_MS = 3000;
+
+/** Events kept per user for `Last-Event-ID` resume. */
+const REPLAY_BUFFER_SIZE = 100;
+const REPLAY_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Streams can't refresh their token in-band, so they are closed this long after it expires.
+ * The client reopens with a fresh token and resumes from its last event ID.
+ */
+const SESSION_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * Socket.io events that are mirrored onto SSE streams by `emitToUser`.
+ * Typing indicators and call signaling stay WebSocket-only.
+ */
+export const STREAM_EVENTS = new Set([
+    "receiveMessage",
+    "receiveGroupMessage",
+    "newNotification",
+    "messageDelivered",
+    "messagesDelivered",
+    "messagesSeen",
+    "messageUpdated",
+    "messageDeleted",
+    "messageReaction",
+    "pollUpdated",
+    "messagePinned",
+    "messageUnpinned",
+]);
+
+// ==========================================
+// --- State (this instance only) ---
+// ==========================================
+
+/**
+ * Open SSE responses per user.
+ * @type {Map<string, Set<import("express").Response>>}
+ */
+const connections = new Map();
+
+/**
+ * Recent events per user, oldest first.
+ * @type {Map<string, Array<{ id: string, event: string, data: *, at: number }>>}
+ */
+const replayBuffers = new Map();
+
+let heartbeatTimer = null;
+
+// ==========================================
+// --- Helpers ---
+// ==========================================
+
+const writeEvent = (res, { id, event, data }) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const pruneReplayBuffer = (userId, now = Date.now()) => {
+    const buffer = replayBuffers.get(userId);
+    if (!buffer) return;
+
+    while (buffer.length && (buffer.length > REPLAY_BUFFER_SIZE || now - buffer[0].at > REPLAY_TTL_MS)) {
+        buffer.shift();
+    }
+    if (buffer.length === 0) replayBuffers.delete(userId);
+};
+
+/**
+ * Records a published event and writes it to the user's local streams.
+ */
+const deliverToLocalStreams = ({ userId, id, event, data }) => {
+    if (!replayBuffers.has(userId)) replayBuffers.set(userId, []);
+    replayBuffers.get(userId).push({ id, event, data, at: Date.now() });
+    pruneReplayBuffer(userId);
+
+    for (const res of connections.get(userId) || []) {
+        writeEvent(res, { id, event, data });
+    }
+};
+
+/**
+ * Replays events missed since `lastEventId`.
+ * Emits "resync" when the ID has already left the buffer, so the client refetches instead.
+ */
+const replayMissedEvents = (userId, lastEventId, res) => {
+    const buffer = replayBuffers.get(userId) || [];
+    const index = buffer.findIndex((entry) => entry.id === lastEventId);
+
+    if (index === -1) {
+        writeEvent(res, { event: "resync", data: { reason: "history_unavailable" } });
+        return;
+    }
+
+    buffer.slice(index + 1).forEach((entry) => writeEvent(res, entry));
+};
+
+// ==========================================
+// --- Public API ---
+// ==========================================
+
+/**
+ * Attaches an SSE response to a user: registers it, replays missed events,
+ * and tears everything down when the client leaves or the session runs out.
+ * Headers must already be set by the caller.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {{ userId: string, expiresAt: number }} session - From `protectStream`
+ */
+export const openStream = (req, res, { userId, expiresAt }) => {
+    const streamId = `sse:${crypto.randomUUID()}`;
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+    // 1. Handshake
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    writeEvent(res, { event: "connected", data: { streamId } });
+
+    // 2. Register & Resume (synchronously, so no live event slips in between)
+    if (!connections.has(userId)) connections.set(userId, new Set());
+    connections.get(userId).add(res);
+
+    if (lastEventId) replayMissedEvents(userId, lastEventId, res);
+
+    // 3. Presence: an open stream counts like a connected socket
+    addConnection(userId, streamId).catch((error) => {
+        console.error("[SSE] Presence registration failed:", error.message);
+    });
+
+    // 4. Session Expiry
+    const expiryTimer = setTimeout(() => {
+        writeEvent(res, { event: "sessionExpired", data: {} });
+        res.end();
+    }, Math.max(expiresAt - Date.now(), 0) + SESSION_GRACE_MS);
+
+    // 5. Cleanup on Client Disconnect (also fires after we end the stream)
+    res.on("close", () => {
+        clearTimeout(expiryTimer);
+
+        const streams = connections.get(userId);
+        streams?.delete(res);
+        if (streams?.size === 0) connections.delete(userId);
+
+        removeConnection(userId, streamId).catch((error) => {
+            console.error("[SSE] Presence cleanup failed:", error.message);
+        });
+        console.log(`[SSE] Client ${userId} disconnected (${streamId})`);
+    });
+};
+
+/**
+ * Sends a typed event to every SSE stream of a user, wherever it is connected.
+ * @param {string|import("mongoose").Types.ObjectId} userId
+ * @param {string} event - Same name as the matching Socket.io event
+ * @param {*} data
+ */
+export const pushToStream = (userId, event, data) => {
+    const message = { userId: String(userId), id: crypto.randomUUID(), event, data };
+
+    realtime.publish(SSE_CHANNEL, message).catch((error) => {
+        console.error("[SSE] Publish failed:", error.message);
+    });
+};
+
+/**
+ * Starts receiving SSE pushes from other instances and the heartbeat loop. Called once at boot.
+ */
+export const initStreams = async () => {
+    await realtime.subscribe(SSE_CHANNEL, deliverToLocalStreams);
+
+    heartbeatTimer = setInterval(() => {
+        for (const streams of connections.values()) {
+            streams.forEach((res) => res.write(": heartbeat\n\n"));
+        }
+
+        // Drop replay history nobody can resume from anymore
+        const now = Date.now();
+        [...replayBuffers.keys()].forEach((userId) => pruneReplayBuffer(userId, now));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+};
@@ -0,0 +1,199 @@
+/**
+ * @file connectionRequests.test.js
+ * @description Connection request emails: the events the controllers queue and the
+ * Inngest workflow (initial email, 24h reminder, cancellation) they drive.
+ * Runs without MongoDB or SMTP; models, `inngest.send` and the mail transport are mocked.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Mailer from "nodemailer/lib/mailer/index.js";
+import { InngestTestEngine } from "@inngest/test";
+
+// Keep the media storage off ImageKit (no keys in tests); must be set before the app modules load
+process.env.MEDIA_STORAGE = "local";
+
+const { inngest, sendNewConnectionRequestReminder } = await import("../inngest/index.js");
+const { sendConnectionRequest, acceptConnection, rejectConnectionRequest } = await import("../controllers/connectionController.js");
+const { default: Connection } = await import("../models/Connection.js");
+const { default: User } = await import("../models/User.js");
+const { default: Notification } = await import("../models/Notification.js");
+
+const REQUESTED = "app/connection-requested";
+const RESOLVED = "app/connection-request.resolved";
+
+// --- Helpers ---
+
+/** Thenable standing in for a Mongoose query (`populate`/`select` chain, then resolves). */
+const fakeQuery = (value) => ({
+    populate() { return this; },
+    select() { return this; },
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+const buildUser = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    full_name: "Test User",
+    username: "test_user",
+    email: "test@example.com",
+    notificationSettings: { email: true },
+    connections: [],
+    sentRequests: [],
+    ...overrides,
+});
+
+const buildConnection = ({ status = "pending", email = true } = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    status,
+    sender: buildUser({ full_name: "Ada Sender", username: "ada" }),
+    receiver: buildUser({ full_name: "Bob Receiver", notificationSettings: { email } }),
+});
+
+/** Runs an express-async-handler controller and resolves with the JSON body (or rejects with its error). */
+const runController = (handler, { userId = "clerk_me", params = {}, body = {} } = {}) =>
+    new Promise((resolve, reject) => {
+        const req = { auth: () => ({ userId }), params, body };
+        const res = {
+            status() { return this; },
+            json: resolve,
+        };
+        handler(req, res, reject);
+    });
+
+const sentEvents = (name) => inngest.send.mock.calls
+    .map((call) => call.arguments[0])
+    .filter((event) => event.name === name);
+
+let sendMail;
+
+beforeEach(() => {
+    // Logs from the mailer and socket helpers are noise here
+    mock.method(console, "log", () => {});
+    sendMail = mock.method(Mailer.prototype, "sendMail", async () => ({ messageId: "test" }));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// --- Controllers ---
+
+describe("connection request events", () => {
+    let me;
+    let other;
+    let pendingId;
+
+    beforeEach(() => {
+        me = buildUser({ full_name: "Me" });
+        other = buildUser({ full_name: "Other" });
+        pendingId = new mongoose.Types.ObjectId();
+
+        mock.method(inngest, "send", async () => ({ ids: ["evt"] }));
+        mock.method(User, "findOne", async () => me);
+        mock.method(User, "findById", async () => other);
+        mock.method(User, "findByIdAndUpdate", async () => null);
+        mock.method(Notification, "create", async () => ({ _id: new mongoose.Types.ObjectId() }));
+        mock.method(Notification, "findOneAndUpdate", async () => null);
+        mock.method(Connection, "findOneAndUpdate", async () => ({ _id: pendingId }));
+        mock.method(Connection, "find", () => fakeQuery([{ _id: pendingId }]));
+        mock.method(Connection, "updateMany", async () => ({ modifiedCount: 1 }));
+    });
+
+    it("emits app/connection-requested when a request is sent", async () => {
+        await runController(sendConnectionRequest, { body: { receiverId: other._id.toString() } });
+
+        assert.deepEqual(sentEvents(REQUESTED).map((e) => e.data), [{ connectionId: pendingId.toString() }]);
+    });
+
+    const resolutions = [
+        { action: "accept", handler: () => acceptConnection, params: () => ({ requestId: other._id.toString() }), status: "accepted" },
+        { action: "reject", handler: () => rejectConnectionRequest, params: () => ({ id: other._id.toString() }), status: "rejected" },
+        // The sender withdraws through the same endpoint, pointing at the receiver
+        { action: "withdraw", handler: () => rejectConnectionRequest, params: () => ({ id: other._id.toString() }), status: "rejected" },
+    ];
+
+    for (const { action, handler, params, status } of resolutions) {
+        it(`emits ${RESOLVED} for the pending request on ${action}`, async () => {
+            await runController(handler(), { params: params() });
+
+            assert.deepEqual(sentEvents(RESOLVED).map((e) => e.data), [{ connectionId: pendingId.toString(), status }]);
+            assert.deepEqual(Connection.find.mock.calls[0].arguments[0].$or, [
+                { sender: me._id, receiver: other._id },
+                { sender: other._id, receiver: me._id },
+            ]);
+            assert.deepEqual(Connection.updateMany.mock.calls[0].arguments, [{ _id: { $in: [pendingId] } }, { status }]);
+        });
+    }
+});
+
+// --- Workflow ---
+
+describe("sendNewConnectionRequestReminder", () => {
+    const execute = (connectionId) => new InngestTestEngine({
+        function: sendNewConnectionRequestReminder,
+        events: [{ name: REQUESTED, data: { connectionId: connectionId.toString() } }],
+        // Resolving the sleep step is the 24 hours passing
+        steps: [{ id: "wait-for-24-hours", handler() {} }],
+    }).execute();
+
+    /** Serves each `findById` call from `states` in turn (initial step first, then the reminder). */
+    const mockConnectionStates = (...states) => {
+        const queue = [...states];
+        mock.method(Connection, "findById", () => fakeQuery(queue.length > 1 ? queue.shift() : queue[0]));
+    };
+
+    it("is cancelled by app/connection-request.resolved for the same connection", () => {
+        assert.deepEqual(sendNewConnectionRequestReminder.opts.cancelOn, [
+            { event: RESOLVED, match: "data.connectionId" },
+        ]);
+    });
+
+    it("sends the reminder after 24h while the request is still pending", async () => {
+        const connection = buildConnection();
+        mockConnectionStates(connection);
+
+        const { result, ctx } = await execute(connection._id);
+
+        assert.deepEqual(ctx.step.sleep.mock.calls, [["wait-for-24-hours", "24h"]]);
+        assert.deepEqual(result, { sent: true, message: "Reminder email sent." });
+        assert.equal(sendMail.mock.callCount(), 2);
+
+        const [initial, reminder] = sendMail.mock.calls.map((call) => call.arguments[0]);
+        assert.equal(initial.to, connection.receiver.email);
+        assert.match(initial.subject, /^New Connection Request from Ada Sender/);
+        assert.match(reminder.subject, /^Reminder: Ada Sender wants to connect/);
+    });
+
+    it("skips the reminder once the request was resolved during the wait", async () => {
+        const connection = buildConnection();
+        mockConnectionStates(connection, { ...connection, status: "accepted" });
+
+        const { result } = await execute(connection._id);
+
+        assert.deepEqual(result, { sent: false, message: "No reminder needed: Connection already accepted." });
+        assert.equal(sendMail.mock.callCount(), 1);
+    });
+
+    it("sends nothing when the recipient turned email notifications off", async () => {
+        const connection = buildConnection({ email: false });
+        mockConnectionStates(connection);
+
+        const { result, ctx } = await execute(connection._id);
+
+        assert.equal(result.sent, false);
+        assert.equal(ctx.step.sleep.mock.calls.length, 0);
+        assert.equal(sendMail.mock.callCount(), 0);
+    });
+
+    it("fails the step when the email can't be sent, so Inngest retries it", async () => {
+        const connection = buildConnection();
+        mockConnectionStates(connection);
+        sendMail.mock.mockImplementation(async () => { throw new Error("SMTP down"); });
+        mock.method(console, "error", () => {});
+
+        const { error } = await execute(connection._id);
+
+        assert.match(error?.message ?? String(error), /Connection request email failed/);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * @file feedRanking.test.js
+ * @description Ranked "For You" feed against the scripts/seedFeedRanking.js scenario:
+ * signal ordering, muted down-ranking, the handoff from the ranked window to the
+ * chronological part, and stable paging for a fixed `asOf`.
+ * Needs a local MongoDB: set TEST_MONGO_URL (e.g. mongodb://127.0.0.1:27017/). The suite
+ * runs in its own database, dropped afterwards, and is skipped when the URL is unset.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import { MUTED_FACTOR } from "../utils/feedRanking.js";
+import { EXPECTATIONS, isLocalMongoUrl, seedFixtures, rankFixtures } from "../scripts/seedFeedRanking.js";
+
+const MONGO_URL = process.env.TEST_MONGO_URL;
+
+const skip = !MONGO_URL
+    ? "TEST_MONGO_URL is not set"
+    : !isLocalMongoUrl(MONGO_URL) && "TEST_MONGO_URL must point to a local MongoDB";
+
+describe("rankForYouFeed (seeded)", { skip }, () => {
+    let fixtures;
+    let full;
+
+    before(async () => {
+        await mongoose.connect(MONGO_URL, { dbName: `flurry-test-ranking-${process.pid}`, serverSelectionTimeoutMS: 5000 });
+        fixtures = await seedFixtures();
+        full = await rankFixtures(fixtures);
+    });
+
+    after(async () => {
+        if (mongoose.connection.readyState === 1) await mongoose.connection.dropDatabase();
+        await mongoose.disconnect();
+    });
+
+    const authorsOf = (posts) => posts.map((p) => p.author);
+
+    for (const [above, below, label] of EXPECTATIONS) {
+        it(`${label} (${above} > ${below})`, () => {
+            const order = authorsOf(full.posts);
+            assert.ok(order.includes(above) && order.includes(below), `missing fixtures in ${order}`);
+            assert.ok(order.indexOf(above) < order.indexOf(below), `got ${order.join(" > ")}`);
+        });
+    }
+
+    it("down-ranks muted authors by MUTED_FACTOR (they would outrank the stranger otherwise)", () => {
+        const byAuthor = Object.fromEntries(full.posts.map((p) => [p.author, p.ranking]));
+        const { muted, stranger } = byAuthor;
+
+        assert.equal(muted.muted, true);
+        assert.equal(stranger.muted, false);
+
+        const unmuted = muted.recency * (1 + muted.engagement) * (1 + muted.affinity);
+        assert.ok(Math.abs(muted.score - unmuted * MUTED_FACTOR) < 0.01, `score ${muted.score}, unmuted ${unmuted}`);
+        assert.ok(unmuted > stranger.score);
+    });
+
+    it("scores the window and lists older posts last, newest first, unscored", () => {
+        const older = full.posts.filter((p) => !p.ranking.inWindow);
+
+        assert.deepEqual(authorsOf(older), ["archived", "old"]);
+        assert.deepEqual(authorsOf(full.posts.slice(-older.length)), ["archived", "old"]);
+        older.forEach((p) => assert.equal(p.ranking.score, 0));
+        assert.equal(full.total, full.posts.length);
+    });
+
+    it("hands off from the window to the chronological part at skip - windowTotal", async () => {
+        const windowTotal = full.posts.filter((p) => p.ranking.inWindow).length;
+
+        // Page straddling the boundary: the last ranked post, then the newest older one
+        const straddling = await rankFixtures(fixtures, { skip: windowTotal - 1, limit: 2 });
+        assert.deepEqual(authorsOf(straddling.posts), [full.posts[windowTotal - 1].author, "archived"]);
+
+        // Page starting past the window: skips the older posts already served
+        const past = await rankFixtures(fixtures, { skip: windowTotal + 1, limit: 5 });
+        assert.deepEqual(authorsOf(past.posts), ["old"]);
+    });
+
+    it("pages with a fixed asOf without duplicates or gaps, ignoring newer posts", async () => {
+        // Created after `asOf`, while the client is paging
+        await Post.collection.insertOne({
+            user: fixtures.users.friend._id,
+            content: "late post",
+            post_type: "text",
+            isHidden: false,
+            likes: [],
+            comments: [],
+            shares: [],
+            saves: [],
+            createdAt: new Date(fixtures.now + 60 * 1000),
+            updatedAt: new Date(fixtures.now + 60 * 1000),
+        });
+
+        const expected = full.posts.map((p) => p._id.toString());
+
+        for (let limit = 1; limit <= expected.length + 1; limit++) {
+            const seen = [];
+            for (let skip = 0; skip < full.total; skip += limit) {
+                const page = await rankFixtures(fixtures, { skip, limit });
+                assert.equal(page.total, full.total);
+                seen.push(...page.posts.map((p) => p._id.toString()));
+            }
+            assert.deepEqual(seen, expected, `limit ${limit}`);
+        }
+    });
+});
@@ -0,0 +1,283 @@
+/**
+ * @file multiInstance.test.js
+ * @description Realtime across instances: starts scripts/devBroker.js and two `server.js`
+ * processes on separate ports (REDIS_URL pointing at the broker), then checks that presence,
+ * `emitToUser` and SSE pushes reach a socket or stream connected to the other instance.
+ * Needs a local MongoDB: set TEST_MONGO_URL (e.g. mongodb://127.0.0.1:27017/). The suite
+ * runs in its own database, dropped afterwards, and is skipped when the URL is unset.
+ * Session tokens are signed with a throwaway key passed to the servers as CLERK_JWT_KEY.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { generateKeyPairSync, createSign } from "node:crypto";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import mongoose from "mongoose";
+import { io } from "socket.io-client";
+import User from "../models/User.js";
+
+const MONGO_URL = process.env.TEST_MONGO_URL;
+const SERVER_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const STARTUP_TIMEOUT_MS = 20 * 1000;
+const EVENT_TIMEOUT_MS = 10 * 1000;
+
+const skip = !MONGO_URL
+    ? "TEST_MONGO_URL is not set"
+    : !/^mongodb:\/\/([^@/]*@)?(localhost|127\.0\.0\.1)(:\d+)?\//.test(MONGO_URL) && "TEST_MONGO_URL must point to a local MongoDB";
+
+// --- Helpers ---
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+/** Spawns `node <script>` in the server folder and resolves once its output matches `ready`. */
+const startProcess = (script, env, ready) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script], {
+        cwd: SERVER_DIR,
+        env: { ...process.env, ...env },
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+    let output = "";
+
+    const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`${script} did not start:\n${output}`));
+    }, STARTUP_TIMEOUT_MS);
+
+    const onData = (chunk) => {
+        output += chunk;
+        if (ready.test(output)) {
+            clearTimeout(timer);
+            resolve(child);
+        }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => {
+        clearTimeout(timer);
+        reject(new Error(`${script} exited (${code}):\n${output}`));
+    });
+});
+
+const stopProcess = (child) => new Promise((resolve) => {
+    if (!child || child.exitCode !== null || child.signalCode !== null) return resolve();
+    child.once("exit", resolve);
+    child.kill("SIGTERM");
+});
+
+const base64url = (value) => Buffer.from(typeof value === "string" ? value : JSON.stringify(value)).toString("base64url");
+
+/** RS256 session token shaped like Clerk's (verified against CLERK_JWT_KEY). */
+const signSessionToken = (privateKey, clerkId) => {
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = `${base64url({ alg: "RS256", typ: "JWT", kid: "ins_test" })}.${base64url({ sub: clerkId, iat: now, nbf: now, exp: now + 3600 })}`;
+    const signature = createSign("RSA-SHA256").update(unsigned).sign(privateKey).toString("base64url");
+    return `${unsigned}.${signature}`;
+};
+
+/** Resolves with the next `event` payload matching `predicate`. */
+const nextEvent = (socket, event, predicate = () => true) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+        socket.off(event, listener);
+        reject(new Error(`Timed out waiting for "${event}"`));
+    }, EVENT_TIMEOUT_MS);
+    const listener = (...args) => {
+        if (!predicate(...args)) return;
+        clearTimeout(timer);
+        socket.off(event, listener);
+        resolve(args);
+    };
+    socket.on(event, listener);
+});
+
+const connectSocket = (port, token) => new Promise((resolve, reject) => {
+    const socket = io(`http://127.0.0.1:${port}`, { auth: { token }, transports: ["websocket"], reconnection: false });
+    // The first list can arrive before the test starts listening
+    socket.on("getOnlineUsers", (list) => { socket.onlineUsers = list; });
+    socket.once("connect", () => resolve(socket));
+    socket.once("connect_error", reject);
+});
+
+/** Resolves once the socket's online list (current or next) matches `predicate`. */
+const onlineUsers = (socket, predicate) =>
+    socket.onlineUsers && predicate(socket.onlineUsers)
+        ? Promise.resolve(socket.onlineUsers)
+        : nextEvent(socket, "getOnlineUsers", predicate).then(([list]) => list);
+
+/**
+ * Opens GET /api/message/stream and parses its events.
+ * @returns {Promise<{ next: (event: string, predicate?: Function) => Promise<*>, close: () => void }>}
+ */
+const openStream = async (port, token) => {
+    const controller = new AbortController();
+    const res = await fetch(`http://127.0.0.1:${port}/api/message/stream?token=${encodeURIComponent(token)}`, {
+        signal: controller.signal,
+    });
+    assert.equal(res.status, 200);
+
+    const received = [];
+    const waiters = new Set();
+    const dispatch = () => {
+        for (const waiter of waiters) {
+            const match = received.find((e) => e.event === waiter.event && waiter.predicate(e.data));
+            if (match) {
+                received.splice(received.indexOf(match), 1);
+                waiters.delete(waiter);
+                waiter.resolve(match.data);
+            }
+        }
+    };
+
+    (async () => {
+        const decoder = new TextDecoder();
+        let buffer = "";
+        for await (const chunk of res.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let end;
+            while ((end = buffer.indexOf("\n\n")) !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const event = block.match(/^event: (.*)$/m)?.[1];
+                const data = block.match(/^data: (.*)$/m)?.[1];
+                if (event) received.push({ event, data: data && JSON.parse(data) });
+            }
+            dispatch();
+        }
+    })().catch(() => {}); // Aborted by close()
+
+    const next = (event, predicate = () => true) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            waiters.delete(waiter);
+            reject(new Error(`Timed out waiting for SSE "${event}"`));
+        }, EVENT_TIMEOUT_MS);
+        const waiter = {
+            event,
+            predicate,
+            resolve: (data) => {
+                clearTimeout(timer);
+                resolve(data);
+            },
+        };
+        waiters.add(waiter);
+        dispatch();
+    });
+
+    await next("connected");
+    return { next, close: () => controller.abort() };
+};
+
+// --- Suite ---
+
+describe("realtime across two instances", { skip }, () => {
+    const processes = [];
+    const clients = [];
+    const users = {};
+    const tokens = {};
+    let ports;
+    let mediaDir;
+
+    before(async () => {
+        const dbUrl = new URL(MONGO_URL);
+        dbUrl.pathname = `/flurry-test-realtime-${process.pid}`;
+
+        await mongoose.connect(dbUrl.toString(), { serverSelectionTimeoutMS: 5000 });
+
+        const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+        for (const name of ["alice", "bob", "carol"]) {
+            users[name] = await User.create({
+                clerkId: `user_test_${name}`,
+                email: `${name}@example.test`,
+                username: `test_${name}`,
+                full_name: `Test ${name}`,
+            });
+            tokens[name] = signSessionToken(privateKey, users[name].clerkId);
+        }
+
+        mediaDir = await mkdtemp(path.join(tmpdir(), "flurry-test-uploads-"));
+        const brokerPort = await freePort();
+        ports = [await freePort(), await freePort()];
+
+        processes.push(await startProcess("scripts/devBroker.js", { BROKER_PORT: String(brokerPort) }, /Dev broker listening/));
+
+        const serverEnv = {
+            MONGO_URL: dbUrl.toString(),
+            REDIS_URL: `redis://127.0.0.1:${brokerPort}`,
+            CLERK_JWT_KEY: publicKey.export({ type: "spki", format: "pem" }),
+            CLERK_SECRET_KEY: "sk_test_multi_instance",
+            CLERK_PUBLISHABLE_KEY: `pk_test_${Buffer.from("example.clerk.accounts.dev$").toString("base64")}`,
+            MEDIA_STORAGE: "local",
+            MEDIA_LOCAL_DIR: mediaDir,
+            FIREBASE_SERVICE_ACCOUNT: "{}",
+            GEMINI_API_KEY: "test",
+            NODE_ENV: "test",
+        };
+        for (const port of ports) {
+            processes.push(await startProcess("server.js", { ...serverEnv, PORT: String(port) }, /Server running/));
+        }
+    });
+
+    after(async () => {
+        clients.forEach((client) => client.close());
+        // Servers first, so they can release their presence entries through the broker
+        for (const child of processes.reverse()) await stopProcess(child);
+        if (mediaDir) await rm(mediaDir, { recursive: true, force: true });
+        if (mongoose.connection.readyState === 1) await mongoose.connection.dropDatabase();
+        await mongoose.disconnect();
+    });
+
+    const id = (name) => users[name]._id.toString();
+    const track = (client) => {
+        clients.push(client);
+        return client;
+    };
+
+    let alice;
+    let bob;
+
+    it("shares presence between sockets on different instances", async () => {
+        alice = track(await connectSocket(ports[0], tokens.alice));
+        bob = track(await connectSocket(ports[1], tokens.bob));
+
+        await onlineUsers(alice, (list) => list.includes(id("bob")));
+        await onlineUsers(bob, (list) => list.includes(id("alice")));
+    });
+
+    it("delivers emitToUser to a socket on the other instance", async () => {
+        const typing = nextEvent(bob, "typing");
+        alice.emit("typing", id("bob"));
+        await typing;
+    });
+
+    it("delivers emitToUser to an SSE stream on the other instance", async () => {
+        const stream = track(await openStream(ports[1], tokens.bob));
+        const messageId = new mongoose.Types.ObjectId().toString();
+
+        const delivered = stream.next("messageDelivered", (data) => data.messageId === messageId);
+        alice.emit("messageReceivedConfirm", { messageId, senderId: id("bob") });
+
+        assert.deepEqual(await delivered, { messageId, toUserId: id("alice") });
+    });
+
+    it("counts an SSE stream on the other instance toward presence", async () => {
+        const stream = track(await openStream(ports[1], tokens.carol));
+        await onlineUsers(alice, (list) => list.includes(id("carol")));
+
+        stream.close();
+        await onlineUsers(alice, (list) => !list.includes(id("carol")));
+
+        const carol = await User.findById(users.carol._id).select("lastSeen").lean();
+        assert.ok(carol.lastSeen, "lastSeen is written when the last connection closes");
+    });
+});
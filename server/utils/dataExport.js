@@ -0,0 +1,199 @@
+/**
+ * @file dataExport.js
+ * @description Builds the "Export my data" archive and manages its private storage.
+ * The archive is a ZIP of JSON files (one per data area) plus a README; media is
+ * referenced by URL rather than copied. Stored as a private file of the media storage
+ * (see media/storage), so it is only reachable through signed URLs that expire with the export.
+ */
+
+import archiver from "archiver";
+import mediaStorage from "../media/storage/index.js";
+// --- Models ---
+import User from "../models/User.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Message from "../models/Message.js";
+import GroupMessage from "../models/GroupMessage.js";
+import Story from "../models/Story.js";
+import Notification from "../models/Notification.js";
+import Report from "../models/Report.js";
+import { withPollView } from "./polls.js";
+
+/** How long a finished export can be downloaded before the archive is removed. */
+export const DATA_EXPORT_TTL_HOURS = 48;
+
+const EXPORT_FOLDER = "/exports";
+const STORY_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+/** Public fields used when expanding user references. */
+const USER_REF_FIELDS = "username full_name";
+
+/** Account fields that are internal plumbing rather than user data. */
+const INTERNAL_USER_FIELDS = "-fcmTokens -__v";
+
+const SOCIAL_GRAPH_FIELDS = [
+    "connections",
+    "pendingRequests",
+    "sentRequests",
+    "followers",
+    "following",
+    "followRequests",
+    "blockedUsers",
+    "mutedUsers",
+];
+
+const README = `Flurry data export
+==================
+
+This archive contains the data Flurry stores about your account, as JSON:
+
+- profile.json        Your account and settings
+- social_graph.json   Connections, followers, following, requests, blocked & muted users
+- posts.json          Your posts (media is listed in "image_urls" and "video")
+- comments.json       Comments and replies you wrote
+- messages.json       Your direct messages (sent and received)
+- group_messages.json Messages you sent in groups
+- stories.json        Your stories that were still live at export time
+- notifications.json  Notifications you received
+- reports.json        Reports you filed
+
+Media files are referenced by URL and are not copied into the archive.
+`;
+
+// ==========================================
+// --- Collection ---
+// ==========================================
+
+/**
+ * Gathers everything stored about a user, grouped by archive file.
+ * @param {string} userId - Mongo ObjectId
+ * @returns {Promise<Record<string, *>|null>} null when the user no longer exists
+ */
+const collectUserData = async (userId) => {
+    const profile = await User.findById(userId)
+        .select(INTERNAL_USER_FIELDS)
+        .populate(SOCIAL_GRAPH_FIELDS.map((path) => ({ path, select: USER_REF_FIELDS })))
+        .lean();
+
+    if (!profile) return null;
+
+    const socialGraph = {};
+    SOCIAL_GRAPH_FIELDS.forEach((field) => {
+        socialGraph[field] = profile[field] || [];
+        delete profile[field];
+    });
+
+    const [posts, comments, messages, groupMessages, stories, notifications, reports] = await Promise.all([
+        Post.find({ user: userId })
+            .select("content image_urls video post_type isHidden likes shares saves comments createdAt updatedAt")
+            .sort({ createdAt: -1 })
+            .lean(),
+        Comment.find({ user: userId })
+            .select("post parentId text likes isEdited createdAt updatedAt")
+            .sort({ createdAt: -1 })
+            .lean(),
+        Message.find({ $or: [{ sender: userId }, { receiver: userId }], deletedBy: { $ne: userId } })
+            .select("-deletedBy -__v")
+            .populate("sender receiver", USER_REF_FIELDS)
+            .sort({ createdAt: 1 })
+            .lean(),
+        GroupMessage.find({ sender: userId, message_type: { $ne: "system" } })
+            .select("-readBy -__v")
+            .populate("group", "name")
+            .sort({ createdAt: 1 })
+            .lean(),
+        Story.find({ user: userId, createdAt: { $gt: new Date(Date.now() - STORY_LIFETIME_MS) } })
+            .select("-__v")
+            .lean(),
+        Notification.find({ recipient: userId })
+            .select("-__v")
+            .populate("sender", USER_REF_FIELDS)
+            .sort({ createdAt: -1 })
+            .lean(),
+        Report.find({ reporter: userId })
+            .select("-__v")
+            .sort({ createdAt: -1 })
+            .lean(),
+    ]);
+
+    return {
+        profile,
+        social_graph: socialGraph,
+        // Interaction lists are exported as counts: they identify other users
+        posts: posts.map(({ likes, shares, saves, comments: postComments, ...post }) => ({
+            ...post,
+            likes_count: likes?.length || 0,
+            shares_count: shares?.length || 0,
+            saves_count: saves?.length || 0,
+            comments_count: postComments?.length || 0,
+        })),
+        comments: comments.map(({ likes, ...comment }) => ({ ...comment, likes_count: likes?.length || 0 })),
+        messages: messages.map(msg => withPollView(msg, userId, { includeVoters: false })),
+        group_messages: groupMessages.map(msg => withPollView(msg, userId, { includeVoters: false })),
+        stories,
+        notifications,
+        reports,
+    };
+};
+
+// ==========================================
+// --- Public API ---
+// ==========================================
+
+/**
+ * Builds the ZIP archive for a user.
+ * @param {string} userId
+ * @returns {Promise<{ buffer: Buffer, fileName: string }|null>} null when the user no longer exists
+ */
+export const buildUserArchive = async (userId) => {
+    const data = await collectUserData(userId);
+    if (!data) return null;
+
+    const zip = archiver("zip", { zlib: { level: 9 } });
+    const chunks = [];
+
+    const finished = new Promise((resolve, reject) => {
+        zip.on("data", (chunk) => chunks.push(chunk));
+        zip.on("end", resolve);
+        zip.on("warning", reject);
+        zip.on("error", reject);
+    });
+
+    zip.append(README, { name: "README.txt" });
+    for (const [name, content] of Object.entries(data)) {
+        zip.append(JSON.stringify(content, null, 2), { name: `${name}.json` });
+    }
+    await zip.finalize();
+    await finished;
+
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+        buffer: Buffer.concat(chunks),
+        fileName: `flurry-export-${data.profile.username}-${date}.zip`,
+    };
+};
+
+/**
+ * Stores an archive as a private file.
+ * @param {Buffer} buffer
+ * @param {string} fileName
+ * @returns {Promise<{ fileId: string, fileUrl: string, size: number }>}
+ */
+export const storeArchive = async (buffer, fileName) => {
+    const file = await mediaStorage.savePrivate({ buffer, fileName, folder: EXPORT_FOLDER });
+    return { fileId: file.fileId, fileUrl: file.url, size: file.size };
+};
+
+/**
+ * Signs a download URL that stops working at `expiresAt`.
+ * @param {string} fileUrl
+ * @param {Date} expiresAt
+ * @returns {string}
+ */
+export const getArchiveDownloadUrl = (fileUrl, expiresAt) => mediaStorage.signedUrl(fileUrl, expiresAt);
+
+/**
+ * Removes an archive from storage (already gone counts as success).
+ * @param {string} fileId
+ */
+export const deleteArchive = (fileId) => mediaStorage.removePrivate(fileId);
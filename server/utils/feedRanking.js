@@ -0,0 +1,228 @@
+/**
+ * @file feedRanking.js
+ * @description Ranked "For You" feed.
+ * Each candidate post gets a score from three signals, multiplied together:
+ *
+ *   score = recency × (1 + engagement) × (1 + affinity) × (muted ? MUTED_FACTOR : 1)
+ *
+ * - recency:    exponential decay with a fixed half-life (1.0 = just posted).
+ * - engagement: ln(1 + weighted likes/comments/shares/saves), so a viral post can't bury everything.
+ * - affinity:   how close the viewer is to the author (connection, follow, past likes, DMs).
+ *
+ * Only posts inside the ranking window are scored. Older posts follow in reverse-chronological
+ * order (a plain indexed query), so the feed never "runs out" and the total stays the same
+ * as the unranked feed.
+ */
+
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import Message from "../models/Message.js";
+
+// --- Tunables ---
+export const RANKING_WINDOW_DAYS = 7;
+export const RECENCY_HALF_LIFE_HOURS = 24;
+export const MUTED_FACTOR = 0.1;
+
+export const ENGAGEMENT_WEIGHTS = { likes: 1, comments: 2, shares: 3, saves: 2 };
+
+export const AFFINITY_WEIGHTS = {
+    connection: 1,
+    following: 0.5,
+    likedPosts: 0.4, // × ln(1 + posts of theirs the viewer liked), capped below
+    messages: 0.5, // × ln(1 + DMs exchanged), capped below
+};
+const AFFINITY_SIGNAL_CAP = 1.5;
+const AFFINITY_LOOKBACK_DAYS = 30;
+const AFFINITY_MAX_AUTHORS = 200; // Per signal: enough for a feed page, bounded for the pipeline
+
+const HOUR_MS = 60 * 60 * 1000;
+const INTERNAL_FIELDS = ["_recency", "_engagement", "_affinity", "_muted", "_score"];
+
+// =========================================================
+// Helpers (Internal)
+// =========================================================
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Per-author affinity for a viewer, with the reasons behind it (for debug output).
+ * @param {Object} viewer - Full user document.
+ * @param {Date} asOf - Reference time.
+ * @returns {Promise<Map<string, { score: number, reasons: string[] }>>}
+ */
+export const buildAffinityMap = async (viewer, asOf) => {
+    const since = new Date(asOf.getTime() - AFFINITY_LOOKBACK_DAYS * 24 * HOUR_MS);
+
+    const [likedAuthors, dmPartners] = await Promise.all([
+        Post.aggregate([
+            { $match: { likes: viewer._id, user: { $ne: viewer._id }, createdAt: { $gte: since } } },
+            { $group: { _id: "$user", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: AFFINITY_MAX_AUTHORS },
+        ]),
+        Message.aggregate([
+            {
+                $match: {
+                    $or: [{ sender: viewer._id }, { receiver: viewer._id }],
+                    createdAt: { $gte: since },
+                },
+            },
+            {
+                $group: {
+                    _id: { $cond: [{ $eq: ["$sender", viewer._id] }, "$receiver", "$sender"] },
+                    count: { $sum: 1 },
+                },
+            },
+            { $sort: { count: -1 } },
+            { $limit: AFFINITY_MAX_AUTHORS },
+        ]),
+    ]);
+
+    const affinity = new Map();
+    const add = (authorId, points, reason) => {
+        const key = authorId.toString();
+        const entry = affinity.get(key) || { score: 0, reasons: [] };
+        entry.score += points;
+        entry.reasons.push(reason);
+        affinity.set(key, entry);
+    };
+
+    (viewer.connections || []).forEach((id) => add(id, AFFINITY_WEIGHTS.connection, "connection"));
+    (viewer.following || []).forEach((id) => add(id, AFFINITY_WEIGHTS.following, "following"));
+    likedAuthors.forEach(({ _id, count }) =>
+        add(_id, Math.min(AFFINITY_WEIGHTS.likedPosts * Math.log1p(count), AFFINITY_SIGNAL_CAP), `liked ${count} posts`)
+    );
+    dmPartners.forEach(({ _id, count }) =>
+        add(_id, Math.min(AFFINITY_WEIGHTS.messages * Math.log1p(count), AFFINITY_SIGNAL_CAP), `${count} messages`)
+    );
+
+    return affinity;
+};
+
+// =========================================================
+// Public API
+// =========================================================
+
+/**
+ * One page of the ranked "For You" feed.
+ *
+ * Pages are computed against a fixed `asOf` time (returned to the client and sent back for the
+ * next pages), so scores don't drift between requests and posts created meanwhile don't shift
+ * the pages.
+ *
+ * @param {Object} viewer - Full user document.
+ * @param {Object} params
+ * @param {Array} params.excludeList - Authors to leave out (see utils/visibility.js).
+ * @param {Date} params.asOf
+ * @param {number} params.skip
+ * @param {number} params.limit
+ * @param {boolean} [params.debug] - Attach a `ranking` breakdown to each post.
+ * @returns {Promise<{ posts: Object[], total: number }>} Lean, unpopulated posts.
+ */
+export const rankForYouFeed = async (viewer, { excludeList, asOf, skip, limit, debug = false }) => {
+    const windowStart = new Date(asOf.getTime() - RANKING_WINDOW_DAYS * 24 * HOUR_MS);
+
+    // Same visibility as the unranked feed
+    const filter = {
+        user: { $nin: excludeList },
+        isHidden: { $ne: true },
+        createdAt: { $lte: asOf },
+    };
+    const windowFilter = { ...filter, createdAt: { $gte: windowStart, $lte: asOf } };
+
+    const [affinity, windowTotal, total] = await Promise.all([
+        buildAffinityMap(viewer, asOf),
+        Post.countDocuments(windowFilter),
+        Post.countDocuments(filter),
+    ]);
+
+    // 1. Ranked part of the page (posts inside the window)
+    let posts = [];
+    if (skip < windowTotal) {
+        const affinityIds = [...affinity.keys()].map((id) => new mongoose.Types.ObjectId(id));
+        const affinityScores = [...affinity.values()].map((entry) => entry.score);
+
+        const ageHours = { $divide: [{ $subtract: [asOf, "$createdAt"] }, HOUR_MS] };
+        const sizeOf = (field) => ({ $size: { $ifNull: [`$${field}`, []] } });
+
+        posts = await Post.aggregate([
+            { $match: windowFilter },
+
+            // Signals
+            {
+                $addFields: {
+                    _recency: { $exp: { $multiply: [-Math.LN2 / RECENCY_HALF_LIFE_HOURS, ageHours] } },
+                    _engagement: {
+                        $ln: {
+                            $add: [
+                                1,
+                                { $multiply: [ENGAGEMENT_WEIGHTS.likes, sizeOf("likes")] },
+                                { $multiply: [ENGAGEMENT_WEIGHTS.comments, sizeOf("comments")] },
+                                { $multiply: [ENGAGEMENT_WEIGHTS.shares, sizeOf("shares")] },
+                                { $multiply: [ENGAGEMENT_WEIGHTS.saves, sizeOf("saves")] },
+                            ],
+                        },
+                    },
+                    _affinity: {
+                        $let: {
+                            vars: { idx: { $indexOfArray: [affinityIds, "$user"] } },
+                            in: { $cond: [{ $gte: ["$$idx", 0] }, { $arrayElemAt: [affinityScores, "$$idx"] }, 0] },
+                        },
+                    },
+                    _muted: { $in: ["$user", viewer.mutedUsers || []] },
+                },
+            },
+
+            // Score
+            {
+                $addFields: {
+                    _score: {
+                        $multiply: [
+                            "$_recency",
+                            { $add: [1, "$_engagement"] },
+                            { $add: [1, "$_affinity"] },
+                            { $cond: ["$_muted", MUTED_FACTOR, 1] },
+                        ],
+                    },
+                },
+            },
+
+            { $sort: { _score: -1, createdAt: -1, _id: -1 } },
+            { $skip: skip },
+            { $limit: limit },
+        ]);
+    }
+
+    // 2. Chronological part (posts older than the window fill the rest of the page)
+    if (posts.length < limit && skip + posts.length < total) {
+        const older = await Post.find({ ...filter, createdAt: { $lt: windowStart } })
+            .sort({ createdAt: -1, _id: -1 })
+            .skip(Math.max(skip - windowTotal, 0))
+            .limit(limit - posts.length)
+            .lean();
+        posts = posts.concat(older);
+    }
+
+    const ranked = posts.map((post) => {
+        const result = { ...post };
+        INTERNAL_FIELDS.forEach((field) => delete result[field]);
+
+        if (debug) {
+            const inWindow = post.createdAt >= windowStart;
+            result.ranking = {
+                score: inWindow ? round(post._score) : 0,
+                ...(inWindow && {
+                    recency: round(post._recency),
+                    engagement: round(post._engagement),
+                    affinity: round(post._affinity),
+                    muted: post._muted,
+                }),
+                reasons: affinity.get(post.user.toString())?.reasons || [],
+                inWindow,
+            };
+        }
+        return result;
+    });
+
+    return { posts: ranked, total };
+};
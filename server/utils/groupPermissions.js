@@ -0,0 +1,88 @@
+/**
+ * @file groupPermissions.js
+ * @description Group roles and what each one may do. Every privileged group action
+ * checks a permission here instead of comparing against `group.owner`.
+ *
+ * Roles, highest first: owner > admin > moderator > member.
+ * `group.owner` stays the source of truth for ownership (older groups stored the owner
+ * as an "admin" member), so the owner's role is always resolved from it.
+ */
+
+export const GROUP_ROLES = ["owner", "admin", "moderator", "member"];
+
+/** Roles that can be given through promote/demote (ownership is transferred instead). */
+export const ASSIGNABLE_ROLES = ["admin", "moderator", "member"];
+
+const ROLE_RANK = { owner: 3, admin: 2, moderator: 1, member: 0 };
+
+/** Permission -> roles allowed. */
+export const GROUP_PERMISSIONS = {
+    kick_members: ["owner", "admin", "moderator"],
+    approve_requests: ["owner", "admin", "moderator"],
+    delete_messages: ["owner", "admin", "moderator"], // Other members' messages
+    pin_messages: ["owner", "admin", "moderator"],
+    post_when_locked: ["owner", "admin", "moderator"],
+    post_announcements: ["owner", "admin"], // Post while the group is announcement-only
+    lock_chat: ["owner", "admin"],
+    edit_info: ["owner", "admin"],
+    manage_roles: ["owner", "admin"],
+    manage_invites: ["owner", "admin"],
+};
+
+const idOf = (value) => String(value?._id || value);
+
+/**
+ * A user's role in a group, or null when they are not an accepted member.
+ * Works with populated and unpopulated `members.user` / `owner`.
+ * @param {Object} group
+ * @param {string|Object} userId
+ * @returns {"owner"|"admin"|"moderator"|"member"|null}
+ */
+export const getMemberRole = (group, userId) => {
+    if (!group || !userId) return null;
+    const id = idOf(userId);
+    if (idOf(group.owner) === id) return "owner";
+
+    const member = group.members.find(m => m.user && idOf(m.user) === id && m.status === "accepted");
+    if (!member) return null;
+    return member.role === "owner" ? "admin" : member.role || "member"; // A stale "owner" row is not the owner
+};
+
+/**
+ * @param {Object} group
+ * @param {string|Object} userId
+ * @param {keyof GROUP_PERMISSIONS} permission
+ * @returns {boolean}
+ */
+export const hasGroupPermission = (group, userId, permission) => {
+    const role = getMemberRole(group, userId);
+    return Boolean(role) && GROUP_PERMISSIONS[permission].includes(role);
+};
+
+/**
+ * Every permission a user holds in a group (sent to the client with the group details).
+ * @param {Object} group
+ * @param {string|Object} userId
+ * @returns {string[]}
+ */
+export const listGroupPermissions = (group, userId) => {
+    const role = getMemberRole(group, userId);
+    if (!role) return [];
+    return Object.keys(GROUP_PERMISSIONS).filter(permission => GROUP_PERMISSIONS[permission].includes(role));
+};
+
+/** Whether role `a` is strictly above role `b`. */
+export const outranks = (a, b) => (ROLE_RANK[a] ?? -1) > (ROLE_RANK[b] ?? -1);
+
+/**
+ * Throws 403 (status set on `res`) unless the user holds the permission.
+ * @returns {string} The user's role.
+ */
+export const requireGroupPermission = (res, group, userId, permission) => {
+    const role = getMemberRole(group, userId);
+    if (!role || !GROUP_PERMISSIONS[permission].includes(role)) {
+        res.status(403);
+        throw new Error("You don't have permission to do this in this group");
+    }
+    return role;
+};
@@ -0,0 +1,54 @@
+/**
+ * @file hashtags.js
+ * @description Hashtag parsing shared by post create/update, the hashtag feed and the backfill script.
+ * Tags are Unicode-aware (Arabic, accented Latin, ...) and stored lowercased without the "#".
+ */
+
+/** Longest tag we index; anything longer is almost always spam. */
+export const MAX_HASHTAG_LENGTH = 50;
+
+/** Upper bound of tags stored per post. */
+export const MAX_HASHTAGS_PER_POST = 30;
+
+/**
+ * "#tag" preceded by start-of-text or a non-word character, so URL fragments
+ * ("page#section") and HTML entities ("&#39;") are not picked up.
+ * Shared with the client renderer (keep in sync with client/src/utils/hashtags.js).
+ */
+const HASHTAG_REGEX = /(?:^|[^\p{L}\p{M}\p{N}_&#/])#([\p{L}\p{M}\p{N}_]+)/gu;
+
+/** Tags made only of digits ("#1") are not topics. */
+const DIGITS_ONLY = /^\p{N}+$/u;
+
+/**
+ * Normalizes a tag for storage and lookups: strips a leading "#", trims, lowercases.
+ * @param {string} tag
+ * @returns {string} The normalized tag, or "" when it is not a valid hashtag.
+ */
+export const normalizeHashtag = (tag) => {
+    if (!tag || typeof tag !== "string") return "";
+
+    const normalized = tag.trim().replace(/^#/, "").normalize("NFC").toLowerCase();
+    if (!normalized || normalized.length > MAX_HASHTAG_LENGTH) return "";
+    if (!/^[\p{L}\p{M}\p{N}_]+$/u.test(normalized) || DIGITS_ONLY.test(normalized)) return "";
+
+    return normalized;
+};
+
+/**
+ * Extracts the unique, normalized hashtags from post content (in order of appearance).
+ * @param {string} content
+ * @returns {string[]}
+ */
+export const extractHashtags = (content) => {
+    if (!content || typeof content !== "string") return [];
+
+    const tags = new Set();
+    for (const match of content.matchAll(HASHTAG_REGEX)) {
+        const tag = normalizeHashtag(match[1]);
+        if (tag) tags.add(tag);
+        if (tags.size >= MAX_HASHTAGS_PER_POST) break;
+    }
+
+    return [...tags];
+};
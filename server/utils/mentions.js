@@ -0,0 +1,133 @@
+/**
+ * @file mentions.js
+ * @description "@username" mentions for posts, comments and group messages.
+ * Resolves handles to users the author is allowed to tag, and notifies them
+ * (in-app notification + push).
+ */
+
+import User from "../models/User.js";
+import { createNotification } from "../controllers/notificationController.js";
+import { sendPushNotification } from "./sendNotification.js";
+
+/** Cap per post/comment/message, so a single item can't be used to mass-notify. */
+export const MAX_MENTIONS = 10;
+
+/**
+ * "@handle" preceded by start-of-text or a non-handle character (skips emails like "a@b.com").
+ * Handles follow the username rules (see utils/userSync.js): a-z, 0-9, ".", "_", "-".
+ */
+const MENTION_REGEX = /(?:^|[^a-zA-Z0-9._@-])@([a-zA-Z0-9._-]{3,30})/g;
+
+/**
+ * Extracts the unique, lowercased handles mentioned in a text.
+ * A trailing "." or "-" is usually punctuation ("thanks @sara."), so both forms are kept as candidates.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const extractMentionHandles = (text) => {
+    if (!text || typeof text !== "string") return [];
+
+    const handles = new Set();
+    for (const match of text.matchAll(MENTION_REGEX)) {
+        const handle = match[1].toLowerCase();
+        handles.add(handle);
+
+        const trimmed = handle.replace(/[.-]+$/, "");
+        if (trimmed.length >= 3) handles.add(trimmed);
+    }
+
+    return [...handles];
+};
+
+/**
+ * Resolves the mentions in a text to the users the author may tag.
+ * Skips the author, inactive accounts, blocks in either direction, and private
+ * accounts the author has no relationship with (not a follower or connection).
+ *
+ * @param {string} text
+ * @param {Object} author - The author's user document (needs `_id` and `blockedUsers`).
+ * @param {Object} [options]
+ * @param {Array<import("mongoose").Types.ObjectId|string>} [options.allowedIds] - Restrict to these users (e.g. group members).
+ * @returns {Promise<Object[]>} Lean users (`_id`, `username`), at most MAX_MENTIONS.
+ */
+export const resolveMentions = async (text, author, { allowedIds } = {}) => {
+    const handles = extractMentionHandles(text);
+    if (!handles.length) return [];
+
+    const idFilter = { $ne: author._id, $nin: author.blockedUsers || [] };
+    if (allowedIds) idFilter.$in = allowedIds;
+
+    return User.find({
+        username: { $in: handles },
+        _id: idFilter,
+        blockedUsers: { $ne: author._id },
+        deactivatedAt: null,
+        suspendedAt: null,
+        $or: [
+            { isPrivate: { $ne: true } },
+            { followers: author._id },
+            { connections: author._id },
+        ],
+    })
+        .select("_id username")
+        .limit(MAX_MENTIONS)
+        .lean();
+};
+
+/**
+ * Sends a "mention" notification (in-app + push) to each mentioned user.
+ * Best-effort: failures are logged and never break the request that triggered them.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.users - Resolved mentions (see resolveMentions).
+ * @param {Object} params.sender - The author's user document.
+ * @param {string} params.context - "post" | "comment" | "group" (used in the push text).
+ * @param {import("mongoose").Types.ObjectId} [params.post]
+ * @param {import("mongoose").Types.ObjectId} [params.commentId]
+ * @param {Object} [params.group] - Group document, for group chat mentions.
+ */
+export const notifyMentions = async ({ users, sender, context, post, commentId, group }) => {
+    if (!users?.length) return;
+
+    const pushBody = {
+        post: `${sender.full_name} mentioned you in a post`,
+        comment: `${sender.full_name} mentioned you in a comment`,
+        group: `${sender.full_name} mentioned you in ${group?.name || "a group"}`,
+    }[context];
+
+    await Promise.all(
+        users.map(async (user) => {
+            try {
+                await createNotification({
+                    recipient: user._id,
+                    sender: sender._id,
+                    type: "mention",
+                    post,
+                    commentId,
+                    group: group?._id,
+                });
+
+                await sendPushNotification(user._id, "New mention", pushBody, {
+                    type: "mention",
+                    postId: post?.toString() || "",
+                    groupId: group?._id?.toString() || "",
+                    senderId: sender._id.toString(),
+                    senderImage: sender.profile_picture || "",
+                });
+            } catch (error) {
+                console.warn("Notification Error (Mention):", error.message);
+            }
+        })
+    );
+};
+
+/**
+ * Users in `next` that weren't already in `previous` (so edits only notify new mentions).
+ * @param {Array<import("mongoose").Types.ObjectId>} previous
+ * @param {Object[]} next - Resolved mentions.
+ * @returns {Object[]}
+ */
+export const getNewMentions = (previous = [], next = []) => {
+    const known = new Set(previous.map((id) => id.toString()));
+    return next.filter((user) => !known.has(user._id.toString()));
+};
@@ -0,0 +1,209 @@
+/**
+ * @file pagination.js
+ * @description Cursor pagination for newest-first lists (feeds, chats, notifications).
+ *
+ * Cursors are opaque to clients (base64url JSON). List cursors point at the last item
+ * returned, by `createdAt` + `_id`, so items created between two requests never shift
+ * a page (no duplicates, no gaps) and every page is an index range scan instead of a skip.
+ *
+ * The legacy `page` param keeps working for one release: when it is sent without a
+ * cursor the list falls back to skip/limit (and still returns `nextCursor`, so clients
+ * can switch over mid-scroll).
+ *
+ * Chat histories can also be read forwards (`?after=`) and opened as a window around
+ * one message (findWindow), so a client can jump to an old message and scroll back down.
+ */
+
+import mongoose from "mongoose";
+
+/** Newest first; `_id` breaks ties between items created in the same millisecond. */
+export const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+const OLDEST_FIRST = { createdAt: 1, _id: 1 };
+
+const MAX_LIMIT = 50;
+
+// =========================================================
+// Encoding
+// =========================================================
+
+/**
+ * @param {Object} payload - Plain JSON payload.
+ * @returns {string}
+ */
+export const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+/**
+ * @param {string} raw
+ * @returns {Object|null} null when the cursor is malformed.
+ */
+export const decodeCursor = (raw) => {
+    if (!raw || typeof raw !== "string") return null;
+    try {
+        const payload = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+        return payload && typeof payload === "object" ? payload : null;
+    } catch {
+        return null;
+    }
+};
+
+/** Cursor pointing at a list item. */
+const encodeItemCursor = (item) => encodeCursor({ t: new Date(item.createdAt).getTime(), id: item._id.toString() });
+
+const decodeItemCursor = (raw) => {
+    const payload = decodeCursor(raw);
+    if (!payload || !Number.isFinite(payload.t) || !mongoose.isValidObjectId(payload.id)) return null;
+    return { createdAt: new Date(payload.t), _id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+// =========================================================
+// Request Parsing
+// =========================================================
+
+/**
+ * Page size from `?limit=`, clamped to 1..MAX_LIMIT.
+ * @param {Object} query - `req.query`.
+ * @param {number} [defaultLimit=20]
+ * @returns {number}
+ */
+export const parseLimit = (query, defaultLimit = 20) =>
+    Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT);
+
+/**
+ * Reads `cursor` / `limit` (and the deprecated `page`) from a query string.
+ * @param {Object} query - `req.query`.
+ * @param {Object} [options]
+ * @param {number} [options.defaultLimit=20]
+ * @param {boolean} [options.allowNewer=false] - Also accept `after` (items newer than that cursor).
+ * @returns {Object|null} Pagination params, or null when the cursor is invalid (respond 400).
+ */
+export const parseListParams = (query, { defaultLimit = 20, allowNewer = false } = {}) => {
+    const limit = parseLimit(query, defaultLimit);
+
+    if (allowNewer && query.after) {
+        const cursor = decodeItemCursor(query.after);
+        return cursor ? { mode: "after", cursor, limit } : null;
+    }
+
+    if (query.cursor) {
+        const cursor = decodeItemCursor(query.cursor);
+        return cursor ? { mode: "cursor", cursor, limit } : null;
+    }
+
+    if (query.page) {
+        // Deprecated: page-based params are kept for one release
+        const page = Math.max(parseInt(query.page) || 1, 1);
+        return { mode: "page", page, skip: (page - 1) * limit, limit };
+    }
+
+    return { mode: "cursor", cursor: null, limit };
+};
+
+// =========================================================
+// Query Execution
+// =========================================================
+
+/** Items strictly older / newer than a `{ createdAt, _id }` position. */
+const olderThan = ({ createdAt, _id }) => ({
+    $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }],
+});
+const newerThan = ({ createdAt, _id }) => ({
+    $or: [{ createdAt: { $gt: createdAt } }, { createdAt, _id: { $gt: _id } }],
+});
+
+/**
+ * Fetches one newest-first page of `Model` matching `filter`.
+ * In `after` mode the page holds the items just newer than the cursor (still returned
+ * newest first) and `nextCursor` continues forwards.
+ *
+ * @param {import("mongoose").Model} Model
+ * @param {Object} filter
+ * @param {Object} params - From parseListParams.
+ * @param {Function} [build] - Adds populate/select/lean to the query: `(query) => query`.
+ * @returns {Promise<{ items: Object[], hasMore: boolean, nextCursor: string|null, currentPage?: number, totalPages?: number }>}
+ *   Legacy (page) mode also returns `currentPage` / `totalPages`.
+ */
+export const findPage = async (Model, filter, params, build = (query) => query) => {
+    const { limit } = params;
+
+    if (params.mode === "page") {
+        const [items, total] = await Promise.all([
+            build(Model.find(filter).sort(NEWEST_FIRST).skip(params.skip).limit(limit)),
+            Model.countDocuments(filter),
+        ]);
+        const hasMore = total > params.skip + items.length;
+
+        return {
+            items,
+            hasMore,
+            nextCursor: hasMore && items.length ? encodeItemCursor(items[items.length - 1]) : null,
+            currentPage: params.page,
+            totalPages: Math.ceil(total / limit),
+        };
+    }
+
+    const { cursor } = params;
+
+    if (params.mode === "after") {
+        const rows = await build(Model.find({ $and: [filter, newerThan(cursor)] }).sort(OLDEST_FIRST).limit(limit + 1));
+        const hasMore = rows.length > limit;
+        const items = (hasMore ? rows.slice(0, limit) : rows).reverse();
+
+        return { items, hasMore, nextCursor: hasMore ? encodeItemCursor(items[0]) : null };
+    }
+
+    // One extra item tells us whether there is a next page without counting
+    const after = cursor ? olderThan(cursor) : {};
+    const rows = await build(Model.find({ $and: [filter, after] }).sort(NEWEST_FIRST).limit(limit + 1));
+    const hasMore = rows.length > limit;
+    const items = hasMore ? rows.slice(0, limit) : rows;
+
+    return { items, hasMore, nextCursor: hasMore ? encodeItemCursor(items[items.length - 1]) : null };
+};
+
+/**
+ * Fetches a newest-first window of `Model` centred on one item (jump to an old message).
+ * `nextCursor` continues into older items as usual; `newerCursor` continues into newer
+ * ones through `?after=`, and is null when the window already reaches the newest item.
+ *
+ * @param {import("mongoose").Model} Model
+ * @param {Object} filter - The list's filter (the anchor must match it too).
+ * @param {string} anchorId - `_id` of the item to centre on.
+ * @param {number} limit - Total window size (about half on each side).
+ * @param {Function} [build] - As in findPage.
+ * @returns {Promise<{ items: Object[], hasMore: boolean, nextCursor: string|null, newerCursor: string|null }|null>}
+ *   null when the anchor doesn't exist in this list.
+ */
+export const findWindow = async (Model, filter, anchorId, limit, build = (query) => query) => {
+    if (!mongoose.isValidObjectId(anchorId)) return null;
+
+    const anchor = await build(Model.findOne({ $and: [filter, { _id: anchorId }] }));
+    if (!anchor) return null;
+
+    const position = { createdAt: anchor.createdAt, _id: anchor._id };
+    const newerLimit = Math.floor((limit - 1) / 2);
+
+    const [older, newer] = await Promise.all([
+        findPage(Model, filter, { mode: "cursor", cursor: position, limit: limit - 1 - newerLimit }, build),
+        findPage(Model, filter, { mode: "after", cursor: position, limit: newerLimit }, build),
+    ]);
+
+    return {
+        items: [...newer.items, anchor, ...older.items],
+        hasMore: older.hasMore,
+        nextCursor: older.hasMore ? older.nextCursor : null,
+        newerCursor: newer.hasMore ? newer.nextCursor : null,
+    };
+};
+
+/**
+ * Response fields for a page: `hasMore` + `nextCursor`, plus the legacy counters when present
+ * (and `newerCursor` for windows).
+ * @param {Object} page - From findPage / findWindow.
+ * @returns {Object}
+ */
+export const pageMeta = ({ hasMore, nextCursor, currentPage, totalPages, newerCursor }) => ({
+    hasMore,
+    nextCursor,
+    ...(currentPage !== undefined && { currentPage, totalPages }),
+    ...(newerCursor !== undefined && { newerCursor }),
+});
@@ -0,0 +1,65 @@
+/**
+ * @file pins.js
+ * @description Pinned messages shared by group chats (GroupMessage) and 1:1 chats (Message):
+ * which messages can be pinned, the per-chat cap, and the summary the pinned-messages bar
+ * renders (the pinned message itself may not be loaded in the chat yet).
+ */
+
+export const MAX_PINNED_MESSAGES = 5;
+
+// Poll results stay out of the summary: only the question is shown in the bar
+const PINNED_SUMMARY_FIELDS = "group sender receiver text message_type attachment.name poll.question pinnedAt pinnedBy createdAt";
+
+/** Pins that still count: deleted or hidden messages drop out of the bar and free their slot. */
+const activePins = (chatFilter) => ({
+    ...chatFilter,
+    pinnedAt: { $ne: null },
+    isDeleted: { $ne: true },
+    isHidden: { $ne: true }
+});
+
+const POPULATE_PINNED = [
+    { path: "sender", select: "full_name username profile_picture" },
+    { path: "pinnedBy", select: "full_name username" }
+];
+
+/**
+ * Throws 400 (status set on `res`) for messages that can't be pinned:
+ * deleted, hidden by moderation, or group system messages.
+ * @param {Object} res
+ * @param {Object} message
+ */
+export const requirePinnable = (res, message) => {
+    if (message.isDeleted || message.isHidden || message.message_type === "system") {
+        res.status(400);
+        throw new Error("This message can't be pinned");
+    }
+};
+
+/**
+ * Throws 400 (status set on `res`) once the chat already has `MAX_PINNED_MESSAGES` pins.
+ * @param {Object} res
+ * @param {import("mongoose").Model} Model - GroupMessage or Message
+ * @param {Object} chatFilter - Messages of the chat, e.g. `{ group }`
+ */
+export const requirePinCapacity = async (res, Model, chatFilter) => {
+    const pinnedCount = await Model.countDocuments(activePins(chatFilter));
+    if (pinnedCount >= MAX_PINNED_MESSAGES) {
+        res.status(400);
+        throw new Error(`Up to ${MAX_PINNED_MESSAGES} messages can be pinned. Unpin one first.`);
+    }
+};
+
+/**
+ * Pinned messages of a chat as bar summaries, most recently pinned first.
+ * @param {import("mongoose").Model} Model - GroupMessage or Message
+ * @param {Object} chatFilter - Messages of the chat (or `{ _id }` for a single pin)
+ * @returns {Promise<Object[]>}
+ */
+export const findPinnedMessages = (Model, chatFilter) => Model
+    .find(activePins(chatFilter))
+    .sort({ pinnedAt: -1 })
+    .limit(MAX_PINNED_MESSAGES)
+    .select(PINNED_SUMMARY_FIELDS)
+    .populate(POPULATE_PINNED)
+    .lean();
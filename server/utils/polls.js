@@ -0,0 +1,299 @@
+/**
+ * @file polls.js
+ * @description Poll rules shared by group chats (GroupMessage) and 1:1 chats (Message):
+ * validating a new poll, voting (change / retract), options added by participants,
+ * closing at the deadline, and the per-viewer view sent to clients.
+ *
+ * Clients never receive raw voter ids for anonymous polls: every response and socket
+ * payload goes through `pollView`, which reduces options to vote counts plus the
+ * viewer's own choices (`myVotes`).
+ */
+
+import GroupMessage from "../models/GroupMessage.js";
+import Message from "../models/Message.js";
+import { io, emitToUser } from "../socket/socket.js";
+
+export const POLL_MAX_OPTIONS = 10;
+export const POLL_MAX_DURATION_HOURS = 24 * 30;
+
+const POLL_QUESTION_MAX_LENGTH = 300;
+const POLL_OPTION_MAX_LENGTH = 100;
+
+const idOf = (value) => String(value?._id || value);
+
+const badRequest = (res, message) => {
+    res.status(400);
+    throw new Error(message);
+};
+
+/**
+ * Validates a create-poll body and returns the `poll` sub-document.
+ * Throws 400 (status set on `res`) on invalid input.
+ * @param {Object} res
+ * @param {Object} body - { question, options[], allowMultipleAnswers, isAnonymous, allowAddOptions, closesAt }
+ * @returns {Object}
+ */
+export const buildPoll = (res, { question, options, allowMultipleAnswers, isAnonymous, allowAddOptions, closesAt }) => {
+    const cleanQuestion = typeof question === "string" ? question.trim() : "";
+    const cleanOptions = Array.isArray(options)
+        ? options.map(opt => (typeof opt === "string" ? opt.trim() : "")).filter(Boolean)
+        : [];
+
+    if (!cleanQuestion || cleanOptions.length < 2) {
+        badRequest(res, "Invalid poll data. Must have question and at least 2 options.");
+    }
+    if (cleanQuestion.length > POLL_QUESTION_MAX_LENGTH) {
+        badRequest(res, `Poll questions are limited to ${POLL_QUESTION_MAX_LENGTH} characters`);
+    }
+    if (cleanOptions.length > POLL_MAX_OPTIONS) {
+        badRequest(res, `A poll can have at most ${POLL_MAX_OPTIONS} options`);
+    }
+    if (cleanOptions.some(opt => opt.length > POLL_OPTION_MAX_LENGTH)) {
+        badRequest(res, `Poll options are limited to ${POLL_OPTION_MAX_LENGTH} characters`);
+    }
+    if (new Set(cleanOptions.map(opt => opt.toLowerCase())).size !== cleanOptions.length) {
+        badRequest(res, "Poll options must be different from each other");
+    }
+
+    let deadline = null;
+    if (closesAt) {
+        deadline = new Date(closesAt);
+        const latest = Date.now() + POLL_MAX_DURATION_HOURS * 60 * 60 * 1000;
+        if (Number.isNaN(deadline.getTime()) || deadline.getTime() <= Date.now() || deadline.getTime() > latest) {
+            badRequest(res, `Close time must be in the future and within ${POLL_MAX_DURATION_HOURS / 24} days`);
+        }
+    }
+
+    return {
+        question: cleanQuestion,
+        options: cleanOptions.map(text => ({ text, votes: [] })),
+        allowMultipleAnswers: allowMultipleAnswers === true,
+        isAnonymous: isAnonymous === true,
+        allowAddOptions: allowAddOptions === true,
+        closesAt: deadline,
+    };
+};
+
+/**
+ * Whether a poll no longer takes votes (announced as closed, or past its deadline).
+ * @param {Object} poll
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isPollClosed = (poll, now = new Date()) =>
+    Boolean(poll.closedAt) || Boolean(poll.closesAt && new Date(poll.closesAt) <= now);
+
+/**
+ * Toggles the user's vote for one option. Single-choice polls move the vote;
+ * voting for an option already chosen takes the vote back.
+ * @param {Object} poll - Mongoose sub-document (mutated)
+ * @param {string|Object} userId
+ * @param {number} optionIndex - Already validated
+ */
+export const castVote = (poll, userId, optionIndex) => {
+    const voterId = idOf(userId);
+    const targetOption = poll.options[optionIndex];
+    const alreadyVotedThis = targetOption.votes.some(id => id.toString() === voterId);
+
+    if (alreadyVotedThis) {
+        targetOption.votes = targetOption.votes.filter(id => id.toString() !== voterId);
+        return;
+    }
+
+    if (!poll.allowMultipleAnswers) {
+        poll.options.forEach(opt => {
+            opt.votes = opt.votes.filter(id => id.toString() !== voterId);
+        });
+    }
+    targetOption.votes.push(userId);
+};
+
+/**
+ * Removes every vote of the user.
+ * @returns {boolean} Whether the user had voted
+ */
+export const retractVotes = (poll, userId) => {
+    const voterId = idOf(userId);
+    let hadVoted = false;
+
+    poll.options.forEach(opt => {
+        const remaining = opt.votes.filter(id => id.toString() !== voterId);
+        if (remaining.length !== opt.votes.length) {
+            hadVoted = true;
+            opt.votes = remaining;
+        }
+    });
+    return hadVoted;
+};
+
+/**
+ * Adds a participant's option to a poll that allows it.
+ * Throws 400 (status set on `res`) when options can't be added or the text is invalid.
+ * @returns {number} Index of the new option
+ */
+export const appendPollOption = (res, poll, userId, text) => {
+    const cleanText = typeof text === "string" ? text.trim() : "";
+
+    if (!poll.allowAddOptions) badRequest(res, "This poll doesn't accept new options");
+    if (!cleanText) badRequest(res, "Option text is required");
+    if (cleanText.length > POLL_OPTION_MAX_LENGTH) {
+        badRequest(res, `Poll options are limited to ${POLL_OPTION_MAX_LENGTH} characters`);
+    }
+    if (poll.options.length >= POLL_MAX_OPTIONS) {
+        badRequest(res, `A poll can have at most ${POLL_MAX_OPTIONS} options`);
+    }
+    if (poll.options.some(opt => opt.text.toLowerCase() === cleanText.toLowerCase())) {
+        badRequest(res, "This option already exists");
+    }
+
+    poll.options.push({ text: cleanText, votes: [], addedBy: userId });
+    return poll.options.length - 1;
+};
+
+/**
+ * The poll as a client may see it: `voteCount` per option, voter ids only when the poll
+ * isn't anonymous, and the viewer's own choices as option indexes (`myVotes`).
+ * Without a viewer (room broadcasts) `myVotes` is left out.
+ * @param {Object} poll - Sub-document or plain object
+ * @param {string|Object|null} [viewerId]
+ * @param {Object} [options]
+ * @param {boolean} [options.includeVoters] - Defaults to `!poll.isAnonymous`
+ * @returns {Object}
+ */
+export const pollView = (poll, viewerId = null, { includeVoters = !poll?.isAnonymous } = {}) => {
+    if (!poll) return poll;
+    const plain = typeof poll.toObject === "function" ? poll.toObject() : poll;
+    const viewer = viewerId ? idOf(viewerId) : null;
+
+    const view = {
+        ...plain,
+        options: plain.options.map(({ votes = [], ...option }) => ({
+            ...option,
+            voteCount: votes.length,
+            ...(includeVoters ? { votes } : {}),
+        })),
+    };
+
+    if (viewer) {
+        view.myVotes = plain.options.reduce((acc, opt, index) => {
+            if ((opt.votes || []).some(id => idOf(id) === viewer)) acc.push(index);
+            return acc;
+        }, []);
+    }
+    return view;
+};
+
+/**
+ * A message (document or lean object) with its poll replaced by `pollView`.
+ * Other messages are returned untouched.
+ * @param {Object} message
+ * @param {string|Object|null} [viewerId]
+ * @param {Object} [options] - See pollView
+ * @returns {Object}
+ */
+export const withPollView = (message, viewerId = null, options) => {
+    if (!message?.poll) return message;
+    const plain = typeof message.toObject === "function" ? message.toObject() : message;
+    return { ...plain, poll: pollView(plain.poll, viewerId, options) };
+};
+
+/**
+ * Live update of a poll's results. Group rooms get the anonymous-safe view without
+ * `myVotes`; `voterId` (the user who just acted) additionally gets their own view on
+ * all of their devices. In 1:1 chats each participant gets their own view.
+ * @param {Object} message - GroupMessage or Message document
+ * @param {string|Object|null} [voterId]
+ */
+export const emitPollUpdate = (message, voterId = null) => {
+    try {
+        if (message.group) {
+            io.to(message.group.toString()).emit("pollUpdated", {
+                messageId: message._id,
+                poll: pollView(message.poll)
+            });
+            if (voterId) {
+                emitToUser(voterId, "pollUpdated", { messageId: message._id, poll: pollView(message.poll, voterId) });
+            }
+            return;
+        }
+
+        [message.sender, message.receiver].forEach(userId => {
+            emitToUser(userId, "pollUpdated", { messageId: message._id, poll: pollView(message.poll, userId) });
+        });
+    } catch (error) { console.error("Socket emit failed:", error); }
+};
+
+/**
+ * One-line summary of the final results, e.g. `📊 Poll closed: "Lunch?" · Winner: Pizza (3 votes)`.
+ * @param {Object} poll
+ * @returns {string}
+ */
+export const describePollResults = (poll) => {
+    const counts = poll.options.map(opt => opt.votes.length);
+    const top = Math.max(0, ...counts);
+    const heading = `📊 Poll closed: "${poll.question}"`;
+
+    if (top === 0) return `${heading} · No votes were cast`;
+
+    const leaders = poll.options.filter(opt => opt.votes.length === top).map(opt => opt.text);
+    const votes = `${top} ${top === 1 ? "vote" : "votes"}`;
+    return leaders.length === 1
+        ? `${heading} · Winner: ${leaders[0]} (${votes})`
+        : `${heading} · Tie: ${leaders.join(", ")} (${votes} each)`;
+};
+
+/**
+ * Closes a poll whose deadline has passed and announces the final results:
+ * a `system` message in groups (1:1 chats have no system messages, so there the
+ * closed poll itself shows the final results). Idempotent: only the first caller
+ * (the deadline job or a late vote) flips `closedAt`.
+ * @param {"group"|"direct"} scope - GroupMessage or Message
+ * @param {string} messageId
+ * @returns {Promise<Object|null>} The closed message, or null when there was nothing to close
+ */
+export const closePoll = async (scope, messageId) => {
+    const Model = scope === "group" ? GroupMessage : Message;
+    const now = new Date();
+
+    const message = await Model.findOneAndUpdate(
+        {
+            _id: messageId,
+            message_type: "poll",
+            isDeleted: { $ne: true },
+            "poll.closedAt": null,
+            "poll.closesAt": { $ne: null, $lte: now }
+        },
+        { $set: { "poll.closedAt": now } },
+        { new: true }
+    );
+    if (!message) return null;
+
+    emitPollUpdate(message);
+
+    if (scope === "group") {
+        const systemMsg = await GroupMessage.create({
+            group: message.group,
+            sender: message.sender,
+            text: describePollResults(message.poll),
+            message_type: "system",
+            readBy: [message.sender]
+        });
+        io.to(message.group.toString()).emit("receiveGroupMessage", systemMsg);
+    }
+
+    return message;
+};
+
+/**
+ * Throws 400 (status set on `res`) when the poll no longer takes votes or options.
+ * A poll found past its deadline before the scheduled job ran is closed on the spot.
+ * @param {Object} res
+ * @param {"group"|"direct"} scope
+ * @param {Object} message
+ */
+export const requireOpenPoll = async (res, scope, message) => {
+    if (!isPollClosed(message.poll)) return;
+
+    if (!message.poll.closedAt) await closePoll(scope, message._id);
+    badRequest(res, "This poll is closed");
+};
@@ -0,0 +1,228 @@
+/**
+ * @file reporting.js
+ * @description Shared report intake for every reportable content type.
+ * Each `report*` controller (posts, comments, stories, direct messages, group messages,
+ * user accounts) delegates here, so duplicate checks, evidence snapshots and the
+ * auto-moderation thresholds behave the same everywhere.
+ */
+
+import mongoose from "mongoose";
+// --- Models ---
+import Report from "../models/Report.js";
+import User from "../models/User.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Story from "../models/Story.js";
+import Message from "../models/Message.js";
+import GroupMessage from "../models/GroupMessage.js";
+import Group from "../models/Group.js";
+import { io, getUserRoom } from "../socket/socket.js";
+
+/** Client reason keys -> stored `Report.reason` values. */
+export const REASON_MAP = {
+    "spam": "Spam",
+    "harassment": "Harassment",
+    "hateSpeech": "Hate Speech",
+    "violence": "Violence",
+    "nudity": "Nudity",
+    "other": "Other"
+};
+
+/** Report states that still count toward auto-moderation. */
+export const OPEN_REPORT_STATUSES = ["pending", "reviewed"];
+
+/**
+ * Per-type rules.
+ * - `ownerField`: path holding the author (null for user reports: the account is the owner)
+ * - `threshold`:  distinct open reporters needed before `autoAction` kicks in
+ * - `scope`:      what the threshold counts: reports on the item itself, or on everything
+ *                 of this type by the same author (DMs are private, so hiding one is moot)
+ * - `autoAction`: "hide" the item, or "suspend" its owner
+ */
+export const REPORT_TARGETS = {
+    post: { model: Post, ownerField: "user", label: "Post", threshold: 5, scope: "target", autoAction: "hide" },
+    comment: { model: Comment, ownerField: "user", label: "Comment", threshold: 3, scope: "target", autoAction: "hide" },
+    story: { model: Story, ownerField: "user", label: "Story", threshold: 3, scope: "target", autoAction: "hide" },
+    group_message: { model: GroupMessage, ownerField: "sender", label: "Message", threshold: 3, scope: "target", autoAction: "hide" },
+    message: { model: Message, ownerField: "sender", label: "Message", threshold: 3, scope: "owner", autoAction: "suspend" },
+    user: { model: User, ownerField: null, label: "User", threshold: 5, scope: "target", autoAction: "suspend" },
+};
+
+/** Types whose documents carry an `isHidden` flag (moderators can hide/restore them). */
+export const HIDEABLE_TARGET_TYPES = Object.keys(REPORT_TARGETS).filter(
+    (type) => REPORT_TARGETS[type].autoAction === "hide"
+);
+
+// ==========================================
+// --- Helpers (Internal) ---
+// ==========================================
+
+const getOwnerId = (targetType, target) => {
+    const { ownerField } = REPORT_TARGETS[targetType];
+    return ownerField ? target[ownerField] : target._id;
+};
+
+/**
+ * Type-specific checks that the reporter can actually see the content.
+ * Throws (with the HTTP status already set) when the report is not allowed.
+ */
+const assertCanReport = async (res, targetType, target, reporter) => {
+    if (targetType === "message") {
+        // Only the recipient of a DM can report it
+        if (target.receiver?.toString() !== reporter._id.toString()) {
+            res.status(403);
+            throw new Error("You can only report messages sent to you");
+        }
+    }
+
+    if (targetType === "group_message") {
+        if (target.message_type === "system") {
+            res.status(400);
+            throw new Error("System messages cannot be reported");
+        }
+        const isMember = await Group.exists({
+            _id: target.group,
+            members: { $elemMatch: { user: reporter._id, status: "accepted" } },
+        });
+        if (!isMember) {
+            res.status(403);
+            throw new Error("You are not a member of this group");
+        }
+    }
+
+    if (["message", "group_message"].includes(targetType) && target.isDeleted) {
+        res.status(400);
+        throw new Error("This message was deleted");
+    }
+};
+
+/**
+ * Evidence copy of a message, stored on the report.
+ */
+const buildSnapshot = (targetType, target) => {
+    if (!["message", "group_message"].includes(targetType)) return null;
+
+    return {
+        text: target.text,
+        message_type: target.message_type,
+        media_url: target.media_url,
+        sender: target.sender,
+        receiver: target.receiver,
+        group: target.group,
+        sentAt: target.createdAt,
+        isEdited: target.isEdited,
+    };
+};
+
+/**
+ * Suspends an account automatically and drops its live sessions. Admins are never auto-suspended.
+ */
+const autoSuspend = async (userId, reason) => {
+    const user = await User.findOneAndUpdate(
+        { _id: userId, role: { $ne: "admin" }, suspendedAt: null },
+        { suspendedAt: new Date(), suspensionReason: reason },
+        { new: true }
+    );
+    if (!user) return false;
+
+    io.in(getUserRoom(user._id.toString())).disconnectSockets(true);
+    return true;
+};
+
+/**
+ * Applies the type's auto-moderation rule once enough distinct users have reported.
+ */
+const applyAutoModeration = async (targetType, target, ownerId) => {
+    const { model, threshold, scope, autoAction } = REPORT_TARGETS[targetType];
+
+    const scopeQuery = scope === "owner" ? { targetOwner: ownerId } : { targetId: target._id };
+    const reporters = await Report.distinct("reporter", {
+        targetType,
+        ...scopeQuery,
+        status: { $in: OPEN_REPORT_STATUSES },
+    });
+
+    if (reporters.length < threshold) return null;
+
+    if (autoAction === "hide") {
+        if (target.isHidden) return null;
+        await model.updateOne({ _id: target._id }, { isHidden: true });
+        console.log(`🚨 Auto-Moderation: ${targetType} ${target._id} hidden due to high reports.`);
+        return "hidden";
+    }
+
+    if (!ownerId) return null;
+    const suspended = await autoSuspend(ownerId, `Automatically suspended after repeated ${targetType} reports`);
+    if (!suspended) return null;
+
+    console.log(`🚨 Auto-Moderation: user ${ownerId} suspended due to high ${targetType} reports.`);
+    return "suspended";
+};
+
+// ==========================================
+// --- Public API ---
+// ==========================================
+
+/**
+ * Files a report against any supported target.
+ * Throws (with the HTTP status already set) on invalid input, missing content or duplicates.
+ *
+ * @param {import("express").Response} res
+ * @param {Object} params
+ * @param {import("mongoose").Document} params.reporter - The reporting user
+ * @param {keyof REPORT_TARGETS} params.targetType
+ * @param {string} params.targetId
+ * @param {string} params.reason - Client reason key (see REASON_MAP)
+ * @returns {Promise<{ report: import("mongoose").Document, autoAction: "hidden"|"suspended"|null }>}
+ */
+export const fileReport = async (res, { reporter, targetType, targetId, reason }) => {
+    const { model, label } = REPORT_TARGETS[targetType];
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        res.status(400);
+        throw new Error(`Invalid ${label.toLowerCase()} ID`);
+    }
+
+    // 1. Target must exist
+    const target = await model.findById(targetId);
+    if (!target) {
+        res.status(404);
+        throw new Error(`${label} not found`);
+    }
+
+    // 2. No self-reports
+    const ownerId = getOwnerId(targetType, target);
+    if (ownerId?.toString() === reporter._id.toString()) {
+        res.status(400);
+        throw new Error(targetType === "user" ? "You cannot report yourself" : `You cannot report your own ${label.toLowerCase()}`);
+    }
+
+    // 3. Visibility / membership rules
+    await assertCanReport(res, targetType, target, reporter);
+
+    // 4. One report per user per target
+    const isAlreadyReported = await Report.exists({ reporter: reporter._id, targetType, targetId: target._id });
+    if (isAlreadyReported) {
+        res.status(400);
+        throw new Error(`You have already reported this ${label.toLowerCase()}`);
+    }
+
+    const report = await Report.create({
+        reporter: reporter._id,
+        targetType,
+        targetId: target._id,
+        targetOwner: ownerId || null,
+        snapshot: buildSnapshot(targetType, target),
+        reason: REASON_MAP[reason] || "Other",
+    });
+
+    // Posts keep their reporter list (the client reads it for the "reported" state)
+    if (targetType === "post") {
+        await Post.updateOne({ _id: target._id }, { $addToSet: { reports: reporter._id } });
+    }
+
+    // 5. Auto-moderation
+    const autoAction = await applyAutoModeration(targetType, target, ownerId);
+
+    return { report, autoAction };
+};
@@ -0,0 +1,110 @@
+/**
+ * @file search.js
+ * @description Query normalization and people search, shared by GET /api/search and the
+ * legacy GET /api/user/search (mention autocomplete).
+ * Collections use language-neutral text indexes (`default_language: "none"`), so Arabic
+ * and English are tokenized the same way; the query gets the matching normalization here.
+ */
+
+import User from "../models/User.js";
+
+/** Longest query we pass to the text index. */
+export const MAX_QUERY_LENGTH = 100;
+
+const PEOPLE_FIELDS = "_id full_name username profile_picture bio isVerified location isPrivate";
+
+/** Arabic harakat/tanween, superscript alef and tatweel: not part of how people type names. */
+const ARABIC_MARKS = /[\u064B-\u065F\u0670\u0640]/g;
+
+/**
+ * Escapes regex metacharacters (user input is used in anchored prefix regexes).
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Cleans a raw search query: strips Arabic diacritics/tatweel, collapses whitespace, caps length.
+ * @param {string} raw
+ * @returns {string} "" when nothing searchable is left.
+ */
+export const normalizeSearchQuery = (raw) => {
+    if (!raw || typeof raw !== "string") return "";
+
+    return raw
+        .normalize("NFC")
+        .replace(ARABIC_MARKS, "")
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, MAX_QUERY_LENGTH);
+};
+
+/**
+ * Turns a normalized query into a `$text.$search` string.
+ * Quotes and leading "-" would be read as phrase/negation operators, so they are dropped.
+ * @param {string} query
+ * @returns {string}
+ */
+export const toTextSearch = (query) =>
+    query.replace(/["\\]/g, " ").replace(/(^|\s)-+/g, "$1").trim();
+
+/**
+ * Ranked people search.
+ * 1. Full-text matches, ordered by relevance (username > full name > bio).
+ * 2. First page only: topped up with prefix matches on username / full name, since text
+ *    search matches whole words and people type names partially ("moh" -> "Mohamed").
+ *
+ * Excludes the viewer, blocks in either direction and inactive accounts. Private profiles
+ * stay findable (their content is protected by the profile and post endpoints).
+ *
+ * @param {Object} viewer - User document with `_id` and `blockedUsers`.
+ * @param {string} query - Normalized query (see normalizeSearchQuery).
+ * @param {Object} pagination
+ * @param {number} pagination.page
+ * @param {number} pagination.limit
+ * @returns {Promise<{ results: Object[], total: number }>}
+ */
+export const searchPeople = async (viewer, query, { page, limit }) => {
+    if (!query) return { results: [], total: 0 };
+
+    const skip = (page - 1) * limit;
+    const excluded = [viewer._id, ...(viewer.blockedUsers || [])];
+    const baseFilter = {
+        blockedUsers: { $ne: viewer._id },
+        deactivatedAt: null,
+        suspendedAt: null,
+    };
+
+    const textSearch = toTextSearch(query);
+    const textFilter = { ...baseFilter, _id: { $nin: excluded }, $text: { $search: textSearch } };
+
+    const [ranked, total] = textSearch
+        ? await Promise.all([
+            User.find(textFilter)
+                .sort({ score: { $meta: "textScore" } })
+                .skip(skip)
+                .limit(limit)
+                .select(PEOPLE_FIELDS)
+                .lean(),
+            User.countDocuments(textFilter),
+        ])
+        : [[], 0];
+
+    if (page > 1 || ranked.length >= limit) return { results: ranked, total };
+
+    // Prefix top-up (username is stored lowercase, so its regex stays index-friendly)
+    const prefix = escapeRegex(query.toLowerCase());
+    const extra = await User.find({
+        ...baseFilter,
+        _id: { $nin: [...excluded, ...ranked.map((u) => u._id)] },
+        $or: [
+            { username: new RegExp(`^${prefix}`) },
+            { full_name: new RegExp(`(^|\\s)${prefix}`, "i") },
+        ],
+    })
+        .limit(limit - ranked.length)
+        .select(PEOPLE_FIELDS)
+        .lean();
+
+    return { results: [...ranked, ...extra], total: total + extra.length };
+};
@@ -0,0 +1,37 @@
+/**
+ * @file timezone.js
+ * @description Helpers for per-user scheduling in IANA time zones (e.g. "Africa/Cairo").
+ */
+
+export const DEFAULT_TIMEZONE = "UTC";
+
+/**
+ * Checks whether a string is a time zone the runtime can format dates in.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== "string") return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Returns the wall-clock hour (0-23) in a time zone at a given instant.
+ * @param {string} timeZone
+ * @param {Date} [date=new Date()]
+ * @returns {number}
+ */
+export const getLocalHour = (timeZone, date = new Date()) => {
+    const hour = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hour: "numeric",
+        hourCycle: "h23",
+    }).format(date);
+
+    return Number(hour);
+};
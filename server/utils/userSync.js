@@ -0,0 +1,126 @@
+/**
+ * @file userSync.js
+ * @description Shared Clerk -> MongoDB user synchronization.
+ * Used by both `POST /api/user/sync` (client login) and the Clerk webhooks (Inngest),
+ * so the two paths resolve identities and usernames exactly the same way.
+ * Users are always keyed on `clerkId`; Mongo `_id` stays an ObjectId.
+ */
+
+import User from "../models/User.js";
+import sendEmail from "./sendEmail.js";
+
+// --- Username Rules (mirror the User schema) ---
+const USERNAME_MIN = 3;
+const USERNAME_MAX = 30;
+const COLLISION_SUFFIX_DIGITS = 4;
+const MAX_COLLISION_ATTEMPTS = 5;
+
+/**
+ * Normalizes a raw username candidate to the schema's rules (lowercase, 3-30 chars).
+ * @param {string} raw
+ * @returns {string}
+ */
+const normalizeUsername = (raw) => {
+    let base = String(raw || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9._-]/g, "")
+        .slice(0, USERNAME_MAX - COLLISION_SUFFIX_DIGITS);
+
+    if (base.length < USERNAME_MIN) base = `user${base}`;
+    return base;
+};
+
+const randomSuffix = () =>
+    String(Math.floor(Math.random() * 10 ** COLLISION_SUFFIX_DIGITS)).padStart(COLLISION_SUFFIX_DIGITS, "0");
+
+/**
+ * Returns a username that no other user holds.
+ * Keeps the candidate when free, otherwise appends random digits.
+ *
+ * @param {string} desired - Raw candidate (Clerk username or email prefix)
+ * @param {import("mongoose").Types.ObjectId} [ownerId] - User allowed to keep it (on updates)
+ * @returns {Promise<string>}
+ */
+export const generateUniqueUsername = async (desired, ownerId = null) => {
+    const base = normalizeUsername(desired);
+    const isTaken = (username) => User.exists({ username, ...(ownerId && { _id: { $ne: ownerId } }) });
+
+    if (!(await isTaken(base))) return base;
+
+    for (let attempt = 0; attempt < MAX_COLLISION_ATTEMPTS; attempt++) {
+        const candidate = `${base}${randomSuffix()}`;
+        if (!(await isTaken(candidate))) return candidate;
+    }
+
+    return `user_${Date.now()}`;
+};
+
+/**
+ * Sends the one-time welcome email (fire & forget).
+ */
+const sendWelcomeEmail = (user) => {
+    sendEmail({
+        to: user.email,
+        subject: "Welcome to Flurry! 🚀",
+        html: `
+            <div style="font-family: sans-serif; text-align: center; padding: 20px; background-color: #f9fafb; border-radius: 10px;">
+                <h1 style="color: #2563eb;">Welcome ${user.full_name}! 👋</h1>
+                <p>We are thrilled to have you on board.</p>
+                <hr style="margin: 20px 0;" />
+                <p style="font-size: 12px; color: #9ca3af;">Flurry Team</p>
+            </div>
+        `
+    }).catch(console.error);
+};
+
+/**
+ * Creates or updates the MongoDB user for a Clerk identity.
+ * - Existing user: refreshes email/name, fills an empty avatar, and only
+ *   changes the username when Clerk provides one explicitly.
+ * - New user: falls back to the email prefix for the username and sends the welcome email.
+ *
+ * @param {Object} profile
+ * @param {string} profile.clerkId
+ * @param {string} profile.email
+ * @param {string} profile.full_name
+ * @param {string} [profile.username] - Explicit Clerk username, if any
+ * @param {string} [profile.profile_picture]
+ * @param {string} [profile.timezone] - Already validated IANA zone
+ * @returns {Promise<{ user: import("mongoose").Document, created: boolean }>}
+ */
+export const upsertUserFromClerk = async ({ clerkId, email, full_name, username, profile_picture, timezone }) => {
+    const existing = await User.findOne({ clerkId });
+
+    if (existing) {
+        if (email) existing.email = email;
+        if (full_name) existing.full_name = full_name;
+        if (!existing.profile_picture && profile_picture) existing.profile_picture = profile_picture;
+        if (username && normalizeUsername(username) !== existing.username) {
+            existing.username = await generateUniqueUsername(username, existing._id);
+        }
+        if (timezone) existing.timezone = timezone;
+
+        await existing.save();
+        return { user: existing, created: false };
+    }
+
+    try {
+        const user = await User.create({
+            clerkId,
+            email,
+            full_name: full_name || "User",
+            username: await generateUniqueUsername(username || email?.split("@")[0] || `user_${Date.now()}`),
+            profile_picture: profile_picture || "",
+            timezone,
+        });
+
+        sendWelcomeEmail(user);
+        return { user, created: true };
+    } catch (error) {
+        // Webhook and client sync raced: the other one created it first
+        if (error.code === 11000 && error.keyPattern?.clerkId) {
+            return upsertUserFromClerk({ clerkId, email, full_name, username, profile_picture, timezone });
+        }
+        throw error;
+    }
+};
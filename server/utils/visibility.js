@@ -0,0 +1,29 @@
+/**
+ * @file visibility.js
+ * @description Who a viewer is allowed to see: shared by the feeds, hashtag pages and search.
+ */
+
+import User from "../models/User.js";
+
+/**
+ * Authors whose posts a viewer must never see in a feed: blocked in either direction,
+ * pending deletion or suspended. With `excludePrivate`, private accounts outside the
+ * viewer's circle (people they follow + themselves) are added as well.
+ * @param {Object} currentUser - The viewer (full user document).
+ * @param {Object} [options]
+ * @param {boolean} [options.excludePrivate=false]
+ * @returns {Promise<import("mongoose").Types.ObjectId[]>}
+ */
+export const getFeedExcludeList = async (currentUser, { excludePrivate = false } = {}) => {
+    const blockedByMe = currentUser.blockedUsers || [];
+    const myCircle = [...(currentUser.following || []), currentUser._id];
+
+    // Optimized: Fetch blocking users, inactive accounts and private accounts in parallel
+    const [usersWhoBlockedMe, deactivatedUsers, hiddenPrivateUsers] = await Promise.all([
+        User.find({ blockedUsers: currentUser._id }).distinct("_id"),
+        User.find({ $or: [{ deactivatedAt: { $ne: null } }, { suspendedAt: { $ne: null } }] }).distinct("_id"),
+        excludePrivate ? User.find({ isPrivate: true, _id: { $nin: myCircle } }).distinct("_id") : [],
+    ]);
+
+    return [...blockedByMe, ...usersWhoBlockedMe, ...deactivatedUsers, ...hiddenPrivateUsers];
+};